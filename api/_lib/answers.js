@@ -0,0 +1,39 @@
+const { DEFAULT_MODE, hashAnswerForStorage, parseOptions } = require('../../server/utils/answerMatcher');
+
+/**
+ * Puzzle answer storage for serverless functions
+ * Same rules as the Express puzzle controller: hashable match modes store
+ * only the hash, regex/numeric answers keep the plaintext.
+ */
+
+/**
+ * Columns to write for a new or changed answer
+ * @param {String} answer - Plaintext answer
+ * @param {String} mode - The puzzle's answer_match_mode
+ * @param {Object|String} options - The puzzle's stored answer_match_options
+ * @returns {Object} { correct_answer, correct_answer_hash[, answer_match_options] }
+ */
+function storedAnswerFields(answer, mode, options) {
+  return hashAnswerForStorage(answer, mode || DEFAULT_MODE, options, options) || {
+    correct_answer: answer,
+    correct_answer_hash: null
+  };
+}
+
+/**
+ * Strip hashes and secrets before a puzzle goes to an admin client
+ * @param {Object} puzzle
+ * @returns {Object}
+ */
+function redactPuzzle(puzzle) {
+  if (!puzzle) return puzzle;
+  const { correct_answer_hash, flag_secret, ...rest } = puzzle;
+  const options = parseOptions(rest.answer_match_options);
+  if (options.alias_hashes) {
+    const { alias_hashes, ...visibleOptions } = options;
+    rest.answer_match_options = visibleOptions;
+  }
+  return { ...rest, answer_is_hashed: !!correct_answer_hash };
+}
+
+module.exports = { storedAnswerFields, redactPuzzle };
@@ -1,16 +1,21 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
 const JWT_ACCESS_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '2h';
 const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+// Same derivation as server/utils/jwt.js, so a challenge from either runtime works in both
+const JWT_2FA_SECRET = `${JWT_ACCESS_SECRET}:2fa`;
+const JWT_2FA_EXPIRY = '10m';
 
 function generateAccessToken(payload) {
   return jwt.sign(payload, JWT_ACCESS_SECRET, { expiresIn: JWT_ACCESS_EXPIRY });
 }
 
+// Own jti per token, so two issued in the same second never collide (rotation looks them up by value)
 function generateRefreshToken(payload) {
-  return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRY });
+  return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRY, jwtid: crypto.randomUUID() });
 }
 
 function verifyAccessToken(token) {
@@ -21,6 +26,17 @@ function verifyRefreshToken(token) {
   return jwt.verify(token, JWT_REFRESH_SECRET);
 }
 
+/**
+ * Proof that the password step of a login passed, for the 2FA step
+ */
+function generateTwoFaChallenge(userId) {
+  return jwt.sign({ userId, purpose: '2fa' }, JWT_2FA_SECRET, { expiresIn: JWT_2FA_EXPIRY });
+}
+
+function verifyTwoFaChallenge(token) {
+  return jwt.verify(token, JWT_2FA_SECRET);
+}
+
 /**
  * Verify authentication from request headers
  */
@@ -71,6 +87,8 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateTwoFaChallenge,
+  verifyTwoFaChallenge,
   verifyAuth,
   requireAdmin,
   requireTeam,
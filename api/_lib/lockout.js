@@ -0,0 +1,66 @@
+const { getSupabase } = require('./supabase');
+const {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MS,
+  checkLogin,
+  afterFailure
+} = require('../../server/utils/loginLockout');
+
+/**
+ * Per-account login lockout for serverless functions
+ * Same limits and users columns as the Express server
+ * (server/services/accountLockoutService.js). Failures are counted by the
+ * record_login_failure() SQL function, so concurrent guesses each count.
+ * Serverless functions send no email, so no unlock link is issued here: a
+ * locked account opens again when the lockout ends or an admin unlocks it.
+ */
+
+/**
+ * Count a failed login
+ * @param {Object} user - users row ({ id })
+ * @returns {Promise<Object>} { failures, retryAfter, locked, lockedUntil? }
+ */
+async function recordFailure(user, now = Date.now()) {
+  const supabase = getSupabase();
+  const { data, error } = await supabase.rpc('record_login_failure', {
+    p_user_id: user.id,
+    p_window_ms: LOCKOUT_MS
+  });
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  const outcome = afterFailure((row && row.failed_login_count) || 0);
+  if (!outcome.locked) return outcome;
+
+  // Only the failure still over the threshold stores the lock; a concurrent one may have already
+  const lockedUntil = new Date(now + LOCKOUT_MS);
+  const { error: lockError } = await supabase
+    .from('users')
+    .update({
+      failed_login_count: 0,
+      locked_until: lockedUntil.toISOString()
+    })
+    .eq('id', user.id)
+    .gte('failed_login_count', LOCKOUT_THRESHOLD);
+  if (lockError) throw lockError;
+  return { ...outcome, lockedUntil };
+}
+
+/**
+ * Clear the counter after a successful login (skips the write when clean)
+ */
+async function recordSuccess(user) {
+  if (!user.failed_login_count && !user.locked_until && !user.unlock_token_hash) return;
+  const { error } = await getSupabase()
+    .from('users')
+    .update({
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      unlock_token_hash: null,
+      unlock_token_expires_at: null
+    })
+    .eq('id', user.id);
+  if (error) throw error;
+}
+
+module.exports = { checkLogin, recordFailure, recordSuccess };
@@ -0,0 +1,72 @@
+const { RATE_LIMITS, createStore, consume } = require('../../server/utils/rateLimitStore');
+const { getSupabase } = require('./supabase');
+
+/**
+ * Rate limiting for serverless functions
+ * Same limits and stores as the Express limiters (server/utils/rateLimitStore.js).
+ * Function instances do not share memory, so set RATE_LIMIT_STORE=database
+ * (or redis) in production for the limits to hold across instances.
+ */
+
+const stores = {};
+
+function getStore(name) {
+  if (!stores[name]) {
+    const store = createStore({
+      windowMs: RATE_LIMITS[name].windowMs,
+      prefix: `${name}:`,
+      supabase: process.env.RATE_LIMIT_STORE === 'database' ? getSupabase() : null
+    });
+    if (store.init) store.init({ windowMs: RATE_LIMITS[name].windowMs });
+    stores[name] = store;
+  }
+  return stores[name];
+}
+
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Count a hit against a limit and answer 429 when it is exceeded
+ * @param {string} name - Key of RATE_LIMITS ('auth', 'strict', 'submit')
+ * @param {string} [key] - Defaults to the client IP
+ * @returns {Promise<boolean>} true if the request was rejected (response already sent)
+ */
+async function rateLimit(req, res, name, key = getClientIp(req)) {
+  const { max } = RATE_LIMITS[name];
+  let result;
+  try {
+    result = await consume(getStore(name), key, max);
+  } catch (error) {
+    // An unreachable store should not lock everyone out
+    console.error('Rate limit store error:', error.message);
+    return false;
+  }
+
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.retryAfter));
+
+  if (result.allowed) return false;
+
+  if (name === 'submit') {
+    res.status(429).json({
+      success: false,
+      error: `Too many answer submissions from your team. Try again in ${result.retryAfter} seconds.`,
+      code: 'SUBMIT_RATE_LIMIT',
+      retryAfter: result.retryAfter
+    });
+  } else {
+    res.status(429).json({
+      error: 'Too many attempts from this IP, please try again after 15 minutes',
+      code: 'RATE_LIMIT_EXCEEDED',
+      retryAfter: Math.ceil(RATE_LIMITS[name].windowMs / 60000)
+    });
+  }
+  return true;
+}
+
+module.exports = { rateLimit, getClientIp };
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase');
+const { generateRefreshToken } = require('./auth');
+
+/**
+ * Refresh token rotation for serverless functions
+ * Same rules as the Express server (server/services/refreshTokenService.js):
+ * every refresh spends the presented token (used_at) and issues a successor
+ * in its family; a spent token presented again deletes the whole family.
+ * A token used less than REUSE_GRACE_MS ago (two tabs refreshing together)
+ * only gets a new access token.
+ */
+
+// Matches JWT_REFRESH_EXPIRY
+const REFRESH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Generate and store a refresh token
+ * @param {string} userId
+ * @param {Object} options - { sessionId, familyId } (a new family is started if omitted)
+ * @returns {Promise<string>}
+ */
+async function issue(userId, { sessionId = null, familyId = null } = {}) {
+  const token = generateRefreshToken({ userId });
+  const { error } = await getSupabase().from('refresh_tokens').insert({
+    user_id: userId,
+    session_id: sessionId,
+    family_id: familyId || sessionId || crypto.randomUUID(),
+    token,
+    expires_at: new Date(Date.now() + REFRESH_TTL_MS).toISOString()
+  });
+  if (error) throw error;
+  return token;
+}
+
+/**
+ * Delete every token in a family
+ */
+async function revokeFamily(familyId) {
+  const { error } = await getSupabase().from('refresh_tokens').delete().eq('family_id', familyId);
+  if (error) throw error;
+}
+
+/**
+ * Exchange a refresh token for its successor
+ * @param {string} token - Already JWT-verified
+ * @returns {Promise<Object>} { status: 'rotated', row, refreshToken } | { status: 'grace', row }
+ *   | { status: 'reused', row } (family already revoked) | { status: 'invalid' }
+ */
+async function rotate(token) {
+  const supabase = getSupabase();
+  const { data: row, error } = await supabase
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row || new Date(row.expires_at).getTime() <= Date.now()) {
+    return { status: 'invalid' };
+  }
+
+  const usedAt = row.used_at ? new Date(row.used_at).getTime() : null;
+  if (usedAt === null) {
+    const { data: claimed, error: claimError } = await supabase
+      .from('refresh_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .is('used_at', null)
+      .select('id');
+    if (claimError) throw claimError;
+    if ((claimed || []).length > 0) {
+      const refreshToken = await issue(row.user_id, {
+        sessionId: row.session_id || null,
+        familyId: row.family_id || null
+      });
+      return { status: 'rotated', row, refreshToken };
+    }
+  }
+
+  // Lost the race to a parallel refresh, or the token was rotated moments ago
+  if (usedAt === null || Date.now() - usedAt < REUSE_GRACE_MS) {
+    return { status: 'grace', row };
+  }
+
+  if (row.family_id) {
+    await revokeFamily(row.family_id);
+  }
+  return { status: 'reused', row };
+}
+
+module.exports = { issue, rotate, revokeFamily };
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { getSupabase } = require('./supabase');
+const { getClientIp } = require('./rateLimit');
+const { describeDevice } = require('../../server/utils/device');
+
+/**
+ * Session registry for serverless functions
+ * Same user_sessions rows as the Express server (server/services/sessionService.js):
+ * every login registers a session whose id travels in the access token and on
+ * its refresh tokens, and revoking it deletes those refresh tokens.
+ * Until user_sessions is migrated, logins simply carry no session.
+ */
+
+// Matches the refresh token lifetime
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// last_seen_at is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function isMissingTable(error) {
+  return ['42P01', 'PGRST205'].includes(error?.code);
+}
+
+function isActive(session) {
+  return !!session && !session.revoked_at && new Date(session.expires_at).getTime() > Date.now();
+}
+
+/**
+ * Register a new login
+ * @returns {Promise<string|null>} Session id, or null if the registry is not migrated
+ */
+async function createSession(req, userId, teamId) {
+  const userAgent = req.headers['user-agent'] || null;
+  const session = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    team_id: teamId || null,
+    device: describeDevice(userAgent),
+    ip_address: getClientIp(req),
+    user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+    expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+  };
+
+  const { error } = await getSupabase().from('user_sessions').insert(session);
+  if (error) {
+    if (!isMissingTable(error)) throw error;
+    console.log('Session registry info:', error.code);
+    return null;
+  }
+  return session.id;
+}
+
+/**
+ * Check that a session is still live and note the activity
+ * @returns {Promise<boolean>}
+ */
+async function validateSession(sessionId) {
+  const supabase = getSupabase();
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!isActive(session)) return false;
+
+  if (Date.now() - new Date(session.last_seen_at || 0).getTime() >= TOUCH_INTERVAL_MS) {
+    const { error: touchError } = await supabase
+      .from('user_sessions')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', sessionId);
+    if (touchError) console.error('Session touch error:', touchError.message);
+  }
+  return true;
+}
+
+/**
+ * Revoke a session and delete its refresh tokens
+ * @param {string} sessionId
+ * @param {string|null} revokedBy
+ * @param {string} reason - e.g. 'logout', 'refresh_token_reuse'
+ */
+async function revokeSession(sessionId, revokedBy, reason) {
+  const supabase = getSupabase();
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy || null, revoke_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+  if (error) throw error;
+
+  const { error: tokenError } = await supabase.from('refresh_tokens').delete().eq('session_id', sessionId);
+  if (tokenError) throw tokenError;
+}
+
+module.exports = { createSession, validateSession, revokeSession };
@@ -0,0 +1,54 @@
+const { getSupabase } = require('./supabase');
+const { matchStep, hashRecoveryCode } = require('../../server/utils/totp');
+
+/**
+ * Authenticator-app second factor for serverless functions
+ * Same checks as the Express server (server/services/totpService.js): each
+ * time step is accepted once (users.totp_last_step) and recovery codes burn
+ * on use. Enrollment stays on the Express server.
+ */
+
+/**
+ * True for users whose logins are confirmed with an authenticator app
+ */
+function usesTotp(user) {
+  return !!(user && user.two_fa_enabled && user.two_fa_method === 'totp' && user.totp_secret);
+}
+
+/**
+ * Check a second-factor code for a TOTP user
+ * @param {Object} user - users row
+ * @param {Object} input - { code } from the app, or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery' on success, null otherwise
+ */
+async function verify(user, { code, recoveryCode } = {}) {
+  if (!usesTotp(user)) return null;
+  const supabase = getSupabase();
+
+  if (recoveryCode) {
+    const { data, error } = await supabase
+      .from('two_fa_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .eq('code_hash', hashRecoveryCode(recoveryCode))
+      .is('used_at', null)
+      .select('id');
+    if (error) throw error;
+    return (data || []).length > 0 ? 'recovery' : null;
+  }
+
+  const step = matchStep(user.totp_secret, code);
+  if (step === null) return null;
+
+  // Claim the step; fails if it (or a later one) was already used
+  const { data, error } = await supabase
+    .from('users')
+    .update({ totp_last_step: step })
+    .eq('id', user.id)
+    .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+    .select('id');
+  if (error) throw error;
+  return (data || []).length > 0 ? 'totp' : null;
+}
+
+module.exports = { usesTotp, verify };
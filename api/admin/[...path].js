@@ -1,5 +1,6 @@
 const { getSupabase } = require('../_lib/supabase');
 const { verifyAuth, requireAdmin, setCorsHeaders } = require('../_lib/auth');
+const { checkTeamAnswer } = require('../../server/utils/teamFlags');
 
 // Transform team row from snake_case DB to camelCase frontend
 function mapTeam(t, usersMap) {
@@ -1077,26 +1078,24 @@ module.exports = async function handler(req, res) {
         try {
           // Get puzzles with their points and correct answers for evaluation
           const { data: puzzlesWithPoints } = await supabase.from('puzzles')
-            .select('id, points, correct_answer')
+            .select('id, points, correct_answer, correct_answer_hash, answer_match_mode, answer_match_options, dynamic_flag, flag_template, flag_secret')
             .in('id', puzzleIds);
           const pointsMap = {};
-          const answerMap = {};
+          const puzzleMap = {};
           (puzzlesWithPoints || []).forEach(function(p) {
             pointsMap[p.id] = p.points || 0;
-            answerMap[p.id] = (p.correct_answer || '').trim().toLowerCase();
+            puzzleMap[p.id] = p;
           });
 
           // Count how many we are evaluating
           const { data: subs } = await supabase.from('submissions')
-            .select('id, puzzle_id, is_correct, submitted_answer')
+            .select('id, team_id, puzzle_id, is_correct, submitted_answer')
             .in('puzzle_id', puzzleIds)
             .eq('evaluation_status', 'PENDING');
 
           // Re-evaluate is_correct against current puzzle answers
           (subs || []).forEach(function(s) {
-            var submittedTrimmed = (s.submitted_answer || '').trim().toLowerCase();
-            var correctTrimmed = answerMap[s.puzzle_id] || '';
-            s.is_correct = submittedTrimmed === correctTrimmed;
+            s.is_correct = checkTeamAnswer(puzzleMap[s.puzzle_id], s.team_id, s.submitted_answer);
           });
 
           evalCount = (subs || []).length;
@@ -10,14 +10,81 @@ module.exports = async function handler(req, res) {
     const crypto = require('crypto');
     const bcrypt = require('bcryptjs');
     const { getSupabase } = require('../_lib/supabase');
-    const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../_lib/auth');
+    const { generateAccessToken, verifyRefreshToken, generateTwoFaChallenge, verifyTwoFaChallenge } = require('../_lib/auth');
+    const { rateLimit } = require('../_lib/rateLimit');
+    const refreshTokens = require('../_lib/refreshTokens');
+    const sessions = require('../_lib/sessions');
+    const lockout = require('../_lib/lockout');
+    const twoFactor = require('../_lib/twoFactor');
 
     const SALT_ROUNDS = 10;
     const supabase = getSupabase();
     const path = req.url.replace('/api/auth', '').split('?')[0];
 
+    // Refuse an attempt while the account is backing off or locked
+    function sendLoginBlocked(check) {
+      return res.status(check.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+        error: check.code === 'ACCOUNT_LOCKED'
+          ? 'Account locked after too many failed attempts. Try again later.'
+          : `Too many failed attempts. Try again in ${check.retryAfter} seconds.`,
+        code: check.code,
+        retryAfter: check.retryAfter,
+        ...(check.lockedUntil && { lockedUntil: check.lockedUntil })
+      });
+    }
+
+    function sendAccountLocked(failure) {
+      return res.status(423).json({
+        error: 'Account locked after too many failed attempts. Try again later.',
+        code: 'ACCOUNT_LOCKED',
+        retryAfter: failure.retryAfter,
+        lockedUntil: failure.lockedUntil
+      });
+    }
+
+    // Register the session for a completed login and issue its tokens
+    async function completeLogin(user, message) {
+      var teamId = null;
+      if (user.role === 'team') {
+        const { data: teams } = await supabase
+          .from('teams')
+          .select('id')
+          .eq('user_id', user.id)
+          .limit(1);
+        if (teams && teams.length > 0) teamId = teams[0].id;
+      }
+
+      // The session id rides in the access token and on the refresh token
+      const sessionId = await sessions.createSession(req, user.id, teamId);
+
+      const accessToken = generateAccessToken({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        teamId: teamId,
+        ...(sessionId && { sessionId })
+      });
+
+      // Each login starts a new refresh token family
+      const refreshToken = await refreshTokens.issue(user.id, { sessionId });
+
+      return res.json({
+        message: message,
+        accessToken: accessToken,
+        refreshToken: refreshToken,
+        role: user.role,
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      });
+    }
+
     // ─── POST /api/auth/register ───
     if (req.method === 'POST' && path === '/register') {
+      if (await rateLimit(req, res, 'auth')) return;
       const { name, email, password, teamName, members } = req.body;
 
       if (!name || !email || !password || !teamName) {
@@ -78,6 +145,7 @@ module.exports = async function handler(req, res) {
 
     // ─── POST /api/auth/login ───
     if (req.method === 'POST' && path === '/login') {
+      if (await rateLimit(req, res, 'auth')) return;
       const { email, password } = req.body;
 
       if (!email || !password) {
@@ -99,49 +167,98 @@ module.exports = async function handler(req, res) {
       if (!user.password_hash) {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
+
+      // Per-account backoff: refuse before the password is even checked
+      const check = lockout.checkLogin(user);
+      if (!check.allowed) return sendLoginBlocked(check);
+
       const isValid = await bcrypt.compare(password, user.password_hash);
       if (!isValid) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+        const failure = await lockout.recordFailure(user);
+        if (failure.locked) return sendAccountLocked(failure);
+        return res.status(401).json({
+          error: 'Invalid credentials',
+          ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+        });
       }
 
-      var teamId = null;
-      if (user.role === 'team') {
-        const { data: teams } = await supabase
-          .from('teams')
-          .select('id')
-          .eq('user_id', user.id)
-          .limit(1);
-        if (teams && teams.length > 0) teamId = teams[0].id;
+      await lockout.recordSuccess(user);
+
+      // Authenticator app: the code must come with proof of this login
+      if (twoFactor.usesTotp(user)) {
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          requireTwoFa: true,
+          method: 'totp',
+          challenge: generateTwoFaChallenge(user.id),
+          userId: user.id
+        });
       }
 
-      const accessToken = generateAccessToken({
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        teamId: teamId
-      });
+      // Emailed codes need the mail server, which only the Express server has;
+      // refuse rather than let the login skip its second factor
+      if (user.two_fa_enabled) {
+        return res.status(503).json({
+          error: 'Email sign-in codes are not available on this deployment. Use an authenticator app for two-factor sign-in.',
+          code: 'TWO_FA_UNAVAILABLE'
+        });
+      }
 
-      const refreshToken = generateRefreshToken({ userId: user.id });
+      return completeLogin(user, 'Login successful');
+    }
 
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-      await supabase.from('refresh_tokens').insert({
-        user_id: user.id,
-        token: refreshToken,
-        expires_at: expiresAt
-      });
+    // ─── POST /api/auth/verify-2fa ───
+    if (req.method === 'POST' && path === '/verify-2fa') {
+      if (await rateLimit(req, res, 'auth')) return;
+      const { userId, otp, challenge, recoveryCode } = req.body;
 
-      return res.json({
-        message: 'Login successful',
-        accessToken: accessToken,
-        refreshToken: refreshToken,
-        role: user.role,
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
-      });
+      if (!userId || !(otp || recoveryCode)) {
+        return res.status(400).json({ error: 'User ID and OTP required' });
+      }
+
+      const { data: users, error: userErr } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', userId)
+        .limit(1);
+
+      if (userErr) throw userErr;
+      if (!users || users.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const user = users[0];
+      if (!twoFactor.usesTotp(user)) {
+        return res.status(400).json({ error: 'Invalid or expired 2FA code' });
+      }
+
+      // TOTP codes are always valid, so tie them to a login that passed the password check
+      var claims = null;
+      try {
+        claims = challenge ? verifyTwoFaChallenge(challenge) : null;
+      } catch (err) {
+        claims = null;
+      }
+      if (!claims || claims.userId !== user.id) {
+        return res.status(401).json({ error: 'Login expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
+      }
+
+      // Codes are only six digits, so wrong guesses count toward the same lockout as passwords
+      const check = lockout.checkLogin(user);
+      if (!check.allowed) return sendLoginBlocked(check);
+
+      const method = await twoFactor.verify(user, { code: otp, recoveryCode });
+      if (!method) {
+        const failure = await lockout.recordFailure(user);
+        if (failure.locked) return sendAccountLocked(failure);
+        return res.status(400).json({
+          error: recoveryCode ? 'Invalid or used recovery code' : 'Invalid authenticator code',
+          ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+        });
+      }
+
+      await lockout.recordSuccess(user);
+      return completeLogin(user, '2FA verification successful');
     }
 
     // ─── POST /api/auth/refresh ───
@@ -151,59 +268,80 @@ module.exports = async function handler(req, res) {
         return res.status(400).json({ error: 'Refresh token required' });
       }
 
+      var decoded;
       try {
-        const decoded = verifyRefreshToken(refreshTkn);
-
-        const { data: tokens } = await supabase
-          .from('refresh_tokens')
-          .select('*')
-          .eq('user_id', decoded.userId)
-          .eq('token', refreshTkn)
-          .gt('expires_at', new Date().toISOString())
-          .limit(1);
+        decoded = verifyRefreshToken(refreshTkn);
+      } catch (err) {
+        return res.status(401).json({ error: 'Invalid refresh token' });
+      }
 
-        if (!tokens || tokens.length === 0) {
-          return res.status(401).json({ error: 'Invalid refresh token' });
-        }
+      // Rotate: the presented token is spent and a successor issued in its family
+      const rotation = await refreshTokens.rotate(refreshTkn);
+      if (rotation.status === 'invalid') {
+        return res.status(401).json({ error: 'Refresh token expired or invalid' });
+      }
+      const sessionId = rotation.row.session_id || null;
 
-        const { data: users } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', decoded.userId)
-          .limit(1);
+      // A spent token came back: assume it was stolen; rotate() already ended the family
+      if (rotation.status === 'reused') {
+        if (sessionId) await sessions.revokeSession(sessionId, null, 'refresh_token_reuse');
+        return res.status(401).json({ error: 'Refresh token reuse detected', code: 'TOKEN_REUSED' });
+      }
 
-        if (!users || users.length === 0) {
-          return res.status(401).json({ error: 'User not found' });
-        }
+      // Refresh tokens of a revoked session can no longer mint access tokens
+      if (sessionId && !(await sessions.validateSession(sessionId))) {
+        if (rotation.row.family_id) await refreshTokens.revokeFamily(rotation.row.family_id);
+        return res.status(401).json({ error: 'Session revoked', code: 'SESSION_REVOKED' });
+      }
 
-        const user = users[0];
-        var tid = null;
-        if (user.role === 'team') {
-          const { data: teams } = await supabase
-            .from('teams')
-            .select('id')
-            .eq('user_id', user.id)
-            .limit(1);
-          if (teams && teams.length > 0) tid = teams[0].id;
-        }
+      const { data: users } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', decoded.userId)
+        .limit(1);
 
-        const newAccessToken = generateAccessToken({
-          userId: user.id,
-          email: user.email,
-          role: user.role,
-          teamId: tid
-        });
+      if (!users || users.length === 0) {
+        return res.status(401).json({ error: 'User not found' });
+      }
 
-        return res.json({ accessToken: newAccessToken });
-      } catch (err) {
-        return res.status(401).json({ error: 'Invalid refresh token' });
+      const user = users[0];
+      var tid = null;
+      if (user.role === 'team') {
+        const { data: teams } = await supabase
+          .from('teams')
+          .select('id')
+          .eq('user_id', user.id)
+          .limit(1);
+        if (teams && teams.length > 0) tid = teams[0].id;
       }
+
+      const newAccessToken = generateAccessToken({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        teamId: tid,
+        ...(sessionId && { sessionId })
+      });
+
+      // Within the reuse grace window the client keeps its current refresh token
+      return res.json(rotation.refreshToken
+        ? { accessToken: newAccessToken, refreshToken: rotation.refreshToken }
+        : { accessToken: newAccessToken });
     }
 
     // ─── POST /api/auth/logout ───
     if (req.method === 'POST' && path === '/logout') {
       const logoutToken = req.body.refreshToken;
       if (logoutToken) {
+        // Ending the session also deletes the rest of its refresh token family
+        const { data: stored } = await supabase
+          .from('refresh_tokens')
+          .select('user_id, session_id')
+          .eq('token', logoutToken)
+          .maybeSingle();
+        if (stored && stored.session_id) {
+          await sessions.revokeSession(stored.session_id, stored.user_id, 'logout');
+        }
         await supabase.from('refresh_tokens').delete().eq('token', logoutToken);
       }
       return res.json({ message: 'Logged out successfully' });
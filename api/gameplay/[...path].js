@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const { getSupabase } = require('../_lib/supabase');
 const { verifyAuth, setCorsHeaders } = require('../_lib/auth');
+const { rateLimit } = require('../_lib/rateLimit');
+const { checkTeamAnswer, renderPuzzleContent } = require('../../server/utils/teamFlags');
 
 // Map team DB fields to API response (for backward compatibility)
 function mapTeam(team) {
@@ -211,13 +213,20 @@ module.exports = async function handler(req, res) {
         timeExpired = timeRemainingSeconds <= 0;
       }
 
-      // Strip correct_answer before sending to client (security)
-      const { correct_answer: _answer, ...safePuzzle } = currentPuzzle;
+      // Strip the answer, its hashes and the flag secret before sending to client (security)
+      const {
+        correct_answer: _answer,
+        correct_answer_hash: _answerHash,
+        answer_match_options: _matchOptions,
+        flag_secret: _flagSecret,
+        ...safePuzzle
+      } = currentPuzzle;
 
       return res.json({
         success: true,
         puzzle: {
           ...safePuzzle,
+          puzzle_content: renderPuzzleContent(currentPuzzle, team.id),
           progress: (progress && progress[0]) || { attempts: 0, hints_used: 0 },
           available_hints: availableHints.length,
           total_hints: (allHints || []).length,
@@ -241,6 +250,9 @@ module.exports = async function handler(req, res) {
         return res.status(400).json({ success: false, error: 'puzzle_id and answer are required' });
       }
 
+      // Counted per team so members cannot split guesses to get around it
+      if (await rateLimit(req, res, 'submit', user.teamId || user.userId)) return;
+
       // Parallel fetch: team + puzzle (reduces latency)
       const [teamResult, puzzleResult] = await Promise.all([
         supabase
@@ -276,10 +288,8 @@ module.exports = async function handler(req, res) {
         });
       }
 
-      // Validate answer against correct answer
-      const isCorrect = puzzle.correct_answer
-        ? answer.trim().toLowerCase() === puzzle.correct_answer.trim().toLowerCase()
-        : false;
+      // Same matching rules as the Express submit path (answer_match_mode, hashed answers, per-team flags)
+      const isCorrect = checkTeamAnswer(puzzle, team.id, answer);
 
       // Check if a submission already exists for this team+puzzle
       const { data: existingSub } = await supabase
@@ -1,6 +1,39 @@
 const { getSupabase } = require('./_lib/supabase');
 const { setCorsHeaders } = require('./_lib/auth');
 
+// Clients are sent the frozen order to animate from for this long after a reveal
+const REVEAL_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Leaderboard freeze state from game_state.leaderboard_freeze
+ * (managed by the server's leaderboardFreezeService; null until migrated)
+ */
+async function getFreezeState(supabase) {
+  const { data, error } = await supabase
+    .from('game_state')
+    .select('leaderboard_freeze')
+    .limit(1);
+  if (error) return null;
+  var state = data?.[0]?.leaderboard_freeze;
+  if (typeof state === 'string') {
+    try { state = JSON.parse(state); } catch (e) { state = null; }
+  }
+  return state || null;
+}
+
+function describeFreeze(state) {
+  var frozen = !!state?.freeze_at && new Date(state.freeze_at).getTime() <= Date.now();
+  var revealedAt = state?.revealed_at || null;
+  var revealing = !frozen && revealedAt && Date.now() - new Date(revealedAt).getTime() < REVEAL_WINDOW_MS;
+  return {
+    frozen: frozen,
+    freezeAt: state?.freeze_at || null,
+    frozenAt: frozen ? (state.snapshot_at || state.freeze_at) : null,
+    revealedAt: revealedAt,
+    revealFrom: revealing ? state.reveal_from || null : null
+  };
+}
+
 module.exports = async function handler(req, res) {
   setCorsHeaders(res);
   if (req.method === 'OPTIONS') return res.status(200).end();
@@ -21,6 +54,17 @@ module.exports = async function handler(req, res) {
 
     const resultsPublished = gameState?.results_published || false;
 
+    // ── Frozen scoreboard: serve the snapshot ─────────────────────────────
+    const freezeState = await getFreezeState(supabase);
+    const freeze = describeFreeze(freezeState);
+    if (freeze.frozen && freezeState.snapshot) {
+      res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate=60');
+      return res.json({ resultsPublished, teams: freezeState.snapshot, freeze });
+    }
+    // Without a stored snapshot, standings are rebuilt as they stood at freeze_at,
+    // so every reader gets the same board whenever it reads
+    var cutoff = freeze.frozen ? new Date(freezeState.freeze_at).getTime() : null;
+
     // ── Fetch teams ───────────────────────────────────────────────────────
     const { data: teams, error: tErr } = await supabase
       .from('teams')
@@ -32,15 +76,15 @@ module.exports = async function handler(req, res) {
     if (tErr) throw tErr;
 
     if (!teams || teams.length === 0) {
-      return res.json({ resultsPublished, teams: [] });
+      return res.json({ resultsPublished, teams: [], freeze });
     }
 
     var teamIds = teams.map(t => t.id);
 
-    // ── Parallel: users + submissions ─────────────────────────────────────
+    // ── Parallel: users + submissions + hint point costs ──────────────────
     var userIds = [...new Set(teams.map(t => t.user_id).filter(Boolean))];
 
-    const [usersResult, submissionsResult, puzzleCountResult] = await Promise.all([
+    const [usersResult, submissionsResult, puzzleCountResult, hintUsageResult] = await Promise.all([
       userIds.length > 0
         ? supabase.from('users').select('id, name').in('id', userIds)
         : { data: [] },
@@ -50,7 +94,12 @@ module.exports = async function handler(req, res) {
           .select('team_id, puzzle_id, score_awarded, is_correct, evaluation_status, submitted_at')
           .in('team_id', teamIds)
         : { data: [] },
-      supabase.from('puzzles').select('id, level')
+      supabase.from('puzzles').select('id, level'),
+      supabase
+        .from('hint_usage')
+        .select('team_id, points_penalty_applied, used_at')
+        .in('team_id', teamIds)
+        .gt('points_penalty_applied', 0)
     ]);
 
     // Count puzzles per level
@@ -72,6 +121,7 @@ module.exports = async function handler(req, res) {
     var teamSubmitted = {}; // count of any submission (pre-evaluation tracking)
 
     (submissionsResult.data || []).forEach(sub => {
+      if (cutoff && (!sub.submitted_at || new Date(sub.submitted_at).getTime() > cutoff)) return;
       if (!teamScores[sub.team_id]) teamScores[sub.team_id] = 0;
       if (!teamSolved[sub.team_id]) teamSolved[sub.team_id] = 0;
       if (!teamSubmitted[sub.team_id]) teamSubmitted[sub.team_id] = 0;
@@ -85,12 +135,26 @@ module.exports = async function handler(req, res) {
       }
     });
 
+    // Points spent on hints come off the score, as on the server leaderboard
+    // (hintUsageResult.error: older schema without point-cost hints)
+    var hintPoints = {};
+    (hintUsageResult.error ? [] : hintUsageResult.data || []).forEach(use => {
+      if (cutoff && (!use.used_at || new Date(use.used_at).getTime() > cutoff)) return;
+      hintPoints[use.team_id] = (hintPoints[use.team_id] || 0) + (Number(use.points_penalty_applied) || 0);
+    });
+
     // ── Format time helper ────────────────────────────────────────────────
+    // Clocks stop at the freeze when rebuilding a frozen board
+    function endOf(endTime) {
+      const end = endTime ? new Date(endTime).getTime() : Date.now();
+      return cutoff ? Math.min(end, cutoff) : end;
+    }
+
     function formatTime(startTime, endTime) {
       if (!startTime) return '--:--:--';
       const start = new Date(startTime).getTime();
-      const end = endTime ? new Date(endTime).getTime() : Date.now();
-      const secs = Math.floor((end - start) / 1000);
+      const end = endOf(endTime);
+      const secs = Math.max(0, Math.floor((end - start) / 1000));
       const h = Math.floor(secs / 3600);
       const m = Math.floor((secs % 3600) / 60);
       const s = secs % 60;
@@ -100,8 +164,7 @@ module.exports = async function handler(req, res) {
     function timeToSeconds(startTime, endTime) {
       if (!startTime) return Infinity;
       const start = new Date(startTime).getTime();
-      const end = endTime ? new Date(endTime).getTime() : Date.now();
-      return Math.floor((end - start) / 1000);
+      return Math.max(0, Math.floor((endOf(endTime) - start) / 1000));
     }
 
     // ── Build result rows ─────────────────────────────────────────────────
@@ -116,7 +179,7 @@ module.exports = async function handler(req, res) {
       return {
         id: t.id,
         teamName: t.team_name,
-        totalScore: teamScores[t.id] || 0,
+        totalScore: Math.max((teamScores[t.id] || 0) - (hintPoints[t.id] || 0), 0),
         level: teamLevel,
         puzzlesSolved: teamSolved[t.id] || 0,
         puzzlesSubmitted: teamSubmitted[t.id] || 0,
@@ -124,6 +187,7 @@ module.exports = async function handler(req, res) {
         status: t.status,
         leaderName: leaderUser?.name || null,
         hintsUsed: t.hints_used || 0,
+        hintPoints: hintPoints[t.id] || 0,
         totalTime: formatTime(t.start_time, t.end_time),
         totalTimeSeconds: timeToSeconds(t.start_time, t.end_time),
       };
@@ -142,10 +206,20 @@ module.exports = async function handler(req, res) {
       r.change = 'none';
     });
 
+    // Store the rebuilt board unless the freeze was lifted meanwhile; concurrent readers compute the same one
+    if (freeze.frozen) {
+      await supabase
+        .from('game_state')
+        .update({ leaderboard_freeze: { ...freezeState, snapshot: result, snapshot_at: freezeState.freeze_at } })
+        .not('id', 'is', null)
+        .filter('leaderboard_freeze->>freeze_at', 'eq', freezeState.freeze_at);
+      freeze.frozenAt = freezeState.freeze_at;
+    }
+
     // Cache for 30s on CDN
     res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate=60');
 
-    return res.json({ resultsPublished, teams: result });
+    return res.json({ resultsPublished, teams: result, freeze });
 
   } catch (error) {
     console.error('Leaderboard API error:', error);
@@ -9,6 +9,7 @@ module.exports = async function handler(req, res) {
     const { getSupabase } = require('../_lib/supabase');
     const { verifyAuth, requireAdmin, setCorsHeaders } = require('../_lib/auth');
     const crypto = require('crypto');
+    const { storedAnswerFields, redactPuzzle } = require('../_lib/answers');
 
     const supabase = getSupabase();
     const path = req.url.replace('/api/puzzles', '').split('?')[0];
@@ -41,7 +42,7 @@ module.exports = async function handler(req, res) {
 
       const { data: puzzles, error } = await query;
       if (error) throw error;
-      return res.json({ puzzles: puzzles || [] });
+      return res.json({ puzzles: (puzzles || []).map(redactPuzzle) });
     }
 
     // ─── GET /api/puzzles/:id (requires admin auth) ───
@@ -66,7 +67,7 @@ module.exports = async function handler(req, res) {
       if (error || !puzzle) {
         return res.status(404).json({ error: 'Puzzle not found' });
       }
-      return res.json(puzzle);
+      return res.json(redactPuzzle(puzzle));
     }
 
     // ─── Protected admin routes for create/update/delete ───
@@ -88,6 +89,7 @@ module.exports = async function handler(req, res) {
       }
 
       const newId = crypto.randomUUID();
+      const newAnswer = answer || correct_answer;
       const { error } = await supabase.from('puzzles').insert({
         id: newId,
         title,
@@ -96,7 +98,7 @@ module.exports = async function handler(req, res) {
         level,
         puzzle_number: puzzle_number || 1,
         points: points || 100,
-        correct_answer: answer || correct_answer,
+        ...(newAnswer ? storedAnswerFields(newAnswer) : { correct_answer: null }),
         puzzle_content: puzzle_content || null,
         puzzle_file_url: puzzle_file_url || null
       });
@@ -118,10 +120,24 @@ module.exports = async function handler(req, res) {
       if (level !== undefined) updates.level = level;
       if (puzzle_number !== undefined) updates.puzzle_number = puzzle_number;
       if (points !== undefined) updates.points = points;
-      if (answer !== undefined || correct_answer !== undefined) updates.correct_answer = answer !== undefined ? answer : correct_answer;
       if (puzzle_content !== undefined) updates.puzzle_content = puzzle_content;
       if (puzzle_file_url !== undefined) updates.puzzle_file_url = puzzle_file_url;
 
+      // A blank answer keeps the stored (possibly hashed) one; a new one is
+      // hashed for the puzzle's current match mode
+      const newAnswer = answer !== undefined ? answer : correct_answer;
+      if (newAnswer) {
+        const { data: current, error: currentError } = await supabase
+          .from('puzzles')
+          .select('answer_match_mode, answer_match_options')
+          .eq('id', puzzleId)
+          .single();
+        if (currentError || !current) {
+          return res.status(404).json({ error: 'Puzzle not found' });
+        }
+        Object.assign(updates, storedAnswerFields(newAnswer, current.answer_match_mode, current.answer_match_options));
+      }
+
       const { error } = await supabase
         .from('puzzles')
         .update(updates)
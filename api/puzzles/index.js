@@ -10,6 +10,7 @@ module.exports = async function handler(req, res) {
     var supabaseMod = require('../_lib/supabase');
     var authMod = require('../_lib/auth');
     var crypto = require('crypto');
+    var answersMod = require('../_lib/answers');
     var getSupabase = supabaseMod.getSupabase;
     var verifyAuth = authMod.verifyAuth;
     var requireAdmin = authMod.requireAdmin;
@@ -43,14 +44,15 @@ module.exports = async function handler(req, res) {
       query = query.order('level', { ascending: true }).order('puzzle_number', { ascending: true });
       var result = await query;
       if (result.error) throw result.error;
-      return res.json({ puzzles: result.data || [] });
+      return res.json({ puzzles: (result.data || []).map(answersMod.redactPuzzle) });
     }
 
     // ─── POST /api/puzzles — Create puzzle ───
     if (req.method === 'POST') {
       var body = req.body || {};
       var newId = crypto.randomUUID();
-      var insertResult = await supabase.from('puzzles').insert({
+      var newAnswer = body.answer || body.correct_answer;
+      var insertResult = await supabase.from('puzzles').insert(Object.assign({
         id: newId,
         title: body.title,
         description: body.description,
@@ -58,10 +60,9 @@ module.exports = async function handler(req, res) {
         level: body.level,
         puzzle_number: body.puzzle_number || 1,
         points: body.points || 100,
-        correct_answer: body.answer || body.correct_answer,
         puzzle_content: body.puzzle_content || null,
         puzzle_file_url: body.puzzle_file_url || null
-      });
+      }, newAnswer ? answersMod.storedAnswerFields(newAnswer) : { correct_answer: null }));
       if (insertResult.error) throw insertResult.error;
       return res.status(201).json({ message: 'Puzzle created', id: newId });
     }
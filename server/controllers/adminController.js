@@ -2,6 +2,12 @@ const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { getAuditLogs, logAudit } = require('../services/auditService');
 const { v4: uuidv4 } = require('uuid');
+const levelService = require('../services/levelService');
+const sessionService = require('../services/sessionService');
+const teamMemberService = require('../services/teamMemberService');
+const accountLockoutService = require('../services/accountLockoutService');
+const { hashPassword } = require('../utils/password');
+const { ADMIN_ROLES, ROLE_PERMISSIONS, resolveAdminRole } = require('../utils/adminPermissions');
 
 // Check if using Supabase
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
@@ -11,6 +17,18 @@ const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
  * Admin-only endpoints
  */
 
+/**
+ * Sign a team out on every device and record it
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeTeamSessionsFor(req, teamId, reason) {
+  const count = await sessionService.revokeSessions({ teamId }, req.user?.userId || null, reason);
+  if (count > 0) {
+    await logAudit(req.user?.userId || null, 'TEAM_SESSIONS_REVOKED', req, `Team ${teamId}: ${count} session(s) (${reason})`);
+  }
+  return count;
+}
+
 /**
  * GET AUDIT LOGS
  * GET /api/admin/audit-logs
@@ -388,6 +406,7 @@ async function updateTeamStatus(req, res) {
           .eq('id', id);
         if (error) throw error;
       }
+      if (status === 'disqualified') await revokeTeamSessionsFor(req, id, 'disqualified');
       return res.json({ message: 'Team status updated', status });
     }
 
@@ -401,6 +420,8 @@ async function updateTeamStatus(req, res) {
       await db.query('UPDATE teams SET status = ? WHERE id = ?', [status, id]);
     }
 
+    if (status === 'disqualified') await revokeTeamSessionsFor(req, id, 'disqualified');
+
     res.json({ message: 'Team status updated', status });
   } catch (error) {
     console.error('Update team status error:', error);
@@ -408,6 +429,35 @@ async function updateTeamStatus(req, res) {
   }
 }
 
+/**
+ * GET TEAM SESSIONS
+ * GET /api/admin/teams/:id/sessions
+ */
+async function getTeamSessions(req, res) {
+  try {
+    const sessions = await sessionService.listSessions({ teamId: req.params.id });
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get team sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch team sessions' });
+  }
+}
+
+/**
+ * REVOKE TEAM SESSIONS
+ * DELETE /api/admin/teams/:id/sessions
+ * Signs the team out on every device; its members have to log in again
+ */
+async function revokeTeamSessions(req, res) {
+  try {
+    const count = await revokeTeamSessionsFor(req, req.params.id, 'admin');
+    res.json({ message: `Revoked ${count} session(s)`, count });
+  } catch (error) {
+    console.error('Revoke team sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke team sessions' });
+  }
+}
+
 /**
  * DELETE TEAM
  * DELETE /api/admin/teams/:id
@@ -674,6 +724,7 @@ async function teamAction(req, res) {
       }
 
       await logAudit(req.user?.userId || null, 'TEAM_ACTION', req, `Team ${id} -> ${action}`);
+      if (action === 'disqualify') await revokeTeamSessionsFor(req, id, 'disqualified');
       return res.json({ message: 'Team action applied', action });
     }
 
@@ -693,6 +744,7 @@ async function teamAction(req, res) {
     }
 
     await logAudit(req.user?.userId || null, 'TEAM_ACTION', req, `Team ${id} -> ${action}`);
+    if (action === 'disqualify') await revokeTeamSessionsFor(req, id, 'disqualified');
 
     res.json({ message: 'Team action applied', action });
   } catch (error) {
@@ -1014,13 +1066,26 @@ async function exportResults(req, res) {
 }
 
 /**
- * QUALIFY TEAM FOR LEVEL 2
- * POST /api/admin/teams/:id/qualify-level2
- * Marks a team as qualified for Level 2 (finals)
+ * QUALIFY TEAM FOR LEVEL
+ * POST /api/admin/teams/:id/qualify/:level
+ * Promotes a team to the given level and marks it qualified on the level before
  */
-async function qualifyTeamForLevel2(req, res) {
+async function qualifyTeamForLevel(req, res) {
   try {
     const { id } = req.params;
+    const targetLevel = await levelService.getLevel(req.params.level);
+
+    if (!targetLevel) {
+      return res.status(404).json({ error: `Level ${req.params.level} does not exist` });
+    }
+
+    const previousLevel = await levelService.getPreviousLevel(targetLevel.level_number);
+    if (!previousLevel) {
+      return res.status(400).json({ error: `${targetLevel.name} is the first level - no qualification needed` });
+    }
+
+    const newLevel = targetLevel.level_number;
+    const fromLevel = previousLevel.level_number;
 
     if (USE_SUPABASE) {
       // Get team info
@@ -1036,10 +1101,10 @@ async function qualifyTeamForLevel2(req, res) {
 
       const team = data[0];
 
-      // Update team to level 2 and reset progress
+      // Move team to the new level and reset progress
       const { error: updateError } = await supabaseAdmin
         .from('teams')
-        .update({ level: 2, progress: 0, status: 'waiting' })
+        .update({ level: newLevel, progress: 0, status: 'waiting' })
         .eq('id', id);
 
       if (updateError) throw updateError;
@@ -1050,30 +1115,30 @@ async function qualifyTeamForLevel2(req, res) {
           .from('team_level_status')
           .select('id')
           .eq('team_id', id)
-          .eq('level_id', 1);
+          .eq('level_id', fromLevel);
 
         if (existing && existing.length > 0) {
           await supabaseAdmin
             .from('team_level_status')
             .update({ status: 'qualified', qualified_at: new Date().toISOString() })
             .eq('team_id', id)
-            .eq('level_id', 1);
+            .eq('level_id', fromLevel);
         } else {
           await supabaseAdmin
             .from('team_level_status')
-            .insert({ id: uuidv4(), team_id: id, level_id: 1, status: 'qualified', qualified_at: new Date().toISOString() });
+            .insert({ id: uuidv4(), team_id: id, level_id: fromLevel, status: 'qualified', qualified_at: new Date().toISOString() });
         }
       } catch (levelStatusError) {
         console.log('team_level_status table may not exist, continuing');
       }
 
-      await logAudit(req.user.userId, 'TEAM_QUALIFIED_L2', req, `Qualified team "${team.team_name}" for Level 2`);
+      await logAudit(req.user.userId, `TEAM_QUALIFIED_L${newLevel}`, req, `Qualified team "${team.team_name}" for ${targetLevel.name}`);
 
       return res.json({
         success: true,
-        message: `Team "${team.team_name}" qualified for Level 2`,
+        message: `Team "${team.team_name}" qualified for ${targetLevel.name}`,
         teamId: id,
-        newLevel: 2
+        newLevel
       });
     }
 
@@ -1085,48 +1150,80 @@ async function qualifyTeamForLevel2(req, res) {
 
     const team = teams[0];
 
-    // Update team to level 2 and reset progress for new level
+    // Move team to the new level and reset progress
     await db.query(`
       UPDATE teams 
-      SET level = 2,
+      SET level = ?,
           progress = 0,
           status = 'waiting'
       WHERE id = ?
-    `, [id]);
+    `, [newLevel, id]);
 
     // Create or update team level status record
     try {
       await db.query(`
         INSERT INTO team_level_status (team_id, level_id, status, qualified_at)
-        VALUES (?, 1, 'qualified', NOW())
+        VALUES (?, ?, 'qualified', NOW())
         ON DUPLICATE KEY UPDATE status = 'qualified', qualified_at = NOW()
-      `, [id]);
+      `, [id, fromLevel]);
     } catch (levelStatusError) {
       console.log('team_level_status table may not exist, continuing');
     }
 
     // Log audit
-    await logAudit(req.user.userId, 'TEAM_QUALIFIED_L2', req, `Qualified team "${team.team_name}" for Level 2`);
+    await logAudit(req.user.userId, `TEAM_QUALIFIED_L${newLevel}`, req, `Qualified team "${team.team_name}" for ${targetLevel.name}`);
 
     res.json({ 
       success: true,
-      message: `Team "${team.team_name}" qualified for Level 2`,
+      message: `Team "${team.team_name}" qualified for ${targetLevel.name}`,
       teamId: id,
-      newLevel: 2
+      newLevel
     });
   } catch (error) {
-    console.error('Qualify team for Level 2 error:', error);
-    res.status(500).json({ error: 'Failed to qualify team for Level 2' });
+    console.error('Qualify team for level error:', error);
+    res.status(500).json({ error: 'Failed to qualify team' });
+  }
+}
+
+/**
+ * QUALIFY TEAM FOR LEVEL 2
+ * POST /api/admin/teams/:id/qualify-level2
+ * Kept for existing clients - same as qualify/2
+ */
+async function qualifyTeamForLevel2(req, res) {
+  req.params.level = '2';
+  return qualifyTeamForLevel(req, res);
+}
+
+/**
+ * Pending invites and join codes grouped by team id
+ */
+async function getPendingInvitesByTeam() {
+  const byTeam = {};
+  try {
+    const invites = await teamMemberService.listPendingInvites();
+    invites.forEach(invite => {
+      if (!byTeam[invite.teamId]) byTeam[invite.teamId] = [];
+      byTeam[invite.teamId].push(invite);
+    });
+  } catch (e) {
+    console.log('team_invites table may not exist:', e.message);
   }
+  return byTeam;
 }
 
 /**
  * GET TEAM MEMBERS
  * GET /api/admin/team-members
- * Returns all teams with their member lists
+ * Returns all teams with their member lists, pending invites and the member limit
  */
 async function getTeamMembers(req, res) {
   try {
+    const [invitesByTeam, memberLimit] = await Promise.all([
+      getPendingInvitesByTeam(),
+      teamMemberService.getMemberLimit()
+    ]);
+
     if (USE_SUPABASE) {
       // Fetch all teams with user (leader) info
       const { data: teamsData, error: teamsError } = await supabaseAdmin
@@ -1149,7 +1246,8 @@ async function getTeamMembers(req, res) {
       try {
         const { data: membersData } = await supabaseAdmin
           .from('team_members')
-          .select('id, team_id, member_name, member_email, member_role, is_leader, created_at')
+          .select('id, team_id, user_id, member_name, member_email, member_role, is_leader, created_at')
+          .is('removed_at', null)
           .order('created_at', { ascending: true });
         allMembers = membersData || [];
       } catch (e) {
@@ -1171,22 +1269,24 @@ async function getTeamMembers(req, res) {
           status: t.status,
           leader: t.users ? { name: t.users.name, email: t.users.email } : null,
           members,
-          totalMembers: members.length
+          totalMembers: members.length,
+          invites: invitesByTeam[t.id] || []
         };
       });
 
       const totalMembers = allMembers.length;
-      return res.json({ teams, totalMembers, totalTeams: teams.length });
+      return res.json({ teams, totalMembers, totalTeams: teams.length, memberLimit });
     }
 
     // MySQL fallback
     const [rows] = await db.query(`
       SELECT t.id as team_id, t.team_name, t.status,
              u.name as leader_name, u.email as leader_email,
-             tm.id as member_id, tm.member_name, tm.member_email, tm.member_role, tm.is_leader, tm.created_at as member_created_at
+             tm.id as member_id, tm.user_id as member_user_id, tm.member_name, tm.member_email, tm.member_role, tm.is_leader,
+             tm.created_at as member_created_at
       FROM teams t
       JOIN users u ON t.user_id = u.id
-      LEFT JOIN team_members tm ON tm.team_id = t.id
+      LEFT JOIN team_members tm ON tm.team_id = t.id AND tm.removed_at IS NULL
       ORDER BY t.created_at, tm.created_at
     `);
 
@@ -1199,12 +1299,14 @@ async function getTeamMembers(req, res) {
           status: row.status,
           leader: { name: row.leader_name, email: row.leader_email },
           members: [],
-          totalMembers: 0
+          totalMembers: 0,
+          invites: invitesByTeam[row.team_id] || []
         };
       }
       if (row.member_id) {
         teamsMap[row.team_id].members.push({
           id: row.member_id,
+          user_id: row.member_user_id,
           member_name: row.member_name,
           member_email: row.member_email,
           member_role: row.member_role,
@@ -1217,20 +1319,202 @@ async function getTeamMembers(req, res) {
 
     const teams = Object.values(teamsMap);
     const totalMembers = teams.reduce((sum, t) => sum + t.totalMembers, 0);
-    res.json({ teams, totalMembers, totalTeams: teams.length });
+    res.json({ teams, totalMembers, totalTeams: teams.length, memberLimit });
   } catch (error) {
     console.error('Get team members error:', error);
     res.status(500).json({ error: 'Failed to fetch team members' });
   }
 }
 
+async function findAdmins() {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select('id, name, email, admin_role, created_at')
+      .eq('role', 'admin')
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  const [rows] = await db.query(
+    "SELECT id, name, email, admin_role, created_at FROM users WHERE role = 'admin' ORDER BY created_at ASC"
+  );
+  return rows;
+}
+
+/**
+ * GET ADMINS
+ * GET /api/admin/admins
+ */
+async function getAdmins(req, res) {
+  try {
+    const admins = (await findAdmins()).map(admin => ({
+      id: admin.id,
+      name: admin.name,
+      email: admin.email,
+      adminRole: resolveAdminRole(admin.admin_role),
+      createdAt: admin.created_at
+    }));
+
+    res.json({ admins, roles: ROLE_PERMISSIONS });
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({ error: 'Failed to fetch admins' });
+  }
+}
+
+/**
+ * CREATE ADMIN
+ * POST /api/admin/admins
+ * Body: { name, email, password, adminRole }
+ */
+async function createAdmin(req, res) {
+  try {
+    const { name, email, password, adminRole } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email and password are required' });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return res.status(400).json({ error: `adminRole must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+
+    const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const admin = {
+      id: uuidv4(),
+      name,
+      email,
+      password_hash: await hashPassword(password),
+      role: 'admin',
+      admin_role: adminRole,
+      is_verified: true
+    };
+
+    if (USE_SUPABASE) {
+      const { error } = await supabaseAdmin.from('users').insert(admin);
+      if (error) throw error;
+    } else {
+      await db.query(
+        'INSERT INTO users (id, name, email, password_hash, role, admin_role, is_verified) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [admin.id, admin.name, admin.email, admin.password_hash, admin.role, admin.admin_role, admin.is_verified]
+      );
+    }
+
+    await logAudit(req.user.userId, 'ADMIN_CREATED', req, `${email} as ${adminRole}`);
+
+    res.status(201).json({
+      message: `Admin ${email} created`,
+      admin: { id: admin.id, name, email, adminRole }
+    });
+  } catch (error) {
+    console.error('Create admin error:', error);
+    res.status(500).json({ error: 'Failed to create admin' });
+  }
+}
+
+/**
+ * UPDATE ADMIN ROLE
+ * PUT /api/admin/admins/:id/role
+ * Body: { adminRole }
+ * The admin is signed out so the new role applies at once.
+ */
+async function updateAdminRole(req, res) {
+  try {
+    const { id } = req.params;
+    const { adminRole } = req.body;
+
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return res.status(400).json({ error: `adminRole must be one of: ${ADMIN_ROLES.join(', ')}` });
+    }
+    if (id === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const admins = await findAdmins();
+    const target = admins.find(admin => admin.id === id);
+    if (!target) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const previousRole = resolveAdminRole(target.admin_role);
+    if (previousRole === adminRole) {
+      return res.json({ message: 'Role unchanged', admin: { id, adminRole } });
+    }
+
+    // Never leave the event without someone who can manage admins
+    const superAdmins = admins.filter(admin => resolveAdminRole(admin.admin_role) === 'super_admin');
+    if (previousRole === 'super_admin' && superAdmins.length <= 1) {
+      return res.status(409).json({ error: 'At least one super admin is required' });
+    }
+
+    if (USE_SUPABASE) {
+      const { error } = await supabaseAdmin.from('users').update({ admin_role: adminRole }).eq('id', id);
+      if (error) throw error;
+    } else {
+      await db.query('UPDATE users SET admin_role = ? WHERE id = ?', [adminRole, id]);
+    }
+
+    await sessionService.revokeSessions({ userId: id }, req.user.userId, 'role_changed');
+    await logAudit(req.user.userId, 'ADMIN_ROLE_CHANGED', req, `${target.email}: ${previousRole} -> ${adminRole}`);
+
+    res.json({ message: `${target.email} is now ${adminRole}`, admin: { id, adminRole } });
+  } catch (error) {
+    console.error('Update admin role error:', error);
+    res.status(500).json({ error: 'Failed to update admin role' });
+  }
+}
+
+/**
+ * UNLOCK ACCOUNT
+ * POST /api/admin/users/:id/unlock
+ * Clears failed logins and any lockout for a user
+ */
+async function unlockAccount(req, res) {
+  try {
+    const { id } = req.params;
+    let user;
+
+    if (USE_SUPABASE) {
+      const { data, error } = await supabaseAdmin.from('users').select('id, email').eq('id', id).maybeSingle();
+      if (error) throw error;
+      user = data;
+    } else {
+      const [rows] = await db.query('SELECT id, email FROM users WHERE id = ?', [id]);
+      user = rows[0];
+    }
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await accountLockoutService.reset(id);
+    await logAudit(req.user.userId, 'ACCOUNT_UNLOCKED', req, `${user.email} unlocked by admin`);
+
+    res.json({ message: `${user.email} unlocked` });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+}
+
 module.exports = {
   getAudit,
   getAllTeams,
   getTeamById,
   updateTeamStatus,
+  qualifyTeamForLevel,
   qualifyTeamForLevel2,
   deleteTeam,
+  getTeamSessions,
+  revokeTeamSessions,
   getStats,
   getAlerts,
   teamAction,
@@ -1238,5 +1522,9 @@ module.exports = {
   getActivityLogs,
   getSuspiciousActivity,
   exportResults,
-  getTeamMembers
+  getTeamMembers,
+  getAdmins,
+  createAdmin,
+  updateAdminRole,
+  unlockAccount
 };
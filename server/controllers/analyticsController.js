@@ -1,5 +1,7 @@
 // server/controllers/analyticsController.js
 const analyticsService = require('../services/analyticsService');
+const scoringService = require('../services/scoringService');
+const timeAdjustmentService = require('../services/timeAdjustmentService');
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
@@ -39,11 +41,41 @@ exports.getAllPuzzleStats = async (req, res) => {
       puzzleIds = puzzles.map(p => p.id);
     }
 
-    const stats = await Promise.all(
-      puzzleIds.map(id => analyticsService.getPuzzleAnalytics(id))
-    );
+    const [stats, puzzleValues] = await Promise.all([
+      Promise.all(puzzleIds.map(id => analyticsService.getPuzzleAnalytics(id))),
+      scoringService.getPuzzleValues()
+    ]);
 
-    res.json(stats);
+    // First blood column: who solved each puzzle first, and when
+    const firstBloods = puzzleIds.map(id => puzzleValues[id]?.bloods[0] || null);
+    const teamIds = [...new Set(firstBloods.filter(Boolean).map(blood => blood.team_id))];
+    const teamNames = {};
+    if (teamIds.length > 0) {
+      if (USE_SUPABASE) {
+        const { data, error } = await supabaseAdmin
+          .from('teams')
+          .select('id, team_name')
+          .in('id', teamIds);
+        if (error) throw error;
+        (data || []).forEach(t => { teamNames[t.id] = t.team_name; });
+      } else {
+        const [teams] = await db.query('SELECT id, team_name FROM teams WHERE id IN (?)', [teamIds]);
+        teams.forEach(t => { teamNames[t.id] = t.team_name; });
+      }
+    }
+
+    res.json(stats.map((stat, i) => {
+      const blood = firstBloods[i];
+      return {
+        ...stat,
+        firstBlood: blood ? {
+          teamId: blood.team_id,
+          teamName: teamNames[blood.team_id] || null,
+          solvedAt: blood.completed_at,
+          bonus: puzzleValues[puzzleIds[i]].bloodBonuses[0]
+        } : null
+      };
+    }));
   } catch (error) {
     console.error('Get all puzzle stats error:', error);
     res.status(500).json({ error: 'Failed to fetch puzzle statistics' });
@@ -83,9 +115,71 @@ exports.reviewAlert = async (req, res) => {
   }
 };
 
+// Disconnects/reconnects from the heartbeat watcher (time_tracking_events)
+const CONNECTION_EVENT_TYPES = ['team_disconnect', 'team_reconnect'];
+
+/**
+ * Shape a connection event like an activity_logs row for the timeline
+ */
+function connectionEventToActivity(event) {
+  const metadata = typeof event.metadata === 'string' ? JSON.parse(event.metadata) : (event.metadata || {});
+  const isDisconnect = event.event_type === 'team_disconnect';
+  let description;
+  if (isDisconnect) {
+    description = metadata.auto_paused ? 'Team disconnected; timer auto-paused' : 'Team disconnected';
+  } else {
+    description = `Team reconnected after ${metadata.offline_seconds || 0}s` + (metadata.resumed ? '; timer resumed' : '');
+  }
+  return {
+    id: event.id,
+    action_type: isDisconnect ? 'disconnect' : 'reconnect',
+    description,
+    puzzle_id: event.puzzle_id,
+    metadata,
+    created_at: event.created_at
+  };
+}
+
+/**
+ * Admin time extensions and penalties, shaped like activity_logs rows
+ * The adjustments table is optional; without it the timeline just omits them
+ */
+async function getAdjustmentActivities(teamId) {
+  try {
+    const adjustments = await timeAdjustmentService.getAdjustments(teamId);
+    return adjustments.map(adjustment => ({
+      id: adjustment.id,
+      action_type: 'time_adjustment',
+      description: timeAdjustmentService.describeAdjustment(adjustment),
+      puzzle_id: null,
+      puzzle_title: null,
+      metadata: {
+        level: adjustment.level,
+        adjustment_type: adjustment.adjustment_type,
+        seconds: adjustment.seconds,
+        granted_by: adjustment.granted_by
+      },
+      created_at: adjustment.created_at
+    }));
+  } catch (error) {
+    console.error('Get team time adjustments error:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Newest first, trimmed to the requested length
+ */
+function mergeTimeline(activities, extraEntries, rowLimit) {
+  return [...activities, ...extraEntries]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, rowLimit);
+}
+
 /**
  * GET /api/admin/team/:teamId/timeline
- * Get team activity timeline (admin only)
+ * Get team activity timeline (admin only), including disconnects, reconnects
+ * and admin time adjustments
  */
 exports.getTeamTimeline = async (req, res) => {
   try {
@@ -104,9 +198,29 @@ exports.getTeamTimeline = async (req, res) => {
 
       if (aErr) throw aErr;
 
+      const { data: events, error: eErr } = await supabaseAdmin
+        .from('time_tracking_events')
+        .select('id, event_type, puzzle_id, metadata, created_at')
+        .eq('team_id', teamId)
+        .in('event_type', CONNECTION_EVENT_TYPES)
+        .order('created_at', { ascending: false })
+        .limit(rowLimit);
+
+      // Time tracking tables are optional; show the activity log regardless
+      if (eErr) console.error('Get team connection events error:', eErr.message);
+
+      const timeline = mergeTimeline(
+        activities || [],
+        [
+          ...(eErr ? [] : (events || []).map(connectionEventToActivity)),
+          ...(await getAdjustmentActivities(teamId))
+        ],
+        rowLimit
+      );
+
       // Collect unique puzzle_ids
       const puzzleIds = [...new Set(
-        (activities || []).map(a => a.puzzle_id).filter(Boolean)
+        timeline.map(a => a.puzzle_id).filter(Boolean)
       )];
 
       let puzzleMap = {};
@@ -120,7 +234,7 @@ exports.getTeamTimeline = async (req, res) => {
       }
 
       // Merge puzzle_title into activities
-      const merged = (activities || []).map(a => ({
+      const merged = timeline.map(a => ({
         ...a,
         puzzle_title: a.puzzle_id ? (puzzleMap[a.puzzle_id] || null) : null
       }));
@@ -145,7 +259,35 @@ exports.getTeamTimeline = async (req, res) => {
       LIMIT ?
     `, [teamId, rowLimit]);
 
-    res.json(activities);
+    let events = [];
+    try {
+      [events] = await db.query(`
+        SELECT 
+          e.id,
+          e.event_type,
+          e.puzzle_id,
+          e.metadata,
+          e.created_at,
+          p.title as puzzle_title
+        FROM time_tracking_events e
+        LEFT JOIN puzzles p ON e.puzzle_id = p.id
+        WHERE e.team_id = ? AND e.event_type IN (?, ?)
+        ORDER BY e.created_at DESC
+        LIMIT ?
+      `, [teamId, ...CONNECTION_EVENT_TYPES, rowLimit]);
+    } catch (eventsError) {
+      // Time tracking tables are optional; show the activity log regardless
+      console.error('Get team connection events error:', eventsError.message);
+    }
+
+    const connectionEvents = events.map(e => ({
+      ...connectionEventToActivity(e),
+      puzzle_title: e.puzzle_title
+    }));
+
+    const adjustments = await getAdjustmentActivities(teamId);
+
+    res.json(mergeTimeline(activities, [...connectionEvents, ...adjustments], rowLimit));
   } catch (error) {
     console.error('Get team timeline error:', error);
     res.status(500).json({ error: 'Failed to fetch team timeline' });
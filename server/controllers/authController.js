@@ -1,16 +1,98 @@
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/db');
 const { hashPassword, comparePassword } = require('../utils/password');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const { generateAccessToken, verifyRefreshToken, generateTwoFaChallenge, verifyTwoFaChallenge } = require('../utils/jwt');
 const { createOTP, verifyOTP, invalidateOTPs } = require('../services/otpService');
-const { send2FACode, sendPasswordResetEmail } = require('../services/emailService');
+const { sendVerificationEmail, send2FACode, sendPasswordResetEmail, sendAccountLockedEmail } = require('../services/emailService');
 const { logAudit } = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const refreshTokenService = require('../services/refreshTokenService');
+const teamMemberService = require('../services/teamMemberService');
+const totpService = require('../services/totpService');
+const accountLockoutService = require('../services/accountLockoutService');
+const { resolveAdminRole } = require('../utils/adminPermissions');
 
 /**
  * AUTHENTICATION CONTROLLER
  * Handles all authentication flows
  */
 
+/**
+ * Team id of a team account (captain or member), null for admins
+ */
+async function getTeamId(user) {
+  if (user.role !== 'team') return null;
+  return teamMemberService.findTeamIdForUser(user.id);
+}
+
+/**
+ * Email the unlock link for a freshly locked account
+ */
+async function sendUnlockEmail(user, unlockToken) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const link = `${frontendUrl.replace(/\/$/, '')}/unlock-account?token=${unlockToken}`;
+  const minutes = Math.round(accountLockoutService.LOCKOUT_MS / 60000);
+  try {
+    await sendAccountLockedEmail(user.email, user.name, link, minutes);
+  } catch (emailError) {
+    console.error('Unlock email failed:', emailError.message);
+  }
+}
+
+/**
+ * Refuse an attempt while the account is backing off or locked
+ */
+function sendLoginBlocked(res, lockout) {
+  return res.status(lockout.code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    error: lockout.code === 'ACCOUNT_LOCKED'
+      ? 'Account locked after too many failed attempts. Check your email to unlock it.'
+      : `Too many failed attempts. Try again in ${lockout.retryAfter} seconds.`,
+    code: lockout.code,
+    retryAfter: lockout.retryAfter,
+    ...(lockout.lockedUntil && { lockedUntil: lockout.lockedUntil })
+  });
+}
+
+/**
+ * Answer the failure that reached the lockout threshold
+ * Only the failure that actually locked the account sends the email
+ */
+async function sendAccountLocked(req, res, user, failure) {
+  if (failure.unlockToken) {
+    await sendUnlockEmail(user, failure.unlockToken);
+    await logAudit(user.id, 'ACCOUNT_LOCKED', req, `Locked until ${failure.lockedUntil.toISOString()}`);
+  }
+  return res.status(423).json({
+    error: 'Account locked after too many failed attempts. Check your email to unlock it.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: failure.retryAfter,
+    lockedUntil: failure.lockedUntil
+  });
+}
+
+/**
+ * Register a session for a completed login and issue its tokens
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+async function startSession(req, user) {
+  const teamId = await getTeamId(user);
+  const sessionId = await sessionService.createSession(req, user.id, teamId);
+
+  const accessToken = generateAccessToken({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    teamId: teamId,
+    ...(user.role === 'admin' && { adminRole: resolveAdminRole(user.admin_role) }),
+    ...(sessionId && { sessionId })
+  });
+
+  // Each login starts a new refresh token family
+  const refreshToken = await refreshTokenService.issue(user.id, { sessionId });
+
+  return { accessToken, refreshToken, sessionId };
+}
+
 /**
  * REGISTER - Team Only
  * POST /api/auth/register
@@ -108,6 +190,8 @@ async function resendOTP(req, res) {
         await send2FACode(email, name, otp);
       } else if (purpose === 'reset') {
         await sendPasswordResetEmail(email, name, otp);
+      } else if (purpose === 'verify') {
+        await sendVerificationEmail(email, name, otp);
       }
     } catch (emailError) {
       console.error('Email send failed:', emailError.message);
@@ -145,30 +229,71 @@ async function login(req, res) {
 
     const user = users[0];
 
-    // Get team_id if user is a team member
-    let teamId = null;
-    if (user.role === 'team') {
-      const [teams] = await db.query('SELECT id FROM teams WHERE user_id = ?', [user.id]);
-      if (teams.length > 0) {
-        teamId = teams[0].id;
-      }
+    // Per-account backoff: refuse before the password is even checked
+    const lockout = accountLockoutService.checkLogin(user);
+    if (!lockout.allowed) {
+      await logAudit(user.id, 'LOGIN_BLOCKED', req, `${lockout.code}, retry in ${lockout.retryAfter}s`);
+      return sendLoginBlocked(res, lockout);
     }
 
     // Verify password
     const isValidPassword = await comparePassword(password, user.password_hash);
     if (!isValidPassword) {
-      await logAudit(user.id, 'LOGIN_FAILED', req, 'Invalid password');
-      return res.status(401).json({ error: 'Invalid credentials' });
+      const failure = await accountLockoutService.recordFailure(user);
+      await logAudit(user.id, 'LOGIN_FAILED', req, `Invalid password (${failure.failures} in a row)`);
+
+      if (failure.locked) {
+        return sendAccountLocked(req, res, user, failure);
+      }
+
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+      });
     }
 
-    // Email verification check removed - users can login without verification
-    // To re-enable, uncomment the following:
-    // if (user.role === 'team' && !user.is_verified) {
-    //   await logAudit(user.id, 'LOGIN_FAILED', req, 'Email not verified');
-    //   return res.status(403).json({ error: 'Please verify your email first', code: 'EMAIL_NOT_VERIFIED' });
-    // }
+    await accountLockoutService.recordSuccess(user);
+
+    // Members removed by their captain keep their account but cannot log in
+    if (user.role === 'team' && !(await getTeamId(user))) {
+      await logAudit(user.id, 'LOGIN_FAILED', req, 'Not a member of any team');
+      return res.status(403).json({ error: 'You are no longer a member of a team', code: 'NOT_ON_TEAM' });
+    }
+
+    // Registered accounts are verified on creation; members who joined with a
+    // join code must confirm their email first, so send them a fresh code
+    if (user.role === 'team' && !user.is_verified) {
+      await invalidateOTPs(user.id, 'verify');
+      const otp = await createOTP(user.id, 'verify');
+      try {
+        await sendVerificationEmail(user.email, user.name, otp);
+      } catch (emailError) {
+        console.error('Verification email failed:', emailError.message);
+      }
+
+      await logAudit(user.id, 'LOGIN_FAILED', req, 'Email not verified');
+      return res.status(403).json({
+        error: 'Please verify your email first. A new code has been sent.',
+        code: 'EMAIL_NOT_VERIFIED',
+        userId: user.id,
+        email: user.email
+      });
+    }
 
     // Check 2FA
+    if (totpService.usesTotp(user)) {
+      // Authenticator app: nothing to send, but the code must come with proof of this login
+      await logAudit(user.id, 'LOGIN_2FA_REQUIRED', req, 'Method: totp');
+
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        requireTwoFa: true,
+        method: 'totp',
+        challenge: generateTwoFaChallenge(user.id),
+        userId: user.id
+      });
+    }
+
     if (user.two_fa_enabled) {
       // Generate and send 2FA code
       const otp = await createOTP(user.id, '2fa');
@@ -183,26 +308,13 @@ async function login(req, res) {
       return res.json({
         message: '2FA code sent to your email',
         requireTwoFa: true,
+        method: 'email',
         userId: user.id
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken({
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-      teamId: teamId
-    });
-
-    const refreshToken = generateRefreshToken({ userId: user.id });
-
-    // Store refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await db.query(
-      'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES (?, ?, ?)',
-      [user.id, refreshToken, expiresAt]
-    );
+    // Register the session and generate tokens
+    const { accessToken, refreshToken } = await startSession(req, user);
 
     // Log audit
     await logAudit(user.id, 'LOGIN_SUCCESS', req);
@@ -232,19 +344,12 @@ async function login(req, res) {
  */
 async function verify2FA(req, res) {
   try {
-    const { userId, otp } = req.body;
+    const { userId, otp, challenge, recoveryCode } = req.body;
 
-    if (!userId || !otp) {
+    if (!userId || !(otp || recoveryCode)) {
       return res.status(400).json({ error: 'User ID and OTP required' });
     }
 
-    // Verify OTP
-    const isValid = await verifyOTP(userId, otp, '2fa');
-    if (!isValid) {
-      await logAudit(userId, '2FA_FAILED', req, 'Invalid or expired OTP');
-      return res.status(400).json({ error: 'Invalid or expired 2FA code' });
-    }
-
     // Get user
     const [users] = await db.query('SELECT * FROM users WHERE id = ?', [userId]);
     if (users.length === 0) {
@@ -252,35 +357,62 @@ async function verify2FA(req, res) {
     }
 
     const user = users[0];
+    let method = 'email';
 
-    // Get team_id if user is a team member
-    let teamId = null;
-    if (user.role === 'team') {
-      const [teams] = await db.query('SELECT id FROM teams WHERE user_id = ?', [user.id]);
-      if (teams.length > 0) {
-        teamId = teams[0].id;
+    if (totpService.usesTotp(user)) {
+      // TOTP codes are always valid, so tie them to a login that passed the password check
+      let claims = null;
+      try {
+        claims = challenge ? verifyTwoFaChallenge(challenge) : null;
+      } catch (err) {
+        claims = null;
+      }
+      if (!claims || claims.userId !== user.id) {
+        await logAudit(user.id, '2FA_FAILED', req, 'Missing or expired login challenge');
+        return res.status(401).json({ error: 'Login expired, please sign in again', code: 'CHALLENGE_EXPIRED' });
       }
-    }
 
-    // Generate tokens
-    const accessToken = generateAccessToken({
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-      teamId: teamId
-    });
+      // Codes are only six digits, so wrong guesses count toward the same lockout as passwords
+      const lockout = accountLockoutService.checkLogin(user);
+      if (!lockout.allowed) {
+        await logAudit(user.id, '2FA_BLOCKED', req, `${lockout.code}, retry in ${lockout.retryAfter}s`);
+        return sendLoginBlocked(res, lockout);
+      }
 
-    const refreshToken = generateRefreshToken({ userId: user.id });
+      method = await totpService.verify(user.id, { code: otp, recoveryCode });
+      if (!method) {
+        const failure = await accountLockoutService.recordFailure(user);
+        await logAudit(user.id, '2FA_FAILED', req,
+          `${recoveryCode ? 'Invalid recovery code' : 'Invalid authenticator code'} (${failure.failures} in a row)`);
 
-    // Store refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await db.query(
-      'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES (?, ?, ?)',
-      [user.id, refreshToken, expiresAt]
-    );
+        if (failure.locked) {
+          return sendAccountLocked(req, res, user, failure);
+        }
+
+        return res.status(400).json({
+          error: recoveryCode ? 'Invalid or used recovery code' : 'Invalid authenticator code',
+          ...(failure.retryAfter > 0 && { retryAfter: failure.retryAfter })
+        });
+      }
+      await accountLockoutService.recordSuccess(user);
+      if (method === 'recovery') {
+        const remaining = await totpService.countRecoveryCodes(user.id);
+        await logAudit(user.id, '2FA_RECOVERY_CODE_USED', req, `${remaining} recovery codes left`);
+      }
+    } else {
+      // Verify OTP
+      const isValid = await verifyOTP(userId, otp, '2fa');
+      if (!isValid) {
+        await logAudit(userId, '2FA_FAILED', req, 'Invalid or expired OTP');
+        return res.status(400).json({ error: 'Invalid or expired 2FA code' });
+      }
+    }
+
+    // Register the session and generate tokens
+    const { accessToken, refreshToken } = await startSession(req, user);
 
     // Log audit
-    await logAudit(user.id, '2FA_SUCCESS', req);
+    await logAudit(user.id, '2FA_SUCCESS', req, `Method: ${method}`);
 
     res.json({
       message: '2FA verification successful',
@@ -301,6 +433,31 @@ async function verify2FA(req, res) {
   }
 }
 
+/**
+ * UNLOCK ACCOUNT
+ * POST /api/auth/unlock-account
+ * Body: { token } from the lockout email
+ */
+async function unlockAccount(req, res) {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Unlock token required' });
+    }
+
+    const user = await accountLockoutService.unlockWithToken(token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired unlock link' });
+    }
+
+    await logAudit(user.id, 'ACCOUNT_UNLOCKED', req, 'Via email link');
+    res.json({ message: 'Account unlocked. You can login now.', email: user.email });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+}
+
 /**
  * REFRESH TOKEN
  * POST /api/auth/refresh
@@ -321,16 +478,31 @@ async function refresh(req, res) {
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
-    // Check if token exists in database
-    const [tokens] = await db.query(
-      'SELECT * FROM refresh_tokens WHERE token = ? AND expires_at > NOW()',
-      [refreshToken]
-    );
+    // Rotate: the presented token is spent and a successor issued in its family
+    const result = await refreshTokenService.rotate(refreshToken);
 
-    if (tokens.length === 0) {
+    if (result.status === 'invalid') {
       return res.status(401).json({ error: 'Refresh token expired or invalid' });
     }
 
+    const sessionId = result.row.session_id || null;
+
+    // A spent token came back: assume it was stolen and end the whole family
+    if (result.status === 'reused') {
+      if (sessionId) {
+        await sessionService.revokeSession(sessionId, null, null, 'refresh_token_reuse');
+      }
+      await logAudit(result.row.user_id, 'REFRESH_TOKEN_REUSE', req,
+        `Family ${result.row.family_id || 'unknown'} revoked${sessionId ? `, session ${sessionId}` : ''}`);
+      return res.status(401).json({ error: 'Refresh token reuse detected', code: 'TOKEN_REUSED' });
+    }
+
+    // Refresh tokens of a revoked session can no longer mint access tokens
+    if (sessionId && !(await sessionService.validateSession(sessionId))) {
+      if (result.row.family_id) await refreshTokenService.revokeFamily(result.row.family_id);
+      return res.status(401).json({ error: 'Session revoked', code: 'SESSION_REVOKED' });
+    }
+
     // Get user
     const [users] = await db.query('SELECT * FROM users WHERE id = ?', [decoded.userId]);
     if (users.length === 0) {
@@ -338,14 +510,9 @@ async function refresh(req, res) {
     }
 
     const user = users[0];
-
-    // Get team_id if user is a team member
-    let teamId = null;
-    if (user.role === 'team') {
-      const [teams] = await db.query('SELECT id FROM teams WHERE user_id = ?', [user.id]);
-      if (teams.length > 0) {
-        teamId = teams[0].id;
-      }
+    const teamId = await getTeamId(user);
+    if (user.role === 'team' && !teamId) {
+      return res.status(403).json({ error: 'You are no longer a member of a team', code: 'NOT_ON_TEAM' });
     }
 
     // Generate new access token
@@ -353,13 +520,16 @@ async function refresh(req, res) {
       userId: user.id,
       email: user.email,
       role: user.role,
-      teamId: teamId
+      teamId: teamId,
+      ...(user.role === 'admin' && { adminRole: resolveAdminRole(user.admin_role) }),
+      ...(sessionId && { sessionId })
     });
 
     // Log audit
     await logAudit(user.id, 'TOKEN_REFRESH', req);
 
-    res.json({ accessToken });
+    // Within the reuse grace window the client keeps its current refresh token
+    res.json(result.refreshToken ? { accessToken, refreshToken: result.refreshToken } : { accessToken });
 
   } catch (error) {
     console.error('Refresh token error:', error);
@@ -381,6 +551,11 @@ async function logout(req, res) {
       await db.query('DELETE FROM refresh_tokens WHERE token = ?', [refreshToken]);
     }
 
+    // End the session so its access token stops working immediately
+    if (req.user.sessionId) {
+      await sessionService.revokeSession(req.user.sessionId, { userId }, userId, 'logout');
+    }
+
     // Log audit
     await logAudit(userId, 'LOGOUT', req);
 
@@ -392,6 +567,36 @@ async function logout(req, res) {
   }
 }
 
+/**
+ * VERIFY EMAIL
+ * POST /api/auth/verify-email
+ * Confirms the email of an account created with a join code
+ */
+async function verifyEmail(req, res) {
+  try {
+    const { userId, otp } = req.body;
+
+    if (!userId || !otp) {
+      return res.status(400).json({ error: 'User ID and code required' });
+    }
+
+    const isValid = await verifyOTP(userId, otp, 'verify');
+    if (!isValid) {
+      await logAudit(userId, 'EMAIL_VERIFY_FAILED', req, 'Invalid or expired OTP');
+      return res.status(400).json({ error: 'Invalid or expired verification code' });
+    }
+
+    await db.query('UPDATE users SET is_verified = ? WHERE id = ?', [true, userId]);
+    await logAudit(userId, 'EMAIL_VERIFIED', req);
+
+    res.json({ message: 'Email verified. You can now log in.' });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+}
+
 /**
  * FORGOT PASSWORD
  * POST /api/auth/forgot-password
@@ -466,8 +671,9 @@ async function resetPassword(req, res) {
     // Update password
     await db.query('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, userId]);
 
-    // Invalidate all refresh tokens (force re-login)
+    // Invalidate all refresh tokens and sessions (force re-login)
     await db.query('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+    await sessionService.revokeSessions({ userId }, userId, 'password_reset');
 
     // Log audit
     await logAudit(userId, 'PASSWORD_RESET_SUCCESS', req);
@@ -480,13 +686,83 @@ async function resetPassword(req, res) {
   }
 }
 
+/**
+ * LIST SESSIONS
+ * GET /api/auth/sessions
+ * Only the caller's own sessions; the captain sees the whole team via GET /api/team/sessions
+ */
+async function listSessions(req, res) {
+  try {
+    const sessions = await sessionService.listSessions({ userId: req.user.userId });
+
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+}
+
+/**
+ * REVOKE SESSION
+ * DELETE /api/auth/sessions/:sessionId
+ */
+async function revokeSession(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await sessionService.revokeSession(sessionId, { userId: req.user.userId }, req.user.userId, 'revoked');
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await logAudit(req.user.userId, 'SESSION_REVOKED', req, `Session ${sessionId}`);
+
+    res.json({ message: 'Session revoked' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+}
+
+/**
+ * REVOKE OTHER SESSIONS
+ * DELETE /api/auth/sessions
+ * Signs out the caller's other devices, keeping the current session
+ */
+async function revokeOtherSessions(req, res) {
+  try {
+    const count = await sessionService.revokeSessions(
+      { userId: req.user.userId, exceptSessionId: req.user.sessionId },
+      req.user.userId,
+      'revoked'
+    );
+
+    await logAudit(req.user.userId, 'SESSIONS_REVOKED', req, `${count} other session(s)`);
+
+    res.json({ message: `Signed out ${count} other session(s)`, count });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+}
+
 module.exports = {
   register,
   resendOTP,
   login,
   verify2FA,
+  verifyEmail,
+  unlockAccount,
   refresh,
   logout,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
 };
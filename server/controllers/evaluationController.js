@@ -17,6 +17,10 @@ const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
 const qualificationService = require('../services/qualificationService');
+const { checkTeamAnswer } = require('../services/dynamicFlagService');
+const realtimeService = require('../services/realtimeService');
+const levelService = require('../services/levelService');
+const scoringService = require('../services/scoringService');
 
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
@@ -80,6 +84,20 @@ async function logEvaluationAction(levelId, action, adminId, adminName, stats =
   );
 }
 
+/**
+ * Unlock the next level if its unlock rule follows this level's results
+ * @returns {number|null} Level number that was unlocked
+ */
+async function unlockNextLevel(levelId) {
+  try {
+    const next = await levelService.applyUnlockRules(parseInt(levelId));
+    return next ? next.level_number : null;
+  } catch (error) {
+    console.error('Error applying level unlock rules:', error.message);
+    return null;
+  }
+}
+
 // ============================================
 // ADMIN ENDPOINTS
 // ============================================
@@ -93,58 +111,27 @@ exports.getEvaluationStatus = async (req, res) => {
     const { levelId } = req.params;
     const levelIdInt = parseInt(levelId);
 
-    // Check if Level 2 is unlocked before returning its status
-    if (levelIdInt === 2) {
-      try {
-        if (USE_SUPABASE) {
-          const { data: gameStateData } = await supabaseAdmin
-            .from('game_state')
-            .select('level2_open')
-            .limit(1);
-          const level2Open = gameStateData?.[0]?.level2_open || false;
-          
-          if (!level2Open) {
-            return res.json({
-              success: true,
-              level_id: levelIdInt,
-              evaluation_state: 'NOT_UNLOCKED',
-              timestamps: {},
-              submissions: { total_submissions: 0, pending: 0, evaluated: 0, teams_with_submissions: 0 },
-              teams: { total: 0, qualified: 0, disqualified: 0, pending: 0 },
-              actions: {
-                can_close_submissions: false,
-                can_reopen_submissions: false,
-                can_evaluate: false,
-                can_publish: false
-              }
-            });
-          }
-        } else {
-          const [gameStateRows] = await db.query(
-            'SELECT level2_open FROM game_state LIMIT 1'
-          );
-          const level2Open = gameStateRows?.[0]?.level2_open || false;
-          
-          if (!level2Open) {
-            return res.json({
-              success: true,
-              level_id: levelIdInt,
-              evaluation_state: 'NOT_UNLOCKED',
-              timestamps: {},
-              submissions: { total_submissions: 0, pending: 0, evaluated: 0, teams_with_submissions: 0 },
-              teams: { total: 0, qualified: 0, disqualified: 0, pending: 0 },
-              actions: {
-                can_close_submissions: false,
-                can_reopen_submissions: false,
-                can_evaluate: false,
-                can_publish: false
-              }
-            });
+    // Levels after the first report NOT_UNLOCKED until an admin unlocks them
+    try {
+      const firstLevel = await levelService.getFirstLevel();
+      if (levelIdInt !== firstLevel?.level_number && !(await levelService.isLevelUnlocked(levelIdInt))) {
+        return res.json({
+          success: true,
+          level_id: levelIdInt,
+          evaluation_state: 'NOT_UNLOCKED',
+          timestamps: {},
+          submissions: { total_submissions: 0, pending: 0, evaluated: 0, teams_with_submissions: 0 },
+          teams: { total: 0, qualified: 0, disqualified: 0, pending: 0 },
+          actions: {
+            can_close_submissions: false,
+            can_reopen_submissions: false,
+            can_evaluate: false,
+            can_publish: false
           }
-        }
-      } catch (error) {
-        console.log('Error checking level2_open status:', error.message);
+        });
       }
+    } catch (error) {
+      console.log('Error checking level unlock status:', error.message);
     }
 
     // ---- SUPABASE BRANCH ----
@@ -517,7 +504,7 @@ exports.evaluateAnswers = async (req, res) => {
       try {
         const { data } = await supabaseAdmin
           .from('puzzles')
-          .select('id, correct_answer, points, level, puzzle_number')
+          .select('id, correct_answer, correct_answer_hash, answer_match_mode, answer_match_options, dynamic_flag, flag_secret, flag_template, points, level, puzzle_number')
           .eq('level', parseInt(levelId));
         puzzles = data || [];
       } catch (e) {
@@ -548,6 +535,9 @@ exports.evaluateAnswers = async (req, res) => {
       const mergedSubmissions = pendingSubmissions.map(s => ({
         ...s,
         correct_answer: puzzleMap[s.puzzle_id]?.correct_answer,
+        correct_answer_hash: puzzleMap[s.puzzle_id]?.correct_answer_hash,
+        answer_match_mode: puzzleMap[s.puzzle_id]?.answer_match_mode,
+        answer_match_options: puzzleMap[s.puzzle_id]?.answer_match_options,
         points: puzzleMap[s.puzzle_id]?.points || 0,
         level: puzzleMap[s.puzzle_id]?.level,
         puzzle_number: puzzleMap[s.puzzle_id]?.puzzle_number
@@ -557,14 +547,21 @@ exports.evaluateAnswers = async (req, res) => {
       let correctCount = 0;
       const teamScores = {};
       const teamStats = {};
+      // Dynamic puzzles are worth their current decayed value, plus any blood bonus
+      const puzzleValues = await scoringService.getPuzzleValues();
 
       // Process each submission
       for (const submission of mergedSubmissions) {
-        const submittedTrimmed = (submission.submitted_answer || '').trim().toLowerCase();
-        const correctTrimmed = (submission.correct_answer || '').trim().toLowerCase();
-        const isCorrect = submittedTrimmed === correctTrimmed;
+        const isCorrect = checkTeamAnswer(
+          puzzleMap[submission.puzzle_id],
+          submission.team_id,
+          submission.submitted_answer || ''
+        );
 
-        const scoreAwarded = isCorrect ? submission.points : 0;
+        const puzzleValue = puzzleValues[submission.puzzle_id];
+        const scoreAwarded = isCorrect
+          ? (puzzleValue?.value ?? submission.points) + scoringService.getBloodBonus(puzzleValue, submission.team_id)
+          : 0;
 
         // Update submission record
         try {
@@ -726,6 +723,8 @@ exports.evaluateAnswers = async (req, res) => {
         total_submissions: evaluatedCount
       });
 
+      realtimeService.publishLeaderboardChange();
+
       return res.json({
         success: true,
         message: `Evaluation completed for Level ${levelId}`,
@@ -752,7 +751,9 @@ exports.evaluateAnswers = async (req, res) => {
     // Get all submissions for this level
     const [pendingSubmissions] = await db.query(`
       SELECT s.id, s.team_id, s.puzzle_id, s.submitted_answer, s.is_correct, s.time_taken_seconds,
-             p.correct_answer, p.points, p.level, p.puzzle_number
+             p.correct_answer, p.correct_answer_hash, p.answer_match_mode, p.answer_match_options,
+             p.dynamic_flag, p.flag_secret, p.flag_template,
+             p.points, p.level, p.puzzle_number
       FROM submissions s
       JOIN puzzles p ON s.puzzle_id = p.id
       WHERE p.level = ?
@@ -763,14 +764,21 @@ exports.evaluateAnswers = async (req, res) => {
     let correctCount = 0;
     const teamScores = {};
     const teamStats = {};
+    // Dynamic puzzles are worth their current decayed value, plus any blood bonus
+    const puzzleValues = await scoringService.getPuzzleValues();
     
     // Process each submission
     for (const submission of pendingSubmissions) {
-      const submittedTrimmed = (submission.submitted_answer || '').trim().toLowerCase();
-      const correctTrimmed = (submission.correct_answer || '').trim().toLowerCase();
-      const isCorrect = submittedTrimmed === correctTrimmed;
+      const isCorrect = checkTeamAnswer(
+        { ...submission, id: submission.puzzle_id },
+        submission.team_id,
+        submission.submitted_answer || ''
+      );
       
-      const scoreAwarded = isCorrect ? submission.points : 0;
+      const puzzleValue = puzzleValues[submission.puzzle_id];
+      const scoreAwarded = isCorrect
+        ? (puzzleValue?.value ?? submission.points) + scoringService.getBloodBonus(puzzleValue, submission.team_id)
+        : 0;
       
       await db.query(
         `UPDATE submissions 
@@ -898,6 +906,8 @@ exports.evaluateAnswers = async (req, res) => {
       total_submissions: evaluatedCount
     });
     
+    realtimeService.publishLeaderboardChange();
+
     res.json({
       success: true,
       message: `Evaluation completed for Level ${levelId}`,
@@ -1004,6 +1014,8 @@ exports.publishResults = async (req, res) => {
         disqualified: qualStats.disqualified
       });
 
+      const nextUnlocked = await unlockNextLevel(levelId);
+
       return res.json({
         success: true,
         message: `Results published for Level ${levelId}`,
@@ -1011,7 +1023,8 @@ exports.publishResults = async (req, res) => {
           total_teams: qualStats.total,
           qualified: qualStats.qualified,
           disqualified: qualStats.disqualified
-        }
+        },
+        next_level_unlocked: nextUnlocked
       });
     }
 
@@ -1049,6 +1062,8 @@ exports.publishResults = async (req, res) => {
       disqualified: qualStats[0]?.disqualified || 0
     });
     
+    const nextUnlocked = await unlockNextLevel(levelId);
+    
     res.json({
       success: true,
       message: `Results published for Level ${levelId}`,
@@ -1056,7 +1071,8 @@ exports.publishResults = async (req, res) => {
         total_teams: qualStats[0]?.total || 0,
         qualified: qualStats[0]?.qualified || 0,
         disqualified: qualStats[0]?.disqualified || 0
-      }
+      },
+      next_level_unlocked: nextUnlocked
     });
   } catch (error) {
     console.error('Error publishing results:', error);
@@ -2,6 +2,10 @@ const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
 const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const realtimeService = require('../services/realtimeService');
+const gameSchedulerService = require('../services/gameSchedulerService');
+const { logAudit } = require('../services/auditService');
+const levelService = require('../services/levelService');
 
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
@@ -136,6 +140,7 @@ exports.startGame = async (req, res) => {
         .eq('id', gameState[0].id);
 
       if (updateErr) throw updateErr;
+      await levelService.unlockLevel(1);
 
       // Update all waiting and qualified teams to active status
       await supabaseAdmin
@@ -177,6 +182,7 @@ exports.startGame = async (req, res) => {
           is_paused = false
       WHERE id = ?
     `, [gameState[0].id]);
+    await levelService.unlockLevel(1);
     
     // Update all waiting and qualified teams to active status
     await db.query(`
@@ -189,6 +195,7 @@ exports.startGame = async (req, res) => {
     // Invalidate cached data
     cache.delete(cacheKeys.gameState());
     cache.deleteByPrefix('leaderboard');
+    realtimeService.publishLeaderboardChange();
     
     res.json({
       success: true,
@@ -203,114 +210,48 @@ exports.startGame = async (req, res) => {
   }
 };
 
-// Unlock Level 2
-exports.unlockLevel2 = async (req, res) => {
+// Unlock any level (earlier locked levels are unlocked with it)
+exports.unlockLevel = async (req, res) => {
   try {
-    if (USE_SUPABASE) {
-      const { data: gameState, error } = await supabaseAdmin
-        .from('game_state')
-        .select('*')
-        .limit(1);
-
-      if (error) throw error;
-
-      // If game state doesn't exist, create it
-      if (!gameState || gameState.length === 0) {
-        const newId = uuidv4();
-        await supabaseAdmin.from('game_state').insert({
-          id: newId,
-          game_active: true,
-          current_level: 2,
-          level1_open: true,
-          level2_open: true
-        });
-
-        return res.json({
-          success: true,
-          message: 'Level 2 unlocked successfully! (Game state initialized)'
-        });
-      }
-
-      // If level 1 not started, start it along with level 2
-      if (!gameState[0].level1_open) {
-        const now = new Date().toISOString();
-        await supabaseAdmin
-          .from('game_state')
-          .update({
-            current_level: 2,
-            level1_open: true,
-            level2_open: true,
-            game_active: true,
-            game_started_at: gameState[0].game_started_at || now
-          })
-          .eq('id', gameState[0].id);
-      } else {
-        await supabaseAdmin
-          .from('game_state')
-          .update({
-            current_level: 2,
-            level2_open: true
-          })
-          .eq('id', gameState[0].id);
-      }
-
-      return res.json({
-        success: true,
-        message: 'Level 2 unlocked successfully!'
+    const levelNumber = parseInt(req.params.levelId || req.body?.level);
+    if (!Number.isInteger(levelNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid level'
       });
     }
 
-    let [gameState] = await db.query('SELECT * FROM game_state LIMIT 1');
-    
-    // If game state doesn't exist, create it
-    if (gameState.length === 0) {
-      const newId = uuidv4();
-      await db.query(`
-        INSERT INTO game_state (id, game_name, current_phase, level_1_unlocked, level_2_unlocked)
-        VALUES (?, 'Lockdown HQ Event', 'level_2', true, true)
-      `, [newId]);
-      
-      return res.json({
-        success: true,
-        message: 'Level 2 unlocked successfully! (Game state initialized)'
-      });
-    }
-    
-    // If level 1 not started, start it along with level 2
-    if (!gameState[0].level_1_unlocked) {
-      await db.query(`
-        UPDATE game_state 
-        SET current_phase = 'level_2',
-            level_1_unlocked = true,
-            level_2_unlocked = true,
-            game_started_at = COALESCE(game_started_at, NOW())
-        WHERE id = ?
-      `, [gameState[0].id]);
-    } else {
-      await db.query(`
-        UPDATE game_state 
-        SET current_phase = 'level_2',
-            level_2_unlocked = true
-        WHERE id = ?
-      `, [gameState[0].id]);
-    }
-    
-    // Invalidate cached game state
-    cache.delete(cacheKeys.gameState());
-    
+    const { level, unlocked } = await levelService.unlockLevel(levelNumber);
+
+    await logAudit(req.user.userId || req.user.id, 'LEVEL_UNLOCKED', req, `${level.name} (level ${level.level_number})`);
+    realtimeService.publishLeaderboardChange();
+
     res.json({
       success: true,
-      message: 'Level 2 unlocked successfully!'
+      message: unlocked.length > 1
+        ? `${level.name} unlocked successfully! (Also unlocked levels ${unlocked.filter(n => n !== level.level_number).join(', ')})`
+        : `${level.name} unlocked successfully!`,
+      level: level.level_number,
+      unlocked
     });
   } catch (error) {
-    console.error('Error unlocking Level 2:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('Error unlocking level:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to unlock Level 2: ' + error.message
+      message: 'Failed to unlock level: ' + error.message
     });
   }
 };
 
+// Unlock Level 2 (kept for existing clients)
+exports.unlockLevel2 = async (req, res) => {
+  req.params.levelId = '2';
+  return exports.unlockLevel(req, res);
+};
+
 // Pause game
 exports.pauseGame = async (req, res) => {
   try {
@@ -459,6 +400,7 @@ exports.restartGame = async (req, res) => {
         .not('id', 'is', null);
 
       if (error) throw error;
+      await levelService.lockAllLevels();
 
       // Reset all teams to waiting status
       await supabaseAdmin
@@ -525,6 +467,7 @@ exports.restartGame = async (req, res) => {
       // Invalidate all cached data
       cache.delete(cacheKeys.gameState());
       cache.deleteByPrefix('leaderboard');
+      realtimeService.publishLeaderboardChange();
 
       return res.json({
         success: true,
@@ -543,6 +486,7 @@ exports.restartGame = async (req, res) => {
           is_paused = false
       WHERE id IS NOT NULL
     `);
+    await levelService.lockAllLevels();
     
     // Reset all teams to waiting status
     await db.query(`
@@ -585,6 +529,7 @@ exports.restartGame = async (req, res) => {
     // Invalidate all cached data
     cache.delete(cacheKeys.gameState());
     cache.deleteByPrefix('leaderboard');
+    realtimeService.publishLeaderboardChange();
 
     res.json({
       success: true,
@@ -620,6 +565,7 @@ exports.broadcastMessage = async (req, res) => {
       } catch (e) {
         console.log('broadcast_messages table may not exist:', e.message);
       }
+      realtimeService.broadcast('broadcast', { message, message_type: message_type || 'info', expires_at: expiresAt });
       return res.json({ success: true, message: 'Message broadcasted successfully' });
     }
 
@@ -631,6 +577,7 @@ exports.broadcastMessage = async (req, res) => {
       `INSERT INTO broadcast_messages (id, message, message_type, sent_by, expires_at) VALUES (?, ?, ?, ?, ?)`,
       [messageId, message, message_type || 'info', req.user.id, expiresAt]
     );
+    realtimeService.broadcast('broadcast', { id: messageId, message, message_type: message_type || 'info', expires_at: expiresAt });
     res.json({ success: true, message: 'Message broadcasted successfully' });
   } catch (error) {
     console.error('Error broadcasting message:', error);
@@ -913,3 +860,78 @@ exports.resetTeamProgress = async (req, res) => {
     });
   }
 };
+
+// Get the scheduled phase timeline
+exports.getSchedule = async (req, res) => {
+  try {
+    const schedule = await gameSchedulerService.getSchedule();
+    res.json({ success: true, schedule, actions: gameSchedulerService.ACTIONS });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch schedule' });
+  }
+};
+
+// Replace the scheduled phase timeline
+exports.setSchedule = async (req, res) => {
+  try {
+    const { steps } = req.body;
+    let schedule;
+    try {
+      schedule = await gameSchedulerService.setSchedule(steps, req.user.userId || req.user.id);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+
+    await logAudit(req.user.userId, 'GAME_SCHEDULE_SET', req, `${schedule.steps.length} step(s): ${schedule.steps.map(s => s.action).join(', ')}`);
+
+    // Run anything already due straight away
+    gameSchedulerService.tick();
+
+    res.json({ success: true, message: 'Schedule saved', schedule });
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to save schedule' });
+  }
+};
+
+// Remove the scheduled phase timeline
+exports.clearSchedule = async (req, res) => {
+  try {
+    await gameSchedulerService.clearSchedule();
+    await logAudit(req.user.userId, 'GAME_SCHEDULE_CLEARED', req);
+    res.json({ success: true, message: 'Schedule cleared' });
+  } catch (error) {
+    console.error('Error clearing schedule:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear schedule' });
+  }
+};
+
+// Retry or skip a failed schedule step
+exports.updateScheduleStep = async (req, res) => {
+  try {
+    const { stepId } = req.params;
+    const { action } = req.body;
+
+    if (!['retry', 'skip'].includes(action)) {
+      return res.status(400).json({ success: false, message: "action must be 'retry' or 'skip'" });
+    }
+
+    let schedule;
+    try {
+      schedule = action === 'retry'
+        ? await gameSchedulerService.retryStep(stepId)
+        : await gameSchedulerService.skipStep(stepId);
+    } catch (stepError) {
+      return res.status(400).json({ success: false, message: stepError.message });
+    }
+
+    await logAudit(req.user.userId, action === 'retry' ? 'GAME_SCHEDULE_STEP_RETRY' : 'GAME_SCHEDULE_STEP_SKIP', req, `Step ${stepId}`);
+    gameSchedulerService.tick();
+
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error updating schedule step:', error);
+    res.status(500).json({ success: false, message: 'Failed to update schedule step' });
+  }
+};
@@ -1,18 +1,23 @@
 // server/controllers/leaderboardController.js
 const leaderboardService = require('../services/leaderboardService');
+const leaderboardFreezeService = require('../services/leaderboardFreezeService');
+const realtimeService = require('../services/realtimeService');
+const { logAudit } = require('../services/auditService');
 const db = require('../config/db');
 
 /**
  * GET /api/game/leaderboard
  * Public endpoint for live leaderboard
+ * While the board is frozen, everyone but admins gets the frozen snapshot
  */
 exports.getLiveLeaderboard = async (req, res) => {
   try {
-    const leaderboard = await leaderboardService.getLiveLeaderboard();
+    const { teams, freeze } = await leaderboardFreezeService.getLeaderboardForViewer(req.user?.role === 'admin');
     
     res.json({
       results_published: true,
-      teams: leaderboard
+      teams,
+      freeze
     });
   } catch (error) {
     console.error('Leaderboard error:', error);
@@ -28,7 +33,7 @@ exports.getTeamRank = async (req, res) => {
   try {
     const { teamId } = req.params;
     
-    const rank = await leaderboardService.getTeamRank(teamId);
+    const rank = await leaderboardFreezeService.getTeamRankForViewer(teamId, req.user?.role === 'admin');
     
     if (rank === null) {
       return res.status(404).json({ error: 'Team not found in leaderboard' });
@@ -40,3 +45,72 @@ exports.getTeamRank = async (req, res) => {
     res.status(500).json({ error: 'Failed to get team rank' });
   }
 };
+
+/**
+ * GET /api/game/leaderboard/freeze
+ * Current freeze state (admin only)
+ */
+exports.getFreeze = async (req, res) => {
+  try {
+    const state = await leaderboardFreezeService.getState();
+    res.json({ success: true, freeze: leaderboardFreezeService.describe(state) });
+  } catch (error) {
+    console.error('Get leaderboard freeze error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch leaderboard freeze' });
+  }
+};
+
+/**
+ * PUT /api/game/leaderboard/freeze
+ * Freeze the leaderboard now, or at freeze_at (admin only)
+ */
+exports.freezeLeaderboard = async (req, res) => {
+  try {
+    const { freeze_at } = req.body;
+    let state;
+    try {
+      state = await leaderboardFreezeService.freeze(freeze_at, req.user.userId);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+
+    const freeze = leaderboardFreezeService.describe(state);
+    await logAudit(req.user.userId, 'LEADERBOARD_FROZEN', req, `Freeze at ${state.freeze_at}`);
+    if (freeze.frozen) realtimeService.publishLeaderboardChange();
+
+    res.json({
+      success: true,
+      message: freeze.frozen ? 'Leaderboard frozen' : 'Leaderboard freeze scheduled',
+      freeze
+    });
+  } catch (error) {
+    console.error('Freeze leaderboard error:', error);
+    res.status(500).json({ success: false, message: 'Failed to freeze leaderboard' });
+  }
+};
+
+/**
+ * DELETE /api/game/leaderboard/freeze
+ * Unfreeze and reveal the live standings, or cancel a scheduled freeze (admin only)
+ */
+exports.unfreezeLeaderboard = async (req, res) => {
+  try {
+    const state = await leaderboardFreezeService.unfreeze(req.user.userId);
+    if (!state) {
+      return res.status(400).json({ success: false, message: 'Leaderboard is not frozen' });
+    }
+
+    const revealed = !!state.revealed_at;
+    await logAudit(req.user.userId, revealed ? 'LEADERBOARD_REVEALED' : 'LEADERBOARD_FREEZE_CANCELLED', req);
+    if (revealed) realtimeService.publishLeaderboardChange();
+
+    res.json({
+      success: true,
+      message: revealed ? 'Leaderboard revealed' : 'Scheduled freeze cancelled',
+      freeze: leaderboardFreezeService.describe(state)
+    });
+  } catch (error) {
+    console.error('Unfreeze leaderboard error:', error);
+    res.status(500).json({ success: false, message: 'Failed to unfreeze leaderboard' });
+  }
+};
@@ -0,0 +1,136 @@
+const levelService = require('../services/levelService');
+const qualificationService = require('../services/qualificationService');
+const { logAudit } = require('../services/auditService');
+
+/**
+ * Level Controller
+ * Admin configuration of the event's levels (name, time limit, unlock rule,
+ * qualification cutoffs). Unlocking lives in gameController.unlockLevel.
+ */
+
+// Attach each level's qualification cutoffs
+async function withCutoffs(levels) {
+  const cutoffs = await qualificationService.getQualificationCutoffs();
+  return levels.map(level => ({
+    ...level,
+    cutoffs: cutoffs.find(c => c.level_id === level.level_number) || null
+  }));
+}
+
+// Get all levels
+exports.getLevels = async (req, res) => {
+  try {
+    const levels = await levelService.getLevels();
+    const isAdmin = req.user?.role === 'admin';
+
+    res.json({
+      success: true,
+      levels: isAdmin ? await withCutoffs(levels) : levels,
+      unlock_rules: levelService.UNLOCK_RULES
+    });
+  } catch (error) {
+    console.error('Error fetching levels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch levels'
+    });
+  }
+};
+
+// Create a level (with optional qualification cutoffs)
+exports.createLevel = async (req, res) => {
+  try {
+    const { cutoffs, ...fields } = req.body;
+
+    const validationError = levelService.validateLevel(fields, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const level = await levelService.createLevel(fields);
+    if (cutoffs && typeof cutoffs === 'object') {
+      await qualificationService.updateQualificationCutoffs(level.level_number, cutoffs, req.user.userId || req.user.id);
+    }
+
+    await logAudit(req.user.userId, 'LEVEL_CREATED', req, `${level.name} (level ${level.level_number})`);
+
+    res.status(201).json({
+      success: true,
+      message: `${level.name} created`,
+      level
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error creating level:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create level'
+    });
+  }
+};
+
+// Update a level and, optionally, its qualification cutoffs
+exports.updateLevel = async (req, res) => {
+  try {
+    const { levelId } = req.params;
+    const { cutoffs, ...fields } = req.body;
+
+    const validationError = levelService.validateLevel(fields, false);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const level = await levelService.updateLevel(levelId, fields);
+    if (!level) {
+      return res.status(404).json({ success: false, message: 'Level not found' });
+    }
+
+    if (cutoffs && typeof cutoffs === 'object') {
+      await qualificationService.updateQualificationCutoffs(level.level_number, cutoffs, req.user.userId || req.user.id);
+    }
+
+    await logAudit(req.user.userId, 'LEVEL_UPDATED', req, `${level.name} (level ${level.level_number}): ${Object.keys(req.body).join(', ')}`);
+
+    const [withCutoff] = await withCutoffs([level]);
+    res.json({
+      success: true,
+      message: `${level.name} updated`,
+      level: withCutoff
+    });
+  } catch (error) {
+    console.error('Error updating level:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update level'
+    });
+  }
+};
+
+// Delete an empty level
+exports.deleteLevel = async (req, res) => {
+  try {
+    const { levelId } = req.params;
+    const deleted = await levelService.deleteLevel(levelId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Level not found' });
+    }
+
+    await logAudit(req.user.userId, 'LEVEL_DELETED', req, `Level ${levelId}`);
+
+    res.json({
+      success: true,
+      message: `Level ${levelId} deleted`
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error deleting level:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete level'
+    });
+  }
+};
@@ -1,10 +1,68 @@
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
+const {
+  DEFAULT_MODE,
+  validateMatchConfig,
+  parseOptions,
+  isHashableMode,
+  hashAnswerForStorage,
+  hashMatchOptions
+} = require('../utils/answerMatcher');
+const { generateFlagSecret } = require('../services/dynamicFlagService');
+const puzzlePackService = require('../services/puzzlePackService');
+const scoringService = require('../services/scoringService');
+const realtimeService = require('../services/realtimeService');
+const { logAudit } = require('../services/auditService');
 
 // Check if using Supabase
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
+/**
+ * Strip answer hashes and flag secrets from a puzzle before it leaves the server
+ */
+const redactAnswer = (puzzle) => {
+  if (!puzzle) return puzzle;
+  const { correct_answer_hash, flag_secret, ...rest } = puzzle;
+  const options = parseOptions(rest.answer_match_options);
+  if (options.alias_hashes) {
+    const { alias_hashes, ...visibleOptions } = options;
+    rest.answer_match_options = visibleOptions;
+  }
+  return { ...rest, answer_is_hashed: !!correct_answer_hash };
+};
+
+/**
+ * Fetch the stored answer and scoring fields for a puzzle
+ */
+const getStoredAnswer = async (id) => {
+  const fields = 'id, level, points, scoring_mode, minimum_points, decay, correct_answer, correct_answer_hash, answer_match_mode, answer_match_options, flag_secret';
+  if (USE_SUPABASE) {
+    const { data } = await supabaseAdmin
+      .from('puzzles')
+      .select(fields)
+      .eq('id', id)
+      .single();
+    return data || null;
+  }
+  const [rows] = await db.query(`SELECT ${fields} FROM puzzles WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+const SCORING_FIELDS = ['points', 'scoring_mode', 'minimum_points', 'decay', 'level', ...scoringService.BLOOD_BONUS_FIELDS];
+
+/**
+ * Re-score teams on the affected level(s) after a puzzle's value may have changed
+ */
+const rescoreAfterUpdate = async (current, updateData) => {
+  if (!SCORING_FIELDS.some(field => updateData[field] !== undefined)) return;
+  const levels = new Set([current.level, updateData.level ?? current.level].map(Number));
+  for (const level of levels) {
+    await scoringService.recalculateLevelScores(level);
+  }
+  realtimeService.publishLeaderboardChange();
+};
+
 // Get all puzzles (with optional level filter)
 exports.getAllPuzzles = async (req, res) => {
   try {
@@ -48,7 +106,7 @@ exports.getAllPuzzles = async (req, res) => {
       });
 
       puzzles = (puzzlesData || []).map(p => ({
-        ...p,
+        ...redactAnswer(p),
         hint_count: hintCounts[p.id] || 0,
         submission_count: submissionCounts[p.id] || 0
       }));
@@ -72,8 +130,16 @@ exports.getAllPuzzles = async (req, res) => {
       query += ' GROUP BY p.id ORDER BY p.level, p.puzzle_number';
       
       const [rows] = await db.query(query, params);
-      puzzles = rows;
+      puzzles = rows.map(redactAnswer);
     }
+
+    // Current value and solves, so admins can see dynamic puzzles decay
+    const puzzleValues = await scoringService.getPuzzleValues();
+    puzzles = puzzles.map(p => ({
+      ...p,
+      current_points: puzzleValues[p.id]?.value ?? p.points,
+      solve_count: puzzleValues[p.id]?.solves || 0
+    }));
     
     res.json({
       success: true,
@@ -112,7 +178,7 @@ exports.getPuzzleById = async (req, res) => {
         .eq('is_active', true)
         .order('hint_number');
 
-      return res.json({ success: true, puzzle: { ...puzzle, hints: hints || [] } });
+      return res.json({ success: true, puzzle: { ...redactAnswer(puzzle), hints: hints || [] } });
     }
 
     const [puzzles] = await db.query('SELECT * FROM puzzles WHERE id = ?', [id]);
@@ -123,7 +189,7 @@ exports.getPuzzleById = async (req, res) => {
       'SELECT * FROM hints WHERE puzzle_id = ? AND is_active = true ORDER BY hint_number',
       [id]
     );
-    res.json({ success: true, puzzle: { ...puzzles[0], hints } });
+    res.json({ success: true, puzzle: { ...redactAnswer(puzzles[0]), hints } });
   } catch (error) {
     console.error('Error fetching puzzle:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch puzzle' });
@@ -142,17 +208,60 @@ exports.createPuzzle = async (req, res) => {
       puzzle_content,
       puzzle_file_url,
       correct_answer,
+      answer_match_mode,
+      answer_match_options,
+      dynamic_flag,
+      flag_template,
       points,
+      scoring_mode,
+      minimum_points,
+      decay,
+      first_blood_bonus,
+      second_blood_bonus,
+      third_blood_bonus,
       time_limit_minutes
     } = req.body;
     
-    if (!level || !title || !correct_answer) {
+    if (!level || !title || (!correct_answer && !dynamic_flag)) {
       return res.status(400).json({
         success: false,
         message: 'Missing required fields: level, title, correct_answer'
       });
     }
 
+    const matchError = validateMatchConfig(answer_match_mode, answer_match_options, correct_answer);
+    if (matchError) {
+      return res.status(400).json({ success: false, message: matchError });
+    }
+    const scoringError = scoringService.validateScoringConfig({ points: points || 100, scoring_mode, minimum_points, decay }) ||
+      scoringService.validateBloodBonuses(req.body);
+    if (scoringError) {
+      return res.status(400).json({ success: false, message: scoringError });
+    }
+    // Dynamic puzzles decay from points toward minimum_points as teams solve them
+    const scoringFields = {
+      scoring_mode: scoring_mode || 'static',
+      minimum_points: scoringService.isDynamic({ scoring_mode }) ? parseInt(minimum_points) : null,
+      decay: scoringService.isDynamic({ scoring_mode }) ? parseInt(decay) : null,
+      // Extra points for the first three teams to solve it
+      first_blood_bonus: parseInt(first_blood_bonus) || 0,
+      second_blood_bonus: parseInt(second_blood_bonus) || 0,
+      third_blood_bonus: parseInt(third_blood_bonus) || 0
+    };
+    const matchMode = answer_match_mode || DEFAULT_MODE;
+    // regex/numeric answers need the plaintext, everything else is stored hashed
+    const stored = (correct_answer && hashAnswerForStorage(correct_answer, matchMode, answer_match_options)) || {
+      correct_answer: correct_answer || null,
+      correct_answer_hash: null,
+      answer_match_options: answer_match_options || null
+    };
+    // Dynamic-flag puzzles derive each team's flag from a server-side secret
+    const flagFields = {
+      dynamic_flag: !!dynamic_flag,
+      flag_template: flag_template || null,
+      flag_secret: dynamic_flag ? generateFlagSecret() : null
+    };
+
     if (USE_SUPABASE) {
       // Auto-assign puzzle_number if not provided or if it conflicts
       let assignedNumber = puzzle_number;
@@ -178,7 +287,12 @@ exports.createPuzzle = async (req, res) => {
           puzzle_type: puzzle_type || 'text',
           puzzle_content: puzzle_content || null,
           puzzle_file_url: puzzle_file_url || null,
-          correct_answer,
+          correct_answer: stored.correct_answer,
+          correct_answer_hash: stored.correct_answer_hash,
+          answer_match_mode: matchMode,
+          answer_match_options: stored.answer_match_options,
+          ...flagFields,
+          ...scoringFields,
           points: points || 100,
           time_limit_minutes: time_limit_minutes || 30
         })
@@ -207,7 +321,12 @@ exports.createPuzzle = async (req, res) => {
               puzzle_type: puzzle_type || 'text',
               puzzle_content: puzzle_content || null,
               puzzle_file_url: puzzle_file_url || null,
-              correct_answer,
+              correct_answer: stored.correct_answer,
+              correct_answer_hash: stored.correct_answer_hash,
+              answer_match_mode: matchMode,
+              answer_match_options: stored.answer_match_options,
+              ...flagFields,
+              ...scoringFields,
               points: points || 100,
               time_limit_minutes: time_limit_minutes || 30
             })
@@ -225,7 +344,7 @@ exports.createPuzzle = async (req, res) => {
           return res.status(201).json({
             success: true,
             message: 'Puzzle created successfully',
-            puzzle: retryPuzzle
+            puzzle: redactAnswer(retryPuzzle)
           });
         }
 
@@ -236,7 +355,7 @@ exports.createPuzzle = async (req, res) => {
       return res.status(201).json({
         success: true,
         message: 'Puzzle created successfully',
-        puzzle: newPuzzle
+        puzzle: redactAnswer(newPuzzle)
       });
     }
     
@@ -245,13 +364,21 @@ exports.createPuzzle = async (req, res) => {
     await db.query(
       `INSERT INTO puzzles (
         id, level, puzzle_number, title, description, puzzle_type,
-        puzzle_content, puzzle_file_url, correct_answer, points, time_limit_minutes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        puzzle_content, puzzle_file_url, correct_answer, correct_answer_hash,
+        answer_match_mode, answer_match_options, dynamic_flag, flag_template, flag_secret,
+        points, scoring_mode, minimum_points, decay,
+        first_blood_bonus, second_blood_bonus, third_blood_bonus, time_limit_minutes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [puzzleId, level, puzzle_number, title, description || null, puzzle_type || 'text',
-        puzzle_content || null, puzzle_file_url || null, correct_answer, points || 100, time_limit_minutes || 30]
+        puzzle_content || null, puzzle_file_url || null, stored.correct_answer, stored.correct_answer_hash,
+        matchMode, stored.answer_match_options ? JSON.stringify(stored.answer_match_options) : null,
+        flagFields.dynamic_flag, flagFields.flag_template, flagFields.flag_secret,
+        points || 100, scoringFields.scoring_mode, scoringFields.minimum_points, scoringFields.decay,
+        scoringFields.first_blood_bonus, scoringFields.second_blood_bonus, scoringFields.third_blood_bonus,
+        time_limit_minutes || 30]
     );
     const [newPuzzle] = await db.query('SELECT * FROM puzzles WHERE id = ?', [puzzleId]);
-    res.status(201).json({ success: true, message: 'Puzzle created successfully', puzzle: newPuzzle[0] });
+    res.status(201).json({ success: true, message: 'Puzzle created successfully', puzzle: redactAnswer(newPuzzle[0]) });
   } catch (error) {
     console.error('Error creating puzzle:', error);
     if (error.code === 'ER_DUP_ENTRY' || error.code === '23505') {
@@ -272,8 +399,9 @@ exports.updatePuzzle = async (req, res) => {
 
     const allowedFields = [
       'title', 'description', 'puzzle_type', 'puzzle_content',
-      'puzzle_file_url', 'correct_answer', 'points', 'time_limit_minutes', 'is_active',
-      'level', 'puzzle_number'
+      'puzzle_file_url', 'correct_answer', 'answer_match_mode', 'answer_match_options',
+      'dynamic_flag', 'flag_template', 'points', 'scoring_mode', 'minimum_points', 'decay',
+      'first_blood_bonus', 'second_blood_bonus', 'third_blood_bonus', 'time_limit_minutes', 'is_active', 'level', 'puzzle_number'
     ];
 
     const updateData = {};
@@ -283,17 +411,83 @@ exports.updatePuzzle = async (req, res) => {
       }
     }
 
+    // A blank answer on edit keeps the stored (possibly hashed) answer
+    if (updateData.correct_answer === '' || updateData.correct_answer === null) {
+      delete updateData.correct_answer;
+    }
+
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({ success: false, message: 'No valid fields to update' });
     }
 
-    if (USE_SUPABASE) {
-      const { data: existing } = await supabaseAdmin
-        .from('puzzles').select('id').eq('id', id).single();
-      if (!existing) {
-        return res.status(404).json({ success: false, message: 'Puzzle not found' });
+    const current = await getStoredAnswer(id);
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'Puzzle not found' });
+    }
+
+    const currentMode = current.answer_match_mode || DEFAULT_MODE;
+    const matchMode = updateData.answer_match_mode || currentMode;
+    const matchOptions = updateData.answer_match_options !== undefined
+      ? updateData.answer_match_options
+      : current.answer_match_options;
+
+    // Fields missing from the update are checked as stored, so a new answer
+    // for a regex puzzle is still validated as a regex
+    if (updateData.answer_match_mode !== undefined || updateData.answer_match_options !== undefined ||
+        updateData.correct_answer !== undefined) {
+      const matchError = validateMatchConfig(
+        matchMode,
+        matchOptions,
+        updateData.correct_answer ?? current.correct_answer ?? undefined
+      );
+      if (matchError) {
+        return res.status(400).json({ success: false, message: matchError });
       }
+    }
+
+    const scoringError = scoringService.validateScoringConfig({
+      points: updateData.points ?? current.points,
+      scoring_mode: updateData.scoring_mode ?? current.scoring_mode,
+      minimum_points: updateData.minimum_points ?? current.minimum_points,
+      decay: updateData.decay ?? current.decay
+    }) || scoringService.validateBloodBonuses(updateData);
+    if (scoringError) {
+      return res.status(400).json({ success: false, message: scoringError });
+    }
+    if (updateData.scoring_mode === 'static') {
+      updateData.minimum_points = null;
+      updateData.decay = null;
+    }
+    for (const field of scoringService.BLOOD_BONUS_FIELDS) {
+      if (updateData[field] !== undefined) updateData[field] = parseInt(updateData[field]) || 0;
+    }
+
+    if (updateData.correct_answer !== undefined) {
+      const hashed = hashAnswerForStorage(updateData.correct_answer, matchMode, matchOptions, current.answer_match_options);
+      if (hashed) {
+        Object.assign(updateData, hashed);
+      } else {
+        updateData.correct_answer_hash = null;
+      }
+    } else if (current.correct_answer_hash) {
+      // The canonical form is baked into the hash, so it cannot be re-matched without the answer
+      const caseChanged = !!parseOptions(matchOptions).case_sensitive !== !!parseOptions(current.answer_match_options).case_sensitive;
+      if (matchMode !== currentMode || !isHashableMode(matchMode) || caseChanged) {
+        return res.status(400).json({
+          success: false,
+          message: 'Re-enter correct_answer to change how a hashed answer is matched'
+        });
+      }
+      if (updateData.answer_match_options !== undefined) {
+        updateData.answer_match_options = hashMatchOptions(matchMode, matchOptions, current.answer_match_options);
+      }
+    }
 
+    if (updateData.dynamic_flag && !current.flag_secret) {
+      updateData.flag_secret = generateFlagSecret();
+    }
+
+    if (USE_SUPABASE) {
       const { data: updated, error } = await supabaseAdmin
         .from('puzzles')
         .update(updateData)
@@ -302,24 +496,22 @@ exports.updatePuzzle = async (req, res) => {
         .single();
 
       if (error) throw error;
-      return res.json({ success: true, message: 'Puzzle updated successfully', puzzle: updated });
+      await rescoreAfterUpdate(current, updateData);
+      return res.json({ success: true, message: 'Puzzle updated successfully', puzzle: redactAnswer(updated) });
     }
 
     // MySQL fallback
-    const [existing] = await db.query('SELECT id FROM puzzles WHERE id = ?', [id]);
-    if (existing.length === 0) {
-      return res.status(404).json({ success: false, message: 'Puzzle not found' });
-    }
     const updateFields = [];
     const values = [];
     for (const [key, value] of Object.entries(updateData)) {
       updateFields.push(`${key} = ?`);
-      values.push(value);
+      values.push(key === 'answer_match_options' && value ? JSON.stringify(value) : value);
     }
     values.push(id);
     await db.query(`UPDATE puzzles SET ${updateFields.join(', ')} WHERE id = ?`, values);
+    await rescoreAfterUpdate(current, updateData);
     const [updated] = await db.query('SELECT * FROM puzzles WHERE id = ?', [id]);
-    res.json({ success: true, message: 'Puzzle updated successfully', puzzle: updated[0] });
+    res.json({ success: true, message: 'Puzzle updated successfully', puzzle: redactAnswer(updated[0]) });
   } catch (error) {
     console.error('Error updating puzzle:', error);
     res.status(500).json({ success: false, message: 'Failed to update puzzle' });
@@ -360,7 +552,7 @@ exports.deletePuzzle = async (req, res) => {
 // Add hint to puzzle
 exports.addHint = async (req, res) => {
   try {
-    const { puzzle_id, hint_number, hint_text, time_penalty_seconds } = req.body;
+    const { puzzle_id, hint_number, hint_text, time_penalty_seconds, point_cost, unlock_after_seconds } = req.body;
 
     if (!puzzle_id || !hint_number || !hint_text) {
       return res.status(400).json({
@@ -383,7 +575,9 @@ exports.addHint = async (req, res) => {
           puzzle_id,
           hint_number,
           hint_text,
-          time_penalty_seconds: time_penalty_seconds || 300
+          time_penalty_seconds: time_penalty_seconds ?? 300,
+          point_cost: point_cost || 0,
+          unlock_after_seconds: unlock_after_seconds ?? null
         })
         .select()
         .single();
@@ -408,8 +602,8 @@ exports.addHint = async (req, res) => {
     }
     const hintId = uuidv4();
     await db.query(
-      'INSERT INTO hints (id, puzzle_id, hint_number, hint_text, time_penalty_seconds) VALUES (?, ?, ?, ?, ?)',
-      [hintId, puzzle_id, hint_number, hint_text, time_penalty_seconds || 300]
+      'INSERT INTO hints (id, puzzle_id, hint_number, hint_text, time_penalty_seconds, point_cost, unlock_after_seconds) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [hintId, puzzle_id, hint_number, hint_text, time_penalty_seconds ?? 300, point_cost || 0, unlock_after_seconds ?? null]
     );
     const [newHint] = await db.query('SELECT * FROM hints WHERE id = ?', [hintId]);
     res.status(201).json({ success: true, message: 'Hint added successfully', hint: newHint[0] });
@@ -423,11 +617,13 @@ exports.addHint = async (req, res) => {
 exports.updateHint = async (req, res) => {
   try {
     const { id } = req.params;
-    const { hint_text, time_penalty_seconds, is_active } = req.body;
+    const { hint_text, time_penalty_seconds, point_cost, unlock_after_seconds, is_active } = req.body;
 
     const updateData = {};
     if (hint_text !== undefined) updateData.hint_text = hint_text;
     if (time_penalty_seconds !== undefined) updateData.time_penalty_seconds = time_penalty_seconds;
+    if (point_cost !== undefined) updateData.point_cost = point_cost;
+    if (unlock_after_seconds !== undefined) updateData.unlock_after_seconds = unlock_after_seconds;
     if (is_active !== undefined) updateData.is_active = is_active;
 
     if (Object.keys(updateData).length === 0) {
@@ -488,3 +684,60 @@ exports.deleteHint = async (req, res) => {
     res.status(500).json({ success: false, message: 'Failed to delete hint' });
   }
 };
+
+// Import a puzzle pack (?dry_run=true only returns the validation report)
+exports.importPuzzles = async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true' || req.query.dry_run === '1';
+    const { bundle, error } = puzzlePackService.parseBundle(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const report = await puzzlePackService.importBundle(bundle, { dryRun });
+    if (!report.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Puzzle pack has errors - nothing was imported',
+        report
+      });
+    }
+
+    const { summary } = report;
+    if (!dryRun) {
+      await logAudit(req.user.userId, 'PUZZLE_PACK_IMPORTED', req,
+        `${summary.puzzles_created} created, ${summary.puzzles_updated} updated, ${summary.levels_created} level(s) created`);
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? 'Puzzle pack is valid - nothing was imported'
+        : `Imported ${summary.puzzles_created + summary.puzzles_updated} puzzle(s)`,
+      report
+    });
+  } catch (error) {
+    console.error('Error importing puzzle pack:', error);
+    res.status(500).json({ success: false, message: 'Failed to import puzzle pack' });
+  }
+};
+
+// Export puzzles as a downloadable pack (?format=json|yaml, ?level=N)
+exports.exportPuzzles = async (req, res) => {
+  try {
+    const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+    const level = req.query.level ? parseInt(req.query.level) : null;
+
+    const bundle = await puzzlePackService.exportBundle({ level });
+    const filename = `puzzle-pack${level ? `-level-${level}` : ''}.${format === 'yaml' ? 'yaml' : 'json'}`;
+
+    await logAudit(req.user.userId, 'PUZZLE_PACK_EXPORTED', req, `${bundle.puzzles.length} puzzle(s) as ${format}`);
+
+    res.setHeader('Content-Type', format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(puzzlePackService.serializeBundle(bundle, format));
+  } catch (error) {
+    console.error('Error exporting puzzle pack:', error);
+    res.status(500).json({ success: false, message: 'Failed to export puzzle pack' });
+  }
+};
@@ -1,5 +1,12 @@
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
+const levelService = require('../services/levelService');
+const teamMemberService = require('../services/teamMemberService');
+const sessionService = require('../services/sessionService');
+const totpService = require('../services/totpService');
+const { createOTP } = require('../services/otpService');
+const { sendTeamInviteEmail, sendVerificationEmail } = require('../services/emailService');
+const { logAudit } = require('../services/auditService');
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
@@ -14,6 +21,10 @@ const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 async function getMyTeam(req, res) {
   try {
     const userId = req.user.userId;
+    const teamId = req.user.team_id;
+    if (!teamId) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
 
     let team, gameStateRow;
 
@@ -23,7 +34,7 @@ async function getMyTeam(req, res) {
         supabaseAdmin
           .from('teams')
           .select('*')
-          .eq('user_id', userId),
+          .eq('id', teamId),
         supabaseAdmin
           .from('game_state')
           .select('level1_open, level2_open, game_started_at')
@@ -51,7 +62,7 @@ async function getMyTeam(req, res) {
     } else {
       // --- MySQL branch (parallel queries) ---
       const [teamsResult, gameStateQueryResult] = await Promise.all([
-        db.query(`SELECT * FROM teams WHERE user_id = ?`, [userId]),
+        db.query(`SELECT * FROM teams WHERE id = ?`, [teamId]),
         db.query(`SELECT level_1_unlocked, level_2_unlocked, game_started_at FROM game_state LIMIT 1`)
       ]);
 
@@ -78,6 +89,8 @@ async function getMyTeam(req, res) {
       timeElapsed = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
     }
 
+    const levels = await levelService.getLevels();
+
     // Determine qualification status
     const qualifiedForLevel2 = team.level >= 2;
     const level1Completed = team.progress >= 100 || team.level >= 2;
@@ -96,6 +109,7 @@ async function getMyTeam(req, res) {
       hintsUsed: team.hints_used,
       timeElapsed: timeElapsed,
       createdAt: team.created_at,
+      isCaptain: team.user_id === userId,
       // Qualification status
       qualifiedForLevel2: qualifiedForLevel2,
       level1Completed: level1Completed,
@@ -105,7 +119,13 @@ async function getMyTeam(req, res) {
       gameState: {
         level1Unlocked: gameStateRow?.level_1_unlocked || false,
         level2Unlocked: gameStateRow?.level_2_unlocked || false,
-        gameStartedAt: gameStateRow?.game_started_at || null
+        gameStartedAt: gameStateRow?.game_started_at || null,
+        levels: levels.map(l => ({
+          level: l.level_number,
+          name: l.name,
+          unlocked: l.is_unlocked,
+          timeLimitMinutes: l.time_limit_minutes
+        }))
       }
     };
 
@@ -117,12 +137,12 @@ async function getMyTeam(req, res) {
 }
 
 /**
- * UPDATE TEAM NAME
+ * UPDATE TEAM NAME (captain only)
  * PUT /api/team/name
  */
 async function updateTeamName(req, res) {
   try {
-    const userId = req.user.userId;
+    const teamId = req.user.team_id;
     const { teamName } = req.body;
 
     if (!teamName || teamName.length < 3) {
@@ -133,10 +153,10 @@ async function updateTeamName(req, res) {
       const { error } = await supabaseAdmin
         .from('teams')
         .update({ team_name: teamName })
-        .eq('user_id', userId);
+        .eq('id', teamId);
       if (error) throw error;
     } else {
-      await db.query('UPDATE teams SET team_name = ? WHERE user_id = ?', [teamName, userId]);
+      await db.query('UPDATE teams SET team_name = ? WHERE id = ?', [teamName, teamId]);
     }
 
     res.json({ message: 'Team name updated', teamName });
@@ -159,7 +179,7 @@ async function getProfile(req, res) {
     if (USE_SUPABASE) {
       const { data, error } = await supabaseAdmin
         .from('users')
-        .select('id, name, email, role, is_verified, two_fa_enabled, created_at')
+        .select('id, name, email, role, is_verified, two_fa_enabled, two_fa_method, created_at')
         .eq('id', userId);
       if (error) throw error;
       if (!data || data.length === 0) {
@@ -168,7 +188,7 @@ async function getProfile(req, res) {
       user = data[0];
     } else {
       const [users] = await db.query(`
-        SELECT id, name, email, role, is_verified, two_fa_enabled, created_at
+        SELECT id, name, email, role, is_verified, two_fa_enabled, two_fa_method, created_at
         FROM users WHERE id = ?
       `, [userId]);
 
@@ -178,6 +198,10 @@ async function getProfile(req, res) {
       user = users[0];
     }
 
+    if (user.two_fa_enabled && user.two_fa_method === 'totp') {
+      user.recovery_codes_remaining = await totpService.countRecoveryCodes(userId);
+    }
+
     res.json({ user });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -188,39 +212,369 @@ async function getProfile(req, res) {
 /**
  * ENABLE/DISABLE 2FA
  * POST /api/team/2fa
+ * Body: { enabled, method: 'email' | 'totp', code }
+ *
+ * Switching to 'totp' confirms the secret from POST /api/team/2fa/totp with a
+ * code from the app. Leaving 'totp' (disabling or going back to email) needs
+ * a current authenticator or recovery code.
  */
 async function toggle2FA(req, res) {
   try {
     const userId = req.user.userId;
-    const { enabled } = req.body;
+    const { enabled, method = 'email', code, recoveryCode } = req.body;
 
     if (typeof enabled !== 'boolean') {
       return res.status(400).json({ error: 'enabled must be true or false' });
     }
+    if (!['email', 'totp'].includes(method)) {
+      return res.status(400).json({ error: "method must be 'email' or 'totp'" });
+    }
+
+    const current = await totpService.getTwoFaState(userId);
+    if (!current) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const hasTotp = totpService.usesTotp(current);
+
+    if (enabled && method === 'totp') {
+      if (hasTotp) {
+        return res.json({ message: '2FA enabled', twoFaEnabled: true, method: 'totp' });
+      }
+
+      const recoveryCodes = await totpService.confirmEnrollment(userId, code);
+      await logAudit(userId, '2FA_ENABLED', req, 'Method: totp');
+
+      return res.json({
+        message: 'Authenticator app enabled. Save your recovery codes.',
+        twoFaEnabled: true,
+        method: 'totp',
+        recoveryCodes
+      });
+    }
+
+    if (hasTotp) {
+      const verified = await totpService.verify(userId, { code, recoveryCode });
+      if (!verified) {
+        return res.status(400).json({ error: 'Enter a code from your authenticator app to turn it off' });
+      }
+      await totpService.removeTotp(userId);
+    }
 
     if (USE_SUPABASE) {
       const { error } = await supabaseAdmin
         .from('users')
-        .update({ two_fa_enabled: enabled })
+        .update({ two_fa_enabled: enabled, two_fa_method: 'email' })
         .eq('id', userId);
       if (error) throw error;
     } else {
-      await db.query('UPDATE users SET two_fa_enabled = ? WHERE id = ?', [enabled, userId]);
+      await db.query('UPDATE users SET two_fa_enabled = ?, two_fa_method = ? WHERE id = ?', [enabled, 'email', userId]);
     }
 
+    await logAudit(userId, enabled ? '2FA_ENABLED' : '2FA_DISABLED', req, 'Method: email');
+
     res.json({ 
       message: `2FA ${enabled ? 'enabled' : 'disabled'}`, 
-      twoFaEnabled: enabled 
+      twoFaEnabled: enabled,
+      method: 'email'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Toggle 2FA error:', error);
     res.status(500).json({ error: 'Failed to update 2FA setting' });
   }
 }
 
+/**
+ * START AUTHENTICATOR SETUP
+ * POST /api/team/2fa/totp
+ * Returns a new secret and its otpauth:// URI for the QR code; it takes
+ * effect once confirmed through POST /api/team/2fa.
+ */
+async function setupTotp(req, res) {
+  try {
+    const { secret, otpauthUrl } = await totpService.beginEnrollment(req.user.userId, req.user.email);
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    res.status(500).json({ error: 'Failed to start authenticator setup' });
+  }
+}
+
+/**
+ * REGENERATE RECOVERY CODES
+ * POST /api/team/2fa/recovery-codes
+ * Body: { code } (current authenticator code)
+ */
+async function regenerateRecoveryCodes(req, res) {
+  try {
+    const userId = req.user.userId;
+
+    const verified = await totpService.verify(userId, { code: req.body.code });
+    if (!verified) {
+      return res.status(400).json({ error: 'Invalid authenticator code' });
+    }
+
+    const recoveryCodes = await totpService.regenerateRecoveryCodes(userId);
+    await logAudit(userId, '2FA_RECOVERY_CODES_REGENERATED', req);
+
+    res.json({ message: 'New recovery codes generated. Old codes no longer work.', recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+}
+
+/**
+ * GET TEAM MEMBERS
+ * GET /api/team/members
+ * Pending invites are included for the captain
+ */
+async function getMembers(req, res) {
+  try {
+    const teamId = req.user.team_id;
+    const [members, isCaptain, memberLimit] = await Promise.all([
+      teamMemberService.listMembers(teamId),
+      teamMemberService.isCaptain(req.user.userId, teamId),
+      teamMemberService.getMemberLimit()
+    ]);
+    const invites = isCaptain ? await teamMemberService.listPendingInvites(teamId) : [];
+
+    res.json({ members, invites, isCaptain, memberLimit });
+  } catch (error) {
+    console.error('Get team members error:', error);
+    res.status(500).json({ error: 'Failed to fetch team members' });
+  }
+}
+
+/**
+ * INVITE MEMBER (captain only)
+ * POST /api/team/invites
+ */
+async function inviteMember(req, res) {
+  try {
+    const teamId = req.user.team_id;
+    const email = (req.body.email || '').trim();
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const { invite, token, teamName } = await teamMemberService.createInvite(teamId, email, req.user.userId);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const link = `${frontendUrl.replace(/\/$/, '')}/join?token=${token}`;
+
+    try {
+      await sendTeamInviteEmail(email, teamName, req.user.email, link);
+    } catch (emailError) {
+      console.error('Invite email failed:', emailError.message);
+    }
+
+    await logAudit(req.user.userId, 'TEAM_MEMBER_INVITED', req, `Team ${teamId}: ${email}`);
+
+    res.status(201).json({
+      message: `Invite sent to ${email}`,
+      invite: { id: invite.id, email: invite.email, expiresAt: invite.expires_at }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Invite member error:', error);
+    res.status(500).json({ error: 'Failed to send invite' });
+  }
+}
+
+/**
+ * CREATE JOIN CODE (captain only)
+ * POST /api/team/invites/code
+ */
+async function createJoinCode(req, res) {
+  try {
+    const teamId = req.user.team_id;
+    const { expires_in_hours, max_uses } = req.body;
+
+    const { invite, code } = await teamMemberService.createJoinCode(teamId, req.user.userId, {
+      ...(expires_in_hours && { expiresInHours: expires_in_hours }),
+      maxUses: max_uses || null
+    });
+
+    await logAudit(req.user.userId, 'TEAM_JOIN_CODE_CREATED', req,
+      `Team ${teamId}: expires ${invite.expires_at.toISOString()}${invite.max_uses ? `, ${invite.max_uses} uses` : ''}`);
+
+    res.status(201).json({
+      message: 'Join code created',
+      code,
+      invite: { id: invite.id, maxUses: invite.max_uses, expiresAt: invite.expires_at }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create join code error:', error);
+    res.status(500).json({ error: 'Failed to create join code' });
+  }
+}
+
+/**
+ * REVOKE INVITE (captain only)
+ * DELETE /api/team/invites/:inviteId
+ */
+async function revokeInvite(req, res) {
+  try {
+    const revoked = await teamMemberService.revokeInvite(req.user.team_id, req.params.inviteId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    await logAudit(req.user.userId, 'TEAM_INVITE_REVOKED', req, `Invite ${req.params.inviteId}`);
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+}
+
+/**
+ * REMOVE MEMBER (captain only)
+ * DELETE /api/team/members/:memberId
+ */
+async function removeMember(req, res) {
+  try {
+    const member = await teamMemberService.removeMember(req.user.team_id, req.params.memberId, req.user.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await logAudit(req.user.userId, 'TEAM_MEMBER_REMOVED', req,
+      `Team ${req.user.team_id}: ${member.member_email || member.member_name}`);
+    res.json({ message: `${member.member_name} removed from the team` });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+}
+
+/**
+ * LIST TEAM SESSIONS (captain only)
+ * GET /api/team/sessions
+ * Sessions of every account on the team
+ */
+async function listTeamSessions(req, res) {
+  try {
+    const sessions = await sessionService.listSessions({ teamId: req.user.team_id });
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    console.error('List team sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+}
+
+/**
+ * REVOKE TEAM SESSION (captain only)
+ * DELETE /api/team/sessions/:sessionId
+ * Signs out any device on the team, e.g. a removed member's laptop
+ */
+async function revokeTeamSession(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const revoked = await sessionService.revokeSession(sessionId, { teamId: req.user.team_id }, req.user.userId, 'revoked');
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await logAudit(req.user.userId, 'SESSION_REVOKED', req, `Team ${req.user.team_id}: session ${sessionId}`);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke team session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+}
+
+/**
+ * GET INVITE (public)
+ * GET /api/team/invites/:token
+ */
+async function getInvite(req, res) {
+  try {
+    const invite = await teamMemberService.getInviteByToken(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'This invite is invalid or has expired' });
+    }
+
+    res.json({ invite: { email: invite.email, teamName: invite.team_name, expiresAt: invite.expires_at } });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+}
+
+/**
+ * JOIN TEAM (public)
+ * POST /api/team/join
+ * Redeems an invite link token or a join code and creates the member's
+ * account; they then log in normally. Join-code accounts first confirm their
+ * email with the code sent here (POST /api/auth/verify-email).
+ */
+async function joinTeam(req, res) {
+  try {
+    const { token, code, email, name, password } = req.body;
+
+    if ((!token && !code) || !name || !password) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const result = await teamMemberService.joinTeam({ token, code, email, name, password });
+    await logAudit(result.userId, 'TEAM_JOINED', req, `Team: ${result.teamName} (${token ? 'invite link' : 'join code'})`);
+
+    if (result.verificationRequired) {
+      const otp = await createOTP(result.userId, 'verify');
+      try {
+        await sendVerificationEmail(result.email, name, otp);
+      } catch (emailError) {
+        console.error('Verification email failed:', emailError.message);
+      }
+    }
+
+    res.status(201).json({
+      message: result.verificationRequired
+        ? `Welcome to ${result.teamName}. Enter the code sent to ${result.email} to verify your email.`
+        : `Welcome to ${result.teamName}. You can now log in.`,
+      userId: result.userId,
+      email: result.email,
+      teamName: result.teamName,
+      verificationRequired: result.verificationRequired
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Join team error:', error);
+    res.status(500).json({ error: 'Failed to join team' });
+  }
+}
+
 module.exports = {
   getMyTeam,
   updateTeamName,
   getProfile,
-  toggle2FA
+  toggle2FA,
+  setupTotp,
+  regenerateRecoveryCodes,
+  getMembers,
+  inviteMember,
+  createJoinCode,
+  revokeInvite,
+  removeMember,
+  listTeamSessions,
+  revokeTeamSession,
+  getInvite,
+  joinTeam
 };
@@ -2,17 +2,26 @@ const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
 const { checkTeamLevelAccess } = require('../middleware/levelAccess');
+const { hasAnswer } = require('../utils/answerMatcher');
+const dynamicFlagService = require('../services/dynamicFlagService');
+const analyticsService = require('../services/analyticsService');
+const realtimeService = require('../services/realtimeService');
+const levelService = require('../services/levelService');
+const scoringService = require('../services/scoringService');
+const notificationService = require('../services/notificationService');
+const timeTrackingService = require('../services/timeTrackingService');
+const hintService = require('../services/hintService');
+const timeAdjustmentService = require('../services/timeAdjustmentService');
+const leaderboardFreezeService = require('../services/leaderboardFreezeService');
 
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
-// Level time limits in seconds (40 minutes = 2400 seconds)
-const LEVEL_TIME_LIMITS = {
-  1: 40 * 60, // 40 minutes for Level 1
-  2: 60 * 60  // 60 minutes for Level 2 (can be adjusted)
-};
+// Flag config rides along with the puzzle row so dynamic flags need no extra lookup
+const CURRENT_PUZZLE_COLUMNS = 'id, level, puzzle_number, title, description, puzzle_type, puzzle_content, puzzle_file_url, points, time_limit_minutes, dynamic_flag, flag_secret, flag_template';
 
 /**
  * Check if team has exceeded time limit for their current level
+ * The limit includes any extensions an admin granted the team on that level
  */
 async function checkTeamTimeLimit(teamId) {
   try {
@@ -34,21 +43,23 @@ async function checkTeamTimeLimit(teamId) {
     if (teamData.status === 'completed' || teamData.status === 'disqualified') {
       return { expired: false, remainingSeconds: 0, elapsedSeconds: 0, status: teamData.status };
     }
+    // Per-level time limits come from the levels table
+    const level = teamData.level || 1;
+    const { extensionSeconds } = await timeAdjustmentService.getAdjustmentTotals(teamId, level);
+    const timeLimit = Math.max(0, (await levelService.getTimeLimitSeconds(level)) + extensionSeconds);
     if (!teamData.start_time) {
-      const timeLimit = LEVEL_TIME_LIMITS[teamData.level] || LEVEL_TIME_LIMITS[1];
-      return { expired: false, remainingSeconds: timeLimit, elapsedSeconds: 0 };
+      return { expired: false, remainingSeconds: timeLimit, elapsedSeconds: 0, timeLimit, extensionSeconds };
     }
 
     const startTime = new Date(teamData.start_time);
     const now = new Date();
     const elapsedSeconds = Math.floor((now - startTime) / 1000);
-    const timeLimit = LEVEL_TIME_LIMITS[teamData.level] || LEVEL_TIME_LIMITS[1];
     const remainingSeconds = Math.max(0, timeLimit - elapsedSeconds);
 
-    return { expired: elapsedSeconds >= timeLimit, remainingSeconds, elapsedSeconds, timeLimit, level: teamData.level };
+    return { expired: elapsedSeconds >= timeLimit, remainingSeconds, elapsedSeconds, timeLimit, extensionSeconds, level: teamData.level };
   } catch (err) {
     console.error('checkTeamTimeLimit error:', err.message);
-    return { expired: false, remainingSeconds: LEVEL_TIME_LIMITS[1], elapsedSeconds: 0 };
+    return { expired: false, remainingSeconds: await levelService.getTimeLimitSeconds(1), elapsedSeconds: 0 };
   }
 }
 
@@ -116,8 +127,8 @@ exports.getCurrentPuzzle = async (req, res) => {
 
     const currentLevel = teamData.level || 1;
 
-    // Check if team can access their current level (Level 2+ requires qualification + admin unlock)
-    if (currentLevel >= 2) {
+    // Check if team can access their current level (levels after the first require qualification + admin unlock)
+    if (await levelService.getPreviousLevel(currentLevel)) {
       const accessResult = await checkTeamLevelAccess(teamId, currentLevel);
       if (!accessResult.allowed) {
         return res.status(403).json({
@@ -137,7 +148,7 @@ exports.getCurrentPuzzle = async (req, res) => {
     if (requestedPuzzleId) {
       const { data: requestedPuzzle } = await supabaseAdmin
         .from('puzzles')
-        .select('id, level, puzzle_number, title, description, puzzle_type, puzzle_content, puzzle_file_url, points, time_limit_minutes')
+        .select(CURRENT_PUZZLE_COLUMNS)
         .eq('id', requestedPuzzleId)
         .eq('is_active', true)
         .single();
@@ -198,7 +209,7 @@ exports.getCurrentPuzzle = async (req, res) => {
       if (currentPuzzleId) {
         const { data: cp } = await supabaseAdmin
           .from('puzzles')
-          .select('id, level, puzzle_number, title, description, puzzle_type, puzzle_content, puzzle_file_url, points, time_limit_minutes')
+          .select(CURRENT_PUZZLE_COLUMNS)
           .eq('id', currentPuzzleId)
           .eq('is_active', true)
           .single();
@@ -231,7 +242,7 @@ exports.getCurrentPuzzle = async (req, res) => {
         // Get next uncompleted puzzle at current level
         let query = supabaseAdmin
           .from('puzzles')
-          .select('id, level, puzzle_number, title, description, puzzle_type, puzzle_content, puzzle_file_url, points, time_limit_minutes')
+          .select(CURRENT_PUZZLE_COLUMNS)
           .eq('level', currentLevel)
           .eq('is_active', true)
           .order('puzzle_number', { ascending: true });
@@ -282,7 +293,7 @@ exports.getCurrentPuzzle = async (req, res) => {
       // Check next level
       const { data: nextLevelPuzzles } = await supabaseAdmin
         .from('puzzles')
-        .select('id, level, puzzle_number, title, description, puzzle_type, puzzle_content, puzzle_file_url, points, time_limit_minutes')
+        .select(CURRENT_PUZZLE_COLUMNS)
         .gt('level', currentLevel)
         .eq('is_active', true)
         .order('level', { ascending: true })
@@ -294,12 +305,13 @@ exports.getCurrentPuzzle = async (req, res) => {
       }
 
       // Check if next level is unlocked
-      try {
-        const { data: gameState } = await supabaseAdmin.from('game_state').select('level2_open').limit(1);
-        if (nextLevelPuzzles[0].level === 2 && !gameState?.[0]?.level2_open) {
-          return res.json({ success: true, message: 'Level 1 completed! Waiting for Level 2 to unlock.', puzzle: null, waiting_for_level: 2 });
-        }
-      } catch (e) { /* game_state may not exist */ }
+      const nextLevel = nextLevelPuzzles[0].level;
+      if (!(await levelService.isLevelUnlocked(nextLevel))) {
+        const [finished, waiting] = await Promise.all([levelService.getLevel(currentLevel), levelService.getLevel(nextLevel)]);
+        const finishedName = finished?.name || `Level ${currentLevel}`;
+        const waitingName = waiting?.name || `Level ${nextLevel}`;
+        return res.json({ success: true, message: `${finishedName} completed! Waiting for ${waitingName} to unlock.`, puzzle: null, waiting_for_level: nextLevel });
+      }
 
       puzzle = nextLevelPuzzles[0];
     }
@@ -379,12 +391,18 @@ exports.getCurrentPuzzle = async (req, res) => {
       } catch (e) {}
     }
 
+    // Per-team flags are rendered into the content server-side; the flag config never leaves the server
+    const { dynamic_flag, flag_secret, flag_template, ...publicPuzzle } = puzzle;
+    if (dynamic_flag) {
+      publicPuzzle.puzzle_content = dynamicFlagService.renderPuzzleContent(puzzle, teamId);
+    }
+
     const currentTimeCheck = await checkTeamTimeLimit(teamId);
 
     res.json({
       success: true,
       puzzle: {
-        ...puzzle,
+        ...publicPuzzle,
         progress: (progress && progress[0]) || { attempts: 0, hints_used: 0 },
         available_hints: availableHints.length,
         total_hints: (allHints || []).length,
@@ -393,7 +411,7 @@ exports.getCurrentPuzzle = async (req, res) => {
       },
       time_remaining_seconds: currentTimeCheck.remainingSeconds,
       time_elapsed_seconds: currentTimeCheck.elapsedSeconds,
-      time_limit_seconds: currentTimeCheck.timeLimit || LEVEL_TIME_LIMITS[1]
+      time_limit_seconds: currentTimeCheck.timeLimit || await levelService.getTimeLimitSeconds(1)
     });
   } catch (error) {
     console.error('Error fetching current puzzle:', error);
@@ -443,15 +461,15 @@ exports.submitAnswer = async (req, res) => {
     // Get puzzle details
     const { data: puzzleData } = await supabaseAdmin
       .from('puzzles')
-      .select('correct_answer, level, puzzle_number, points')
+      .select('id, title, correct_answer, correct_answer_hash, answer_match_mode, answer_match_options, dynamic_flag, flag_secret, flag_template, level, puzzle_number, points, scoring_mode')
       .eq('id', puzzle_id)
       .single();
 
     if (!puzzleData) return res.status(404).json({ success: false, message: 'Puzzle not found' });
-    if (!puzzleData.correct_answer) return res.status(500).json({ success: false, message: 'Puzzle answer not configured' });
+    if (!hasAnswer(puzzleData) && !puzzleData.dynamic_flag) return res.status(500).json({ success: false, message: 'Puzzle answer not configured' });
 
-    // Check if team can access this puzzle's level (Level 2+ requires qualification + admin unlock)
-    if (puzzleData.level >= 2) {
+    // Check if team can access this puzzle's level (levels after the first require qualification + admin unlock)
+    if (await levelService.getPreviousLevel(puzzleData.level)) {
       const accessResult = await checkTeamLevelAccess(teamId, puzzleData.level);
       if (!accessResult.allowed) {
         return res.status(403).json({
@@ -463,33 +481,66 @@ exports.submitAnswer = async (req, res) => {
       }
     }
 
+    // Too many wrong answers to this puzzle: wait before guessing again
+    const settings = await timeTrackingService.getGameSettings();
+    const cooldown = await analyticsService.getWrongAnswerCooldown(teamId, puzzle_id, {
+      threshold: settings.wrongAnswerCooldownThreshold,
+      seconds: settings.wrongAnswerCooldownSeconds
+    });
+    if (cooldown.active) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many wrong answers. Try again in ${cooldown.retryAfter} seconds.`,
+        code: 'ANSWER_COOLDOWN',
+        retry_after: cooldown.retryAfter
+      });
+    }
+
     // Get progress (may not exist after game reset - that's OK)
     const { data: progressArr } = await supabaseAdmin
       .from('team_progress')
-      .select('started_at, attempts')
+      .select('started_at, attempts, is_completed')
       .eq('team_id', teamId)
       .eq('puzzle_id', puzzle_id);
 
     let progressData = progressArr?.[0];
 
+    // Re-submitting a solved puzzle changes nothing, so the first solve keeps its time and blood rank
+    if (progressData?.is_completed) {
+      return res.json({
+        success: true, is_correct: true, already_solved: true,
+        message: 'You have already solved this puzzle.', points_earned: 0
+      });
+    }
+
     // If no progress row exists (e.g., after game reset), create one
     if (!progressData) {
-      try {
-        await supabaseAdmin.from('team_progress').insert({
-          id: uuidv4(), team_id: teamId, puzzle_id: puzzle_id,
-          current_level: puzzleData.level, current_puzzle: puzzleData.puzzle_number,
-          is_completed: false, started_at: new Date().toISOString(), attempts: 0
-        });
-        progressData = { started_at: new Date().toISOString(), attempts: 0 };
-      } catch (e) {
-        console.log('team_progress insert error (may already exist):', e.message);
+      const startedAt = new Date().toISOString();
+      const { error: insertError } = await supabaseAdmin.from('team_progress').insert({
+        id: uuidv4(), team_id: teamId, puzzle_id: puzzle_id,
+        current_level: puzzleData.level, current_puzzle: puzzleData.puzzle_number,
+        is_completed: false, started_at: startedAt, attempts: 0
+      });
+      if (insertError) {
+        console.log('team_progress insert error (may already exist):', insertError.message);
         // Re-fetch in case another concurrent request created it
         const { data: retryArr } = await supabaseAdmin
           .from('team_progress')
-          .select('started_at, attempts')
+          .select('started_at, attempts, is_completed')
           .eq('team_id', teamId)
           .eq('puzzle_id', puzzle_id);
-        progressData = retryArr?.[0] || { started_at: new Date().toISOString(), attempts: 0 };
+        progressData = retryArr?.[0];
+        if (!progressData) {
+          return res.status(500).json({ success: false, message: 'Failed to record puzzle progress' });
+        }
+        if (progressData.is_completed) {
+          return res.json({
+            success: true, is_correct: true, already_solved: true,
+            message: 'You have already solved this puzzle.', points_earned: 0
+          });
+        }
+      } else {
+        progressData = { started_at: startedAt, attempts: 0 };
       }
     }
 
@@ -497,13 +548,29 @@ exports.submitAnswer = async (req, res) => {
       ? Math.floor((Date.now() - new Date(progressData.started_at).getTime()) / 1000)
       : 0;
 
-    // Check answer
-    const isCorrect = answer.trim().toLowerCase() === puzzleData.correct_answer.trim().toLowerCase();
+    // Check answer using the team's own flag or the puzzle's configured match mode
+    const isCorrect = dynamicFlagService.checkTeamAnswer(puzzleData, teamId, answer);
+
+    // The progress row exists by now, so only the request that flips is_completed counts as the solve;
+    // a concurrent duplicate records nothing
+    if (isCorrect) {
+      const { data: solvedRows, error: solveError } = await supabaseAdmin.from('team_progress')
+        .update({ is_completed: true, completed_at: new Date().toISOString() })
+        .eq('team_id', teamId).eq('puzzle_id', puzzle_id).eq('is_completed', false)
+        .select('id');
+      if (solveError) throw solveError;
+      if (!solvedRows || solvedRows.length === 0) {
+        return res.json({
+          success: true, is_correct: true, already_solved: true,
+          message: 'You have already solved this puzzle.', points_earned: 0
+        });
+      }
+    }
 
     // Record submission - try with evaluation_status first, fallback without
     try {
       await supabaseAdmin.from('submissions').insert({
-        id: uuidv4(), team_id: teamId, puzzle_id: puzzle_id,
+        id: uuidv4(), team_id: teamId, user_id: req.user.userId, puzzle_id: puzzle_id,
         submitted_answer: answer, is_correct: isCorrect, time_taken_seconds: timeTaken,
         evaluation_status: 'PENDING'
       });
@@ -511,7 +578,7 @@ exports.submitAnswer = async (req, res) => {
       // evaluation_status column may not exist - retry without it
       console.log('Submissions insert with evaluation_status failed, retrying without:', e.message);
       await supabaseAdmin.from('submissions').insert({
-        id: uuidv4(), team_id: teamId, puzzle_id: puzzle_id,
+        id: uuidv4(), team_id: teamId, user_id: req.user.userId, puzzle_id: puzzle_id,
         submitted_answer: answer, is_correct: isCorrect, time_taken_seconds: timeTaken
       });
     }
@@ -533,6 +600,31 @@ exports.submitAnswer = async (req, res) => {
       console.log('Activity log insert error:', e.message);
     }
 
+    // A wrong dynamic flag that belongs to another team means the flag was shared
+    if (!isCorrect && puzzleData.dynamic_flag) {
+      try {
+        const ownerTeamId = await dynamicFlagService.findFlagOwner(puzzleData, answer, teamId);
+        if (ownerTeamId) {
+          await analyticsService.detectSuspiciousActivity(teamId, 'flag_sharing', {
+            puzzleId: puzzle_id,
+            ownerTeamId
+          });
+        }
+      } catch (e) {
+        console.log('Flag sharing check error:', e.message);
+      }
+    }
+
+    // Brute-force, enumeration and collusion checks; not awaited so the team gets its answer first
+    if (!isCorrect) {
+      analyticsService.detectSuspiciousActivity(teamId, 'wrong_answer', { puzzleId: puzzle_id, answer })
+        .catch(e => console.log('Wrong answer check error:', e.message));
+    }
+
+    // Push the new state; only solves move the leaderboard
+    realtimeService.publishSessionChange(teamId);
+    if (isCorrect) realtimeService.publishLeaderboardChange();
+
     // Set start_time if not set
     await supabaseAdmin.from('teams')
       .update({ start_time: new Date().toISOString() })
@@ -561,10 +653,19 @@ exports.submitAnswer = async (req, res) => {
         await supabaseAdmin.rpc('increment_field', { row_id: teamId, table_name: 'team_sessions', field_name: 'questions_completed' });
       } catch (e) { /* may not exist */ }
 
-      // Update team_progress
-      await supabaseAdmin.from('team_progress')
-        .update({ is_completed: true, completed_at: new Date().toISOString() })
-        .eq('team_id', teamId).eq('puzzle_id', puzzle_id);
+      // Value after this solve; dynamic puzzles decay and re-score earlier solvers
+      const solve = await scoringService.onPuzzleSolved(puzzleData, teamId);
+      const pointsEarned = solve.value + solve.bloodBonus;
+
+      // First blood is always announced; second and third only when they carry a bonus.
+      // Nothing is announced while the leaderboard is frozen, as it would reveal the solve
+      const announceBlood = solve.bloodRank === 1 || solve.bloodBonus > 0;
+      if (announceBlood && !leaderboardFreezeService.isFrozen(await leaderboardFreezeService.getState())) {
+        const { data: teamRow } = await supabaseAdmin
+          .from('teams').select('team_name').eq('id', teamId).single();
+        notificationService.notifyBlood(teamRow?.team_name || 'A team', puzzleData.title, solve.bloodRank, solve.bloodBonus)
+          .catch(e => console.log('Blood announcement error:', e.message));
+      }
 
       // Calculate progress
       const { data: totalPuzzles } = await supabaseAdmin
@@ -592,7 +693,7 @@ exports.submitAnswer = async (req, res) => {
       if (nextPuzzles && nextPuzzles.length > 0) {
         return res.json({
           success: true, is_correct: true, message: 'Correct answer!',
-          points_earned: puzzleData.points, time_taken: timeTaken, next_puzzle: nextPuzzles[0]
+          points_earned: pointsEarned, blood_rank: solve.bloodRank, time_taken: timeTaken, next_puzzle: nextPuzzles[0]
         });
       } else {
         // All puzzles in current level completed - mark level as completed
@@ -650,14 +751,23 @@ exports.submitAnswer = async (req, res) => {
             : 'Congratulations! You have completed all puzzles!',
           level_completed: true,
           game_completed: !hasNextLevel,
-          points_earned: puzzleData.points, time_taken: timeTaken
+          points_earned: pointsEarned, blood_rank: solve.bloodRank, time_taken: timeTaken
         });
       }
     } else {
       const attemptNumber = progressData ? (progressData.attempts + 1) : 1;
+      // Counted after this answer was stored, so parallel guesses see the cooldown they started
+      const nextCooldown = await analyticsService.getWrongAnswerCooldown(teamId, puzzle_id, {
+        threshold: settings.wrongAnswerCooldownThreshold,
+        seconds: settings.wrongAnswerCooldownSeconds
+      });
       return res.json({
         success: true, is_correct: false,
-        message: 'Incorrect answer. Try again!', attempt_number: attemptNumber
+        message: nextCooldown.active
+          ? `Incorrect answer. Wait ${nextCooldown.retryAfter} seconds before trying again.`
+          : 'Incorrect answer. Try again!',
+        attempt_number: attemptNumber,
+        ...(nextCooldown.active && { retry_after: nextCooldown.retryAfter })
       });
     }
   } catch (error) {
@@ -697,20 +807,28 @@ exports.requestHint = async (req, res) => {
 
     const nextHint = availableHints[0];
 
+    // Past its free unlock time the hint costs nothing and is not counted
+    const { activeSeconds } = await hintService.getActiveTime(teamId, puzzle_id);
+    const isFree = hintService.isHintFree(nextHint, activeSeconds);
+    const penaltySeconds = isFree ? 0 : nextHint.time_penalty_seconds;
+    const pointsPenalty = isFree ? 0 : nextHint.point_cost || 0;
+
     // Record hint usage
     await supabaseAdmin.from('hint_usage').insert({
-      id: uuidv4(), team_id: teamId, hint_id: nextHint.id,
-      puzzle_id: puzzle_id, time_penalty_applied: nextHint.time_penalty_seconds
+      id: uuidv4(), team_id: teamId, user_id: req.user.userId, hint_id: nextHint.id,
+      puzzle_id: puzzle_id, time_penalty_applied: penaltySeconds, points_penalty_applied: pointsPenalty
     });
 
-    // Update team hints count
-    const { data: teamRow } = await supabaseAdmin.from('teams').select('hints_used').eq('id', teamId).single();
-    await supabaseAdmin.from('teams').update({ hints_used: (teamRow?.hints_used || 0) + 1 }).eq('id', teamId);
+    if (!isFree) {
+      // Update team hints count
+      const { data: teamRow } = await supabaseAdmin.from('teams').select('hints_used').eq('id', teamId).single();
+      await supabaseAdmin.from('teams').update({ hints_used: (teamRow?.hints_used || 0) + 1 }).eq('id', teamId);
 
-    // Update progress hints count
-    const { data: progRow } = await supabaseAdmin.from('team_progress').select('hints_used').eq('team_id', teamId).eq('puzzle_id', puzzle_id).single();
-    if (progRow) {
-      await supabaseAdmin.from('team_progress').update({ hints_used: (progRow.hints_used || 0) + 1 }).eq('team_id', teamId).eq('puzzle_id', puzzle_id);
+      // Update progress hints count
+      const { data: progRow } = await supabaseAdmin.from('team_progress').select('hints_used').eq('team_id', teamId).eq('puzzle_id', puzzle_id).single();
+      if (progRow) {
+        await supabaseAdmin.from('team_progress').update({ hints_used: (progRow.hints_used || 0) + 1 }).eq('team_id', teamId).eq('puzzle_id', puzzle_id);
+      }
     }
 
     // Log activity
@@ -718,16 +836,26 @@ exports.requestHint = async (req, res) => {
       await supabaseAdmin.from('activity_logs').insert({
         id: uuidv4(), team_id: teamId, user_id: req.user.id,
         action_type: 'hint_use',
-        description: `Used hint ${nextHint.hint_number}`,
+        description: isFree ? `Viewed free hint ${nextHint.hint_number}` : `Used hint ${nextHint.hint_number}`,
         puzzle_id: puzzle_id
       });
     } catch (e) {
       console.log('Activity log insert error:', e.message);
     }
 
+    realtimeService.sendToTeam(teamId, 'hints', { puzzleId: puzzle_id });
+    realtimeService.publishSessionChange(teamId);
+    realtimeService.publishLeaderboardChange();
+
     res.json({
       success: true,
-      hint: { hint_number: nextHint.hint_number, hint_text: nextHint.hint_text, time_penalty_seconds: nextHint.time_penalty_seconds },
+      hint: {
+        hint_number: nextHint.hint_number,
+        hint_text: nextHint.hint_text,
+        time_penalty_seconds: penaltySeconds,
+        point_cost: pointsPenalty,
+        free: isFree
+      },
       remaining_hints: availableHints.length - 1
     });
   } catch (error) {
@@ -1001,10 +1129,10 @@ exports.getGameSummary = async (req, res) => {
     const endTime = teamData.end_time ? new Date(teamData.end_time) : new Date();
     const totalTimeSeconds = startTime ? Math.floor((endTime - startTime) / 1000) : 0;
 
-    // Level 2 is the final level - no qualification needed, game ends here
-    const isFinalLevel = teamData.level === 2;
+    // The last configured level is the final one - no qualification needed, game ends here
+    const isFinalLevel = !(await levelService.getNextLevel(teamData.level || 1));
     
-    // Simple qualification: 50% or more correct answers (only relevant for level 1)
+    // Simple qualification: 50% or more correct answers (only relevant before the final level)
     const qualificationThreshold = isFinalLevel ? 0 : Math.ceil(totalQuestions / 2);
     const qualified = isFinalLevel ? true : correctAnswers >= qualificationThreshold;
 
@@ -1012,8 +1140,7 @@ exports.getGameSummary = async (req, res) => {
     let rank = null;
     if (isFinalLevel) {
       try {
-        const leaderboardService = require('../services/leaderboardService');
-        rank = await leaderboardService.getTeamRank(teamId);
+        rank = await leaderboardFreezeService.getTeamRankForViewer(teamId, false);
       } catch (e) {
         console.error('Error fetching team rank:', e);
       }
@@ -8,6 +8,11 @@
  */
 
 const timeTrackingService = require('../services/timeTrackingService');
+const timeReplayService = require('../services/timeReplayService');
+const timeAdjustmentService = require('../services/timeAdjustmentService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const { logAudit } = require('../services/auditService');
 
 /**
  * POST /api/game/start-question
@@ -373,6 +378,33 @@ exports.syncTimer = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/game/time/heartbeat
+ * Keep-alive from the timer page; resumes a question auto-paused on disconnect
+ */
+exports.heartbeat = async (req, res) => {
+  try {
+    const teamId = req.user.team_id;
+    
+    if (!teamId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team ID not found in token'
+      });
+    }
+    
+    const result = await timeTrackingService.recordHeartbeat(teamId, req);
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record heartbeat'
+    });
+  }
+};
+
 /**
  * GET /api/game/skipped-questions
  * Get list of skipped questions for current team
@@ -555,6 +587,150 @@ exports.recalculateTeamTime = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/admin/team/:teamId/time-replay
+ * Rebuild a team's timing from time_tracking_events and diff it against
+ * the stored values (Admin only)
+ */
+exports.getTeamTimeReplay = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    
+    const result = await timeReplayService.replayTeam(teamId);
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error replaying team time:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay team time'
+    });
+  }
+};
+
+/**
+ * POST /api/admin/team/:teamId/time-replay/apply
+ * Overwrite stored timing with the replayed values (Admin only)
+ * Body: { puzzle_ids? } limits question corrections to those puzzles
+ */
+exports.applyTeamTimeReplay = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const { puzzle_ids } = req.body || {};
+    
+    if (puzzle_ids !== undefined && !Array.isArray(puzzle_ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'puzzle_ids must be an array'
+      });
+    }
+    
+    const result = await timeReplayService.applyReplay(teamId, { puzzleIds: puzzle_ids });
+    
+    if (result.applied.length > 0) {
+      const summary = result.applied
+        .map(diff => `${diff.puzzle_id ? `${diff.puzzle_id} ` : ''}${diff.field} ${diff.stored} -> ${diff.replayed}`)
+        .join('; ');
+      await logAudit(req.user.userId, 'TEAM_TIME_CORRECTED', req, `Team ${teamId}: ${summary}`);
+    }
+    
+    res.json({
+      success: true,
+      team_id: teamId,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error applying team time replay:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply replayed time'
+    });
+  }
+};
+
+/**
+ * GET /api/admin/team/:teamId/time-adjustments
+ * List the time extensions and penalties granted to a team (Admin only)
+ */
+exports.getTeamTimeAdjustments = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    
+    const [adjustments, totals] = await Promise.all([
+      timeAdjustmentService.getAdjustments(teamId),
+      timeAdjustmentService.getAdjustmentTotals(teamId)
+    ]);
+    
+    res.json({
+      success: true,
+      team_id: teamId,
+      adjustments,
+      extension_seconds: totals.extensionSeconds,
+      penalty_seconds: totals.penaltySeconds
+    });
+  } catch (error) {
+    console.error('Error getting team time adjustments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get time adjustments'
+    });
+  }
+};
+
+/**
+ * POST /api/admin/team/:teamId/time-adjustments
+ * Grant a team a time extension or penalty on a level (Admin only)
+ * Body: { level, adjustment_type: 'extension' | 'penalty', seconds, reason }
+ * A negative penalty credits time back; the reason is required
+ */
+exports.grantTeamTimeAdjustment = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const data = req.body || {};
+    
+    const validationError = timeAdjustmentService.validateAdjustment(data);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    
+    const adjustment = await timeAdjustmentService.grantAdjustment(teamId, data, req.user.userId || req.user.id);
+    const description = timeAdjustmentService.describeAdjustment(adjustment);
+    
+    await logAudit(req.user.userId, 'TEAM_TIME_ADJUSTED', req, `Team ${teamId}: ${description}`);
+    
+    if (adjustment.adjustment_type === 'extension') {
+      const minutes = Math.round(Math.abs(adjustment.seconds) / 6) / 10;
+      await notificationService.createNotification(
+        teamId,
+        'system',
+        'Time Limit Changed',
+        `Your level ${adjustment.level} time limit was ${adjustment.seconds > 0 ? 'extended' : 'shortened'} by ${minutes} minute${minutes === 1 ? '' : 's'}`,
+        'high',
+        { level: adjustment.level, seconds: adjustment.seconds }
+      );
+    }
+    realtimeService.publishSessionChange(teamId);
+    
+    res.status(201).json({
+      success: true,
+      message: description,
+      adjustment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Error granting team time adjustment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant time adjustment'
+    });
+  }
+};
+
 /**
  * GET /api/admin/question-analytics
  * Get analytics data for all questions (Admin only)
@@ -1,8 +1,11 @@
 const { verifyAccessToken } = require('../utils/jwt');
+const sessionService = require('../services/sessionService');
+const { resolveAdminRole } = require('../utils/adminPermissions');
 
 /**
  * Authentication Middleware
  * Verifies JWT access token and attaches user to req
+ * Tokens bound to a session are rejected once that session is revoked
  */
 
 async function authMiddleware(req, res, next) {
@@ -24,13 +27,21 @@ async function authMiddleware(req, res, next) {
     const decoded = verifyAccessToken(token);
     console.log('Auth middleware: Token valid, user:', decoded.email, 'role:', decoded.role);
 
+    // Check the session registry (tokens from before it existed have no sessionId)
+    if (decoded.sessionId && !(await sessionService.validateSession(decoded.sessionId))) {
+      console.log('Auth middleware: Session revoked:', decoded.sessionId);
+      return res.status(401).json({ error: 'Session revoked', code: 'SESSION_REVOKED' });
+    }
+
     // Attach user info to request
     req.user = {
       id: decoded.userId,
       userId: decoded.userId,
       email: decoded.email,
       role: decoded.role,
-      team_id: decoded.teamId || null
+      adminRole: decoded.role === 'admin' ? resolveAdminRole(decoded.adminRole) : null,
+      team_id: decoded.teamId || null,
+      sessionId: decoded.sessionId || null
     };
 
     next();
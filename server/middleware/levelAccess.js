@@ -3,7 +3,7 @@
  * LEVEL ACCESS MIDDLEWARE
  * ==============================================
  * Validates team's access to specific levels
- * Level 2 requires qualification from Level 1
+ * Every level after the first requires qualification from the one before
  * 
  * NEW CODE - Added for Level-Wise Qualification System
  * UPDATED - Added evaluation state checks (Level 2 requires Level 1 results published)
@@ -11,54 +11,83 @@
 
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
+const levelService = require('../services/levelService');
 
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
+/**
+ * Fetch the fields level checks need for a team
+ */
+async function getTeamLevelRow(teamId) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('teams')
+      .select('status, level')
+      .eq('id', teamId)
+      .limit(1);
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+  const [team] = await db.query('SELECT status, level FROM teams WHERE id = ?', [teamId]);
+  return team[0] || null;
+}
+
 /**
  * Check if team can access a specific level
- * SIMPLIFIED: Just check team's current level assignment
+ * The first level only needs an active team; later levels need the team
+ * promoted to that level and the level unlocked by an admin
  * @param {string} teamId - Team's UUID
- * @param {number} levelId - Level number (1 or 2)
+ * @param {number} levelId - Level number (any configured level)
  * @returns {Promise<{allowed: boolean, reason: string, qualification_status?: string}>}
  */
 async function checkTeamLevelAccess(teamId, levelId) {
   try {
-    // Get team data
-    const [team] = await db.query(
-      'SELECT status, level FROM teams WHERE id = ?',
-      [teamId]
-    );
+    const team = await getTeamLevelRow(teamId);
     
-    if (team.length === 0) {
+    if (!team) {
       return { allowed: false, reason: 'Team not found' };
     }
     
-    if (team[0].status !== 'active') {
+    if (team.status !== 'active') {
       return { allowed: false, reason: 'Team is not active' };
     }
 
-    const teamLevel = team[0].level || 1;
+    const level = await levelService.getLevel(levelId);
+    if (!level) {
+      return { allowed: false, reason: `Level ${levelId} does not exist` };
+    }
+
+    const teamLevel = team.level || 1;
+    const firstLevel = await levelService.getFirstLevel();
 
-    // Level 1 is always accessible
-    if (levelId === 1) {
-      return { allowed: true, reason: 'Level 1 accessible' };
+    // The first level is always accessible
+    if (level.level_number === firstLevel.level_number) {
+      return { allowed: true, reason: `${level.name} accessible` };
     }
     
-    // For Level 2+, check if team is assigned to that level or higher
-    if (teamLevel >= levelId) {
+    // Team not yet assigned to this level
+    if (teamLevel < level.level_number) {
+      return {
+        allowed: false,
+        reason: `You must be promoted to ${level.name} before accessing it`,
+        qualification_status: 'NOT_QUALIFIED'
+      };
+    }
+
+    if (!level.is_unlocked) {
       return {
-        allowed: true,
-        reason: `Level ${levelId} accessible`,
+        allowed: false,
+        reason: `${level.name} has not been unlocked yet`,
         qualification_status: 'QUALIFIED',
         results_published: true
       };
     }
 
-    // Team not yet assigned to this level
     return {
-      allowed: false,
-      reason: `You must be promoted to Level ${levelId} before accessing it`,
-      qualification_status: 'NOT_QUALIFIED'
+      allowed: true,
+      reason: `${level.name} accessible`,
+      qualification_status: 'QUALIFIED',
+      results_published: true
     };
   } catch (error) {
     console.error('Error checking level access:', error);
@@ -87,19 +116,28 @@ function levelAccessMiddleware(options = {}) {
       
       // If no explicit level, try to infer from puzzle
       if (!levelId && req.body.puzzle_id) {
-        const [puzzle] = await db.query(
-          'SELECT level FROM puzzles WHERE id = ?',
-          [req.body.puzzle_id]
-        );
-        if (puzzle.length > 0) {
-          levelId = puzzle[0].level;
+        if (USE_SUPABASE) {
+          const { data: puzzle } = await supabaseAdmin
+            .from('puzzles')
+            .select('level')
+            .eq('id', req.body.puzzle_id)
+            .limit(1);
+          levelId = puzzle?.[0]?.level;
+        } else {
+          const [puzzle] = await db.query(
+            'SELECT level FROM puzzles WHERE id = ?',
+            [req.body.puzzle_id]
+          );
+          if (puzzle.length > 0) {
+            levelId = puzzle[0].level;
+          }
         }
       }
       
       // Default to checking team's current level
       if (!levelId) {
-        const [team] = await db.query('SELECT level FROM teams WHERE id = ?', [teamId]);
-        levelId = team[0]?.level || 1;
+        const team = await getTeamLevelRow(teamId);
+        levelId = team?.level || 1;
       }
       
       levelId = parseInt(levelId);
@@ -135,7 +173,7 @@ function levelAccessMiddleware(options = {}) {
 
 /**
  * Require specific level access (use in routes)
- * @param {number} level - Required level number
+ * @param {number} level - Required level number (any configured level)
  */
 function requireLevel(level) {
   return levelAccessMiddleware({ level });
@@ -1,20 +1,36 @@
 const rateLimit = require('express-rate-limit');
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { RATE_LIMITS, createStore } = require('../utils/rateLimitStore');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
  * Rate Limiting Middleware
  * Protects against brute-force attacks
+ *
+ * Limits and stores come from utils/rateLimitStore.js, which the serverless
+ * handlers under api/ use too, so both enforce the same limits and (with a
+ * shared store) the same counters.
  */
 
-const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
-const MAX_ATTEMPTS = parseInt(process.env.RATE_LIMIT_MAX_ATTEMPTS) || 20; // Increased from 5 to support shared networks
+function storeFor(name) {
+  return createStore({
+    windowMs: RATE_LIMITS[name].windowMs,
+    prefix: `${name}:`,
+    db,
+    supabase: USE_SUPABASE ? supabaseAdmin : null
+  });
+}
 
 /**
  * Auth rate limiter (login, OTP verification, password reset)
- * 5 attempts per 15 minutes per IP
+ * RATE_LIMIT_MAX_ATTEMPTS attempts per 15 minutes per IP
  */
 const authLimiter = rateLimit({
-  windowMs: WINDOW_MS,
-  max: MAX_ATTEMPTS,
+  windowMs: RATE_LIMITS.auth.windowMs,
+  max: RATE_LIMITS.auth.max,
+  store: storeFor('auth'),
+  passOnStoreError: true, // An unreachable store should not lock everyone out
   message: {
     error: 'Too many attempts. Please try again later.',
     code: 'RATE_LIMIT_EXCEEDED'
@@ -25,7 +41,7 @@ const authLimiter = rateLimit({
     res.status(429).json({
       error: 'Too many attempts from this IP, please try again after 15 minutes',
       code: 'RATE_LIMIT_EXCEEDED',
-      retryAfter: Math.ceil(WINDOW_MS / 60000) // minutes
+      retryAfter: Math.ceil(RATE_LIMITS.auth.windowMs / 60000) // minutes
     });
   }
 });
@@ -35,8 +51,10 @@ const authLimiter = rateLimit({
  * 3 attempts per 15 minutes per IP
  */
 const strictLimiter = rateLimit({
-  windowMs: WINDOW_MS,
-  max: 3,
+  windowMs: RATE_LIMITS.strict.windowMs,
+  max: RATE_LIMITS.strict.max,
+  store: storeFor('strict'),
+  passOnStoreError: true,
   message: {
     error: 'Too many sensitive operation attempts',
     code: 'RATE_LIMIT_EXCEEDED'
@@ -45,12 +63,37 @@ const strictLimiter = rateLimit({
     res.status(429).json({
       error: 'Too many attempts from this IP, please try again after 15 minutes',
       code: 'RATE_LIMIT_EXCEEDED',
-      retryAfter: Math.ceil(WINDOW_MS / 60000)
+      retryAfter: Math.ceil(RATE_LIMITS.strict.windowMs / 60000)
+    });
+  }
+});
+
+/**
+ * Answer submission limiter
+ * Counted per team, so members cannot multiply the budget by splitting
+ * guesses between accounts. Must run after authenticateToken.
+ */
+const submitLimiter = rateLimit({
+  windowMs: RATE_LIMITS.submit.windowMs,
+  max: RATE_LIMITS.submit.max,
+  store: storeFor('submit'),
+  passOnStoreError: true,
+  keyGenerator: (req) => req.user.team_id || req.user.userId,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+    res.status(429).json({
+      success: false,
+      error: `Too many answer submissions from your team. Try again in ${retryAfter} seconds.`,
+      code: 'SUBMIT_RATE_LIMIT',
+      retryAfter // seconds
     });
   }
 });
 
 module.exports = {
   authLimiter,
-  strictLimiter
+  strictLimiter,
+  submitLimiter
 };
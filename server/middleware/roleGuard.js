@@ -1,3 +1,6 @@
+const teamMemberService = require('../services/teamMemberService');
+const { hasPermission } = require('../utils/adminPermissions');
+
 /**
  * Role-based Access Control Middleware
  * Ensures only authorized roles can access routes
@@ -19,6 +22,34 @@ function adminOnly(req, res, next) {
   next();
 }
 
+/**
+ * Permission middleware for admin endpoints
+ * The admin's role (req.user.adminRole) must grant the permission in
+ * utils/adminPermissions.js
+ * Requires authMiddleware to run first
+ * @param {string} permission - e.g. PERMISSIONS.GAME_CONTROL
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!hasPermission(req.user.adminRole, permission)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `This endpoint requires the ${permission} permission`
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Team-only middleware
  * Requires authMiddleware to run first
@@ -35,7 +66,26 @@ function teamOnly(req, res, next) {
   next();
 }
 
+/**
+ * Captain-only middleware
+ * The captain is the account that registered the team
+ * Requires authMiddleware and teamOnly to run first
+ */
+async function captainOnly(req, res, next) {
+  try {
+    if (!(await teamMemberService.isCaptain(req.user.userId, req.user.team_id))) {
+      return res.status(403).json({ error: 'Only the team captain can do this' });
+    }
+    next();
+  } catch (error) {
+    console.error('Captain check error:', error);
+    res.status(500).json({ error: 'Failed to verify team role' });
+  }
+}
+
 module.exports = {
   adminOnly,
-  teamOnly
+  requirePermission,
+  teamOnly,
+  captainOnly
 };
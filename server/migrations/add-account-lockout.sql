@@ -0,0 +1,14 @@
+-- Migration: Per-account login backoff and lockout
+-- Failed logins are counted per account (server/services/accountLockoutService.js).
+-- After a few free attempts each failure doubles the wait before the next
+-- attempt; reaching the threshold locks the account until locked_until.
+-- The owner is emailed an unlock link; only its SHA-256 hash is stored.
+
+ALTER TABLE users
+  ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN last_failed_login_at TIMESTAMP NULL,
+  ADD COLUMN locked_until TIMESTAMP NULL,
+  ADD COLUMN unlock_token_hash CHAR(64) NULL,
+  ADD COLUMN unlock_token_expires_at TIMESTAMP NULL;
+
+CREATE INDEX idx_users_unlock_token ON users(unlock_token_hash);
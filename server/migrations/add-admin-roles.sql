@@ -0,0 +1,13 @@
+-- Migration: Fine-grained admin roles
+-- Admin accounts get an admin_role that decides which admin endpoints they
+-- may call (permission map in server/utils/adminPermissions.js):
+--   super_admin   - everything, including managing admins
+--   judge         - monitoring, audit logs, alert review, qualification overrides
+--   puzzle_author - puzzle and hint management only
+--   monitor       - read-only live monitoring
+-- Existing admins become super_admin; NULL is also treated as super_admin.
+
+ALTER TABLE users
+  ADD COLUMN admin_role ENUM('super_admin', 'judge', 'puzzle_author', 'monitor') NULL AFTER role;
+
+UPDATE users SET admin_role = 'super_admin' WHERE role = 'admin' AND admin_role IS NULL;
@@ -0,0 +1,12 @@
+-- Migration: Per-puzzle answer matching modes
+-- Lets each puzzle choose how submitted answers are compared.
+--   exact          - trimmed, case-insensitive (previous behaviour, default)
+--   case_sensitive - trimmed, case-sensitive
+--   regex          - correct_answer is a regular expression (options: { "flags": "i" })
+--   aliases        - correct_answer or any of options.aliases
+--   numeric        - numbers within options.tolerance
+--   normalized     - ignores case, whitespace and punctuation ("flag{ X }" = "flag{x}")
+
+ALTER TABLE puzzles
+  ADD COLUMN answer_match_mode VARCHAR(20) NOT NULL DEFAULT 'exact' AFTER correct_answer,
+  ADD COLUMN answer_match_options JSON NULL AFTER answer_match_mode;
@@ -0,0 +1,9 @@
+-- Migration: First/second/third-blood bonuses
+-- Extra points for the first three teams to solve a puzzle, on top of its
+-- (possibly decaying) value. Solve order follows team_progress.completed_at.
+-- 0 means no bonus; first blood is announced to every team either way.
+
+ALTER TABLE puzzles
+  ADD COLUMN first_blood_bonus INT NOT NULL DEFAULT 0 AFTER decay,
+  ADD COLUMN second_blood_bonus INT NOT NULL DEFAULT 0 AFTER first_blood_bonus,
+  ADD COLUMN third_blood_bonus INT NOT NULL DEFAULT 0 AFTER second_blood_bonus;
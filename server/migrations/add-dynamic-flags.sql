@@ -0,0 +1,13 @@
+-- Migration: Per-team dynamic flags
+-- Puzzles with dynamic_flag = true give every team its own flag:
+--   HMAC-SHA256(flag_secret, '<puzzle_id>:<team_id>') rendered through flag_template
+--   (default 'flag{%s}') and substituted for {{flag}} in puzzle_content.
+-- Submitting another team's flag raises a 'flag_sharing' suspicious alert.
+
+ALTER TABLE puzzles
+  ADD COLUMN dynamic_flag BOOLEAN NOT NULL DEFAULT false AFTER answer_match_options,
+  ADD COLUMN flag_template VARCHAR(255) NULL AFTER dynamic_flag,
+  ADD COLUMN flag_secret VARCHAR(128) NULL AFTER flag_template;
+
+ALTER TABLE suspicious_alerts
+  MODIFY alert_type ENUM('rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing') NOT NULL;
@@ -0,0 +1,11 @@
+-- Migration: Dynamic (decaying) puzzle scoring
+-- scoring_mode = 'static' keeps puzzles.points fixed. 'linear' and 'logarithmic'
+-- decay the value from points toward minimum_points as more teams solve it:
+--   linear:      points - decay * (solves - 1)
+--   logarithmic: reaches minimum_points after `decay` solves (CTFd curve)
+-- Every solver holds the current value; stored scores are recalculated on each solve.
+
+ALTER TABLE puzzles
+  ADD COLUMN scoring_mode VARCHAR(20) NOT NULL DEFAULT 'static' AFTER points,
+  ADD COLUMN minimum_points INT NULL AFTER scoring_mode,
+  ADD COLUMN decay INT NULL AFTER minimum_points;
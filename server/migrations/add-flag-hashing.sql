@@ -0,0 +1,9 @@
+-- Migration: Hashed flag storage
+-- Puzzle answers are stored as salted HMAC-SHA256 hashes (see server/utils/flagHash.js).
+-- correct_answer stays populated only for regex/numeric puzzles, which need the plaintext.
+-- After running this, convert existing answers with:
+--   node migrations/hash-puzzle-answers.js [--dry-run]
+
+ALTER TABLE puzzles
+  MODIFY correct_answer TEXT NULL,
+  ADD COLUMN correct_answer_hash VARCHAR(255) NULL AFTER correct_answer;
@@ -0,0 +1,7 @@
+-- Migration: Scheduled game phases
+-- phase_schedule holds the admin-defined timeline run by server/services/gameSchedulerService.js:
+--   { created_by, created_at, steps: [{ id, action, level, run_at, status, executed_at, result }] }
+-- Steps that come due while the server is down run on the next start.
+
+ALTER TABLE game_state
+  ADD COLUMN phase_schedule JSON NULL AFTER is_paused;
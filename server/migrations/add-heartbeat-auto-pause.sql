@@ -0,0 +1,24 @@
+-- Migration: Heartbeat-driven auto-pause
+-- The timer page sends POST /api/game/time/heartbeat every 15 seconds. When a
+-- team misses heartbeat_missed_beats beats in a row the server pauses its
+-- running question (auto_pause_on_disconnect) and resumes it on the next beat.
+-- Disconnects and reconnects are logged to time_tracking_events and shown in
+-- the admin team timeline.
+
+ALTER TABLE team_sessions
+  ADD COLUMN last_heartbeat_at TIMESTAMP NULL,
+  ADD COLUMN disconnected_at TIMESTAMP NULL,
+  ADD COLUMN auto_paused_puzzle_id CHAR(36) NULL,
+  ADD INDEX idx_heartbeat (disconnected_at, last_heartbeat_at);
+
+ALTER TABLE time_tracking_events
+  MODIFY event_type ENUM(
+    'session_start', 'session_pause', 'session_resume', 'session_end',
+    'question_start', 'question_pause', 'question_resume', 'question_complete',
+    'question_skip', 'question_unskip', 'timer_sync', 'penalty_applied',
+    'team_disconnect', 'team_reconnect'
+  ) NOT NULL;
+
+ALTER TABLE game_settings
+  ADD COLUMN auto_pause_on_disconnect BOOLEAN DEFAULT true,
+  ADD COLUMN heartbeat_missed_beats INT DEFAULT 3;
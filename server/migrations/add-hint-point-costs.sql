@@ -0,0 +1,10 @@
+-- Migration: Point-cost hints
+-- A hint can cost time (time_penalty_seconds), points (point_cost) or both.
+-- hint_usage.points_penalty_applied records what the team was charged; it is
+-- deducted from the team's score on the leaderboard and in level results.
+
+ALTER TABLE hints
+  ADD COLUMN point_cost INT DEFAULT 0;
+
+ALTER TABLE hint_usage
+  ADD COLUMN points_penalty_applied INT DEFAULT 0;
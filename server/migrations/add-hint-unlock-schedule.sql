@@ -0,0 +1,8 @@
+-- Migration: Time-based hint unlock schedule
+-- A hint with unlock_after_seconds set becomes free once the team has spent
+-- that much active time on the question (team_question_progress; paused time
+-- does not count). Requesting it earlier still costs time_penalty_seconds.
+-- NULL keeps the old behaviour: the hint is only ever unlocked for its penalty.
+
+ALTER TABLE hints
+  ADD COLUMN unlock_after_seconds INT NULL;
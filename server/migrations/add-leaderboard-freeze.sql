@@ -0,0 +1,7 @@
+-- Migration: Leaderboard freeze
+-- leaderboard_freeze holds the scoreboard freeze managed by server/services/leaderboardFreezeService.js:
+--   { freeze_at, frozen_by, snapshot, snapshot_at, revealed_at, revealed_by, reveal_from }
+-- After freeze_at, teams and the public leaderboard see `snapshot`; admins keep the live view.
+
+ALTER TABLE game_state
+  ADD COLUMN leaderboard_freeze JSON NULL AFTER phase_schedule;
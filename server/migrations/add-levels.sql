@@ -0,0 +1,33 @@
+-- Migration: Configurable levels
+-- Replaces the hard-coded Level 1 / Level 2 model with a levels table
+-- (see server/services/levelService.js). Qualification cutoffs stay in
+-- qualification_cutoffs, one row per level_number.
+--
+-- unlock_rule:
+--   manual                 - admin unlocks the level (POST /api/game/levels/:levelId/unlock)
+--   after_previous_results - unlocks when the previous level's results are published
+--
+-- game_state.level_1_unlocked / level_2_unlocked are still kept in sync for levels 1 and 2.
+
+CREATE TABLE IF NOT EXISTS levels (
+  level_number INT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT NULL,
+  time_limit_minutes INT NOT NULL DEFAULT 60,
+  unlock_rule ENUM('manual', 'after_previous_results') NOT NULL DEFAULT 'manual',
+  is_unlocked BOOLEAN NOT NULL DEFAULT false,
+  unlocked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Seed the two existing levels with their previous time limits and unlock state
+INSERT IGNORE INTO levels (level_number, name, time_limit_minutes, unlock_rule, is_unlocked)
+SELECT 1, 'Level 1', 40, 'manual', COALESCE((SELECT level_1_unlocked FROM game_state LIMIT 1), false);
+
+INSERT IGNORE INTO levels (level_number, name, time_limit_minutes, unlock_rule, is_unlocked)
+SELECT 2, 'Level 2', 60, 'manual', COALESCE((SELECT level_2_unlocked FROM game_state LIMIT 1), false);
+
+-- current_phase was an ENUM of level_1/level_2; allow level_N
+ALTER TABLE game_state
+  MODIFY current_phase VARCHAR(32) DEFAULT 'not_started';
@@ -0,0 +1,11 @@
+-- Migration: Shared rate limit store
+-- With RATE_LIMIT_STORE=database every server instance counts rate limit hits
+-- here instead of in its own memory (server/utils/rateLimitStore.js).
+-- Keys are the limiter prefix plus the IP or team id, e.g. 'submit:<team id>'.
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  rate_key VARCHAR(191) PRIMARY KEY,
+  hits INT NOT NULL DEFAULT 0,
+  reset_at DATETIME(3) NOT NULL,
+  INDEX idx_rate_limit_counters_reset (reset_at)
+);
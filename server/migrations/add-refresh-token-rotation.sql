@@ -0,0 +1,10 @@
+-- Migration: Refresh token rotation
+-- Every refresh spends the presented token (used_at) and issues a successor in
+-- the same family_id (see server/services/refreshTokenService.js). A spent
+-- token presented again revokes the whole family and its session.
+-- Tokens stored before this migration have no family and are rotated into a new one.
+
+ALTER TABLE refresh_tokens
+  ADD COLUMN family_id CHAR(36) NULL AFTER session_id,
+  ADD COLUMN used_at TIMESTAMP NULL AFTER expires_at,
+  ADD INDEX idx_family_id (family_id);
@@ -0,0 +1,15 @@
+-- Migration: Brute-force detection and wrong-answer cooldown
+-- New suspicious_alerts types raised on wrong answers:
+--   wrong_answer_burst - many wrong answers in a short time
+--   answer_enumeration - runs of near-identical guesses (flag{a}, flag{b}, ...)
+--   answer_collusion   - the same uncommon wrong answer as another team
+-- Every wrong_answer_cooldown_threshold-th wrong answer to a puzzle makes the
+-- team wait wrong_answer_cooldown_seconds (0 = off) before trying it again.
+
+ALTER TABLE suspicious_alerts
+  MODIFY alert_type ENUM('rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing',
+    'wrong_answer_burst', 'answer_enumeration', 'answer_collusion') NOT NULL;
+
+ALTER TABLE game_settings
+  ADD COLUMN wrong_answer_cooldown_threshold INT DEFAULT 5,
+  ADD COLUMN wrong_answer_cooldown_seconds INT DEFAULT 60;
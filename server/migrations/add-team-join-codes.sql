@@ -0,0 +1,12 @@
+-- Migration: Team join codes and member limit
+-- team_invites rows without an email are join codes: anyone with the code can
+-- join until it expires or use_count reaches max_uses (NULL = until the team
+-- is full). Team size, captain included, is capped by game_settings.max_team_members.
+
+ALTER TABLE team_invites
+  MODIFY COLUMN email VARCHAR(150) NULL,
+  ADD COLUMN max_uses INT NULL AFTER expires_at,
+  ADD COLUMN use_count INT NOT NULL DEFAULT 0 AFTER max_uses;
+
+ALTER TABLE game_settings
+  ADD COLUMN max_team_members INT DEFAULT 4;
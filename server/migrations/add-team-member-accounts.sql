@@ -0,0 +1,35 @@
+-- Migration: Per-member team accounts
+-- Each member logs in with their own account (see server/services/teamMemberService.js).
+-- The account that registered the team (teams.user_id) is its captain and
+-- invites members by email; accepting an invite creates a `team` user linked
+-- through team_members.user_id. Removed members are soft-deleted so their past
+-- submissions stay attributable.
+
+ALTER TABLE team_members
+  ADD COLUMN user_id CHAR(36) NULL AFTER team_id,
+  ADD COLUMN removed_at TIMESTAMP NULL,
+  ADD UNIQUE INDEX idx_team_members_user (user_id);
+
+CREATE TABLE IF NOT EXISTS team_invites (
+  id CHAR(36) PRIMARY KEY,
+  team_id CHAR(36) NOT NULL,
+  email VARCHAR(150) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  invited_by CHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  accepted_at TIMESTAMP NULL,
+  accepted_by CHAR(36) NULL,
+  revoked_at TIMESTAMP NULL,
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+  UNIQUE INDEX idx_team_invites_token (token_hash),
+  INDEX idx_team_invites_team (team_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Which member acted (activity_logs.user_id already exists)
+ALTER TABLE submissions
+  ADD COLUMN user_id CHAR(36) NULL AFTER team_id,
+  ADD INDEX idx_submissions_user (user_id);
+
+ALTER TABLE hint_usage
+  ADD COLUMN user_id CHAR(36) NULL AFTER team_id;
@@ -0,0 +1,20 @@
+-- Migration: Per-team time adjustments
+-- Admins grant a team extra time on a level (extension, added to the level's
+-- time limit) or change its effective time (penalty; negative values credit
+-- time back), e.g. after a team loses minutes to a venue power cut. Every
+-- adjustment needs a reason, is audited as TEAM_TIME_ADJUSTED and shows in the
+-- team's timeline (see server/services/timeAdjustmentService.js). Rows are
+-- never edited; an adjustment is undone by granting the opposite amount.
+
+CREATE TABLE IF NOT EXISTS team_time_adjustments (
+  id CHAR(36) PRIMARY KEY,
+  team_id CHAR(36) NOT NULL,
+  level INT NOT NULL,
+  adjustment_type ENUM('extension', 'penalty') NOT NULL,
+  seconds INT NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  granted_by CHAR(36) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+  INDEX idx_team_time_adjustments_team (team_id, level)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
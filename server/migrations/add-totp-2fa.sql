@@ -0,0 +1,23 @@
+-- Migration: Authenticator-app (TOTP) second factor
+-- two_fa_method picks how the second factor is checked at login: 'email'
+-- sends an OTP as before, 'totp' expects an RFC 6238 code from an
+-- authenticator app (see server/services/totpService.js).
+-- totp_pending_secret holds a secret during enrollment until the first code
+-- confirms it; totp_last_step stops a code from being replayed.
+-- Recovery codes are single-use and stored only as SHA-256 hashes.
+
+ALTER TABLE users
+  ADD COLUMN two_fa_method ENUM('email', 'totp') NOT NULL DEFAULT 'email' AFTER two_fa_enabled,
+  ADD COLUMN totp_secret VARCHAR(64) NULL AFTER two_fa_method,
+  ADD COLUMN totp_pending_secret VARCHAR(64) NULL AFTER totp_secret,
+  ADD COLUMN totp_last_step BIGINT NULL AFTER totp_pending_secret;
+
+CREATE TABLE IF NOT EXISTS two_fa_recovery_codes (
+  id CHAR(36) PRIMARY KEY,
+  user_id CHAR(36) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  used_at TIMESTAMP NULL,
+  INDEX idx_user_id (user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,27 @@
+-- Migration: Session registry
+-- One row per login (see server/services/sessionService.js). Access tokens
+-- carry the session id and authMiddleware rejects them once the session is
+-- revoked, so a team can sign out a lost laptop and admins can kick a
+-- disqualified team without waiting for tokens to expire.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id CHAR(36) PRIMARY KEY,
+  user_id CHAR(36) NOT NULL,
+  team_id CHAR(36) NULL,
+  device VARCHAR(100) NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  revoked_by CHAR(36) NULL,
+  revoke_reason VARCHAR(100) NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_sessions_user (user_id),
+  INDEX idx_user_sessions_team (team_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE refresh_tokens
+  ADD COLUMN session_id CHAR(36) NULL AFTER user_id,
+  ADD INDEX idx_session_id (session_id);
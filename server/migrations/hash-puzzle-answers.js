@@ -0,0 +1,89 @@
+require('dotenv').config();
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { hashAnswerForStorage, parseOptions } = require('../utils/answerMatcher');
+
+/**
+ * One-time conversion of plaintext puzzle answers to hashes.
+ * Run after add-flag-hashing.sql. regex/numeric puzzles keep their plaintext
+ * answer because it cannot be matched from a hash.
+ *
+ * Usage: node migrations/hash-puzzle-answers.js [--dry-run]
+ */
+
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function fetchPlaintextPuzzles() {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('puzzles')
+      .select('id, level, puzzle_number, title, correct_answer, answer_match_mode, answer_match_options')
+      .not('correct_answer', 'is', null)
+      .is('correct_answer_hash', null);
+    if (error) throw error;
+    return data || [];
+  }
+  const [rows] = await db.query(
+    `SELECT id, level, puzzle_number, title, correct_answer, answer_match_mode, answer_match_options
+     FROM puzzles
+     WHERE correct_answer IS NOT NULL AND correct_answer_hash IS NULL`
+  );
+  return rows;
+}
+
+async function saveHashed(id, hashed) {
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('puzzles')
+      .update(hashed)
+      .eq('id', id);
+    if (error) throw error;
+    return;
+  }
+  await db.query(
+    'UPDATE puzzles SET correct_answer = NULL, correct_answer_hash = ?, answer_match_options = ? WHERE id = ?',
+    [
+      hashed.correct_answer_hash,
+      hashed.answer_match_options ? JSON.stringify(hashed.answer_match_options) : null,
+      id
+    ]
+  );
+}
+
+(async () => {
+  try {
+    console.log(`🔄 Hashing puzzle answers${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+    const puzzles = await fetchPlaintextPuzzles();
+    let hashedCount = 0;
+    let skippedCount = 0;
+
+    for (const puzzle of puzzles) {
+      const label = `Level ${puzzle.level}, Puzzle ${puzzle.puzzle_number}: ${puzzle.title}`;
+      const hashed = hashAnswerForStorage(
+        puzzle.correct_answer,
+        puzzle.answer_match_mode,
+        parseOptions(puzzle.answer_match_options)
+      );
+
+      if (!hashed) {
+        console.log(`- Skipped ${label} (${puzzle.answer_match_mode} answers stay plaintext)`);
+        skippedCount++;
+        continue;
+      }
+
+      if (!DRY_RUN) {
+        await saveHashed(puzzle.id, hashed);
+      }
+      console.log(`✓ Hashed ${label}`);
+      hashedCount++;
+    }
+
+    console.log(`\n✅ ${hashedCount} hashed, ${skippedCount} skipped${DRY_RUN ? ' - no changes written' : ''}`);
+    process.exit(0);
+  } catch (e) {
+    console.error('❌ Error:', e.message);
+    process.exit(1);
+  }
+})();
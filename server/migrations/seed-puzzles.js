@@ -1,6 +1,7 @@
 require('dotenv').config();
 const db = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
+const { hashAnswerForStorage } = require('../utils/answerMatcher');
 
 const samplePuzzles = [
   // Level 1 Puzzles
@@ -161,10 +162,11 @@ async function seedPuzzles() {
 
     for (const puzzleData of samplePuzzles) {
       const puzzleId = uuidv4();
+      const { correct_answer_hash } = hashAnswerForStorage(puzzleData.correct_answer);
       
       // Insert puzzle
       await db.query(
-        `INSERT INTO puzzles (id, level, puzzle_number, title, description, puzzle_type, puzzle_content, correct_answer, points, time_limit_minutes)
+        `INSERT INTO puzzles (id, level, puzzle_number, title, description, puzzle_type, puzzle_content, correct_answer_hash, points, time_limit_minutes)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           puzzleId,
@@ -174,7 +176,7 @@ async function seedPuzzles() {
           puzzleData.description,
           puzzleData.puzzle_type,
           puzzleData.puzzle_content,
-          puzzleData.correct_answer,
+          correct_answer_hash,
           puzzleData.points,
           puzzleData.time_limit_minutes
         ]
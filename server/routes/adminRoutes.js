@@ -3,11 +3,13 @@ const router = express.Router();
 const adminController = require('../controllers/adminController');
 const timeTrackingController = require('../controllers/timeTrackingController');
 const authMiddleware = require('../middleware/auth');
-const { adminOnly } = require('../middleware/roleGuard');
+const { adminOnly, requirePermission } = require('../middleware/roleGuard');
+const { PERMISSIONS } = require('../utils/adminPermissions');
 
 /**
  * ADMIN ROUTES
- * All endpoints require admin authentication
+ * All endpoints require admin authentication plus the permission
+ * named on each route (see utils/adminPermissions.js)
  */
 
 // All routes protected by authMiddleware + adminOnly
@@ -15,30 +17,43 @@ router.use(authMiddleware);
 router.use(adminOnly);
 
 // Admin endpoints
-router.get('/audit-logs', adminController.getAudit);
-router.get('/alerts', adminController.getAlerts);
-router.get('/teams', adminController.getAllTeams);
-router.get('/teams/:id', adminController.getTeamById);
-router.put('/teams/:id/status', adminController.updateTeamStatus);
-router.post('/teams/:id/qualify-level2', adminController.qualifyTeamForLevel2);
-router.delete('/teams/:id', adminController.deleteTeam);
-router.patch('/team/:id/action', adminController.teamAction);
-router.get('/stats', adminController.getStats);
+router.get('/audit-logs', requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAudit);
+router.get('/alerts', requirePermission(PERMISSIONS.ALERTS_REVIEW), adminController.getAlerts);
+router.get('/teams', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getAllTeams);
+router.get('/teams/:id', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getTeamById);
+router.put('/teams/:id/status', requirePermission(PERMISSIONS.TEAMS_MANAGE), adminController.updateTeamStatus);
+router.post('/teams/:id/qualify/:level', requirePermission(PERMISSIONS.QUALIFICATION_OVERRIDE), adminController.qualifyTeamForLevel);
+router.post('/teams/:id/qualify-level2', requirePermission(PERMISSIONS.QUALIFICATION_OVERRIDE), adminController.qualifyTeamForLevel2);
+router.delete('/teams/:id', requirePermission(PERMISSIONS.TEAMS_MANAGE), adminController.deleteTeam);
+router.get('/teams/:id/sessions', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getTeamSessions);
+router.delete('/teams/:id/sessions', requirePermission(PERMISSIONS.TEAMS_MANAGE), adminController.revokeTeamSessions);
+router.post('/users/:id/unlock', requirePermission(PERMISSIONS.TEAMS_MANAGE), adminController.unlockAccount);
+router.patch('/team/:id/action', requirePermission(PERMISSIONS.TEAMS_MANAGE), adminController.teamAction);
+router.get('/stats', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getStats);
+
+// Admin accounts and roles
+router.get('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.getAdmins);
+router.post('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.createAdmin);
+router.put('/admins/:id/role', requirePermission(PERMISSIONS.ADMINS_MANAGE), adminController.updateAdminRole);
 
 // Live monitoring
-router.get('/monitor/live', adminController.getLiveMonitoring);
-router.get('/activity', adminController.getActivityLogs);
-router.get('/suspicious', adminController.getSuspiciousActivity);
-router.get('/export/results', adminController.exportResults);
-router.get('/team-members', adminController.getTeamMembers);
+router.get('/monitor/live', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getLiveMonitoring);
+router.get('/activity', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getActivityLogs);
+router.get('/suspicious', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getSuspiciousActivity);
+router.get('/export/results', requirePermission(PERMISSIONS.RESULTS_EXPORT), adminController.exportResults);
+router.get('/team-members', requirePermission(PERMISSIONS.MONITOR_READ), adminController.getTeamMembers);
 
 // Time tracking admin endpoints
-router.get('/team-timings', timeTrackingController.getAdminTeamTimings);
-router.get('/team-timings/:teamId', timeTrackingController.getTeamTimingDetails);
-router.get('/question-analytics', timeTrackingController.getQuestionAnalytics);
-router.get('/game-settings', timeTrackingController.getGameSettings);
-router.put('/game-settings/:key', timeTrackingController.updateGameSetting);
-router.post('/team/:teamId/end-session', timeTrackingController.adminEndTeamSession);
-router.post('/team/:teamId/recalculate-time', timeTrackingController.recalculateTeamTime);
+router.get('/team-timings', requirePermission(PERMISSIONS.MONITOR_READ), timeTrackingController.getAdminTeamTimings);
+router.get('/team-timings/:teamId', requirePermission(PERMISSIONS.MONITOR_READ), timeTrackingController.getTeamTimingDetails);
+router.get('/question-analytics', requirePermission(PERMISSIONS.MONITOR_READ), timeTrackingController.getQuestionAnalytics);
+router.get('/game-settings', requirePermission(PERMISSIONS.MONITOR_READ), timeTrackingController.getGameSettings);
+router.put('/game-settings/:key', requirePermission(PERMISSIONS.GAME_CONTROL), timeTrackingController.updateGameSetting);
+router.post('/team/:teamId/end-session', requirePermission(PERMISSIONS.GAME_CONTROL), timeTrackingController.adminEndTeamSession);
+router.post('/team/:teamId/recalculate-time', requirePermission(PERMISSIONS.GAME_CONTROL), timeTrackingController.recalculateTeamTime);
+router.get('/team/:teamId/time-replay', requirePermission(PERMISSIONS.MONITOR_READ), timeTrackingController.getTeamTimeReplay);
+router.post('/team/:teamId/time-replay/apply', requirePermission(PERMISSIONS.GAME_CONTROL), timeTrackingController.applyTeamTimeReplay);
+router.get('/team/:teamId/time-adjustments', requirePermission(PERMISSIONS.MONITOR_READ), timeTrackingController.getTeamTimeAdjustments);
+router.post('/team/:teamId/time-adjustments', requirePermission(PERMISSIONS.GAME_CONTROL), timeTrackingController.grantTeamTimeAdjustment);
 
 module.exports = router;
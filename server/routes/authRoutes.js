@@ -13,12 +13,17 @@ const { authLimiter, strictLimiter } = require('../middleware/rateLimiter');
 router.post('/register', authLimiter, authController.register);
 router.post('/login', authLimiter, authController.login);
 router.post('/verify-2fa', authLimiter, authController.verify2FA);
+router.post('/verify-email', authLimiter, authController.verifyEmail);
 router.post('/refresh', authController.refresh);
 router.post('/resend-otp', authLimiter, authController.resendOTP);
 router.post('/forgot-password', strictLimiter, authController.forgotPassword);
 router.post('/reset-password', strictLimiter, authController.resetPassword);
+router.post('/unlock-account', strictLimiter, authController.unlockAccount);
 
 // Protected routes (auth required)
 router.post('/logout', authMiddleware, authController.logout);
+router.get('/sessions', authMiddleware, authController.listSessions);
+router.delete('/sessions', authMiddleware, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authMiddleware, authController.revokeSession);
 
 module.exports = router;
@@ -10,7 +10,9 @@
 const express = require('express');
 const router = express.Router();
 const evaluationController = require('../controllers/evaluationController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleGuard');
+const { PERMISSIONS } = require('../utils/adminPermissions');
 
 // ============================================
 // ADMIN ROUTES (require admin role)
@@ -23,7 +25,7 @@ const { authenticateToken, requireRole } = require('../middleware/auth');
 router.get(
   '/level/:levelId/status',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.MONITOR_READ),
   evaluationController.getEvaluationStatus
 );
 
@@ -34,7 +36,7 @@ router.get(
 router.post(
   '/level/:levelId/close-submissions',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.EVALUATION_MANAGE),
   evaluationController.closeSubmissions
 );
 
@@ -45,7 +47,7 @@ router.post(
 router.post(
   '/level/:levelId/evaluate',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.EVALUATION_MANAGE),
   evaluationController.evaluateAnswers
 );
 
@@ -56,7 +58,7 @@ router.post(
 router.post(
   '/level/:levelId/publish-results',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.EVALUATION_MANAGE),
   evaluationController.publishResults
 );
 
@@ -67,7 +69,7 @@ router.post(
 router.post(
   '/level/:levelId/reopen-submissions',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.EVALUATION_MANAGE),
   evaluationController.reopenSubmissions
 );
 
@@ -78,7 +80,7 @@ router.post(
 router.post(
   '/level/:levelId/reset-evaluation',
   authenticateToken,
-  requireRole('admin'),
+  requirePermission(PERMISSIONS.EVALUATION_MANAGE),
   evaluationController.resetEvaluation
 );
 
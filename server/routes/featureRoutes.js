@@ -7,7 +7,8 @@ const achievementController = require('../controllers/achievementController');
 const analyticsController = require('../controllers/analyticsController');
 const notificationController = require('../controllers/notificationController');
 const authMiddleware = require('../middleware/auth');
-const { adminOnly } = require('../middleware/roleGuard');
+const { adminOnly, requirePermission } = require('../middleware/roleGuard');
+const { PERMISSIONS } = require('../utils/adminPermissions');
 
 /**
  * LEADERBOARD ROUTES (Public/Team)
@@ -35,20 +36,20 @@ router.patch('/notifications/read-all', authMiddleware, notificationController.m
 router.use('/admin', authMiddleware, adminOnly);
 
 // Achievement management
-router.post('/admin/achievements/:teamId/award', achievementController.awardAchievement);
+router.post('/admin/achievements/:teamId/award', requirePermission(PERMISSIONS.GAME_CONTROL), achievementController.awardAchievement);
 
 // Analytics
-router.get('/admin/puzzle/:puzzleId/stats', analyticsController.getPuzzleStats);
-router.get('/admin/analytics/puzzles', analyticsController.getAllPuzzleStats);
+router.get('/admin/puzzle/:puzzleId/stats', requirePermission(PERMISSIONS.MONITOR_READ), analyticsController.getPuzzleStats);
+router.get('/admin/analytics/puzzles', requirePermission(PERMISSIONS.MONITOR_READ), analyticsController.getAllPuzzleStats);
 
 // Suspicious activity
-router.get('/admin/suspicious', analyticsController.getSuspiciousAlerts);
-router.patch('/admin/suspicious/:alertId/review', analyticsController.reviewAlert);
+router.get('/admin/suspicious', requirePermission(PERMISSIONS.MONITOR_READ), analyticsController.getSuspiciousAlerts);
+router.patch('/admin/suspicious/:alertId/review', requirePermission(PERMISSIONS.ALERTS_REVIEW), analyticsController.reviewAlert);
 
 // Team timeline
-router.get('/admin/team/:teamId/timeline', analyticsController.getTeamTimeline);
+router.get('/admin/team/:teamId/timeline', requirePermission(PERMISSIONS.MONITOR_READ), analyticsController.getTeamTimeline);
 
 // Broadcast
-router.post('/admin/notifications/broadcast', notificationController.broadcastNotification);
+router.post('/admin/notifications/broadcast', requirePermission(PERMISSIONS.GAME_CONTROL), notificationController.broadcastNotification);
 
 module.exports = router;
@@ -1,25 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/gameController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const levelController = require('../controllers/levelController');
+const leaderboardController = require('../controllers/leaderboardController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleGuard');
+const { PERMISSIONS } = require('../utils/adminPermissions');
 
 // Game state (public for teams to check)
 router.get('/state', authenticateToken, gameController.getGameState);
 router.get('/broadcast', authenticateToken, gameController.getBroadcastMessages);
+router.get('/levels', authenticateToken, levelController.getLevels);
 
 // Admin-only game control routes
-router.post('/start', authenticateToken, requireRole('admin'), gameController.startGame);
-router.post('/level2/unlock', authenticateToken, requireRole('admin'), gameController.unlockLevel2);
-router.post('/pause', authenticateToken, requireRole('admin'), gameController.pauseGame);
-router.post('/resume', authenticateToken, requireRole('admin'), gameController.resumeGame);
-router.post('/end', authenticateToken, requireRole('admin'), gameController.endGame);
-router.post('/restart', authenticateToken, requireRole('admin'), gameController.restartGame);
-router.post('/broadcast', authenticateToken, requireRole('admin'), gameController.broadcastMessage);
+router.post('/start', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.startGame);
+router.post('/levels/:levelId/unlock', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.unlockLevel);
+router.post('/level/unlock', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.unlockLevel);
+router.post('/level2/unlock', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.unlockLevel2);
+router.post('/pause', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.pauseGame);
+router.post('/resume', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.resumeGame);
+router.post('/end', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.endGame);
+router.post('/restart', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.restartGame);
+router.post('/broadcast', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.broadcastMessage);
+
+// Level configuration (admin only)
+router.post('/levels', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), levelController.createLevel);
+router.put('/levels/:levelId', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), levelController.updateLevel);
+router.delete('/levels/:levelId', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), levelController.deleteLevel);
+
+// Scheduled phases (admin only)
+router.get('/schedule', authenticateToken, requirePermission(PERMISSIONS.MONITOR_READ), gameController.getSchedule);
+router.put('/schedule', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.setSchedule);
+router.delete('/schedule', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.clearSchedule);
+router.post('/schedule/steps/:stepId', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.updateScheduleStep);
+
+// Leaderboard freeze for the final minutes
+router.get('/leaderboard/freeze', authenticateToken, requirePermission(PERMISSIONS.MONITOR_READ), leaderboardController.getFreeze);
+router.put('/leaderboard/freeze', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), leaderboardController.freezeLeaderboard);
+router.delete('/leaderboard/freeze', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), leaderboardController.unfreezeLeaderboard);
 
 // Team-specific controls (admin only)
-router.post('/team/:teamId/pause', authenticateToken, requireRole('admin'), gameController.pauseTeam);
-router.post('/team/:teamId/resume', authenticateToken, requireRole('admin'), gameController.resumeTeam);
-router.post('/team/:teamId/skip/:puzzleId', authenticateToken, requireRole('admin'), gameController.skipPuzzle);
-router.post('/team/:teamId/reset', authenticateToken, requireRole('admin'), gameController.resetTeamProgress);
+router.post('/team/:teamId/pause', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.pauseTeam);
+router.post('/team/:teamId/resume', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.resumeTeam);
+router.post('/team/:teamId/skip/:puzzleId', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.skipPuzzle);
+router.post('/team/:teamId/reset', authenticateToken, requirePermission(PERMISSIONS.GAME_CONTROL), gameController.resetTeamProgress);
 
 module.exports = router;
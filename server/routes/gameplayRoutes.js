@@ -2,15 +2,18 @@ const express = require('express');
 const router = express.Router();
 const teamGameController = require('../controllers/teamGameController');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { submitLimiter } = require('../middleware/rateLimiter');
 const hintService = require('../services/hintService');
 const puzzleTimerService = require('../services/puzzleTimerService');
+const realtimeService = require('../services/realtimeService');
+const scoringService = require('../services/scoringService');
 
 // All routes require team authentication
 router.use(authenticateToken, requireRole('team'));
 
 // Puzzle gameplay routes
 router.get('/puzzle/current', teamGameController.getCurrentPuzzle);
-router.post('/puzzle/submit', teamGameController.submitAnswer);
+router.post('/puzzle/submit', submitLimiter, teamGameController.submitAnswer);
 router.post('/puzzle/hint', teamGameController.requestHint);
 
 // Team progress and stats
@@ -36,7 +39,12 @@ router.post('/puzzle/:puzzleId/hint/:hintId', async (req, res) => {
   try {
     const teamId = req.user.team_id;
     const { puzzleId, hintId } = req.params;
-    const result = await hintService.useHint(teamId, puzzleId, hintId);
+    const result = await hintService.useHint(teamId, puzzleId, hintId, req.user.userId);
+    realtimeService.sendToTeam(teamId, 'hints', { puzzleId });
+    // Point costs change scores: drop the cached level scores and live board
+    if (result.pointsPenalty > 0) scoringService.invalidate();
+    realtimeService.publishSessionChange(teamId);
+    realtimeService.publishLeaderboardChange();
     res.json(result);
   } catch (error) {
     console.error('Use hint error:', error);
@@ -61,7 +69,7 @@ router.post('/puzzle/:puzzleId/timer/start', async (req, res) => {
   try {
     const teamId = req.user.team_id;
     const { puzzleId } = req.params;
-    const result = await puzzleTimerService.startPuzzleTimer(teamId, puzzleId);
+    const result = await puzzleTimerService.startPuzzleTimer(teamId, puzzleId, req.user.userId);
     res.json(result);
   } catch (error) {
     console.error('Start timer error:', error);
@@ -1,10 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const puzzleController = require('../controllers/puzzleController');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleGuard');
+const { PERMISSIONS } = require('../utils/adminPermissions');
 
-// Require admin role for all puzzle management routes
-router.use(authenticateToken, requireRole('admin'));
+// Puzzle management needs the puzzles permission (super admins and puzzle authors)
+router.use(authenticateToken, requirePermission(PERMISSIONS.PUZZLES_MANAGE));
+
+// Puzzle pack import/export (before /:id so they are not read as puzzle IDs)
+router.get('/export', puzzleController.exportPuzzles);
+router.post('/import', puzzleController.importPuzzles);
 
 // Puzzle CRUD routes
 router.get('/', puzzleController.getAllPuzzles);
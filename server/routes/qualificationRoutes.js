@@ -11,6 +11,8 @@ const express = require('express');
 const router = express.Router();
 const qualificationController = require('../controllers/qualificationController');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleGuard');
+const { PERMISSIONS } = require('../utils/adminPermissions');
 
 // ============================================
 // TEAM ROUTES (require team authentication)
@@ -59,41 +61,41 @@ router.get('/team/can-access-level/:level',
 );
 
 // ============================================
-// ADMIN ROUTES (require admin authentication)
+// ADMIN ROUTES (require an admin permission)
 // ============================================
 
 // Get all teams' qualification status
 router.get('/admin/qualification/teams', 
   authenticateToken, 
-  requireRole('admin'), 
+  requirePermission(PERMISSIONS.MONITOR_READ),
   qualificationController.getAllTeamsQualification
 );
 
 // Override team qualification (force qualify/disqualify)
 router.post('/admin/team/qualification-override', 
   authenticateToken, 
-  requireRole('admin'), 
+  requirePermission(PERMISSIONS.QUALIFICATION_OVERRIDE),
   qualificationController.overrideQualification
 );
 
 // Get qualification cutoffs
 router.get('/admin/qualification/cutoffs', 
   authenticateToken, 
-  requireRole('admin'), 
+  requirePermission(PERMISSIONS.MONITOR_READ),
   qualificationController.getCutoffs
 );
 
 // Update qualification cutoffs
 router.put('/admin/qualification/cutoffs/:level', 
   authenticateToken, 
-  requireRole('admin'), 
+  requirePermission(PERMISSIONS.QUALIFICATION_OVERRIDE),
   qualificationController.updateCutoffs
 );
 
 // Get team audit log
 router.get('/admin/qualification/audit/:teamId', 
   authenticateToken, 
-  requireRole('admin'), 
+  requirePermission(PERMISSIONS.MONITOR_READ),
   qualificationController.getTeamAuditLog
 );
 
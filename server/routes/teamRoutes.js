@@ -3,22 +3,40 @@ const router = express.Router();
 const teamController = require('../controllers/teamController');
 const evaluationController = require('../controllers/evaluationController');
 const authMiddleware = require('../middleware/auth');
-const { teamOnly } = require('../middleware/roleGuard');
+const { teamOnly, captainOnly } = require('../middleware/roleGuard');
+const { authLimiter } = require('../middleware/rateLimiter');
 
 /**
  * TEAM ROUTES
- * All endpoints require team authentication
+ * All endpoints require team authentication, except joining a team
  */
 
-// All routes protected by authMiddleware + teamOnly
+// Invite links and join codes are redeemed before the member has an account
+router.get('/invites/:token', authLimiter, teamController.getInvite);
+router.post('/join', authLimiter, teamController.joinTeam);
+
+// All routes below protected by authMiddleware + teamOnly
 router.use(authMiddleware);
 router.use(teamOnly);
 
 // Team endpoints
 router.get('/me', teamController.getMyTeam);
-router.put('/name', teamController.updateTeamName);
+router.put('/name', captainOnly, teamController.updateTeamName);
 router.get('/profile', teamController.getProfile);
 router.post('/2fa', teamController.toggle2FA);
+router.post('/2fa/totp', teamController.setupTotp);
+router.post('/2fa/recovery-codes', teamController.regenerateRecoveryCodes);
+
+// Members (invites and removals are captain only)
+router.get('/members', teamController.getMembers);
+router.post('/invites', captainOnly, teamController.inviteMember);
+router.post('/invites/code', captainOnly, teamController.createJoinCode);
+router.delete('/invites/:inviteId', captainOnly, teamController.revokeInvite);
+router.delete('/members/:memberId', captainOnly, teamController.removeMember);
+
+// Signed-in devices across the team (members manage their own via /api/auth/sessions)
+router.get('/sessions', captainOnly, teamController.listTeamSessions);
+router.delete('/sessions/:sessionId', captainOnly, teamController.revokeTeamSession);
 
 // ======= NEW: Evaluation Status & Results Routes =======
 // Check evaluation status for a level
@@ -9,7 +9,6 @@ const router = express.Router();
 const timeTrackingController = require('../controllers/timeTrackingController');
 const teamGameController = require('../controllers/teamGameController');
 const { authenticateToken } = require('../middleware/auth');
-const { adminOnly } = require('../middleware/roleGuard');
 
 // ============================================
 // TEAM ROUTES (Require authentication)
@@ -34,6 +33,7 @@ router.get('/session', authenticateToken, timeTrackingController.getSessionState
 // Timer state
 router.get('/timer/:puzzleId', authenticateToken, timeTrackingController.getTimerState);
 router.post('/sync-timer', authenticateToken, timeTrackingController.syncTimer);
+router.post('/heartbeat', authenticateToken, timeTrackingController.heartbeat);
 
 // Game summary (show before end game)
 router.get('/game-summary', authenticateToken, teamGameController.getGameSummary);
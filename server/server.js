@@ -24,6 +24,13 @@ const evaluationRoutes = require('./routes/evaluationRoutes'); // NEW: Admin-con
 // Import database (this tests connection)
 require('./config/db');
 const { ensureAdminUser } = require('./services/adminSeedService');
+const realtimeService = require('./services/realtimeService');
+const gameSchedulerService = require('./services/gameSchedulerService');
+const leaderboardFreezeService = require('./services/leaderboardFreezeService');
+const timeTrackingService = require('./services/timeTrackingService');
+const authMiddleware = require('./middleware/auth');
+const { requirePermission } = require('./middleware/roleGuard');
+const { PERMISSIONS } = require('./utils/adminPermissions');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -41,6 +48,8 @@ app.use(compression({
   threshold: 1024, // Only compress responses > 1KB
   filter: (req, res) => {
     if (req.headers['x-no-compression']) return false;
+    // Server-sent events must not be buffered by compression
+    if (req.path === '/api/realtime/stream') return false;
     return compression.filter(req, res);
   }
 }));
@@ -63,15 +72,17 @@ app.use(cors({
 }));
 
 // Body parser
+// Puzzle packs carry attached files, so the import route gets a larger limit
+app.use('/api/puzzles/import', express.json({ limit: '5mb' }));
 app.use(express.json({ limit: '10kb' })); // Limit body size
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
 // HTTP Parameter Pollution protection
 app.use(hpp());
 
-// Input sanitization and validation
-app.use(sanitizeBody);
+// Input validation (per-route schemas in utils/validationSchemas) and sanitization
 app.use(validateInputs);
+app.use(sanitizeBody);
 
 // Request logging (development only)
 if (process.env.NODE_ENV === 'development') {
@@ -96,7 +107,8 @@ app.get('/', (req, res) => {
       team: '/api/team',
       puzzles: '/api/puzzles',
       game: '/api/game',
-      gameplay: '/api/gameplay'
+      gameplay: '/api/gameplay',
+      realtime: '/api/realtime/stream'
     }
   });
 });
@@ -111,6 +123,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Real-time push channel (server-sent events)
+app.get('/api/realtime/stream', authMiddleware, realtimeService.handleStream);
+app.get('/api/realtime/stats', authMiddleware, requirePermission(PERMISSIONS.MONITOR_READ), (req, res) => {
+  res.json({ success: true, ...realtimeService.getStats() });
+});
+
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin/evaluation', evaluationRoutes);  // NEW: Admin evaluation routes
@@ -150,6 +168,15 @@ app.listen(PORT, async () => {
   console.log('   ============================================\n');
 
   await ensureAdminUser();
+
+  // Resume any scheduled game phases (runs steps missed while offline)
+  gameSchedulerService.start();
+
+  // Re-arm a scheduled leaderboard freeze
+  leaderboardFreezeService.start();
+
+  // Auto-pause teams that stop sending timer heartbeats
+  timeTrackingService.startHeartbeatWatcher();
 });
 
 module.exports = app;
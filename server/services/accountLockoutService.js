@@ -0,0 +1,188 @@
+// server/services/accountLockoutService.js
+const crypto = require('crypto');
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MS,
+  UNLOCK_TOKEN_TTL_MS,
+  hashToken,
+  toTime,
+  delayFor,
+  checkLogin,
+  afterFailure
+} = require('../utils/loginLockout');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Account Lockout Service
+ * Per-account failed-login tracking, alongside the per-IP authLimiter.
+ *
+ * A lab full of players shares one IP, so the IP limiter has to stay loose;
+ * this protects each account on its own instead. After a few free attempts
+ * every failure doubles the wait before the next attempt is accepted, and
+ * reaching the threshold locks the account for a while. The owner is
+ * emailed a link that unlocks it at once, and admins can unlock it too.
+ *
+ * Failures older than the lockout window no longer count, and a successful
+ * login clears the counter. Only a SHA-256 hash of the unlock token is stored.
+ * The limits themselves live in utils/loginLockout.js, shared with api/.
+ */
+
+async function updateUser(userId, fields) {
+  if (USE_SUPABASE) {
+    const row = Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value])
+    );
+    const { error } = await supabaseAdmin.from('users').update(row).eq('id', userId);
+    if (error) throw error;
+    return;
+  }
+
+  const columns = Object.keys(fields);
+  await db.query(
+    `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => fields[column]), userId]
+  );
+}
+
+/**
+ * Add one failure in a single statement, so concurrent guesses each count
+ * @returns {Promise<number>} Failures in the current window, this one included
+ */
+async function incrementFailures(userId, now) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin.rpc('record_login_failure', {
+      p_user_id: userId,
+      p_window_ms: LOCKOUT_MS
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return row?.failed_login_count || 0;
+  }
+
+  await db.query(
+    `UPDATE users SET
+       failed_login_count = IF(last_failed_login_at IS NULL OR last_failed_login_at < ?, 1, failed_login_count + 1),
+       last_failed_login_at = ?
+     WHERE id = ?`,
+    [new Date(now - LOCKOUT_MS), new Date(now), userId]
+  );
+  const [rows] = await db.query('SELECT failed_login_count FROM users WHERE id = ?', [userId]);
+  return rows[0]?.failed_login_count || 0;
+}
+
+/**
+ * Lock the account if it is still over the threshold; false when a
+ * concurrent failure already locked it (and reset the counter)
+ */
+async function lockAccount(userId, fields) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .update({
+        failed_login_count: 0,
+        locked_until: fields.lockedUntil.toISOString(),
+        unlock_token_hash: fields.unlockTokenHash,
+        unlock_token_expires_at: fields.unlockTokenExpiresAt.toISOString()
+      })
+      .eq('id', userId)
+      .gte('failed_login_count', LOCKOUT_THRESHOLD)
+      .select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [result] = await db.query(
+    `UPDATE users SET failed_login_count = 0, locked_until = ?, unlock_token_hash = ?, unlock_token_expires_at = ?
+     WHERE id = ? AND failed_login_count >= ?`,
+    [fields.lockedUntil, fields.unlockTokenHash, fields.unlockTokenExpiresAt, userId, LOCKOUT_THRESHOLD]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Count a failed login
+ * The delay and lockout follow the counter after this failure was added,
+ * not the row read before the attempt.
+ * @param {Object} user - users row ({ id })
+ * @returns {Promise<Object>} { failures, retryAfter, locked, unlockToken?, lockedUntil? }
+ *   unlockToken is set only for the failure that locked the account
+ */
+async function recordFailure(user, now = Date.now()) {
+  const outcome = afterFailure(await incrementFailures(user.id, now));
+  if (!outcome.locked) return outcome;
+
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const lockedUntil = new Date(now + LOCKOUT_MS);
+  const lockedNow = await lockAccount(user.id, {
+    lockedUntil,
+    unlockTokenHash: hashToken(unlockToken),
+    unlockTokenExpiresAt: new Date(now + UNLOCK_TOKEN_TTL_MS)
+  });
+  return { ...outcome, lockedUntil, ...(lockedNow && { unlockToken }) };
+}
+
+/**
+ * Clear failures and any lock
+ */
+async function reset(userId) {
+  await updateUser(userId, {
+    failed_login_count: 0,
+    last_failed_login_at: null,
+    locked_until: null,
+    unlock_token_hash: null,
+    unlock_token_expires_at: null
+  });
+}
+
+/**
+ * Clear the counter after a successful login (skips the write when clean)
+ */
+async function recordSuccess(user) {
+  if (user.failed_login_count || user.locked_until || user.unlock_token_hash) {
+    await reset(user.id);
+  }
+}
+
+/**
+ * Unlock an account with the token from the lockout email
+ * @returns {Promise<Object|null>} { id, email } of the unlocked user, or null if the token is invalid
+ */
+async function unlockWithToken(token) {
+  const tokenHash = hashToken(token);
+  let user;
+
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select('id, email, unlock_token_expires_at')
+      .eq('unlock_token_hash', tokenHash)
+      .maybeSingle();
+    if (error) throw error;
+    user = data;
+  } else {
+    const [rows] = await db.query(
+      'SELECT id, email, unlock_token_expires_at FROM users WHERE unlock_token_hash = ?',
+      [tokenHash]
+    );
+    user = rows[0];
+  }
+
+  if (!user || toTime(user.unlock_token_expires_at) <= Date.now()) return null;
+
+  await reset(user.id);
+  return { id: user.id, email: user.email };
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MS,
+  UNLOCK_TOKEN_TTL_MS,
+  delayFor,
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  reset,
+  unlockWithToken
+};
@@ -2,6 +2,7 @@
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
+const realtimeService = require('./realtimeService');
 
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
@@ -214,6 +215,194 @@ async function updatePuzzleAnalyticsMysql(puzzleId, analytics) {
   return analytics;
 }
 
+/**
+ * Build the alert for a team submitting another team's dynamic flag
+ */
+function flagSharingAlert(eventData) {
+  return {
+    type: 'flag_sharing',
+    severity: 'critical',
+    description: `Submitted the flag issued to team ${eventData.ownerTeamId}`,
+    metadata: {
+      puzzleId: eventData.puzzleId,
+      ownerTeamId: eventData.ownerTeamId
+    }
+  };
+}
+
+// Wrong-answer detectors (see wrongAnswerAlerts)
+const WRONG_BURST_WINDOW_SECONDS = 120;
+const WRONG_BURST_THRESHOLD = 8;              // wrong answers across all puzzles in the window
+const ENUMERATION_WINDOW_SECONDS = 600;
+const ENUMERATION_THRESHOLD = 5;              // near-identical wrong answers to one puzzle
+const ENUMERATION_MAX_DISTANCE = 2;           // edits between two answers to call them variants
+const COLLUSION_MIN_LENGTH = 6;               // shorter answers are too easy to guess alike
+const COLLUSION_MAX_TEAMS = 3;                // more teams sharing it makes it a common guess
+const REPEAT_ALERT_SECONDS = 600;             // one alert per team, type and puzzle in this window
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * A team's wrong answers since a given time, newest first
+ */
+async function getWrongAnswers(teamId, since) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('submissions')
+      .select('puzzle_id, submitted_answer, submitted_at')
+      .eq('team_id', teamId)
+      .eq('is_correct', false)
+      .gte('submitted_at', since.toISOString())
+      .order('submitted_at', { ascending: false })
+      .limit(100);
+    if (error) throw error;
+    return data || [];
+  }
+
+  const [rows] = await db.query(`
+    SELECT puzzle_id, submitted_answer, submitted_at
+    FROM submissions
+    WHERE team_id = ? AND is_correct = false AND submitted_at >= ?
+    ORDER BY submitted_at DESC
+    LIMIT 100
+  `, [teamId, since]);
+  return rows;
+}
+
+/**
+ * Other teams that submitted exactly this wrong answer to the puzzle
+ */
+async function findTeamsWithWrongAnswer(puzzleId, answer, excludeTeamId) {
+  let rows;
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('submissions')
+      .select('team_id')
+      .eq('puzzle_id', puzzleId)
+      .eq('submitted_answer', answer)
+      .eq('is_correct', false)
+      .neq('team_id', excludeTeamId)
+      .limit(50);
+    if (error) throw error;
+    rows = data || [];
+  } else {
+    [rows] = await db.query(`
+      SELECT DISTINCT team_id
+      FROM submissions
+      WHERE puzzle_id = ? AND submitted_answer = ? AND is_correct = false AND team_id <> ?
+      LIMIT 50
+    `, [puzzleId, answer, excludeTeamId]);
+  }
+  return [...new Set(rows.map(row => row.team_id))];
+}
+
+/**
+ * Whether the same alert was already raised recently, so a team that keeps
+ * guessing produces one alert instead of one per submission
+ */
+async function hasRecentAlert(teamId, type, puzzleId) {
+  const since = new Date(Date.now() - REPEAT_ALERT_SECONDS * 1000);
+
+  if (USE_SUPABASE) {
+    let query = supabaseAdmin
+      .from('suspicious_alerts')
+      .select('id')
+      .eq('team_id', teamId)
+      .eq('alert_type', type)
+      .gte('created_at', since.toISOString())
+      .limit(1);
+    if (puzzleId) query = query.eq('metadata->>puzzleId', puzzleId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [rows] = await db.query(`
+    SELECT id FROM suspicious_alerts
+    WHERE team_id = ? AND alert_type = ? AND created_at >= ?
+      ${puzzleId ? "AND JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.puzzleId')) = ?" : ''}
+    LIMIT 1
+  `, puzzleId ? [teamId, type, since, puzzleId] : [teamId, type, since]);
+  return rows.length > 0;
+}
+
+/**
+ * Alerts raised by a wrong answer:
+ *   wrong_answer_burst - many wrong answers in a short time, on any puzzle
+ *   answer_enumeration - a run of near-identical guesses (flag{a}, flag{b}, ...)
+ *   answer_collusion   - the same uncommon wrong answer as another team
+ * @param {string} teamId
+ * @param {Object} eventData - { puzzleId, answer }
+ */
+async function wrongAnswerAlerts(teamId, { puzzleId, answer }) {
+  const alerts = [];
+  const now = Date.now();
+  const recent = await getWrongAnswers(teamId, new Date(now - ENUMERATION_WINDOW_SECONDS * 1000));
+
+  const burstSince = now - WRONG_BURST_WINDOW_SECONDS * 1000;
+  const burst = recent.filter(row => new Date(row.submitted_at).getTime() >= burstSince).length;
+  if (burst >= WRONG_BURST_THRESHOLD && !(await hasRecentAlert(teamId, 'wrong_answer_burst'))) {
+    alerts.push({
+      type: 'wrong_answer_burst',
+      severity: 'high',
+      description: `${burst} wrong answers in the last ${WRONG_BURST_WINDOW_SECONDS / 60} minutes`,
+      metadata: { count: burst, windowSeconds: WRONG_BURST_WINDOW_SECONDS }
+    });
+  }
+
+  const latest = String(answer).trim();
+  const variants = [...new Set(
+    recent
+      .filter(row => row.puzzle_id === puzzleId)
+      .map(row => String(row.submitted_answer).trim())
+  )].filter(previous => previous !== latest && editDistance(previous, latest, ENUMERATION_MAX_DISTANCE) <= ENUMERATION_MAX_DISTANCE);
+
+  if (variants.length + 1 >= ENUMERATION_THRESHOLD && !(await hasRecentAlert(teamId, 'answer_enumeration', puzzleId))) {
+    alerts.push({
+      type: 'answer_enumeration',
+      severity: 'high',
+      description: `${variants.length + 1} near-identical guesses on one puzzle`,
+      metadata: { puzzleId, count: variants.length + 1, samples: [latest, ...variants.slice(0, 4)] }
+    });
+  }
+
+  if (latest.length >= COLLUSION_MIN_LENGTH) {
+    const otherTeamIds = await findTeamsWithWrongAnswer(puzzleId, answer, teamId);
+    if (otherTeamIds.length > 0 && otherTeamIds.length <= COLLUSION_MAX_TEAMS &&
+        !(await hasRecentAlert(teamId, 'answer_collusion', puzzleId))) {
+      alerts.push({
+        type: 'answer_collusion',
+        severity: 'medium',
+        description: `Submitted the same wrong answer as ${otherTeamIds.length} other team(s)`,
+        metadata: { puzzleId, otherTeamIds }
+      });
+    }
+  }
+
+  return alerts;
+}
+
 /**
  * Detect suspicious activity
  */
@@ -273,6 +462,15 @@ async function detectSuspiciousActivity(teamId, eventType, eventData = {}) {
         }
       }
 
+      // Submitted a dynamic flag issued to another team
+      if (eventType === 'flag_sharing' && eventData.ownerTeamId) {
+        alerts.push(flagSharingAlert(eventData));
+      }
+
+      if (eventType === 'wrong_answer' && eventData.puzzleId) {
+        alerts.push(...(await wrongAnswerAlerts(teamId, eventData)));
+      }
+
       // Log alerts
       for (const alert of alerts) {
         const { error: alertInsErr } = await supabaseAdmin
@@ -299,6 +497,10 @@ async function detectSuspiciousActivity(teamId, eventType, eventData = {}) {
         if (logInsErr) console.error('Failed to insert activity_log:', logInsErr.message);
       }
 
+      if (alerts.length > 0) {
+        realtimeService.sendToAdmins('alert', { teamId, alerts });
+      }
+
       return alerts;
     } catch (err) {
       console.error('Supabase detectSuspiciousActivity error, falling back to MySQL:', err.message);
@@ -355,6 +557,14 @@ async function detectSuspiciousActivityMysql(teamId, eventType, eventData = {})
       }
     }
 
+    if (eventType === 'flag_sharing' && eventData.ownerTeamId) {
+      alerts.push(flagSharingAlert(eventData));
+    }
+
+    if (eventType === 'wrong_answer' && eventData.puzzleId) {
+      alerts.push(...(await wrongAnswerAlerts(teamId, eventData)));
+    }
+
     for (const alert of alerts) {
       await db.query(`
         INSERT INTO suspicious_alerts (id, team_id, alert_type, severity, description, metadata)
@@ -367,6 +577,10 @@ async function detectSuspiciousActivityMysql(teamId, eventType, eventData = {})
       `, [teamId, alert.description, JSON.stringify(alert)]);
     }
 
+    if (alerts.length > 0) {
+      realtimeService.sendToAdmins('alert', { teamId, alerts });
+    }
+
     return alerts;
   } catch (error) {
     console.error('Suspicious activity detection error:', error);
@@ -473,10 +687,78 @@ async function reviewAlertMysql(alertId, reviewerId) {
   `, [reviewerId, alertId]);
 }
 
+/**
+ * Cooldown after too many wrong answers to one puzzle
+ * Each time the team's wrong answers to the puzzle reach another multiple of
+ * `threshold`, the team waits `seconds` before the next attempt. The wait is
+ * timed from the wrong answer that reached the multiple, so guesses sent in
+ * parallel or in a batch cannot step past it.
+ * @param {string} teamId
+ * @param {string} puzzleId
+ * @param {Object} settings - { threshold, seconds }; seconds 0 disables the cooldown
+ * @returns {Promise<Object>} { active, retryAfter (seconds), wrongAnswers }
+ */
+async function getWrongAnswerCooldown(teamId, puzzleId, { threshold, seconds }) {
+  if (!threshold || !seconds) return { active: false, retryAfter: 0, wrongAnswers: 0 };
+
+  let wrongAnswers;
+  if (USE_SUPABASE) {
+    const { count, error } = await supabaseAdmin
+      .from('submissions')
+      .select('id', { count: 'exact', head: true })
+      .eq('team_id', teamId)
+      .eq('puzzle_id', puzzleId)
+      .eq('is_correct', false);
+    if (error) throw error;
+    wrongAnswers = count || 0;
+  } else {
+    const [[row]] = await db.query(`
+      SELECT COUNT(*) AS wrong_answers
+      FROM submissions
+      WHERE team_id = ? AND puzzle_id = ? AND is_correct = false
+    `, [teamId, puzzleId]);
+    wrongAnswers = Number(row.wrong_answers) || 0;
+  }
+
+  // Position (1-based, oldest first) of the wrong answer that started the latest cooldown
+  const startedBy = Math.floor(wrongAnswers / threshold) * threshold;
+  if (startedBy === 0) {
+    return { active: false, retryAfter: 0, wrongAnswers };
+  }
+
+  let startedAt;
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('submissions')
+      .select('submitted_at')
+      .eq('team_id', teamId)
+      .eq('puzzle_id', puzzleId)
+      .eq('is_correct', false)
+      .order('submitted_at', { ascending: true })
+      .range(startedBy - 1, startedBy - 1);
+    if (error) throw error;
+    startedAt = data?.[0]?.submitted_at;
+  } else {
+    const [rows] = await db.query(`
+      SELECT submitted_at
+      FROM submissions
+      WHERE team_id = ? AND puzzle_id = ? AND is_correct = false
+      ORDER BY submitted_at
+      LIMIT 1 OFFSET ?
+    `, [teamId, puzzleId, startedBy - 1]);
+    startedAt = rows[0]?.submitted_at;
+  }
+
+  const endsAt = new Date(startedAt).getTime() + seconds * 1000;
+  const retryAfter = Math.ceil((endsAt - Date.now()) / 1000);
+  return { active: retryAfter > 0, retryAfter: Math.max(retryAfter, 0), wrongAnswers };
+}
+
 module.exports = {
   getPuzzleAnalytics,
   updatePuzzleAnalytics,
   detectSuspiciousActivity,
+  getWrongAnswerCooldown,
   getSuspiciousAlerts,
   reviewAlert
 };
@@ -12,12 +12,12 @@ const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
  * Log an audit event
  * @param {String} userId - User ID or null
  * @param {String} action - Action performed
- * @param {Object} req - Express request object
+ * @param {Object} req - Express request object (null for system actions)
  * @param {String} details - Additional details (optional)
  */
 async function logAudit(userId, action, req, details = null) {
-  const ipAddress = req.ip || req.connection.remoteAddress || null;
-  const userAgent = req.get('user-agent') || null;
+  const ipAddress = req?.ip || req?.connection?.remoteAddress || null;
+  const userAgent = req?.get?.('user-agent') || null;
 
   if (USE_SUPABASE) {
     try {
@@ -0,0 +1,62 @@
+// server/services/dynamicFlagService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  DEFAULT_FLAG_TEMPLATE,
+  generateFlagSecret,
+  getTeamFlag,
+  looksLikeTeamFlag,
+  renderPuzzleContent,
+  checkTeamAnswer
+} = require('../utils/teamFlags');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Dynamic Flag Service
+ * Puzzles with dynamic_flag enabled give every team its own flag
+ * (computed in utils/teamFlags.js) substituted for {{flag}} in puzzle_content.
+ * A team submitting another team's flag is treated as flag sharing.
+ */
+
+/**
+ * Find which team a submitted flag was issued to
+ * @param {Object} puzzle - Puzzle with flag config
+ * @param {String} submitted - Submitted answer
+ * @param {String} excludeTeamId - Team to skip (the submitter)
+ * @returns {String|null} Owning team ID
+ */
+async function findFlagOwner(puzzle, submitted, excludeTeamId) {
+  if (!puzzle || !puzzle.dynamic_flag || !puzzle.flag_secret) return null;
+  // Ordinary wrong answers never look like an issued flag, so they skip the per-team scan
+  if (!looksLikeTeamFlag(puzzle, submitted)) return null;
+
+  let teamIds = [];
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin.from('teams').select('id');
+    if (error) {
+      console.error('Find flag owner error:', error.message);
+      return null;
+    }
+    teamIds = (data || []).map(t => t.id);
+  } else {
+    const [rows] = await db.query('SELECT id FROM teams');
+    teamIds = rows.map(t => t.id);
+  }
+
+  for (const teamId of teamIds) {
+    if (teamId === excludeTeamId) continue;
+    if (checkTeamAnswer(puzzle, teamId, submitted)) {
+      return teamId;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_FLAG_TEMPLATE,
+  generateFlagSecret,
+  getTeamFlag,
+  renderPuzzleContent,
+  findFlagOwner,
+  checkTeamAnswer
+};
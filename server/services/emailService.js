@@ -113,8 +113,82 @@ async function sendPasswordResetEmail(email, name, otp) {
   }
 }
 
+/**
+ * Send team invite link
+ * @param {String} email
+ * @param {String} teamName
+ * @param {String} inviterName
+ * @param {String} link
+ */
+async function sendTeamInviteEmail(email, teamName, inviterName, link) {
+  const subject = `${APP_NAME} - Join ${teamName}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #ff0000;">Team Invitation</h2>
+      <p>Hello,</p>
+      <p>${inviterName} invited you to join <strong>${teamName}</strong> on ${APP_NAME}.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background: #000; color: #ff0000; padding: 15px 30px; text-decoration: none; font-weight: bold; border: 2px solid #ff0000;">ACCEPT INVITE</a>
+      </p>
+      <p>This invite expires in <strong>7 days</strong>.</p>
+      <p><strong>If you weren't expecting this, you can ignore this email.</strong></p>
+      <hr style="border: 1px solid #333; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">${APP_NAME} Security Team</p>
+    </div>
+  `;
+
+  if (transporter) {
+    await transporter.sendMail({
+      from: FROM_EMAIL,
+      to: email,
+      subject,
+      html
+    });
+  } else {
+    console.log(`[EMAIL] Invite for ${email} (${subject}): ${link}`);
+  }
+}
+
+/**
+ * Send account locked notice with an unlock link
+ * @param {String} email
+ * @param {String} name
+ * @param {String} link
+ * @param {Number} minutes - How long the lock lasts on its own
+ */
+async function sendAccountLockedEmail(email, name, link, minutes) {
+  const subject = `${APP_NAME} - Account Locked`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #ff0000;">Account Locked</h2>
+      <p>Hello ${name},</p>
+      <p>Your account was locked after too many failed login attempts. It unlocks by itself in <strong>${minutes} minutes</strong>.</p>
+      <p>If it was you, unlock it now:</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background: #000; color: #ff0000; padding: 15px 30px; text-decoration: none; font-weight: bold; border: 2px solid #ff0000;">UNLOCK ACCOUNT</a>
+      </p>
+      <p><strong>If it wasn't you, someone may be guessing your password. Consider changing it.</strong></p>
+      <hr style="border: 1px solid #333; margin: 20px 0;">
+      <p style="color: #666; font-size: 12px;">${APP_NAME} Security Team</p>
+    </div>
+  `;
+
+  if (transporter) {
+    await transporter.sendMail({
+      from: FROM_EMAIL,
+      to: email,
+      subject,
+      html
+    });
+  } else {
+    console.log(`[EMAIL] Unlock link for ${email} (${subject}): ${link}`);
+  }
+}
+
 module.exports = {
   sendVerificationEmail,
   send2FACode,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendTeamInviteEmail,
+  sendAccountLockedEmail
 };
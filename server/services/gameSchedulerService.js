@@ -0,0 +1,328 @@
+// server/services/gameSchedulerService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+const { logAudit } = require('./auditService');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Game Scheduler Service
+ * Runs an admin-defined timeline of game phases (start, close submissions,
+ * evaluate, publish, unlock, end) at their scheduled times.
+ *
+ * The schedule lives in game_state.phase_schedule so it survives restarts;
+ * steps that came due while the server was down run on the next tick.
+ * Each step reuses the same controller action an admin would click, acting
+ * as the admin who saved the schedule.
+ */
+
+const TICK_INTERVAL_MS = 15000;
+
+// action -> { needsLevel, handler: () => controller handler }
+// Controllers are required lazily to keep service -> controller loading one-way
+const ACTIONS = {
+  start_game: { needsLevel: false, handler: () => require('../controllers/gameController').startGame },
+  close_submissions: { needsLevel: true, handler: () => require('../controllers/evaluationController').closeSubmissions },
+  evaluate: { needsLevel: true, handler: () => require('../controllers/evaluationController').evaluateAnswers },
+  publish_results: { needsLevel: true, handler: () => require('../controllers/evaluationController').publishResults },
+  unlock_level: { needsLevel: true, handler: () => require('../controllers/gameController').unlockLevel },
+  end_game: { needsLevel: false, handler: () => require('../controllers/gameController').endGame }
+};
+
+// Actions renamed since a schedule may have been saved: old name -> fixed fields
+const ACTION_ALIASES = {
+  unlock_level2: { action: 'unlock_level', level: 2 }
+};
+
+// A step that has not answered by then is marked failed so the loop is not stuck
+const STEP_TIMEOUT_MS = 5 * 60 * 1000;
+
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Parse the stored schedule (MySQL returns JSON as a string)
+ */
+function parseSchedule(value) {
+  if (!value) return null;
+  let schedule = value;
+  if (typeof value !== 'object') {
+    try {
+      schedule = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (schedule && Array.isArray(schedule.steps)) {
+    schedule.steps = schedule.steps.map(step => (
+      ACTION_ALIASES[step.action] ? { ...step, ...ACTION_ALIASES[step.action] } : step
+    ));
+  }
+  return schedule;
+}
+
+/**
+ * Load the schedule from game_state
+ * @returns {Object|null} { created_by, created_at, steps: [...] }
+ */
+async function getSchedule() {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('game_state')
+      .select('phase_schedule')
+      .limit(1);
+    if (error) throw error;
+    return parseSchedule(data?.[0]?.phase_schedule);
+  }
+
+  const [rows] = await db.query('SELECT phase_schedule FROM game_state LIMIT 1');
+  return parseSchedule(rows[0]?.phase_schedule);
+}
+
+/**
+ * Persist the schedule to game_state
+ */
+async function saveSchedule(schedule) {
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('game_state')
+      .update({ phase_schedule: schedule })
+      .not('id', 'is', null);
+    if (error) throw error;
+    return;
+  }
+
+  await db.query(
+    'UPDATE game_state SET phase_schedule = ? WHERE id IS NOT NULL',
+    [schedule ? JSON.stringify(schedule) : null]
+  );
+}
+
+/**
+ * Validate and store a new timeline
+ * @param {Array} steps - [{ action, run_at, level? }]
+ * @param {String} adminId - Admin the steps will run as
+ * @returns {Object} Saved schedule
+ */
+async function setSchedule(steps, adminId) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('At least one step is required');
+  }
+
+  const normalized = steps.map((rawStep, index) => {
+    const step = ACTION_ALIASES[rawStep.action] ? { ...rawStep, ...ACTION_ALIASES[rawStep.action] } : rawStep;
+    const action = ACTIONS[step.action];
+    if (!action) {
+      throw new Error(`Step ${index + 1}: unknown action '${step.action}'. Supported: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    const runAt = new Date(step.run_at);
+    if (Number.isNaN(runAt.getTime())) {
+      throw new Error(`Step ${index + 1}: run_at must be a valid date`);
+    }
+    const level = step.level !== undefined && step.level !== null ? parseInt(step.level) : null;
+    if (action.needsLevel && !(level >= 1)) {
+      throw new Error(`Step ${index + 1}: ${step.action} requires a level`);
+    }
+    return {
+      id: uuidv4(),
+      action: step.action,
+      level: action.needsLevel ? level : null,
+      run_at: runAt.toISOString(),
+      status: 'pending',
+      executed_at: null,
+      result: null
+    };
+  });
+
+  normalized.sort((a, b) => new Date(a.run_at) - new Date(b.run_at));
+
+  const schedule = {
+    created_by: adminId,
+    created_at: new Date().toISOString(),
+    steps: normalized
+  };
+  await saveSchedule(schedule);
+  return schedule;
+}
+
+/**
+ * Remove the schedule
+ */
+async function clearSchedule() {
+  await saveSchedule(null);
+}
+
+/**
+ * Run a controller handler outside of an HTTP request
+ * Rejects after STEP_TIMEOUT_MS if the handler never responds; the handler
+ * itself cannot be cancelled and may still finish in the background.
+ * @returns {Promise<Object>} { status, body }
+ */
+function runHandler(handler, { params = {}, body = {} }, adminId) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No response after ${STEP_TIMEOUT_MS / 1000}s`)), STEP_TIMEOUT_MS);
+  });
+  const run = new Promise((resolve, reject) => {
+    const req = {
+      params,
+      body,
+      query: {},
+      user: { id: adminId, userId: adminId, role: 'admin', name: 'Scheduler' },
+      ip: null,
+      get: () => null
+    };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      }
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+  return Promise.race([run, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Execute one schedule step
+ * @returns {Object} { ok, message }
+ */
+async function executeStep(step, adminId) {
+  const handler = ACTIONS[step.action].handler();
+  const params = step.level ? { levelId: String(step.level) } : {};
+  const { status, body } = await runHandler(handler, { params }, adminId);
+  const ok = status < 400 && body?.success !== false;
+  return { ok, message: body?.message || body?.error || `HTTP ${status}` };
+}
+
+/**
+ * First step that should run now, or null if the timeline is waiting,
+ * finished or halted on a failed step
+ */
+function nextDueStep(schedule, now) {
+  if (!schedule || !Array.isArray(schedule.steps)) return null;
+  for (const step of schedule.steps) {
+    if (step.status === 'done' || step.status === 'skipped') continue;
+    if (step.status === 'failed') return null;
+    return new Date(step.run_at).getTime() <= now ? step : null;
+  }
+  return null;
+}
+
+/**
+ * Store a step's outcome on the current schedule. The schedule is re-read
+ * so a set, clear, retry or skip saved while the step ran is kept.
+ * @returns {Boolean} False if the schedule was replaced or cleared meanwhile
+ */
+async function recordOutcome(scheduleCreatedAt, stepId, outcome) {
+  const current = await getSchedule();
+  const step = current?.created_at === scheduleCreatedAt && current.steps?.find(s => s.id === stepId);
+  if (!step) return false;
+  step.status = outcome.ok ? 'done' : 'failed';
+  step.executed_at = new Date().toISOString();
+  step.result = outcome.message;
+  await saveSchedule(current);
+  return true;
+}
+
+/**
+ * Run every step that is due. A failed step halts the timeline so later
+ * phases (e.g. publish after a failed evaluation) don't run out of order.
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = Date.now();
+    const attempted = new Set();
+    for (;;) {
+      // Re-read before every step so admin changes between steps are honoured
+      const schedule = await getSchedule();
+      const step = nextDueStep(schedule, now);
+      if (!step || attempted.has(step.id)) break;
+      attempted.add(step.id);
+
+      let outcome;
+      try {
+        outcome = await executeStep(step, schedule.created_by);
+      } catch (error) {
+        outcome = { ok: false, message: error.message };
+      }
+
+      const recorded = await recordOutcome(schedule.created_at, step.id, outcome);
+
+      await logAudit(
+        schedule.created_by,
+        outcome.ok ? 'SCHEDULED_PHASE_RUN' : 'SCHEDULED_PHASE_FAILED',
+        null,
+        `${step.action}${step.level ? ` (level ${step.level})` : ''}: ${outcome.message}`
+      );
+      console.log(`⏱️ Scheduled ${step.action} ${outcome.ok ? 'completed' : 'failed'}: ${outcome.message}`);
+
+      if (!outcome.ok || !recorded) break;
+    }
+  } catch (error) {
+    console.error('Game scheduler tick error:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Retry a failed step on the next tick
+ * @param {String} stepId
+ * @returns {Object} Updated schedule
+ */
+async function retryStep(stepId) {
+  const schedule = await getSchedule();
+  const step = schedule?.steps?.find(s => s.id === stepId);
+  if (!step) throw new Error('Step not found');
+  if (step.status !== 'failed') throw new Error('Only failed steps can be retried');
+  step.status = 'pending';
+  step.result = null;
+  await saveSchedule(schedule);
+  return schedule;
+}
+
+/**
+ * Mark a failed or pending step as skipped so the timeline continues
+ * @param {String} stepId
+ * @returns {Object} Updated schedule
+ */
+async function skipStep(stepId) {
+  const schedule = await getSchedule();
+  const step = schedule?.steps?.find(s => s.id === stepId);
+  if (!step) throw new Error('Step not found');
+  if (step.status === 'done') throw new Error('Step already ran');
+  step.status = 'skipped';
+  step.executed_at = new Date().toISOString();
+  await saveSchedule(schedule);
+  return schedule;
+}
+
+/**
+ * Start the scheduler loop (called once on server boot)
+ */
+function start() {
+  if (tickTimer) return;
+  tick();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+  tickTimer.unref?.();
+}
+
+module.exports = {
+  ACTIONS: Object.keys(ACTIONS),
+  getSchedule,
+  setSchedule,
+  clearSchedule,
+  retryStep,
+  skipStep,
+  tick,
+  start
+};
@@ -8,11 +8,130 @@ const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
  * Progressive Hint Service
- * Handles sequential hint unlocking with escalating penalties
+ * Handles sequential hint unlocking with escalating penalties. A hint can
+ * cost time (time_penalty_seconds), points (point_cost) or both. A hint with
+ * unlock_after_seconds set becomes free once the team has spent that much
+ * active time on the question; requesting it earlier costs its penalty.
  */
 
 /**
- * Get available hints for a puzzle based on time elapsed and previous hints used
+ * Active seconds a team has spent on a question, from team_question_progress.
+ * Paused time is not counted, so a free unlock only comes closer while the
+ * question's timer is running.
+ * @returns {Promise<{activeSeconds: number, running: boolean}>}
+ */
+async function getActiveTime(teamId, puzzleId) {
+  let progress;
+  try {
+    if (USE_SUPABASE) {
+      const { data, error } = await supabaseAdmin
+        .from('team_question_progress')
+        .select('status, time_spent_seconds, started_at')
+        .eq('team_id', teamId)
+        .eq('puzzle_id', puzzleId)
+        .maybeSingle();
+      if (error) throw error;
+      progress = data;
+    } else {
+      [[progress]] = await db.query(
+        'SELECT status, time_spent_seconds, started_at FROM team_question_progress WHERE team_id = ? AND puzzle_id = ?',
+        [teamId, puzzleId]
+      );
+    }
+  } catch (err) {
+    console.error('Error reading question time for hints:', err.message);
+    return { activeSeconds: 0, running: false };
+  }
+
+  if (!progress) return { activeSeconds: 0, running: false };
+
+  let activeSeconds = progress.time_spent_seconds || 0;
+  const status = (progress.status || '').toUpperCase();
+  const running = (status === 'ACTIVE' || status === 'IN_PROGRESS') && !!progress.started_at;
+  if (running) {
+    activeSeconds += Math.max(0, Math.floor((Date.now() - new Date(progress.started_at).getTime()) / 1000));
+  }
+  return { activeSeconds, running };
+}
+
+/** What a hint charges: 'time', 'points', 'both' or 'none' */
+function getCostType(hint) {
+  const time = (hint.time_penalty_seconds || 0) > 0;
+  const points = (hint.point_cost || 0) > 0;
+  if (time && points) return 'both';
+  if (points) return 'points';
+  return time ? 'time' : 'none';
+}
+
+/** Whether a hint's free unlock time has been reached */
+function isHintFree(hint, activeSeconds) {
+  return hint.unlock_after_seconds !== null && hint.unlock_after_seconds !== undefined &&
+    activeSeconds >= Number(hint.unlock_after_seconds);
+}
+
+/**
+ * Work out each hint's state for the team. Locked hints are returned without
+ * their text. nextHintUnlockIn counts down to the next hint that turns free.
+ */
+function describeHints(hints, progress, { activeSeconds, running }) {
+  if (!progress || !progress.started_at) {
+    return { hints: [], nextHintUnlockIn: null };
+  }
+
+  const elapsedSeconds = Math.floor((Date.now() - new Date(progress.started_at).getTime()) / 1000);
+  const lastHintNumber = progress.hints_used || 0;
+
+  let previousUnlocked = true;
+  let nextHintUnlockIn = null;
+  const availableHints = hints.map(hint => {
+    const unlockAfterSeconds = hint.unlock_after_seconds ?? null;
+    const isFree = isHintFree(hint, activeSeconds);
+    const isUnlocked = !!hint.is_used || isFree;
+    const freeInSeconds = !isUnlocked && unlockAfterSeconds !== null
+      ? Number(unlockAfterSeconds) - activeSeconds
+      : null;
+    if (freeInSeconds !== null && (nextHintUnlockIn === null || freeInSeconds < nextHintUnlockIn)) {
+      nextHintUnlockIn = freeInSeconds;
+    }
+
+    const canUnlock = !isUnlocked && previousUnlocked;
+    previousUnlocked = isUnlocked;
+
+    const { hint_text, ...rest } = hint;
+    return {
+      ...rest,
+      ...(isUnlocked ? { hint_text } : {}),
+      isUnlocked,
+      isFree,
+      canUnlock,
+      unlockAfterSeconds,
+      freeInSeconds,
+      costType: isFree ? 'none' : getCostType(hint),
+      penaltySeconds: isFree ? 0 : hint.time_penalty_seconds || 0,
+      pointCost: isFree ? 0 : hint.point_cost || 0
+    };
+  });
+
+  return {
+    hints: availableHints,
+    nextHintUnlockIn,
+    elapsedSeconds,
+    activeSeconds,
+    timerRunning: running,
+    lastHintNumber
+  };
+}
+
+/**
+ * Whether every active hint before this one is used or already free, so the
+ * team may request it
+ */
+function earlierHintsUnlocked(earlierHints, usedHintIds, activeSeconds) {
+  return earlierHints.every(h => usedHintIds.includes(h.id) || isHintFree(h, activeSeconds));
+}
+
+/**
+ * Get available hints for a puzzle based on active time and previous hints used
  */
 async function getAvailableHints(teamId, puzzleId) {
   let hints, progress;
@@ -58,32 +177,7 @@ async function getAvailableHints(teamId, puzzleId) {
     return getAvailableHintsMysql(teamId, puzzleId);
   }
 
-  if (!progress || !progress.started_at) {
-    return { hints: [], nextHintUnlockIn: null };
-  }
-
-  const elapsedSeconds = Math.floor((Date.now() - new Date(progress.started_at).getTime()) / 1000);
-  const lastHintNumber = progress.hints_used || 0;
-
-  // Determine which hints are available
-  const availableHints = hints.map((hint, index) => {
-    const isUnlocked = hint.is_used || (index < lastHintNumber);
-
-    return {
-      ...hint,
-      isUnlocked,
-      canUnlock: !hint.is_used && index === lastHintNumber,
-      unlockAfterSeconds: 0,
-      penaltySeconds: hint.time_penalty_seconds || 0
-    };
-  });
-
-  return {
-    hints: availableHints,
-    nextHintUnlockIn: null,
-    elapsedSeconds,
-    lastHintNumber
-  };
+  return describeHints(hints, progress, await getActiveTime(teamId, puzzleId));
 }
 
 /** MySQL fallback for getAvailableHints */
@@ -103,37 +197,17 @@ async function getAvailableHintsMysql(teamId, puzzleId) {
     WHERE team_id = ? AND puzzle_id = ?
   `, [teamId, puzzleId]);
 
-  if (!progress || !progress.started_at) {
-    return { hints: [], nextHintUnlockIn: null };
-  }
-
-  const elapsedSeconds = Math.floor((Date.now() - new Date(progress.started_at).getTime()) / 1000);
-  const lastHintNumber = progress.hints_used || 0;
-
-  const availableHints = hints.map((hint, index) => {
-    const isUnlocked = hint.is_used || (index < lastHintNumber);
-
-    return {
-      ...hint,
-      isUnlocked,
-      canUnlock: !hint.is_used && index === lastHintNumber,
-      unlockAfterSeconds: 0,
-      penaltySeconds: hint.time_penalty_seconds || 0
-    };
-  });
-
-  return {
-    hints: availableHints,
-    nextHintUnlockIn: null,
-    elapsedSeconds,
-    lastHintNumber
-  };
+  return describeHints(hints, progress, await getActiveTime(teamId, puzzleId));
 }
 
 /**
  * Use a hint (progressive system)
+ * Every earlier hint must be used or already free. The time and points
+ * charged are recorded on hint_usage. A hint past its free unlock time is
+ * recorded with no penalty and does not count towards hints_used.
+ * @param {string|null} userId - Team member unlocking the hint
  */
-async function useHint(teamId, puzzleId, hintId) {
+async function useHint(teamId, puzzleId, hintId, userId = null) {
   if (USE_SUPABASE) {
     try {
       // Get the hint
@@ -156,7 +230,6 @@ async function useHint(teamId, puzzleId, hintId) {
       if (existErr) throw existErr;
       if (existing) throw new Error('Hint already used');
 
-      // Verify this is the next sequential hint
       const { data: progress, error: progErr } = await supabaseAdmin
         .from('team_progress')
         .select('hints_used')
@@ -165,13 +238,32 @@ async function useHint(teamId, puzzleId, hintId) {
         .maybeSingle();
       if (progErr) throw progErr;
 
-      const lastHintNumber = progress?.hints_used || 0;
-      if (hint.hint_number !== lastHintNumber + 1) {
+      // Verify every earlier hint is used or free
+      const { data: earlierHints, error: earlierErr } = await supabaseAdmin
+        .from('hints')
+        .select('id, hint_number, unlock_after_seconds')
+        .eq('puzzle_id', puzzleId)
+        .eq('is_active', true)
+        .lt('hint_number', hint.hint_number);
+      if (earlierErr) throw earlierErr;
+
+      const { data: usedData, error: usedErr } = await supabaseAdmin
+        .from('hint_usage')
+        .select('hint_id')
+        .eq('team_id', teamId)
+        .eq('puzzle_id', puzzleId);
+      if (usedErr) throw usedErr;
+
+      const { activeSeconds } = await getActiveTime(teamId, puzzleId);
+      const usedHintIds = (usedData || []).map(r => r.hint_id);
+      if (!earlierHintsUnlocked(earlierHints || [], usedHintIds, activeSeconds)) {
         throw new Error('Hints must be unlocked in order');
       }
 
       // Calculate penalty
-      const penaltySeconds = hint.time_penalty_seconds || 0;
+      const isFree = isHintFree(hint, activeSeconds);
+      const penaltySeconds = isFree ? 0 : hint.time_penalty_seconds || 0;
+      const pointsPenalty = isFree ? 0 : hint.point_cost || 0;
 
       // Record hint usage
       const { error: insertErr } = await supabaseAdmin
@@ -179,40 +271,44 @@ async function useHint(teamId, puzzleId, hintId) {
         .insert({
           id: uuidv4(),
           team_id: teamId,
+          user_id: userId,
           hint_id: hintId,
           puzzle_id: puzzleId,
-          time_penalty_applied: penaltySeconds
+          time_penalty_applied: penaltySeconds,
+          points_penalty_applied: pointsPenalty
         });
       if (insertErr) throw insertErr;
 
-      // Update team's hints used count (fetch then increment)
-      const { data: teamData, error: teamFetchErr } = await supabaseAdmin
-        .from('teams')
-        .select('hints_used')
-        .eq('id', teamId)
-        .maybeSingle();
-      if (teamFetchErr) throw teamFetchErr;
-
-      const currentHintsUsed = teamData?.hints_used || 0;
-      const { error: teamUpdateErr } = await supabaseAdmin
-        .from('teams')
-        .update({ hints_used: currentHintsUsed + 1 })
-        .eq('id', teamId);
-      if (teamUpdateErr) throw teamUpdateErr;
-
-      // Update progress with last hint number
-      const currentProgressHints = progress?.hints_used || 0;
-      const { error: progUpdateErr } = await supabaseAdmin
-        .from('team_progress')
-        .update({
-          hints_used: currentProgressHints + 1
-        })
-        .eq('team_id', teamId)
-        .eq('puzzle_id', puzzleId);
-      if (progUpdateErr) throw progUpdateErr;
-
-      // Send notification
-      await notifyHintPenalty(teamId, hint.hint_number, penaltySeconds);
+      if (!isFree) {
+        // Update team's hints used count (fetch then increment)
+        const { data: teamData, error: teamFetchErr } = await supabaseAdmin
+          .from('teams')
+          .select('hints_used')
+          .eq('id', teamId)
+          .maybeSingle();
+        if (teamFetchErr) throw teamFetchErr;
+
+        const currentHintsUsed = teamData?.hints_used || 0;
+        const { error: teamUpdateErr } = await supabaseAdmin
+          .from('teams')
+          .update({ hints_used: currentHintsUsed + 1 })
+          .eq('id', teamId);
+        if (teamUpdateErr) throw teamUpdateErr;
+
+        // Update progress with last hint number
+        const currentProgressHints = progress?.hints_used || 0;
+        const { error: progUpdateErr } = await supabaseAdmin
+          .from('team_progress')
+          .update({
+            hints_used: currentProgressHints + 1
+          })
+          .eq('team_id', teamId)
+          .eq('puzzle_id', puzzleId);
+        if (progUpdateErr) throw progUpdateErr;
+
+        // Send notification
+        await notifyHintPenalty(teamId, hint.hint_number, penaltySeconds, pointsPenalty);
+      }
 
       // Log activity
       const { error: logErr } = await supabaseAdmin
@@ -220,17 +316,20 @@ async function useHint(teamId, puzzleId, hintId) {
         .insert({
           id: uuidv4(),
           team_id: teamId,
+          user_id: userId,
           action_type: 'hint_use',
-          description: `Used hint ${hint.hint_number} (penalty: ${penaltySeconds}s)`,
+          description: describeHintUse(hint.hint_number, penaltySeconds, pointsPenalty, isFree),
           puzzle_id: puzzleId,
-          metadata: { hintNumber: hint.hint_number, penalty: penaltySeconds }
+          metadata: { hintNumber: hint.hint_number, penalty: penaltySeconds, pointsPenalty, free: isFree }
         });
       if (logErr) throw logErr;
 
       return {
         hintText: hint.hint_text,
         hintNumber: hint.hint_number,
-        penaltySeconds
+        penaltySeconds,
+        pointsPenalty,
+        free: isFree
       };
     } catch (err) {
       // Re-throw business logic errors
@@ -238,20 +337,22 @@ async function useHint(teamId, puzzleId, hintId) {
         throw err;
       }
       console.error('Supabase useHint error, falling back to MySQL:', err.message);
-      return useHintMysql(teamId, puzzleId, hintId);
+      return useHintMysql(teamId, puzzleId, hintId, userId);
     }
   } else {
-    return useHintMysql(teamId, puzzleId, hintId);
+    return useHintMysql(teamId, puzzleId, hintId, userId);
   }
 }
 
 /** MySQL fallback for useHint */
-async function useHintMysql(teamId, puzzleId, hintId) {
+async function useHintMysql(teamId, puzzleId, hintId, userId) {
   // Parallel validation queries for better performance
-  const [[[hint]], [[existing]], [[progress]]] = await Promise.all([
+  const [[[hint]], [[existing]], [puzzleHints], [usedRows], { activeSeconds }] = await Promise.all([
     db.query(`SELECT * FROM hints WHERE id = ? AND puzzle_id = ?`, [hintId, puzzleId]),
     db.query(`SELECT id FROM hint_usage WHERE team_id = ? AND hint_id = ?`, [teamId, hintId]),
-    db.query(`SELECT hints_used FROM team_progress WHERE team_id = ? AND puzzle_id = ?`, [teamId, puzzleId])
+    db.query(`SELECT id, hint_number, unlock_after_seconds FROM hints WHERE puzzle_id = ? AND is_active = true`, [puzzleId]),
+    db.query(`SELECT hint_id FROM hint_usage WHERE team_id = ? AND puzzle_id = ?`, [teamId, puzzleId]),
+    getActiveTime(teamId, puzzleId)
   ]);
 
   if (!hint) {
@@ -262,47 +363,63 @@ async function useHintMysql(teamId, puzzleId, hintId) {
     throw new Error('Hint already used');
   }
 
-  const lastHintNumber = progress?.hints_used || 0;
-  if (hint.hint_number !== lastHintNumber + 1) {
+  const earlierHints = puzzleHints.filter(h => h.hint_number < hint.hint_number);
+  const usedHintIds = usedRows.map(r => r.hint_id);
+  if (!earlierHintsUnlocked(earlierHints, usedHintIds, activeSeconds)) {
     throw new Error('Hints must be unlocked in order');
   }
 
-  const penaltySeconds = hint.time_penalty_seconds || 0;
-
-  await db.query(`
-    INSERT INTO hint_usage (id, team_id, hint_id, puzzle_id, time_penalty_applied)
-    VALUES (UUID(), ?, ?, ?, ?)
-  `, [teamId, hintId, puzzleId, penaltySeconds]);
-
-  await db.query(`
-    UPDATE teams SET hints_used = hints_used + 1 WHERE id = ?
-  `, [teamId]);
+  const isFree = isHintFree(hint, activeSeconds);
+  const penaltySeconds = isFree ? 0 : hint.time_penalty_seconds || 0;
+  const pointsPenalty = isFree ? 0 : hint.point_cost || 0;
 
   await db.query(`
-    UPDATE team_progress
-    SET hints_used = hints_used + 1
-    WHERE team_id = ? AND puzzle_id = ?
-  `, [teamId, puzzleId]);
-
-  await notifyHintPenalty(teamId, hint.hint_number, penaltySeconds);
+    INSERT INTO hint_usage (id, team_id, user_id, hint_id, puzzle_id, time_penalty_applied, points_penalty_applied)
+    VALUES (UUID(), ?, ?, ?, ?, ?, ?)
+  `, [teamId, userId, hintId, puzzleId, penaltySeconds, pointsPenalty]);
+
+  if (!isFree) {
+    await db.query(`
+      UPDATE teams SET hints_used = hints_used + 1 WHERE id = ?
+    `, [teamId]);
+
+    await db.query(`
+      UPDATE team_progress
+      SET hints_used = hints_used + 1
+      WHERE team_id = ? AND puzzle_id = ?
+    `, [teamId, puzzleId]);
+
+    await notifyHintPenalty(teamId, hint.hint_number, penaltySeconds, pointsPenalty);
+  }
 
   await db.query(`
-    INSERT INTO activity_logs (id, team_id, action_type, description, puzzle_id, metadata)
-    VALUES (UUID(), ?, 'hint_use', ?, ?, ?)
+    INSERT INTO activity_logs (id, team_id, user_id, action_type, description, puzzle_id, metadata)
+    VALUES (UUID(), ?, ?, 'hint_use', ?, ?, ?)
   `, [
     teamId,
-    `Used hint ${hint.hint_number} (penalty: ${penaltySeconds}s)`,
+    userId,
+    describeHintUse(hint.hint_number, penaltySeconds, pointsPenalty, isFree),
     puzzleId,
-    JSON.stringify({ hintNumber: hint.hint_number, penalty: penaltySeconds })
+    JSON.stringify({ hintNumber: hint.hint_number, penalty: penaltySeconds, pointsPenalty, free: isFree })
   ]);
 
   return {
     hintText: hint.hint_text,
     hintNumber: hint.hint_number,
-    penaltySeconds
+    penaltySeconds,
+    pointsPenalty,
+    free: isFree
   };
 }
 
+/** Activity log line for a hint use */
+function describeHintUse(hintNumber, penaltySeconds, pointsPenalty, isFree) {
+  if (isFree) return `Viewed free hint ${hintNumber}`;
+  const charges = [`penalty: ${penaltySeconds}s`];
+  if (pointsPenalty > 0) charges.push(`cost: ${pointsPenalty} points`);
+  return `Used hint ${hintNumber} (${charges.join(', ')})`;
+}
+
 /**
  * Get total hint penalty for a team
  */
@@ -339,5 +456,8 @@ async function getTotalHintPenaltyMysql(teamId) {
 module.exports = {
   getAvailableHints,
   useHint,
-  getTotalHintPenalty
+  getTotalHintPenalty,
+  getActiveTime,
+  isHintFree,
+  getCostType
 };
@@ -0,0 +1,259 @@
+// server/services/leaderboardFreezeService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const leaderboardService = require('./leaderboardService');
+const realtimeService = require('./realtimeService');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Leaderboard Freeze Service
+ * Lets admins freeze the scoreboard for the last minutes of an event.
+ *
+ * Once freeze_at passes, teams and the public leaderboard see a snapshot of
+ * the standings taken at that point while admins keep the live view.
+ * Unfreezing reveals the live order; the frozen snapshot is kept as
+ * reveal_from for a few minutes so clients can animate the change.
+ *
+ * The state lives in game_state.leaderboard_freeze:
+ *   { freeze_at, frozen_by, snapshot, snapshot_at, revealed_at, revealed_by, reveal_from }
+ * The snapshot is taken when a scheduled freeze comes due, or on the first
+ * read after freeze_at if the server restarted in between.
+ */
+
+// How long after unfreezing clients are still sent the frozen order to reveal from
+const REVEAL_WINDOW_MS = 10 * 60 * 1000;
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let freezeTimer = null;
+
+/**
+ * Parse the stored state (MySQL returns JSON as a string)
+ */
+function parseState(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Load the freeze state from game_state (cached briefly)
+ * Reads as "not frozen" until the leaderboard_freeze column is migrated
+ * @returns {Promise<Object|null>}
+ */
+async function getState() {
+  return cached(cacheKeys.leaderboardFreeze(), async () => {
+    if (USE_SUPABASE) {
+      const { data, error } = await supabaseAdmin
+        .from('game_state')
+        .select('leaderboard_freeze')
+        .limit(1);
+      if (error) {
+        console.log('Leaderboard freeze state info:', error.message);
+        return null;
+      }
+      return parseState(data?.[0]?.leaderboard_freeze);
+    }
+
+    try {
+      const [rows] = await db.query('SELECT leaderboard_freeze FROM game_state LIMIT 1');
+      return parseState(rows[0]?.leaderboard_freeze);
+    } catch (error) {
+      if (error.code !== 'ER_BAD_FIELD_ERROR') throw error;
+      console.log('Leaderboard freeze state info:', error.code);
+      return null;
+    }
+  }, TTL.LEADERBOARD_FREEZE);
+}
+
+/**
+ * Persist the freeze state to game_state
+ */
+async function saveState(state) {
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('game_state')
+      .update({ leaderboard_freeze: state })
+      .not('id', 'is', null);
+    if (error) throw error;
+  } else {
+    await db.query(
+      'UPDATE game_state SET leaderboard_freeze = ? WHERE id IS NOT NULL',
+      [state ? JSON.stringify(state) : null]
+    );
+  }
+  cache.delete(cacheKeys.leaderboardFreeze());
+}
+
+function isFrozen(state, now = Date.now()) {
+  return !!state?.freeze_at && new Date(state.freeze_at).getTime() <= now;
+}
+
+/**
+ * Freeze details safe to send to any viewer
+ */
+function describe(state) {
+  const frozen = isFrozen(state);
+  const revealedAt = state?.revealed_at || null;
+  const revealing = !frozen && revealedAt && Date.now() - new Date(revealedAt).getTime() < REVEAL_WINDOW_MS;
+  return {
+    frozen,
+    freezeAt: state?.freeze_at || null,
+    frozenAt: frozen ? (state.snapshot_at || state.freeze_at) : null,
+    revealedAt,
+    revealFrom: revealing ? state.reveal_from || null : null
+  };
+}
+
+/**
+ * Take the snapshot if the freeze has started but none was stored yet
+ * It is rebuilt as of freeze_at, so a snapshot taken late (after a restart or
+ * on the first read) leaves out solves and hint costs from after the freeze
+ */
+async function ensureSnapshot(state) {
+  if (!isFrozen(state) || state.snapshot) return state;
+  const snapshot = await leaderboardService.getLeaderboardAsOf(state.freeze_at);
+  const updated = { ...state, snapshot, snapshot_at: state.freeze_at };
+  await saveState(updated);
+  return updated;
+}
+
+/**
+ * Leaderboard as the viewer should see it
+ * @param {boolean} isAdmin - Admins always get live standings
+ * @returns {Promise<Object>} { teams, freeze }
+ */
+async function getLeaderboardForViewer(isAdmin) {
+  const state = await ensureSnapshot(await getState());
+  const freeze = describe(state);
+
+  if (freeze.frozen && !isAdmin) {
+    return { teams: state.snapshot, freeze };
+  }
+  return { teams: await leaderboardService.getLiveLeaderboard(), freeze };
+}
+
+/**
+ * Team rank as the viewer should see it
+ * @param {string} teamId
+ * @param {boolean} isAdmin
+ * @returns {Promise<number|null>}
+ */
+async function getTeamRankForViewer(teamId, isAdmin) {
+  const { teams } = await getLeaderboardForViewer(isAdmin);
+  const entry = teams.find(t => t.id === teamId);
+  return entry ? entry.rank : null;
+}
+
+/**
+ * Freeze the leaderboard now or at a later time
+ * @param {string|null} freezeAt - ISO time; defaults to now
+ * @param {string} userId - Admin freezing the board
+ * @returns {Promise<Object>} New state
+ */
+async function freeze(freezeAt, userId) {
+  const at = freezeAt ? new Date(freezeAt) : new Date();
+  if (isNaN(at.getTime())) {
+    throw new Error('freeze_at must be a valid date');
+  }
+
+  const current = await getState();
+  if (isFrozen(current)) {
+    throw new Error('Leaderboard is already frozen');
+  }
+
+  const state = {
+    freeze_at: at.toISOString(),
+    frozen_by: userId,
+    snapshot: null,
+    snapshot_at: null,
+    revealed_at: null,
+    revealed_by: null,
+    reveal_from: null
+  };
+  // Freezing now snapshots straight away; a later freeze waits for its time
+  if (isFrozen(state)) return ensureSnapshot(state);
+  await saveState(state);
+  scheduleSnapshot(state);
+  return state;
+}
+
+/**
+ * Snapshot the standings as soon as a scheduled freeze starts
+ */
+function scheduleSnapshot(state) {
+  clearTimeout(freezeTimer);
+  const delay = new Date(state.freeze_at).getTime() - Date.now();
+  if (delay > MAX_TIMER_MS) return;
+  freezeTimer = setTimeout(async () => {
+    freezeTimer = null;
+    try {
+      const current = await getState();
+      if (current?.freeze_at !== state.freeze_at) return;
+      await ensureSnapshot(current);
+      realtimeService.publishLeaderboardChange();
+    } catch (error) {
+      console.error('Leaderboard freeze snapshot error:', error);
+    }
+  }, Math.max(0, delay));
+  freezeTimer.unref?.();
+}
+
+/**
+ * Unfreeze (or cancel a scheduled freeze) and reveal the live order
+ * @param {string} userId - Admin revealing the board
+ * @returns {Promise<Object|null>} New state, or null if nothing was frozen or scheduled
+ */
+async function unfreeze(userId) {
+  clearTimeout(freezeTimer);
+  freezeTimer = null;
+  const current = await ensureSnapshot(await getState());
+  if (!current?.freeze_at) return null;
+
+  const wasFrozen = isFrozen(current);
+  const state = {
+    freeze_at: null,
+    frozen_by: null,
+    snapshot: null,
+    snapshot_at: null,
+    revealed_at: wasFrozen ? new Date().toISOString() : null,
+    revealed_by: wasFrozen ? userId : null,
+    reveal_from: wasFrozen ? current.snapshot : null
+  };
+  await saveState(state);
+  return state;
+}
+
+/**
+ * Re-arm a scheduled freeze after a restart, or snapshot one that came due while offline
+ */
+async function start() {
+  try {
+    const state = await getState();
+    if (!state?.freeze_at || state.snapshot) return;
+    if (isFrozen(state)) {
+      await ensureSnapshot(state);
+    } else {
+      scheduleSnapshot(state);
+    }
+  } catch (error) {
+    console.error('Leaderboard freeze start error:', error);
+  }
+}
+
+module.exports = {
+  REVEAL_WINDOW_MS,
+  getState,
+  describe,
+  isFrozen,
+  getLeaderboardForViewer,
+  getTeamRankForViewer,
+  freeze,
+  unfreeze,
+  start
+};
@@ -2,6 +2,7 @@
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const scoringService = require('./scoringService');
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
@@ -23,6 +24,9 @@ function formatTime(seconds) {
 /**
  * Get live leaderboard with rankings (cached for 3 seconds)
  * Ranking formula: puzzles_solved DESC, total_time ASC, hints_used ASC
+ * When any puzzle uses dynamic scoring, score DESC ranks first: scores use each
+ * puzzle's current value, so dynamic puzzles re-rank teams as they decay
+ * Points charged for point-cost hints are taken off the score
  */
 async function getLiveLeaderboard() {
   const cacheKey = cacheKeys.leaderboard('live');
@@ -34,10 +38,24 @@ async function getLiveLeaderboard() {
   }, TTL.LEADERBOARD);
 }
 
+/**
+ * Leaderboard as it stood at an earlier time, e.g. when the board froze
+ * Solves, hint costs and progress after `asOf` are left out and clocks stop
+ * there, so a snapshot taken late still shows the standings of that moment
+ * @param {Date|string} asOf
+ */
+async function getLeaderboardAsOf(asOf) {
+  if (USE_SUPABASE) {
+    return getLiveLeaderboardSupabase(asOf);
+  }
+  return getLiveLeaderboardMySQL(asOf);
+}
+
 /**
  * Supabase implementation of live leaderboard
+ * @param {Date|string|null} [asOf] - See getLeaderboardAsOf
  */
-async function getLiveLeaderboardSupabase() {
+async function getLiveLeaderboardSupabase(asOf = null) {
   try {
     // 1. Fetch all active/completed/waiting teams
     const { data: teams, error: teamsError } = await supabaseAdmin
@@ -53,13 +71,13 @@ async function getLiveLeaderboardSupabase() {
     if (!teams || teams.length === 0) return [];
 
     // 2. Calculate total_time_seconds in JS
-    const now = new Date();
+    const now = asOf ? new Date(asOf) : new Date();
     const teamsWithTime = teams.map(t => {
       let total_time_seconds = 0;
-      if (t.end_time) {
+      if (t.end_time && new Date(t.end_time) <= now) {
         total_time_seconds = Math.floor((new Date(t.end_time) - new Date(t.start_time)) / 1000);
       } else if (t.start_time) {
-        total_time_seconds = Math.floor((now - new Date(t.start_time)) / 1000);
+        total_time_seconds = Math.max(0, Math.floor((now - new Date(t.start_time)) / 1000));
       }
       return { ...t, total_time_seconds };
     });
@@ -69,10 +87,12 @@ async function getLiveLeaderboardSupabase() {
     try {
       const { data: progressData, error: progressError } = await supabaseAdmin
         .from('team_question_progress')
-        .select('team_id, puzzle_id, time_spent_seconds, status');
+        .select('team_id, puzzle_id, time_spent_seconds, status, completed_at');
 
       if (!progressError && progressData) {
-        allProgress = progressData;
+        allProgress = asOf
+          ? progressData.filter(p => p.completed_at && new Date(p.completed_at) <= new Date(asOf))
+          : progressData;
       }
     } catch (err) {
       console.log('team_question_progress fetch info:', err.message);
@@ -83,7 +103,7 @@ async function getLiveLeaderboardSupabase() {
     try {
       const { data: puzzlesData, error: puzzlesError } = await supabaseAdmin
         .from('puzzles')
-        .select('id, level');
+        .select('id, level, is_active');
 
       if (!puzzlesError && puzzlesData) {
         allPuzzles = puzzlesData;
@@ -98,6 +118,14 @@ async function getLiveLeaderboardSupabase() {
       puzzleLevelMap[p.id] = p.level;
     }
 
+    // Scores at current (possibly decayed) puzzle values, less points spent on hints (floored at zero)
+    const [teamScores, hintCosts, rankByScore, puzzleValues] = await Promise.all([
+      scoringService.getTeamScores(null, asOf),
+      scoringService.getHintPointCosts(null, asOf),
+      scoringService.usesDynamicScoring(),
+      asOf ? scoringService.getPuzzleValues(asOf) : null
+    ]);
+
     // 5. Process per-team: filter progress by level, sum times, count completed
     const leaderboardData = teamsWithTime.map(team => {
       const teamProgress = allProgress.filter(p => p.team_id === team.id && p.status === 'completed');
@@ -126,9 +154,11 @@ async function getLiveLeaderboardSupabase() {
         teamName: team.team_name,
         level: team.level || 1,
         status: team.status,
-        progress: team.progress || 0,
+        progress: puzzleValues ? levelProgressAsOf(team, allPuzzles, puzzleValues) : team.progress || 0,
         puzzlesSolved,
+        totalScore: scoringService.netScore(teamScores[team.id], hintCosts[team.id]),
         hintsUsed: team.hints_used || 0,
+        hintPoints: hintCosts[team.id] || 0,
         level1Time: formatTime(level1Time),
         level2Time: formatTime(level2Time),
         totalTime: formatTime(team.total_time_seconds),
@@ -138,9 +168,10 @@ async function getLiveLeaderboardSupabase() {
       };
     });
 
-    // 6. Sort by level DESC, progress DESC, time ASC, hints ASC
+    // 6. Sort by level DESC, (score DESC with dynamic scoring), progress DESC, time ASC, hints ASC
     leaderboardData.sort((a, b) => {
       if (b.level !== a.level) return b.level - a.level;
+      if (rankByScore && b.totalScore !== a.totalScore) return b.totalScore - a.totalScore;
       if (b.progress !== a.progress) return b.progress - a.progress;
       if (a.totalTimeSeconds !== b.totalTimeSeconds) return a.totalTimeSeconds - b.totalTimeSeconds;
       return a.hintsUsed - b.hintsUsed;
@@ -157,12 +188,25 @@ async function getLiveLeaderboardSupabase() {
   }
 }
 
+/**
+ * A team's progress through its current level, counting only the given solves
+ * (teams.progress is only ever the live figure)
+ */
+function levelProgressAsOf(team, puzzles, puzzleValues) {
+  const levelPuzzles = puzzles.filter(p => p.level === (team.level || 1) && p.is_active !== false);
+  if (levelPuzzles.length === 0) return 0;
+  const solved = levelPuzzles.filter(p => (puzzleValues[p.id]?.solvedBy || []).includes(team.id)).length;
+  return Math.round((solved / levelPuzzles.length) * 100);
+}
+
 /**
  * MySQL implementation of live leaderboard (original)
+ * @param {Date|string|null} [asOf] - See getLeaderboardAsOf
  */
-async function getLiveLeaderboardMySQL() {
+async function getLiveLeaderboardMySQL(asOf = null) {
+  const cutoff = asOf ? new Date(asOf) : null;
   try {
-    // Get teams with their overall stats
+    // Get teams with their overall stats (clocks stop at asOf when given)
     const [teams] = await db.query(`
       SELECT 
         t.id,
@@ -174,8 +218,8 @@ async function getLiveLeaderboardMySQL() {
         t.start_time,
         t.end_time,
         CASE 
-          WHEN t.end_time IS NOT NULL THEN TIMESTAMPDIFF(SECOND, t.start_time, t.end_time)
-          WHEN t.start_time IS NOT NULL THEN TIMESTAMPDIFF(SECOND, t.start_time, NOW())
+          WHEN t.end_time IS NOT NULL AND t.end_time <= COALESCE(?, NOW()) THEN TIMESTAMPDIFF(SECOND, t.start_time, t.end_time)
+          WHEN t.start_time IS NOT NULL THEN GREATEST(TIMESTAMPDIFF(SECOND, t.start_time, COALESCE(?, NOW())), 0)
           ELSE 0
         END as total_time_seconds
       FROM teams t
@@ -185,7 +229,7 @@ async function getLiveLeaderboardMySQL() {
         t.progress DESC,
         total_time_seconds ASC,
         t.hints_used ASC
-    `);
+    `, [cutoff, cutoff]);
 
     // Get per-level times for ALL teams in a single batch query (eliminates N+1)
     let levelTimesMap = {};
@@ -198,9 +242,9 @@ async function getLiveLeaderboardMySQL() {
           COUNT(*) as completed_count
         FROM team_question_progress tqp
         JOIN puzzles p ON tqp.puzzle_id = p.id
-        WHERE tqp.status = 'completed'
+        WHERE tqp.status = 'completed' AND (? IS NULL OR tqp.ended_at <= ?)
         GROUP BY tqp.team_id, p.level
-      `);
+      `, [cutoff, cutoff]);
       
       // Build lookup map: { teamId: { level1: { time, count }, level2: { time, count } } }
       (levelTimesData || []).forEach(row => {
@@ -217,6 +261,13 @@ async function getLiveLeaderboardMySQL() {
       console.log('Level time batch query info:', err.code || err.message);
     }
 
+    // Scores at current (possibly decayed) puzzle values, less points spent on hints (floored at zero)
+    const [teamScores, hintCosts, rankByScore] = await Promise.all([
+      scoringService.getTeamScores(null, asOf),
+      scoringService.getHintPointCosts(null, asOf),
+      scoringService.usesDynamicScoring()
+    ]);
+
     // Map teams to leaderboard format using pre-fetched data
     const leaderboardData = teams.map((team) => {
       const teamLevels = levelTimesMap[team.id] || {};
@@ -232,7 +283,9 @@ async function getLiveLeaderboardMySQL() {
         status: team.status,
         progress: team.progress || 0,
         puzzlesSolved: puzzlesSolved,
+        totalScore: scoringService.netScore(teamScores[team.id], hintCosts[team.id]),
         hintsUsed: team.hints_used || 0,
+        hintPoints: hintCosts[team.id] || 0,
         level1Time: formatTime(level1Data.time),
         level2Time: formatTime(level2Data.time),
         totalTime: formatTime(team.total_time_seconds),
@@ -242,8 +295,9 @@ async function getLiveLeaderboardMySQL() {
       };
     });
 
-    // Sort by performance: puzzlesSolved DESC, totalTimeSeconds ASC, hintsUsed ASC
+    // Sort by performance: (totalScore DESC with dynamic scoring), puzzlesSolved DESC, totalTimeSeconds ASC, hintsUsed ASC
     leaderboardData.sort((a, b) => {
+      if (rankByScore && b.totalScore !== a.totalScore) return b.totalScore - a.totalScore;
       if (b.puzzlesSolved !== a.puzzlesSolved) return b.puzzlesSolved - a.puzzlesSolved;
       if (a.totalTimeSeconds !== b.totalTimeSeconds) return a.totalTimeSeconds - b.totalTimeSeconds;
       return a.hintsUsed - b.hintsUsed;
@@ -283,6 +337,7 @@ async function detectRankChange(teamId, previousRank) {
 
 module.exports = {
   getLiveLeaderboard,
+  getLeaderboardAsOf,
   getTeamRank,
   detectRankChange
 };
@@ -0,0 +1,445 @@
+// server/services/levelService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Level Service
+ * Source of truth for how many levels an event has and how each behaves:
+ * name, time limit, unlock rule and whether it is currently unlocked.
+ * Qualification cutoffs stay in qualification_cutoffs (one row per level).
+ *
+ * game_state.level1_open/level2_open (level_1_unlocked/level_2_unlocked in
+ * MySQL) are kept in sync for levels 1 and 2 so older readers still work.
+ */
+
+// Used until the levels table has been migrated/seeded
+const DEFAULT_LEVELS = [
+  { level_number: 1, name: 'Level 1', description: null, time_limit_minutes: 40, unlock_rule: 'manual' },
+  { level_number: 2, name: 'Level 2', description: null, time_limit_minutes: 60, unlock_rule: 'manual' }
+];
+
+// manual: admin unlocks it; after_previous_results: unlocks when the previous level's results are published
+const UNLOCK_RULES = ['manual', 'after_previous_results'];
+
+const DEFAULT_CUTOFFS = {
+  min_score: 0,
+  min_accuracy: 0,
+  max_time_seconds: 7200,
+  max_hints_allowed: 10,
+  min_questions_correct: 0,
+  is_active: true,
+  auto_qualify: true
+};
+
+/**
+ * Read unlocked flags for levels 1 and 2 from game_state (pre-levels-table installs)
+ */
+async function getLegacyUnlockState() {
+  try {
+    if (USE_SUPABASE) {
+      const { data } = await supabaseAdmin
+        .from('game_state')
+        .select('level1_open, level2_open')
+        .limit(1);
+      return { 1: !!data?.[0]?.level1_open, 2: !!data?.[0]?.level2_open };
+    }
+    const [rows] = await db.query('SELECT level_1_unlocked, level_2_unlocked FROM game_state LIMIT 1');
+    return { 1: !!rows[0]?.level_1_unlocked, 2: !!rows[0]?.level_2_unlocked };
+  } catch (error) {
+    return { 1: false, 2: false };
+  }
+}
+
+/**
+ * Normalize a level row (MySQL returns tinyint booleans)
+ */
+function formatLevel(row) {
+  return {
+    level_number: row.level_number,
+    name: row.name || `Level ${row.level_number}`,
+    description: row.description || null,
+    time_limit_minutes: row.time_limit_minutes,
+    unlock_rule: row.unlock_rule || 'manual',
+    is_unlocked: !!row.is_unlocked,
+    unlocked_at: row.unlocked_at || null
+  };
+}
+
+/**
+ * Get all levels in order (cached)
+ * @returns {Array} [{ level_number, name, description, time_limit_minutes, unlock_rule, is_unlocked, unlocked_at }]
+ */
+async function getLevels() {
+  return cached(cacheKeys.levels(), async () => {
+    let rows = null;
+    try {
+      if (USE_SUPABASE) {
+        const { data, error } = await supabaseAdmin
+          .from('levels')
+          .select('*')
+          .order('level_number', { ascending: true });
+        if (error) throw error;
+        rows = data;
+      } else {
+        [rows] = await db.query('SELECT * FROM levels ORDER BY level_number');
+      }
+    } catch (error) {
+      console.log('levels table may not exist, using defaults:', error.message);
+    }
+
+    if (rows && rows.length > 0) {
+      return rows.map(formatLevel);
+    }
+
+    const unlocked = await getLegacyUnlockState();
+    return DEFAULT_LEVELS.map(level => formatLevel({ ...level, is_unlocked: unlocked[level.level_number] }));
+  }, TTL.LEVELS);
+}
+
+/**
+ * Get a single level
+ * @param {number} levelNumber
+ * @returns {Object|null}
+ */
+async function getLevel(levelNumber) {
+  const levels = await getLevels();
+  return levels.find(l => l.level_number === parseInt(levelNumber)) || null;
+}
+
+/**
+ * First level of the event (lowest level_number)
+ */
+async function getFirstLevel() {
+  const levels = await getLevels();
+  return levels[0] || null;
+}
+
+/**
+ * Level that follows the given one, or null for the final level
+ */
+async function getNextLevel(levelNumber) {
+  const levels = await getLevels();
+  return levels.find(l => l.level_number > parseInt(levelNumber)) || null;
+}
+
+/**
+ * Level that precedes the given one, or null for the first level
+ */
+async function getPreviousLevel(levelNumber) {
+  const levels = await getLevels();
+  return [...levels].reverse().find(l => l.level_number < parseInt(levelNumber)) || null;
+}
+
+/**
+ * Time limit for a level in seconds (falls back to the first level's limit)
+ * @param {number} levelNumber
+ * @returns {number}
+ */
+async function getTimeLimitSeconds(levelNumber) {
+  const level = (await getLevel(levelNumber)) || (await getFirstLevel());
+  return (level?.time_limit_minutes || DEFAULT_LEVELS[0].time_limit_minutes) * 60;
+}
+
+/**
+ * Whether a level is currently unlocked
+ */
+async function isLevelUnlocked(levelNumber) {
+  const level = await getLevel(levelNumber);
+  return !!level?.is_unlocked;
+}
+
+function invalidate() {
+  cache.delete(cacheKeys.levels());
+  cache.delete(cacheKeys.gameState());
+}
+
+/**
+ * Mirror levels 1/2 into the legacy game_state columns and advance current level
+ * @param {Array<number>} levelNumbers - Levels that were just unlocked
+ */
+async function syncGameState(levelNumbers) {
+  const highest = Math.max(...levelNumbers);
+
+  if (USE_SUPABASE) {
+    const { data: gameState, error } = await supabaseAdmin
+      .from('game_state')
+      .select('*')
+      .limit(1);
+    if (error) throw error;
+
+    const update = { current_level: highest, game_active: true };
+    if (levelNumbers.includes(1)) update.level1_open = true;
+    if (levelNumbers.includes(2)) update.level2_open = true;
+
+    if (!gameState || gameState.length === 0) {
+      await supabaseAdmin.from('game_state').insert({ id: uuidv4(), ...update, game_started_at: new Date().toISOString() });
+      return;
+    }
+    if (!gameState[0].game_started_at) update.game_started_at = new Date().toISOString();
+    await supabaseAdmin.from('game_state').update(update).eq('id', gameState[0].id);
+    return;
+  }
+
+  const [gameState] = await db.query('SELECT id FROM game_state LIMIT 1');
+  const phase = `level_${highest}`;
+  if (gameState.length === 0) {
+    await db.query(
+      `INSERT INTO game_state (id, game_name, current_phase, level_1_unlocked, level_2_unlocked, game_started_at)
+       VALUES (?, 'Lockdown HQ Event', ?, ?, ?, NOW())`,
+      [uuidv4(), phase, levelNumbers.includes(1), levelNumbers.includes(2)]
+    );
+    return;
+  }
+
+  await db.query(
+    `UPDATE game_state
+     SET current_phase = ?,
+         level_1_unlocked = level_1_unlocked OR ?,
+         level_2_unlocked = level_2_unlocked OR ?,
+         game_started_at = COALESCE(game_started_at, NOW())
+     WHERE id = ?`,
+    [phase, levelNumbers.includes(1), levelNumbers.includes(2), gameState[0].id]
+  );
+}
+
+/**
+ * Unlock a level. Earlier levels that are still locked are unlocked too,
+ * matching how unlocking Level 2 used to open Level 1 as well.
+ * @param {number} levelNumber
+ * @returns {Object} { level, unlocked: [level numbers newly unlocked] }
+ */
+async function unlockLevel(levelNumber) {
+  const levels = await getLevels();
+  const level = levels.find(l => l.level_number === parseInt(levelNumber));
+  if (!level) {
+    const error = new Error(`Level ${levelNumber} does not exist`);
+    error.status = 404;
+    throw error;
+  }
+
+  const toUnlock = levels
+    .filter(l => l.level_number <= level.level_number && !l.is_unlocked)
+    .map(l => l.level_number);
+  const affected = toUnlock.length > 0 ? toUnlock : [level.level_number];
+
+  try {
+    if (USE_SUPABASE) {
+      const { error } = await supabaseAdmin
+        .from('levels')
+        .update({ is_unlocked: true, unlocked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .in('level_number', affected);
+      if (error) throw error;
+    } else {
+      await db.query(
+        'UPDATE levels SET is_unlocked = true, unlocked_at = COALESCE(unlocked_at, NOW()) WHERE level_number IN (?)',
+        [affected]
+      );
+    }
+  } catch (error) {
+    // Pre-migration installs only have the game_state flags
+    if (level.level_number > 2) throw error;
+    console.log('levels table may not exist, updating game_state only:', error.message);
+  }
+
+  await syncGameState(affected);
+  invalidate();
+
+  return { level, unlocked: toUnlock };
+}
+
+/**
+ * Lock every level (game restart)
+ */
+async function lockAllLevels() {
+  try {
+    if (USE_SUPABASE) {
+      await supabaseAdmin
+        .from('levels')
+        .update({ is_unlocked: false, unlocked_at: null, updated_at: new Date().toISOString() })
+        .not('level_number', 'is', null);
+    } else {
+      await db.query('UPDATE levels SET is_unlocked = false, unlocked_at = NULL');
+    }
+  } catch (error) {
+    console.log('levels table may not exist:', error.message);
+  }
+  invalidate();
+}
+
+/**
+ * Unlock the level after one whose results were just published, if its
+ * unlock rule says so
+ * @param {number} publishedLevel
+ * @returns {Object|null} The level that was unlocked
+ */
+async function applyUnlockRules(publishedLevel) {
+  const next = await getNextLevel(publishedLevel);
+  if (!next || next.is_unlocked || next.unlock_rule !== 'after_previous_results') return null;
+  await unlockLevel(next.level_number);
+  return next;
+}
+
+/**
+ * Validate level fields from an admin request
+ * @returns {String|null} Error message
+ */
+function validateLevel(data, isCreate) {
+  if (isCreate) {
+    const number = parseInt(data.level_number);
+    if (!Number.isInteger(number) || number < 1) return 'level_number must be a positive integer';
+  }
+  if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+    return 'name cannot be empty';
+  }
+  if (data.time_limit_minutes !== undefined) {
+    const minutes = parseInt(data.time_limit_minutes);
+    if (!Number.isInteger(minutes) || minutes < 1) return 'time_limit_minutes must be a positive integer';
+  }
+  if (data.unlock_rule !== undefined && !UNLOCK_RULES.includes(data.unlock_rule)) {
+    return `unlock_rule must be one of: ${UNLOCK_RULES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create a level along with a default qualification cutoff row
+ * @param {Object} data - { level_number, name, description, time_limit_minutes, unlock_rule }
+ * @returns {Object} Created level
+ */
+async function createLevel(data) {
+  const level = {
+    level_number: parseInt(data.level_number),
+    name: data.name?.trim() || `Level ${data.level_number}`,
+    description: data.description || null,
+    time_limit_minutes: parseInt(data.time_limit_minutes) || 60,
+    unlock_rule: data.unlock_rule || 'manual',
+    is_unlocked: false
+  };
+
+  if (await getLevel(level.level_number)) {
+    const error = new Error(`Level ${level.level_number} already exists`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin.from('levels').insert(level);
+    if (error) throw error;
+    await supabaseAdmin
+      .from('qualification_cutoffs')
+      .upsert({ level_id: level.level_number, ...DEFAULT_CUTOFFS }, { onConflict: 'level_id', ignoreDuplicates: true });
+  } else {
+    await db.query(
+      `INSERT INTO levels (level_number, name, description, time_limit_minutes, unlock_rule, is_unlocked)
+       VALUES (?, ?, ?, ?, ?, false)`,
+      [level.level_number, level.name, level.description, level.time_limit_minutes, level.unlock_rule]
+    );
+    await db.query(
+      `INSERT IGNORE INTO qualification_cutoffs
+       (id, level_id, min_score, min_accuracy, max_time_seconds, max_hints_allowed, min_questions_correct, is_active, auto_qualify)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), level.level_number, DEFAULT_CUTOFFS.min_score, DEFAULT_CUTOFFS.min_accuracy,
+        DEFAULT_CUTOFFS.max_time_seconds, DEFAULT_CUTOFFS.max_hints_allowed,
+        DEFAULT_CUTOFFS.min_questions_correct, DEFAULT_CUTOFFS.is_active, DEFAULT_CUTOFFS.auto_qualify]
+    );
+  }
+
+  invalidate();
+  return getLevel(level.level_number);
+}
+
+/**
+ * Update a level's settings
+ * @param {number} levelNumber
+ * @param {Object} data - Any of name, description, time_limit_minutes, unlock_rule
+ * @returns {Object|null} Updated level, null if not found
+ */
+async function updateLevel(levelNumber, data) {
+  if (!(await getLevel(levelNumber))) return null;
+
+  const updates = {};
+  if (data.name !== undefined) updates.name = data.name.trim();
+  if (data.description !== undefined) updates.description = data.description || null;
+  if (data.time_limit_minutes !== undefined) updates.time_limit_minutes = parseInt(data.time_limit_minutes);
+  if (data.unlock_rule !== undefined) updates.unlock_rule = data.unlock_rule;
+
+  if (Object.keys(updates).length > 0) {
+    if (USE_SUPABASE) {
+      const { error } = await supabaseAdmin
+        .from('levels')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('level_number', parseInt(levelNumber));
+      if (error) throw error;
+    } else {
+      const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+      await db.query(`UPDATE levels SET ${fields} WHERE level_number = ?`, [...Object.values(updates), parseInt(levelNumber)]);
+    }
+  }
+
+  invalidate();
+  return getLevel(levelNumber);
+}
+
+/**
+ * Delete a level that has no puzzles and no teams on it
+ * @param {number} levelNumber
+ * @returns {Boolean} True if deleted
+ */
+async function deleteLevel(levelNumber) {
+  const number = parseInt(levelNumber);
+  if (!(await getLevel(number))) return false;
+
+  let puzzleCount, teamCount;
+  if (USE_SUPABASE) {
+    const [{ count: puzzles }, { count: teams }] = await Promise.all([
+      supabaseAdmin.from('puzzles').select('id', { count: 'exact', head: true }).eq('level', number),
+      supabaseAdmin.from('teams').select('id', { count: 'exact', head: true }).eq('level', number)
+    ]);
+    puzzleCount = puzzles || 0;
+    teamCount = teams || 0;
+  } else {
+    const [[puzzles], [teams]] = await Promise.all([
+      db.query('SELECT COUNT(*) as count FROM puzzles WHERE level = ?', [number]),
+      db.query('SELECT COUNT(*) as count FROM teams WHERE level = ?', [number])
+    ]);
+    puzzleCount = puzzles[0].count;
+    teamCount = teams[0].count;
+  }
+
+  if (puzzleCount > 0 || teamCount > 0) {
+    const error = new Error(`Level ${number} still has ${puzzleCount} puzzle(s) and ${teamCount} team(s)`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin.from('levels').delete().eq('level_number', number);
+    if (error) throw error;
+  } else {
+    await db.query('DELETE FROM levels WHERE level_number = ?', [number]);
+  }
+
+  invalidate();
+  return true;
+}
+
+module.exports = {
+  UNLOCK_RULES,
+  getLevels,
+  getLevel,
+  getFirstLevel,
+  getNextLevel,
+  getPreviousLevel,
+  getTimeLimitSeconds,
+  isLevelUnlocked,
+  unlockLevel,
+  lockAllLevels,
+  applyUnlockRules,
+  validateLevel,
+  createLevel,
+  updateLevel,
+  deleteLevel
+};
@@ -2,6 +2,8 @@
 const db = require('../config/db');
 const { supabaseAdmin } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
+const realtimeService = require('./realtimeService');
+const { BLOOD_NAMES } = require('./scoringService');
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
@@ -45,6 +47,9 @@ async function createNotification(teamId, type, title, message, priority = 'norm
         console.error('Supabase create notification error:', error.message);
         return null;
       }
+      realtimeService.sendToTeam(teamId, 'notification', {
+        id: data?.id || null, notification_type: type, title, message, priority, metadata
+      });
       return data?.id || null;
     } catch (error) {
       console.error('Create notification error (Supabase):', error.message);
@@ -59,6 +64,9 @@ async function createNotification(teamId, type, title, message, priority = 'norm
       VALUES (UUID(), ?, ?, ?, ?, ?, ?)
     `, [teamId, type, title, message, priority, metadata ? JSON.stringify(metadata) : null]);
     
+    realtimeService.sendToTeam(teamId, 'notification', {
+      id: result.insertId, notification_type: type, title, message, priority, metadata
+    });
     return result.insertId;
   } catch (error) {
     console.error('Create notification error:', error);
@@ -273,19 +281,45 @@ async function notifyRankChange(teamId, oldRank, newRank) {
 
 /**
  * Notify hint penalty
+ * @param {number} penaltySeconds - Time added for the hint
+ * @param {number} [pointsPenalty] - Points taken off for the hint
  */
-async function notifyHintPenalty(teamId, hintNumber, penaltySeconds) {
-  const penaltyMinutes = Math.floor(penaltySeconds / 60);
+async function notifyHintPenalty(teamId, hintNumber, penaltySeconds, pointsPenalty = 0) {
+  const charges = [];
+  if (penaltySeconds > 0) charges.push(`Time penalty: +${formatPenaltyTime(penaltySeconds)}`);
+  if (pointsPenalty > 0) charges.push(`Point cost: -${pointsPenalty} point${pointsPenalty === 1 ? '' : 's'}`);
   await createNotification(
     teamId,
     'hint_penalty',
     `Hint ${hintNumber} Unlocked`,
-    `Time penalty: +${penaltyMinutes} minute${penaltyMinutes > 1 ? 's' : ''}`,
+    charges.length > 0 ? charges.join(', ') : 'No penalty',
     'normal',
-    { hintNumber, penaltySeconds }
+    { hintNumber, penaltySeconds, pointsPenalty }
   );
 }
 
+/** "5 minutes", "1 minute 30 seconds", "45 seconds" */
+function formatPenaltyTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  const parts = [];
+  if (minutes > 0) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+  if (rest > 0) parts.push(`${rest} second${rest === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
+
+/**
+ * Announce a first/second/third blood to every team
+ */
+async function notifyBlood(teamName, puzzleTitle, rank, bonus) {
+  const name = BLOOD_NAMES[rank - 1];
+  const title = `🩸 ${name} Blood!`;
+  const message = `${teamName} was ${name.toLowerCase()} to solve "${puzzleTitle}"` +
+    (bonus > 0 ? ` (+${bonus} bonus points)` : '');
+
+  return createBroadcastNotification(title, message, rank === 1 ? 'high' : 'normal');
+}
+
 module.exports = {
   createNotification,
   createBroadcastNotification,
@@ -294,5 +328,6 @@ module.exports = {
   markAsRead,
   markAllAsRead,
   notifyRankChange,
-  notifyHintPenalty
+  notifyHintPenalty,
+  notifyBlood
 };
@@ -0,0 +1,692 @@
+// server/services/puzzlePackService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+const yaml = require('js-yaml');
+const validator = require('validator');
+const { sanitizeObject } = require('../utils/sanitize');
+const {
+  DEFAULT_MODE,
+  validateMatchConfig,
+  parseOptions,
+  isHashableMode,
+  hashAnswerForStorage,
+  hashMatchOptions
+} = require('../utils/answerMatcher');
+const { generateFlagSecret } = require('./dynamicFlagService');
+const levelService = require('./levelService');
+const scoringService = require('./scoringService');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Puzzle Pack Service
+ * Moves puzzles between events as a versioned, portable bundle:
+ *
+ *   format: lockdown-puzzle-pack
+ *   version: 1
+ *   levels:  [{ level_number, name, description, time_limit_minutes, unlock_rule }]
+ *   puzzles: [{ level, puzzle_number, title, ..., hints: [{ hint_number, hint_text, time_penalty_seconds, point_cost, unlock_after_seconds }] }]
+ *   files:   { "<name>": { mime_type, encoding: "base64" | "utf8", content } }
+ *
+ * Puzzle entries use the same field names as POST /api/puzzles. Large or
+ * binary puzzle bodies live in `files` and are referenced by
+ * puzzle_content_file. The manifest may be JSON or YAML.
+ *
+ * Puzzles are matched on (level, puzzle_number): existing ones are updated,
+ * new ones created. Hints are matched on hint_number and never deleted, so
+ * teams' hint usage survives a re-import. Missing levels are created.
+ */
+
+const FORMAT = 'lockdown-puzzle-pack';
+const FORMAT_VERSION = 1;
+
+const PUZZLE_TYPES = ['text', 'code', 'image', 'qr', 'html', 'cipher', 'mixed'];
+const FILE_ENCODINGS = ['base64', 'utf8'];
+const MAX_FILE_URL_LENGTH = 500;
+// puzzles.puzzle_content is TEXT in MySQL (64 KB); Postgres TEXT has no practical limit
+const MYSQL_MAX_CONTENT_BYTES = 65535;
+const ANSWER_HASH_PATTERN = /^hmac-sha256\$[0-9a-f]+\$[0-9a-f]+$/;
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+// Fields the request sanitizer HTML-escapes; exported unescaped so a re-import escapes them exactly once
+const ESCAPED_PUZZLE_FIELDS = ['title', 'description', 'puzzle_type', 'puzzle_file_url', 'flag_template'];
+
+/**
+ * Read a bundle from the request body
+ * Accepts the bundle object itself, or { content: "<JSON or YAML manifest>", files }
+ * @param {Object} body - Request body
+ * @returns {{ bundle: Object|null, error: string|null }}
+ */
+function parseBundle(body) {
+  if (!body || typeof body !== 'object') {
+    return { bundle: null, error: 'Request body must contain a puzzle pack' };
+  }
+  if (typeof body.content !== 'string') {
+    return { bundle: body, error: null };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(body.content);
+  } catch (jsonError) {
+    try {
+      // JSON_SCHEMA keeps YAML from turning values into dates or other custom types
+      manifest = yaml.load(body.content, { schema: yaml.JSON_SCHEMA });
+    } catch (yamlError) {
+      return { bundle: null, error: `Manifest is neither valid JSON nor YAML: ${yamlError.reason || yamlError.message}` };
+    }
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { bundle: null, error: 'Manifest must be an object' };
+  }
+
+  // Text manifests skip the request sanitizer; escape them the same way a JSON body would be
+  const bundle = sanitizeObject(manifest);
+  if (body.files && typeof body.files === 'object') {
+    bundle.files = { ...(bundle.files || {}), ...body.files };
+  }
+  return { bundle, error: null };
+}
+
+const isPositiveInt = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+const isNonNegativeInt = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+const unescapeText = (value) => (typeof value === 'string' ? validator.unescape(value) : value);
+
+/**
+ * Resolve a bundle file into the text stored in puzzles.puzzle_content
+ * Text files are stored as-is, binary files as a data URL
+ */
+function resolveFileContent(file) {
+  if (file.encoding === 'utf8') return file.content;
+  // mime_type went through the request sanitizer, which escapes '/'
+  const mimeType = validator.unescape(String(file.mime_type || 'application/octet-stream'));
+  if (/^text\//.test(mimeType)) {
+    return Buffer.from(file.content, 'base64').toString('utf8');
+  }
+  return `data:${mimeType};base64,${file.content.replace(/\s+/g, '')}`;
+}
+
+/**
+ * Validate the bundle's attached files
+ * @returns {string[]} Errors
+ */
+function validateFiles(files) {
+  const errors = [];
+  if (files === undefined) return errors;
+  if (!files || typeof files !== 'object' || Array.isArray(files)) {
+    return ['files must be an object keyed by file name'];
+  }
+  for (const [name, file] of Object.entries(files)) {
+    if (!file || typeof file !== 'object' || typeof file.content !== 'string') {
+      errors.push(`File '${name}' must have a string content`);
+      continue;
+    }
+    const encoding = file.encoding || 'base64';
+    if (!FILE_ENCODINGS.includes(encoding)) {
+      errors.push(`File '${name}' has unknown encoding '${file.encoding}'`);
+    } else if (encoding === 'base64' && !/^[A-Za-z0-9+/=\s]*$/.test(file.content)) {
+      errors.push(`File '${name}' is not valid base64`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a single puzzle entry and normalize it into insertable fields
+ * @param {Object} entry - Puzzle entry from the bundle
+ * @param {Object} files - Bundle files
+ * @returns {{ puzzle: Object|null, errors: string[], warnings: string[] }}
+ */
+function validatePuzzle(entry, files) {
+  const errors = [];
+  const warnings = [];
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { puzzle: null, errors: ['Puzzle entry must be an object'], warnings };
+  }
+
+  if (!isPositiveInt(entry.level)) errors.push('level must be a positive integer');
+  if (!isPositiveInt(entry.puzzle_number)) errors.push('puzzle_number must be a positive integer');
+  if (typeof entry.title !== 'string' || !entry.title.trim()) errors.push('title is required');
+
+  const puzzleType = entry.puzzle_type || 'text';
+  if (!PUZZLE_TYPES.includes(puzzleType)) {
+    errors.push(`puzzle_type must be one of: ${PUZZLE_TYPES.join(', ')}`);
+  }
+  if (entry.points !== undefined && !isNonNegativeInt(entry.points)) errors.push('points must be a non-negative integer');
+  const scoringError = scoringService.validateScoringConfig({ ...entry, points: entry.points ?? 100 });
+  if (scoringError) errors.push(scoringError);
+  const bloodError = scoringService.validateBloodBonuses(entry);
+  if (bloodError) errors.push(bloodError);
+  if (entry.time_limit_minutes !== undefined && !isPositiveInt(entry.time_limit_minutes)) {
+    errors.push('time_limit_minutes must be a positive integer');
+  }
+  if (entry.puzzle_file_url && String(entry.puzzle_file_url).length > MAX_FILE_URL_LENGTH) {
+    errors.push(`puzzle_file_url must be at most ${MAX_FILE_URL_LENGTH} characters`);
+  }
+
+  // Puzzle body: inline or from an attached file
+  let puzzleContent = entry.puzzle_content ?? null;
+  if (entry.puzzle_content_file) {
+    const file = files?.[entry.puzzle_content_file];
+    if (entry.puzzle_content) {
+      errors.push('Use either puzzle_content or puzzle_content_file, not both');
+    } else if (!file || typeof file.content !== 'string') {
+      errors.push(`puzzle_content_file '${entry.puzzle_content_file}' is not in the pack's files`);
+    } else {
+      puzzleContent = resolveFileContent(file);
+    }
+  }
+  if (!USE_SUPABASE && puzzleContent && Buffer.byteLength(String(puzzleContent)) > MYSQL_MAX_CONTENT_BYTES) {
+    errors.push(`Puzzle content is larger than the ${MYSQL_MAX_CONTENT_BYTES} bytes the database can store`);
+  }
+
+  // Answer: plaintext (hashed on import for hashable modes) or a pre-hashed export
+  const matchMode = entry.answer_match_mode || DEFAULT_MODE;
+  const hasPlainAnswer = entry.correct_answer !== undefined && entry.correct_answer !== null && entry.correct_answer !== '';
+  const matchError = validateMatchConfig(matchMode, entry.answer_match_options, hasPlainAnswer ? entry.correct_answer : undefined);
+  if (matchError) errors.push(matchError);
+
+  let stored = null;
+  if (hasPlainAnswer) {
+    stored = hashAnswerForStorage(entry.correct_answer, matchMode, entry.answer_match_options) || {
+      correct_answer: String(entry.correct_answer),
+      correct_answer_hash: null,
+      answer_match_options: parseOptions(entry.answer_match_options)
+    };
+  } else if (entry.correct_answer_hash) {
+    if (!isHashableMode(matchMode)) {
+      errors.push(`answer_match_mode '${matchMode}' needs a plaintext correct_answer`);
+    } else if (!ANSWER_HASH_PATTERN.test(entry.correct_answer_hash)) {
+      errors.push('correct_answer_hash is not a recognised answer hash');
+    } else {
+      stored = {
+        correct_answer: null,
+        correct_answer_hash: entry.correct_answer_hash,
+        answer_match_options: hashMatchOptions(matchMode, entry.answer_match_options)
+      };
+      warnings.push('Answer is pre-hashed and only verifies on a server with the same FLAG_HASH_SECRET');
+    }
+  } else if (!entry.dynamic_flag) {
+    errors.push('correct_answer or correct_answer_hash is required unless dynamic_flag is set');
+  }
+
+  // Hints
+  const hints = [];
+  if (entry.hints !== undefined && !Array.isArray(entry.hints)) {
+    errors.push('hints must be a list');
+  }
+  const seenHints = new Set();
+  (Array.isArray(entry.hints) ? entry.hints : []).forEach((hint, i) => {
+    if (!hint || !isPositiveInt(hint.hint_number) || typeof hint.hint_text !== 'string' || !hint.hint_text.trim()) {
+      errors.push(`Hint ${i + 1} needs a positive hint_number and hint_text`);
+      return;
+    }
+    if (hint.time_penalty_seconds !== undefined && !isNonNegativeInt(hint.time_penalty_seconds)) {
+      errors.push(`Hint ${hint.hint_number}: time_penalty_seconds must be a non-negative integer`);
+      return;
+    }
+    if (hint.point_cost !== undefined && !isNonNegativeInt(hint.point_cost)) {
+      errors.push(`Hint ${hint.hint_number}: point_cost must be a non-negative integer`);
+      return;
+    }
+    if (hint.unlock_after_seconds != null && !isNonNegativeInt(hint.unlock_after_seconds)) {
+      errors.push(`Hint ${hint.hint_number}: unlock_after_seconds must be a non-negative integer`);
+      return;
+    }
+    const hintNumber = Number(hint.hint_number);
+    if (seenHints.has(hintNumber)) {
+      errors.push(`Hint number ${hintNumber} appears more than once`);
+      return;
+    }
+    seenHints.add(hintNumber);
+    hints.push({
+      hint_number: hintNumber,
+      hint_text: hint.hint_text,
+      time_penalty_seconds: hint.time_penalty_seconds !== undefined ? Number(hint.time_penalty_seconds) : 300,
+      point_cost: hint.point_cost !== undefined ? Number(hint.point_cost) : 0,
+      unlock_after_seconds: hint.unlock_after_seconds != null ? Number(hint.unlock_after_seconds) : null
+    });
+  });
+
+  if (errors.length > 0) {
+    return { puzzle: null, errors, warnings };
+  }
+
+  const answer = stored || { correct_answer: null, correct_answer_hash: null, answer_match_options: null };
+  return {
+    puzzle: {
+      level: Number(entry.level),
+      puzzle_number: Number(entry.puzzle_number),
+      title: entry.title.trim(),
+      description: entry.description || null,
+      puzzle_type: puzzleType,
+      puzzle_content: puzzleContent,
+      puzzle_file_url: entry.puzzle_file_url || null,
+      correct_answer: answer.correct_answer,
+      correct_answer_hash: answer.correct_answer_hash,
+      answer_match_mode: matchMode,
+      answer_match_options: answer.answer_match_options && Object.keys(answer.answer_match_options).length > 0
+        ? answer.answer_match_options
+        : null,
+      dynamic_flag: !!entry.dynamic_flag,
+      flag_template: entry.flag_template || null,
+      points: entry.points !== undefined ? Number(entry.points) : 100,
+      scoring_mode: entry.scoring_mode || 'static',
+      minimum_points: scoringService.isDynamic(entry) ? Number(entry.minimum_points) : null,
+      decay: scoringService.isDynamic(entry) ? Number(entry.decay) : null,
+      first_blood_bonus: Number(entry.first_blood_bonus) || 0,
+      second_blood_bonus: Number(entry.second_blood_bonus) || 0,
+      third_blood_bonus: Number(entry.third_blood_bonus) || 0,
+      time_limit_minutes: entry.time_limit_minutes !== undefined ? Number(entry.time_limit_minutes) : 30,
+      is_active: entry.is_active !== undefined ? !!entry.is_active : true,
+      hints
+    },
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Load existing puzzles (keyed by "level:puzzle_number") with their hint numbers
+ */
+async function getExistingPuzzles() {
+  let puzzles;
+  let hints;
+  if (USE_SUPABASE) {
+    const { data: puzzleRows, error } = await supabaseAdmin
+      .from('puzzles')
+      .select('id, level, puzzle_number, dynamic_flag, flag_secret');
+    if (error) throw error;
+    const { data: hintRows, error: hintError } = await supabaseAdmin
+      .from('hints')
+      .select('id, puzzle_id, hint_number');
+    if (hintError) throw hintError;
+    puzzles = puzzleRows || [];
+    hints = hintRows || [];
+  } else {
+    [puzzles] = await db.query('SELECT id, level, puzzle_number, dynamic_flag, flag_secret FROM puzzles');
+    [hints] = await db.query('SELECT id, puzzle_id, hint_number FROM hints');
+  }
+
+  const existing = new Map();
+  for (const puzzle of puzzles) {
+    existing.set(`${puzzle.level}:${puzzle.puzzle_number}`, {
+      ...puzzle,
+      hints: hints.filter(h => h.puzzle_id === puzzle.id)
+    });
+  }
+  return existing;
+}
+
+/**
+ * Validate a bundle against the current database without changing anything
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Promise<Object>} Report: { valid, errors, warnings, summary, levels, puzzles }
+ *   plus the normalized entries under _plan for importBundle
+ */
+async function validateBundle(bundle) {
+  const report = {
+    valid: false,
+    format: bundle?.format || null,
+    version: bundle?.version ?? null,
+    errors: [],
+    summary: { levels_created: 0, puzzles_created: 0, puzzles_updated: 0, hints_created: 0, hints_updated: 0 },
+    levels: [],
+    puzzles: []
+  };
+
+  if (!bundle || typeof bundle !== 'object') {
+    report.errors.push('Puzzle pack must be an object');
+    return report;
+  }
+  if (bundle.format !== FORMAT) {
+    report.errors.push(`format must be '${FORMAT}'`);
+  }
+  if (Number(bundle.version) !== FORMAT_VERSION) {
+    report.errors.push(`Unsupported pack version '${bundle.version}'. This server reads version ${FORMAT_VERSION}`);
+  }
+  if (!Array.isArray(bundle.puzzles) || bundle.puzzles.length === 0) {
+    report.errors.push('puzzles must be a non-empty list');
+  }
+  if (bundle.levels !== undefined && !Array.isArray(bundle.levels)) {
+    report.errors.push('levels must be a list');
+  }
+  report.errors.push(...validateFiles(bundle.files));
+  if (report.errors.length > 0) return report;
+
+  // Levels: create the ones the server does not have yet
+  const existingLevels = await levelService.getLevels();
+  const knownLevels = new Set(existingLevels.map(l => l.level_number));
+  const levelsToCreate = [];
+  for (const level of bundle.levels || []) {
+    const levelError = levelService.validateLevel(level || {}, true);
+    const levelNumber = parseInt(level?.level_number);
+    if (levelError) {
+      report.levels.push({ level_number: level?.level_number ?? null, action: 'invalid', errors: [levelError] });
+      report.errors.push(`Level ${level?.level_number ?? '?'}: ${levelError}`);
+      continue;
+    }
+    if (knownLevels.has(levelNumber)) {
+      report.levels.push({ level_number: levelNumber, name: level.name, action: 'existing', errors: [] });
+      continue;
+    }
+    knownLevels.add(levelNumber);
+    levelsToCreate.push(level);
+    report.levels.push({ level_number: levelNumber, name: level.name, action: 'create', errors: [] });
+  }
+  report.summary.levels_created = levelsToCreate.length;
+
+  // Puzzles
+  const existingPuzzles = await getExistingPuzzles();
+  const seen = new Set();
+  const puzzlesToImport = [];
+  bundle.puzzles.forEach((entry, index) => {
+    const { puzzle, errors, warnings } = validatePuzzle(entry, bundle.files);
+    const item = {
+      index,
+      level: entry?.level ?? null,
+      puzzle_number: entry?.puzzle_number ?? null,
+      title: unescapeText(entry?.title ?? null),
+      action: 'invalid',
+      hints: Array.isArray(entry?.hints) ? entry.hints.length : 0,
+      errors,
+      warnings
+    };
+
+    if (puzzle) {
+      const key = `${puzzle.level}:${puzzle.puzzle_number}`;
+      if (!knownLevels.has(puzzle.level)) {
+        errors.push(`Level ${puzzle.level} does not exist and is not defined in the pack's levels`);
+      } else if (seen.has(key)) {
+        errors.push(`Level ${puzzle.level} puzzle ${puzzle.puzzle_number} appears more than once in the pack`);
+      } else {
+        seen.add(key);
+        const existing = existingPuzzles.get(key);
+        const existingHintNumbers = new Set((existing?.hints || []).map(h => h.hint_number));
+        const hintsUpdated = puzzle.hints.filter(h => existingHintNumbers.has(h.hint_number)).length;
+        const untouchedHints = (existing?.hints || []).filter(h => !puzzle.hints.some(ph => ph.hint_number === h.hint_number));
+        if (untouchedHints.length > 0) {
+          warnings.push(`Existing hint(s) ${untouchedHints.map(h => h.hint_number).join(', ')} are not in the pack and will be kept`);
+        }
+
+        item.action = existing ? 'update' : 'create';
+        report.summary[existing ? 'puzzles_updated' : 'puzzles_created']++;
+        report.summary.hints_updated += hintsUpdated;
+        report.summary.hints_created += puzzle.hints.length - hintsUpdated;
+        puzzlesToImport.push({ puzzle, existing });
+      }
+    }
+
+    if (errors.length > 0) {
+      item.action = 'invalid';
+      report.errors.push(`Puzzle ${index + 1}${entry?.title ? ` (${unescapeText(entry.title)})` : ''}: ${errors.join('; ')}`);
+    }
+    report.puzzles.push(item);
+  });
+
+  report.valid = report.errors.length === 0;
+  Object.defineProperty(report, '_plan', { value: { levelsToCreate, puzzlesToImport }, enumerable: false });
+  return report;
+}
+
+/**
+ * Insert or update one puzzle and its hints
+ */
+async function writePuzzle({ puzzle, existing }) {
+  const { hints, ...fields } = puzzle;
+  // Keep a dynamic puzzle's secret so already-issued team flags stay valid
+  fields.flag_secret = fields.dynamic_flag
+    ? (existing?.dynamic_flag && existing.flag_secret) || generateFlagSecret()
+    : null;
+  const puzzleId = existing?.id || uuidv4();
+  const existingHints = new Map((existing?.hints || []).map(h => [h.hint_number, h.id]));
+
+  if (USE_SUPABASE) {
+    if (existing) {
+      const { error } = await supabaseAdmin
+        .from('puzzles')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', puzzleId);
+      if (error) throw error;
+    } else {
+      const { error } = await supabaseAdmin.from('puzzles').insert({ id: puzzleId, ...fields });
+      if (error) throw error;
+    }
+
+    for (const hint of hints) {
+      const hintId = existingHints.get(hint.hint_number);
+      const { error } = hintId
+        ? await supabaseAdmin.from('hints').update(hint).eq('id', hintId)
+        : await supabaseAdmin.from('hints').insert({ id: uuidv4(), puzzle_id: puzzleId, ...hint });
+      if (error) throw error;
+    }
+    return;
+  }
+
+  const options = fields.answer_match_options ? JSON.stringify(fields.answer_match_options) : null;
+  if (existing) {
+    await db.query(
+      `UPDATE puzzles SET title = ?, description = ?, puzzle_type = ?, puzzle_content = ?, puzzle_file_url = ?,
+        correct_answer = ?, correct_answer_hash = ?, answer_match_mode = ?, answer_match_options = ?,
+        dynamic_flag = ?, flag_template = ?, flag_secret = ?, points = ?, scoring_mode = ?, minimum_points = ?,
+        decay = ?, first_blood_bonus = ?, second_blood_bonus = ?, third_blood_bonus = ?,
+        time_limit_minutes = ?, is_active = ?
+       WHERE id = ?`,
+      [fields.title, fields.description, fields.puzzle_type, fields.puzzle_content, fields.puzzle_file_url,
+        fields.correct_answer, fields.correct_answer_hash, fields.answer_match_mode, options,
+        fields.dynamic_flag, fields.flag_template, fields.flag_secret, fields.points, fields.scoring_mode,
+        fields.minimum_points, fields.decay, fields.first_blood_bonus, fields.second_blood_bonus,
+        fields.third_blood_bonus, fields.time_limit_minutes, fields.is_active, puzzleId]
+    );
+  } else {
+    await db.query(
+      `INSERT INTO puzzles (
+        id, level, puzzle_number, title, description, puzzle_type,
+        puzzle_content, puzzle_file_url, correct_answer, correct_answer_hash,
+        answer_match_mode, answer_match_options, dynamic_flag, flag_template, flag_secret,
+        points, scoring_mode, minimum_points, decay, first_blood_bonus, second_blood_bonus,
+        third_blood_bonus, time_limit_minutes, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [puzzleId, fields.level, fields.puzzle_number, fields.title, fields.description, fields.puzzle_type,
+        fields.puzzle_content, fields.puzzle_file_url, fields.correct_answer, fields.correct_answer_hash,
+        fields.answer_match_mode, options, fields.dynamic_flag, fields.flag_template, fields.flag_secret,
+        fields.points, fields.scoring_mode, fields.minimum_points, fields.decay, fields.first_blood_bonus,
+        fields.second_blood_bonus, fields.third_blood_bonus, fields.time_limit_minutes, fields.is_active]
+    );
+  }
+
+  for (const hint of hints) {
+    const hintId = existingHints.get(hint.hint_number);
+    if (hintId) {
+      await db.query(
+        'UPDATE hints SET hint_text = ?, time_penalty_seconds = ?, point_cost = ?, unlock_after_seconds = ? WHERE id = ?',
+        [hint.hint_text, hint.time_penalty_seconds, hint.point_cost, hint.unlock_after_seconds, hintId]
+      );
+    } else {
+      await db.query(
+        'INSERT INTO hints (id, puzzle_id, hint_number, hint_text, time_penalty_seconds, point_cost, unlock_after_seconds) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [uuidv4(), puzzleId, hint.hint_number, hint.hint_text, hint.time_penalty_seconds, hint.point_cost, hint.unlock_after_seconds]
+      );
+    }
+  }
+}
+
+/**
+ * Validate a bundle and, unless dryRun is set or it has errors, import it
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only return the validation report
+ * @returns {Promise<Object>} Validation report with `applied` set
+ */
+async function importBundle(bundle, { dryRun = false } = {}) {
+  const report = await validateBundle(bundle);
+  report.dry_run = dryRun;
+  report.applied = false;
+  if (dryRun || !report.valid) return report;
+
+  const { levelsToCreate, puzzlesToImport } = report._plan;
+  for (const level of levelsToCreate) {
+    await levelService.createLevel(level);
+  }
+  for (const item of puzzlesToImport) {
+    await writePuzzle(item);
+  }
+
+  // Updated puzzles may be worth something different now
+  const updatedLevels = new Set(puzzlesToImport.filter(item => item.existing).map(item => item.puzzle.level));
+  for (const level of updatedLevels) {
+    await scoringService.recalculateLevelScores(level);
+  }
+  scoringService.invalidate();
+
+  report.applied = true;
+  return report;
+}
+
+const FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+/**
+ * Build a bundle from the puzzles on this server
+ * Plaintext answers are exported as-is, hashed answers as their hash.
+ * Dynamic-flag secrets are never exported; the importing server makes new ones.
+ * @param {Object} options
+ * @param {number} [options.level] - Only export this level
+ * @returns {Promise<Object>} Bundle
+ */
+async function exportBundle({ level } = {}) {
+  let puzzles;
+  let hints;
+  if (USE_SUPABASE) {
+    let query = supabaseAdmin
+      .from('puzzles')
+      .select('*')
+      .order('level', { ascending: true })
+      .order('puzzle_number', { ascending: true });
+    if (level) query = query.eq('level', level);
+    const { data, error } = await query;
+    if (error) throw error;
+    puzzles = data || [];
+
+    const puzzleIds = puzzles.map(p => p.id);
+    hints = [];
+    if (puzzleIds.length > 0) {
+      const { data: hintRows, error: hintError } = await supabaseAdmin
+        .from('hints')
+        .select('puzzle_id, hint_number, hint_text, time_penalty_seconds, point_cost, unlock_after_seconds')
+        .in('puzzle_id', puzzleIds)
+        .order('hint_number', { ascending: true });
+      if (hintError) throw hintError;
+      hints = hintRows || [];
+    }
+  } else {
+    [puzzles] = level
+      ? await db.query('SELECT * FROM puzzles WHERE level = ? ORDER BY level, puzzle_number', [level])
+      : await db.query('SELECT * FROM puzzles ORDER BY level, puzzle_number');
+    hints = [];
+    if (puzzles.length > 0) {
+      [hints] = await db.query(
+        'SELECT puzzle_id, hint_number, hint_text, time_penalty_seconds, point_cost, unlock_after_seconds FROM hints WHERE puzzle_id IN (?) ORDER BY hint_number',
+        [puzzles.map(p => p.id)]
+      );
+    }
+  }
+
+  const levels = (await levelService.getLevels())
+    .filter(l => !level || l.level_number === Number(level))
+    .map(l => ({
+      level_number: l.level_number,
+      name: l.name,
+      description: l.description,
+      time_limit_minutes: l.time_limit_minutes,
+      unlock_rule: l.unlock_rule
+    }));
+
+  const files = {};
+  const entries = puzzles.map(puzzle => {
+    const entry = {
+      level: puzzle.level,
+      puzzle_number: puzzle.puzzle_number
+    };
+    for (const field of ESCAPED_PUZZLE_FIELDS) {
+      if (puzzle[field] !== null && puzzle[field] !== undefined) entry[field] = unescapeText(puzzle[field]);
+    }
+
+    // Binary puzzle bodies (stored as data URLs) travel as attached files
+    const dataUrl = typeof puzzle.puzzle_content === 'string' && puzzle.puzzle_content.match(DATA_URL_PATTERN);
+    if (dataUrl) {
+      const name = `level-${puzzle.level}/puzzle-${puzzle.puzzle_number}.${FILE_EXTENSIONS[dataUrl[1]] || 'bin'}`;
+      files[name] = { mime_type: dataUrl[1], encoding: 'base64', content: dataUrl[2].replace(/\s+/g, '') };
+      entry.puzzle_content_file = name;
+    } else if (puzzle.puzzle_content) {
+      entry.puzzle_content = puzzle.puzzle_content;
+    }
+
+    if (puzzle.correct_answer) entry.correct_answer = puzzle.correct_answer;
+    if (puzzle.correct_answer_hash) entry.correct_answer_hash = puzzle.correct_answer_hash;
+    entry.answer_match_mode = puzzle.answer_match_mode || DEFAULT_MODE;
+    const options = parseOptions(puzzle.answer_match_options);
+    if (Object.keys(options).length > 0) entry.answer_match_options = options;
+    if (puzzle.dynamic_flag) entry.dynamic_flag = true;
+    entry.points = puzzle.points;
+    if (scoringService.isDynamic(puzzle)) {
+      entry.scoring_mode = puzzle.scoring_mode;
+      entry.minimum_points = puzzle.minimum_points;
+      entry.decay = puzzle.decay;
+    }
+    for (const field of scoringService.BLOOD_BONUS_FIELDS) {
+      if (Number(puzzle[field]) > 0) entry[field] = Number(puzzle[field]);
+    }
+    entry.time_limit_minutes = puzzle.time_limit_minutes;
+    entry.is_active = !!puzzle.is_active;
+    entry.hints = hints
+      .filter(h => h.puzzle_id === puzzle.id)
+      .map(h => ({
+        hint_number: h.hint_number,
+        hint_text: unescapeText(h.hint_text),
+        time_penalty_seconds: h.time_penalty_seconds,
+        ...(Number(h.point_cost) > 0 ? { point_cost: h.point_cost } : {}),
+        ...(h.unlock_after_seconds != null ? { unlock_after_seconds: h.unlock_after_seconds } : {})
+      }));
+    return entry;
+  });
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    levels,
+    puzzles: entries,
+    files
+  };
+}
+
+/**
+ * Serialize a bundle for download
+ * @param {Object} bundle
+ * @param {'json'|'yaml'} format
+ * @returns {string}
+ */
+function serializeBundle(bundle, format) {
+  if (format === 'yaml') {
+    return yaml.dump(bundle, { noRefs: true, lineWidth: -1 });
+  }
+  return JSON.stringify(bundle, null, 2);
+}
+
+module.exports = {
+  FORMAT,
+  FORMAT_VERSION,
+  parseBundle,
+  validateBundle,
+  importBundle,
+  exportBundle,
+  serializeBundle
+};
@@ -12,8 +12,9 @@ const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
  * Start puzzle timer for a team
+ * @param {string|null} userId - Team member who opened the puzzle
  */
-async function startPuzzleTimer(teamId, puzzleId) {
+async function startPuzzleTimer(teamId, puzzleId, userId = null) {
   if (USE_SUPABASE) {
     try {
       // Check if already started
@@ -44,6 +45,7 @@ async function startPuzzleTimer(teamId, puzzleId) {
         .insert({
           id: uuidv4(),
           team_id: teamId,
+          user_id: userId,
           action_type: 'puzzle_start',
           description: 'Started puzzle timer',
           puzzle_id: puzzleId
@@ -53,15 +55,15 @@ async function startPuzzleTimer(teamId, puzzleId) {
       return { alreadyStarted: false, startedAt: new Date(now) };
     } catch (err) {
       console.error('Supabase startPuzzleTimer error, falling back to MySQL:', err.message);
-      return startPuzzleTimerMysql(teamId, puzzleId);
+      return startPuzzleTimerMysql(teamId, puzzleId, userId);
     }
   } else {
-    return startPuzzleTimerMysql(teamId, puzzleId);
+    return startPuzzleTimerMysql(teamId, puzzleId, userId);
   }
 }
 
 /** MySQL fallback for startPuzzleTimer */
-async function startPuzzleTimerMysql(teamId, puzzleId) {
+async function startPuzzleTimerMysql(teamId, puzzleId, userId) {
   const [[existing]] = await db.query(`
     SELECT puzzle_started_at FROM team_progress
     WHERE team_id = ? AND puzzle_id = ?
@@ -78,9 +80,9 @@ async function startPuzzleTimerMysql(teamId, puzzleId) {
   `, [teamId, puzzleId]);
 
   await db.query(`
-    INSERT INTO activity_logs (id, team_id, action_type, description, puzzle_id)
-    VALUES (UUID(), ?, 'puzzle_start', 'Started puzzle timer', ?)
-  `, [teamId, puzzleId]);
+    INSERT INTO activity_logs (id, team_id, user_id, action_type, description, puzzle_id)
+    VALUES (UUID(), ?, ?, 'puzzle_start', 'Started puzzle timer', ?)
+  `, [teamId, userId, puzzleId]);
 
   return { alreadyStarted: false, startedAt: new Date() };
 }
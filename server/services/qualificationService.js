@@ -16,6 +16,8 @@
 const db = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
 const { supabaseAdmin } = require('../config/supabase');
+const levelService = require('./levelService');
+const scoringService = require('./scoringService');
 const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
 
 /**
@@ -317,6 +319,15 @@ async function completeLevelAndQualify(teamId, levelId) {
   }
 }
 
+/**
+ * A team's score on a level: solves at current puzzle values minus the points
+ * it was charged for hints on that level (never below zero)
+ */
+async function getLevelScore(teamId, levelId) {
+  const scores = await scoringService.getLevelScores(levelId);
+  return scores[teamId] || 0;
+}
+
 /**
  * Calculate final metrics for a completed level
  * @param {string} teamId - Team's UUID
@@ -326,10 +337,10 @@ async function calculateFinalLevelMetrics(teamId, levelId) {
   try {
     if (USE_SUPABASE) {
       try {
-        // Step 1: Get puzzle IDs and points for this level
+        // Step 1: Get puzzle IDs for this level
         const { data: puzzles, error: puzzleErr } = await supabaseAdmin
           .from('puzzles')
-          .select('id, points')
+          .select('id')
           .eq('level', levelId);
 
         if (puzzleErr) throw puzzleErr;
@@ -339,10 +350,6 @@ async function calculateFinalLevelMetrics(teamId, levelId) {
         }
 
         const puzzleIds = puzzles.map(p => p.id);
-        const puzzlePointsMap = {};
-        for (const p of puzzles) {
-          puzzlePointsMap[p.id] = p.points || 0;
-        }
 
         // Step 2: Get team progress for those puzzles
         const { data: progress, error: progressErr } = await supabaseAdmin
@@ -360,9 +367,9 @@ async function calculateFinalLevelMetrics(teamId, levelId) {
         // Step 3: Calculate metrics in JS
         const questionsAnswered = progress.length;
         const questionsCorrect = progress.filter(p => p.is_completed === true).length;
-        const totalScore = progress.reduce((sum, p) => {
-          return sum + (p.is_completed ? (puzzlePointsMap[p.puzzle_id] || 0) : 0);
-        }, 0);
+        // Solved puzzles count at their current value (dynamic puzzles decay),
+        // less any points spent on hints
+        const totalScore = await getLevelScore(teamId, levelId);
         const hintsUsed = progress.reduce((sum, p) => sum + (p.hints_used || 0), 0);
 
         // Calculate time taken: max(completed_at) - min(started_at) in seconds
@@ -401,7 +408,6 @@ async function calculateFinalLevelMetrics(teamId, levelId) {
     // Get all puzzle progress for this level
     const [progress] = await db.query(
       `SELECT 
-         SUM(CASE WHEN tp.is_completed = true THEN p.points ELSE 0 END) as total_score,
          COUNT(*) as questions_answered,
          SUM(CASE WHEN tp.is_completed = true THEN 1 ELSE 0 END) as questions_correct,
          GREATEST(0, TIMESTAMPDIFF(SECOND, MIN(tp.started_at), MAX(COALESCE(tp.completed_at, NOW())))) as time_taken,
@@ -416,8 +422,12 @@ async function calculateFinalLevelMetrics(teamId, levelId) {
     const questionsAnswered = parseInt(metrics.questions_answered) || 0;
     const questionsCorrect = parseInt(metrics.questions_correct) || 0;
 
+    // Solved puzzles count at their current value (dynamic puzzles decay),
+    // less any points spent on hints
+    const score = await getLevelScore(teamId, levelId);
+
     return {
-      score: parseInt(metrics.total_score) || 0,
+      score,
       questionsAnswered,
       questionsCorrect,
       accuracy: questionsAnswered > 0 ? ((questionsCorrect / questionsAnswered) * 100).toFixed(2) : 0,
@@ -968,10 +978,16 @@ async function getTeamLevelStatus(teamId) {
     // Check Level 2 access
     const canAccessLevel2 = levelStatus[1]?.qualification_status === 'QUALIFIED';
 
+    // Current level: the first configured level the team hasn't qualified out of
+    const configuredLevels = await levelService.getLevels();
+    const currentLevel = configuredLevels.find(l =>
+      levelStatus[l.level_number]?.qualification_status !== 'QUALIFIED'
+    ) || configuredLevels[configuredLevels.length - 1];
+
     return {
       levels: levelStatus,
       can_access_level_2: canAccessLevel2,
-      current_level: canAccessLevel2 ? (levelStatus[2]?.status === 'NOT_STARTED' ? 2 : 2) : 1
+      current_level: currentLevel ? currentLevel.level_number : 1
     };
   } catch (error) {
     console.error('Error getting team level status:', error);
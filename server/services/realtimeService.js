@@ -0,0 +1,167 @@
+// server/services/realtimeService.js
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Realtime Service
+ * Server-sent events hub that pushes changes to connected clients so the
+ * frontend only falls back to polling when its stream drops.
+ *
+ * Events:
+ *   leaderboard   - scores/ranks changed (all clients, coalesced)
+ *   broadcast     - admin broadcast message (all clients)
+ *   notification  - team notification (team, or all for broadcasts)
+ *   session       - a team's time/progress changed (team + admins)
+ *   hints         - a team's hint state changed (team)
+ *   alert         - new suspicious activity alert (admins)
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const LEADERBOARD_DEBOUNCE_MS = 1000;
+
+// clientId -> { res, userId, teamId, role }
+const clients = new Map();
+let heartbeatTimer = null;
+let leaderboardTimer = null;
+
+/**
+ * Write one SSE frame to a client
+ */
+function writeEvent(client, event, data) {
+  try {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+  } catch (error) {
+    console.error('Realtime write error:', error.message);
+  }
+}
+
+/**
+ * Keep proxies from closing idle streams
+ */
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients.values()) {
+      client.res.write(': ping\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref?.();
+}
+
+function stopHeartbeatIfIdle() {
+  if (clients.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+/**
+ * Express handler for GET /api/realtime/stream (requires authMiddleware)
+ */
+function handleStream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const clientId = uuidv4();
+  const client = {
+    res,
+    userId: req.user.id,
+    teamId: req.user.team_id || null,
+    role: req.user.role
+  };
+  clients.set(clientId, client);
+  startHeartbeat();
+
+  // Tell the client how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+  writeEvent(client, 'connected', { clientId });
+
+  req.on('close', () => {
+    clients.delete(clientId);
+    stopHeartbeatIfIdle();
+  });
+}
+
+/**
+ * Send an event to every client matching the filter
+ * @param {String} event
+ * @param {Object} data
+ * @param {Function} filter - (client) => boolean
+ */
+function publish(event, data, filter = () => true) {
+  for (const client of clients.values()) {
+    if (filter(client)) writeEvent(client, event, data);
+  }
+}
+
+/**
+ * Send an event to all connected clients
+ */
+function broadcast(event, data) {
+  publish(event, data);
+}
+
+/**
+ * Send an event to one team's members
+ */
+function sendToTeam(teamId, event, data) {
+  if (!teamId) return;
+  publish(event, data, (client) => client.teamId === teamId);
+}
+
+/**
+ * Send an event to connected admins
+ */
+function sendToAdmins(event, data) {
+  publish(event, data, (client) => client.role === 'admin');
+}
+
+/**
+ * Signal that the leaderboard changed.
+ * Bursts of solves are coalesced so clients refetch once.
+ */
+function publishLeaderboardChange() {
+  if (leaderboardTimer) return;
+  leaderboardTimer = setTimeout(() => {
+    leaderboardTimer = null;
+    broadcast('leaderboard', { at: new Date().toISOString() });
+  }, LEADERBOARD_DEBOUNCE_MS);
+  leaderboardTimer.unref?.();
+}
+
+/**
+ * Signal that a team's session/time state changed
+ */
+function publishSessionChange(teamId) {
+  const data = { teamId, at: new Date().toISOString() };
+  sendToTeam(teamId, 'session', data);
+  sendToAdmins('session', data);
+}
+
+/**
+ * Connection stats for monitoring
+ */
+function getStats() {
+  let teams = 0;
+  let admins = 0;
+  for (const client of clients.values()) {
+    if (client.role === 'admin') admins++;
+    else if (client.teamId) teams++;
+  }
+  return { connections: clients.size, teams, admins };
+}
+
+module.exports = {
+  handleStream,
+  publish,
+  broadcast,
+  sendToTeam,
+  sendToAdmins,
+  publishLeaderboardChange,
+  publishSessionChange,
+  getStats
+};
@@ -0,0 +1,151 @@
+// server/services/refreshTokenService.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { generateRefreshToken } = require('../utils/jwt');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Refresh Token Service
+ * Stores refresh tokens in refresh_tokens and rotates them on every use.
+ *
+ * All tokens descending from one login share a family_id (the session id
+ * when the session registry is available). Refreshing marks the presented
+ * token used and issues its successor in the same family. Presenting a used
+ * token again means it was copied: the whole family is deleted and its
+ * session revoked, so both the thief and the victim have to log in again.
+ *
+ * Two tabs refreshing at the same moment would look like reuse, so a token
+ * used less than REUSE_GRACE_MS ago only gets a new access token, without
+ * rotation and without tripping the detector.
+ */
+
+// Matches JWT_REFRESH_EXPIRY
+const REFRESH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Generate and store a refresh token
+ * @param {string} userId
+ * @param {Object} options - { sessionId, familyId } (a new family is started if omitted)
+ * @returns {Promise<string>} The refresh token
+ */
+async function issue(userId, { sessionId = null, familyId = null } = {}) {
+  const token = generateRefreshToken({ userId });
+  const row = {
+    user_id: userId,
+    session_id: sessionId,
+    family_id: familyId || sessionId || uuidv4(),
+    token,
+    expires_at: new Date(Date.now() + REFRESH_TTL_MS)
+  };
+
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('refresh_tokens')
+      .insert({ ...row, expires_at: row.expires_at.toISOString() });
+    if (error) throw error;
+  } else {
+    await db.query(
+      'INSERT INTO refresh_tokens (user_id, session_id, family_id, token, expires_at) VALUES (?, ?, ?, ?, ?)',
+      [row.user_id, row.session_id, row.family_id, row.token, row.expires_at]
+    );
+  }
+
+  return token;
+}
+
+async function findByToken(token) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token', token)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  const [rows] = await db.query('SELECT * FROM refresh_tokens WHERE token = ?', [token]);
+  return rows[0] || null;
+}
+
+/**
+ * Mark a token used; false if another request already did
+ */
+async function markUsed(id) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('refresh_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('used_at', null)
+      .select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [result] = await db.query(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Delete every token in a family
+ */
+async function revokeFamily(familyId) {
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('refresh_tokens')
+      .delete()
+      .eq('family_id', familyId);
+    if (error) throw error;
+    return;
+  }
+
+  await db.query('DELETE FROM refresh_tokens WHERE family_id = ?', [familyId]);
+}
+
+/**
+ * Exchange a refresh token for its successor
+ * @param {string} token - Refresh token presented by the client (already JWT-verified)
+ * @returns {Promise<Object>} One of:
+ *   { status: 'rotated', row, refreshToken }  - new token issued in the same family
+ *   { status: 'grace', row }                  - used moments ago; no new refresh token
+ *   { status: 'reused', row }                 - replay detected; the family is already revoked
+ *   { status: 'invalid' }                     - unknown or expired
+ */
+async function rotate(token) {
+  const row = await findByToken(token);
+  if (!row || new Date(row.expires_at).getTime() <= Date.now()) {
+    return { status: 'invalid' };
+  }
+
+  const usedAt = row.used_at ? new Date(row.used_at).getTime() : null;
+  if (usedAt === null && await markUsed(row.id)) {
+    const refreshToken = await issue(row.user_id, {
+      sessionId: row.session_id || null,
+      familyId: row.family_id || null
+    });
+    return { status: 'rotated', row, refreshToken };
+  }
+
+  // Lost the race to a parallel refresh, or the token was rotated moments ago
+  if (usedAt === null || Date.now() - usedAt < REUSE_GRACE_MS) {
+    return { status: 'grace', row };
+  }
+
+  if (row.family_id) {
+    await revokeFamily(row.family_id);
+  }
+  return { status: 'reused', row };
+}
+
+module.exports = {
+  REUSE_GRACE_MS,
+  issue,
+  rotate,
+  revokeFamily
+};
@@ -0,0 +1,487 @@
+// server/services/scoringService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Scoring Service
+ * Works out what each puzzle is worth right now.
+ *
+ * Static puzzles are worth puzzles.points. Dynamic puzzles (CTFd-style)
+ * start at puzzles.points and decay toward puzzles.minimum_points as more
+ * teams solve them, using the puzzle's scoring_mode as the decay function.
+ * Every solver holds the current value, so earlier solvers lose points when
+ * a puzzle decays - recalculateLevelScores keeps stored scores in step.
+ *
+ * Puzzles can also award first/second/third-blood bonuses on top of their
+ * value to the first three teams to solve them.
+ *
+ * A solve is a team_progress row with is_completed = true, ordered by
+ * completed_at.
+ *
+ * Hints with a point_cost take points back: getHintPointCosts sums what each
+ * team was charged (hint_usage.points_penalty_applied) so callers can deduct it.
+ *
+ * Values, scores and hint costs can also be worked out as of an earlier time
+ * (`asOf`), counting only what happened by then; the frozen leaderboard uses this.
+ */
+
+/**
+ * Decay functions: (initial, minimum, decay, solves) => raw value
+ * `solves` excludes the first solve, so the first team gets the full value.
+ */
+const DECAY_FUNCTIONS = {
+  // Loses `decay` points for every solve after the first
+  linear: (initial, minimum, decay, solves) => initial - decay * solves,
+
+  // Falls slowly at first, then faster; reaches the minimum after `decay` solves
+  logarithmic: (initial, minimum, decay, solves) => {
+    if (decay <= 0) return minimum;
+    return ((minimum - initial) / (decay ** 2)) * (solves ** 2) + initial;
+  }
+};
+
+const SCORING_MODES = ['static', ...Object.keys(DECAY_FUNCTIONS)];
+
+// Bonus columns in solve order: index 0 is first blood
+const BLOOD_BONUS_FIELDS = ['first_blood_bonus', 'second_blood_bonus', 'third_blood_bonus'];
+const BLOOD_NAMES = ['First', 'Second', 'Third'];
+
+// Column sets tried in order, so scoring works before every migration has run
+const PUZZLE_SCORING_COLUMNS = [
+  ['id', 'level', 'points', 'scoring_mode', 'minimum_points', 'decay', ...BLOOD_BONUS_FIELDS],
+  ['id', 'level', 'points', 'scoring_mode', 'minimum_points', 'decay'],
+  ['id', 'level', 'points']
+];
+
+/**
+ * Check whether a puzzle uses dynamic scoring
+ * @param {Object} puzzle
+ * @returns {boolean}
+ */
+function isDynamic(puzzle) {
+  return !!puzzle && !!DECAY_FUNCTIONS[puzzle.scoring_mode];
+}
+
+/**
+ * Blood bonuses configured on a puzzle, in solve order
+ * @param {Object} puzzle
+ * @returns {number[]} [first, second, third]
+ */
+function getBloodBonuses(puzzle) {
+  return BLOOD_BONUS_FIELDS.map(field => Math.max(0, Number(puzzle?.[field]) || 0));
+}
+
+/**
+ * Compute a puzzle's value for a given number of solves
+ * @param {Object} puzzle - { points, scoring_mode, minimum_points, decay }
+ * @param {number} solveCount - Teams that have solved it
+ * @returns {number}
+ */
+function computePuzzleValue(puzzle, solveCount) {
+  const initial = Number(puzzle.points) || 0;
+  if (!isDynamic(puzzle)) return initial;
+
+  const minimum = Math.min(initial, Number(puzzle.minimum_points) || 0);
+  const decay = Number(puzzle.decay) || 0;
+  const solves = Math.max(0, (solveCount || 0) - 1);
+  const value = Math.ceil(DECAY_FUNCTIONS[puzzle.scoring_mode](initial, minimum, decay, solves));
+  return Math.min(initial, Math.max(minimum, value));
+}
+
+/**
+ * Validate scoring settings on a puzzle create/update payload
+ * @param {Object} data - { points, scoring_mode, minimum_points, decay }
+ * @returns {string|null} Error message or null
+ */
+function validateScoringConfig(data) {
+  const mode = data.scoring_mode;
+  if (mode === undefined || mode === null) return null;
+  if (!SCORING_MODES.includes(mode)) {
+    return `scoring_mode must be one of: ${SCORING_MODES.join(', ')}`;
+  }
+  if (mode === 'static') return null;
+
+  const minimum = Number(data.minimum_points);
+  const decay = Number(data.decay);
+  if (!Number.isInteger(minimum) || minimum < 0) return 'minimum_points must be a non-negative integer';
+  if (data.points !== undefined && minimum > Number(data.points)) return 'minimum_points cannot be more than points';
+  if (!Number.isInteger(decay) || decay < 1) return 'decay must be a positive integer';
+  return null;
+}
+
+/**
+ * Validate blood bonus settings on a puzzle create/update payload
+ * @param {Object} data - { first_blood_bonus, second_blood_bonus, third_blood_bonus }
+ * @returns {string|null} Error message or null
+ */
+function validateBloodBonuses(data) {
+  for (const field of BLOOD_BONUS_FIELDS) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+      return `${field} must be a non-negative integer`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch puzzles with their scoring settings
+ * Falls back to static points if the scoring columns have not been migrated
+ */
+async function getScoredPuzzles() {
+  let lastError;
+  for (const columns of PUZZLE_SCORING_COLUMNS) {
+    if (USE_SUPABASE) {
+      const { data, error } = await supabaseAdmin
+        .from('puzzles')
+        .select(columns.join(', '));
+      if (!error) return data || [];
+      lastError = error;
+      continue;
+    }
+    try {
+      const [rows] = await db.query(`SELECT ${columns.join(', ')} FROM puzzles`);
+      return rows;
+    } catch (error) {
+      if (error.code !== 'ER_BAD_FIELD_ERROR') throw error;
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Whether a timestamp falls on or before the cutoff; untimed rows never do
+ */
+function happenedBy(timestamp, asOf) {
+  return !!timestamp && new Date(timestamp).getTime() <= new Date(asOf).getTime();
+}
+
+/**
+ * All solves as { team_id, puzzle_id, completed_at }, earliest first
+ * @param {Date|string|null} [asOf] - Only solves completed by then
+ */
+async function getSolves(asOf = null) {
+  let rows;
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('team_progress')
+      .select('team_id, puzzle_id, completed_at')
+      .eq('is_completed', true);
+    if (error) throw error;
+    rows = data || [];
+  } else {
+    [rows] = await db.query('SELECT team_id, puzzle_id, completed_at FROM team_progress WHERE is_completed = true');
+  }
+  if (asOf) rows = rows.filter(solve => happenedBy(solve.completed_at, asOf));
+  // Solves without a timestamp (older data) rank after timed ones
+  const time = (solve) => (solve.completed_at ? new Date(solve.completed_at).getTime() : Infinity);
+  return rows.sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * Current value, solve count, level, solvers and blood solvers of every puzzle (cached briefly)
+ * @param {Date|string|null} [asOf] - Values as they stood then (not cached)
+ * @returns {Promise<Object>} { [puzzleId]: { value, solves, level, dynamic, solvedBy, bloods, bloodBonuses } }
+ *   solvedBy lists solving team IDs in solve order; bloods holds up to three
+ *   { team_id, completed_at } in solve order
+ */
+async function getPuzzleValues(asOf = null) {
+  if (asOf) return buildPuzzleValues(asOf);
+  return cached(cacheKeys.puzzleValues(), () => buildPuzzleValues(null), TTL.PUZZLE_VALUES);
+}
+
+async function buildPuzzleValues(asOf) {
+  const [puzzles, solves] = await Promise.all([getScoredPuzzles(), getSolves(asOf)]);
+
+  const solvers = {};
+  for (const solve of solves) {
+    (solvers[solve.puzzle_id] = solvers[solve.puzzle_id] || []).push(solve);
+  }
+
+  const values = {};
+  for (const puzzle of puzzles) {
+    const puzzleSolves = solvers[puzzle.id] || [];
+    values[puzzle.id] = {
+      value: computePuzzleValue(puzzle, puzzleSolves.length),
+      solves: puzzleSolves.length,
+      level: puzzle.level,
+      dynamic: isDynamic(puzzle),
+      solvedBy: puzzleSolves.map(solve => solve.team_id),
+      bloods: puzzleSolves.slice(0, BLOOD_BONUS_FIELDS.length)
+        .map(({ team_id, completed_at }) => ({ team_id, completed_at })),
+      bloodBonuses: getBloodBonuses(puzzle)
+    };
+  }
+  return values;
+}
+
+/**
+ * A team's blood position on a puzzle
+ * @param {Object} puzzleValue - Entry from getPuzzleValues()
+ * @param {string} teamId
+ * @returns {number|null} 1 for first blood, 2 for second, 3 for third, otherwise null
+ */
+function getBloodRank(puzzleValue, teamId) {
+  const index = (puzzleValue?.bloods || []).findIndex(blood => blood.team_id === teamId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Bonus a team earned for being among the first solvers of a puzzle
+ * @param {Object} puzzleValue - Entry from getPuzzleValues()
+ * @param {string} teamId
+ * @returns {number}
+ */
+function getBloodBonus(puzzleValue, teamId) {
+  const rank = getBloodRank(puzzleValue, teamId);
+  return rank ? puzzleValue.bloodBonuses[rank - 1] : 0;
+}
+
+/**
+ * Current value of a single puzzle
+ * @param {string} puzzleId
+ * @returns {Promise<number>}
+ */
+async function getPuzzleValue(puzzleId) {
+  const values = await getPuzzleValues();
+  return values[puzzleId]?.value || 0;
+}
+
+/**
+ * Total score per team from their solves at current puzzle values
+ * Built from the cached getPuzzleValues() result, so per-team callers
+ * (e.g. one qualification per team) do not each rescan the solves
+ * @param {number} [level] - Only count puzzles on this level
+ * @param {Date|string|null} [asOf] - Scores as they stood then
+ * @returns {Promise<Object>} { [teamId]: score }
+ */
+async function getTeamScores(level, asOf = null) {
+  const values = await getPuzzleValues(asOf);
+  const scores = {};
+  for (const puzzle of Object.values(values)) {
+    if (level && puzzle.level !== Number(level)) continue;
+    for (const teamId of puzzle.solvedBy) {
+      scores[teamId] = (scores[teamId] || 0) + puzzle.value + getBloodBonus(puzzle, teamId);
+    }
+  }
+  return scores;
+}
+
+/**
+ * A team's score after hint costs; hints never take it below zero
+ * @param {number} solveScore
+ * @param {number} hintCost
+ * @returns {number}
+ */
+function netScore(solveScore, hintCost) {
+  return Math.max((solveScore || 0) - (hintCost || 0), 0);
+}
+
+/**
+ * Score per team on one level, less the points spent on hints there
+ * Cached per level, so qualifying every team on a level reads the solves
+ * and hint costs once
+ * @param {number} level
+ * @returns {Promise<Object>} { [teamId]: score }
+ */
+async function getLevelScores(level) {
+  return cached(cacheKeys.levelScores(level), async () => {
+    const [solveScores, hintCosts] = await Promise.all([getTeamScores(level), getHintPointCosts(level)]);
+    const scores = {};
+    for (const teamId of new Set([...Object.keys(solveScores), ...Object.keys(hintCosts)])) {
+      scores[teamId] = netScore(solveScores[teamId], hintCosts[teamId]);
+    }
+    return scores;
+  }, TTL.LEVEL_SCORES);
+}
+
+/**
+ * Whether any puzzle uses dynamic scoring. Leaderboards rank by score only
+ * then; static events keep their solved/progress ordering.
+ * @returns {Promise<boolean>}
+ */
+async function usesDynamicScoring() {
+  const values = await getPuzzleValues();
+  return Object.values(values).some(puzzle => puzzle.dynamic);
+}
+
+/**
+ * Points each team has been charged for hints
+ * @param {number} [level] - Only count hints on puzzles of this level
+ * @param {Date|string|null} [asOf] - Only hints used by then
+ * @returns {Promise<Object>} { [teamId]: points }
+ */
+async function getHintPointCosts(level, asOf = null) {
+  let rows;
+  try {
+    if (USE_SUPABASE) {
+      const { data, error } = await supabaseAdmin
+        .from('hint_usage')
+        .select('team_id, puzzle_id, points_penalty_applied, used_at')
+        .gt('points_penalty_applied', 0);
+      if (error) throw error;
+      rows = data || [];
+    } else {
+      [rows] = await db.query(
+        'SELECT team_id, puzzle_id, points_penalty_applied, used_at FROM hint_usage WHERE points_penalty_applied > 0'
+      );
+    }
+  } catch (error) {
+    // Older schema without point-cost hints
+    console.log('Hint point cost info:', error.code || error.message);
+    return {};
+  }
+
+  const values = level ? await getPuzzleValues() : null;
+  const costs = {};
+  for (const row of rows) {
+    if (level && values[row.puzzle_id]?.level !== Number(level)) continue;
+    if (asOf && !happenedBy(row.used_at, asOf)) continue;
+    costs[row.team_id] = (costs[row.team_id] || 0) + (Number(row.points_penalty_applied) || 0);
+  }
+  return costs;
+}
+
+function invalidate() {
+  cache.delete(cacheKeys.puzzleValues());
+  cache.deleteByPrefix(cacheKeys.levelScores(''));
+  cache.delete(cacheKeys.leaderboard('live'));
+}
+
+/**
+ * Rewrite stored scores for a level at current puzzle values:
+ * submissions.score_awarded for evaluated correct answers (including blood
+ * bonuses) and team_level_status.score for every team on the level, less
+ * the points each team spent on hints.
+ * @param {number} level
+ */
+async function recalculateLevelScores(level) {
+  invalidate();
+  const values = await getPuzzleValues();
+  const levelPuzzles = Object.entries(values).filter(([, p]) => p.level === Number(level));
+  const scores = await getLevelScores(level);
+
+  if (USE_SUPABASE) {
+    for (const [puzzleId, puzzle] of levelPuzzles) {
+      if (!puzzle.dynamic && !hasBloodBonus(puzzle)) continue;
+      const { error } = await supabaseAdmin
+        .from('submissions')
+        .update({ score_awarded: puzzle.value })
+        .eq('puzzle_id', puzzleId)
+        .eq('is_correct', true)
+        .eq('evaluation_status', 'EVALUATED');
+      if (error) console.log('Submission score recalculation info:', error.message);
+
+      for (const blood of puzzle.bloods) {
+        const bonus = getBloodBonus(puzzle, blood.team_id);
+        if (!bonus) continue;
+        await supabaseAdmin
+          .from('submissions')
+          .update({ score_awarded: puzzle.value + bonus })
+          .eq('puzzle_id', puzzleId)
+          .eq('team_id', blood.team_id)
+          .eq('is_correct', true)
+          .eq('evaluation_status', 'EVALUATED');
+      }
+    }
+
+    const { data: statuses, error } = await supabaseAdmin
+      .from('team_level_status')
+      .select('team_id, score')
+      .eq('level_id', level);
+    if (error) throw error;
+    for (const status of statuses || []) {
+      const score = scores[status.team_id] || 0;
+      if (Number(status.score) === score) continue;
+      await supabaseAdmin
+        .from('team_level_status')
+        .update({ score, updated_at: new Date().toISOString() })
+        .eq('team_id', status.team_id)
+        .eq('level_id', level);
+    }
+    return;
+  }
+
+  for (const [puzzleId, puzzle] of levelPuzzles) {
+    if (!puzzle.dynamic && !hasBloodBonus(puzzle)) continue;
+    try {
+      await db.query(
+        `UPDATE submissions SET score_awarded = ?
+         WHERE puzzle_id = ? AND is_correct = true AND evaluation_status = 'EVALUATED'`,
+        [puzzle.value, puzzleId]
+      );
+      for (const blood of puzzle.bloods) {
+        const bonus = getBloodBonus(puzzle, blood.team_id);
+        if (!bonus) continue;
+        await db.query(
+          `UPDATE submissions SET score_awarded = ?
+           WHERE puzzle_id = ? AND team_id = ? AND is_correct = true AND evaluation_status = 'EVALUATED'`,
+          [puzzle.value + bonus, puzzleId, blood.team_id]
+        );
+      }
+    } catch (error) {
+      console.log('Submission score recalculation info:', error.code || error.message);
+    }
+  }
+
+  const [statuses] = await db.query('SELECT team_id, score FROM team_level_status WHERE level_id = ?', [level]);
+  for (const status of statuses) {
+    const score = scores[status.team_id] || 0;
+    if (Number(status.score) === score) continue;
+    await db.query(
+      'UPDATE team_level_status SET score = ?, updated_at = NOW() WHERE team_id = ? AND level_id = ?',
+      [score, status.team_id, level]
+    );
+  }
+}
+
+function hasBloodBonus(puzzleValue) {
+  return puzzleValue.bloodBonuses.some(bonus => bonus > 0);
+}
+
+/**
+ * Call after a team solves a puzzle. Refreshes values and, if the puzzle
+ * decays or the team took a bonus blood, rewrites the level's stored scores.
+ * @param {Object} puzzle - { id, level, scoring_mode }
+ * @param {string} teamId - The solving team
+ * @returns {Promise<Object>} { value, bloodRank, bloodBonus } after this solve
+ */
+async function onPuzzleSolved(puzzle, teamId) {
+  invalidate();
+  const puzzleValue = (await getPuzzleValues())[puzzle.id];
+  const bloodRank = getBloodRank(puzzleValue, teamId);
+  const bloodBonus = getBloodBonus(puzzleValue, teamId);
+
+  if (isDynamic(puzzle) || bloodBonus > 0) {
+    await recalculateLevelScores(puzzle.level);
+  }
+  return { value: puzzleValue?.value || 0, bloodRank, bloodBonus };
+}
+
+module.exports = {
+  SCORING_MODES,
+  DECAY_FUNCTIONS,
+  BLOOD_BONUS_FIELDS,
+  BLOOD_NAMES,
+  isDynamic,
+  computePuzzleValue,
+  validateScoringConfig,
+  validateBloodBonuses,
+  getBloodBonuses,
+  getPuzzleValues,
+  getPuzzleValue,
+  getBloodRank,
+  getBloodBonus,
+  getTeamScores,
+  netScore,
+  getLevelScores,
+  usesDynamicScoring,
+  getHintPointCosts,
+  recalculateLevelScores,
+  onPuzzleSolved,
+  invalidate
+};
@@ -0,0 +1,263 @@
+// server/services/sessionService.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const { describeDevice } = require('../utils/device');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Session Service
+ * Server-side registry of logins in user_sessions.
+ *
+ * Every login creates a session row (device, IP, user agent, created and
+ * last-seen times). The session id travels in the access token as
+ * `sessionId` and on the stored refresh token as `session_id`, so revoking a
+ * session makes authMiddleware reject its access token and deletes the
+ * refresh tokens that could mint new ones.
+ *
+ * Tokens issued before the registry existed carry no session id and keep
+ * working until they expire.
+ */
+
+// Matches the refresh token lifetime
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// last_seen_at is written at most this often per session; the marker for
+// the last write is a cache entry with this TTL, so idle sessions fall out
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * True when user_sessions has not been migrated yet
+ */
+function isMissingTable(error) {
+  return ['ER_NO_SUCH_TABLE', '42P01', 'PGRST205'].includes(error?.code);
+}
+
+function isActive(session) {
+  return !!session && !session.revoked_at && new Date(session.expires_at).getTime() > Date.now();
+}
+
+/**
+ * Shape a session row for API responses
+ */
+function formatSession(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    device: row.device,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Register a new login
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {string} userId
+ * @param {string|null} teamId
+ * @returns {Promise<string|null>} Session id, or null if the registry is not migrated
+ */
+async function createSession(req, userId, teamId) {
+  const userAgent = req?.get?.('user-agent') || null;
+  const session = {
+    id: uuidv4(),
+    user_id: userId,
+    team_id: teamId || null,
+    device: describeDevice(userAgent),
+    ip_address: req?.ip || req?.connection?.remoteAddress || null,
+    user_agent: userAgent ? userAgent.slice(0, 500) : null,
+    expires_at: new Date(Date.now() + SESSION_TTL_MS)
+  };
+
+  try {
+    if (USE_SUPABASE) {
+      const { error } = await supabaseAdmin
+        .from('user_sessions')
+        .insert({ ...session, expires_at: session.expires_at.toISOString() });
+      if (error) throw error;
+    } else {
+      await db.query(
+        `INSERT INTO user_sessions (id, user_id, team_id, device, ip_address, user_agent, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [session.id, session.user_id, session.team_id, session.device, session.ip_address, session.user_agent, session.expires_at]
+      );
+    }
+  } catch (error) {
+    if (!isMissingTable(error)) throw error;
+    console.log('Session registry info:', error.code);
+    return null;
+  }
+
+  cache.set(cacheKeys.sessionTouch(session.id), true, TOUCH_INTERVAL_MS);
+  return session.id;
+}
+
+/**
+ * Load a session row (cached briefly; revocation clears the cache)
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function getSession(sessionId) {
+  return cached(cacheKeys.session(sessionId), async () => {
+    if (USE_SUPABASE) {
+      const { data, error } = await supabaseAdmin
+        .from('user_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .maybeSingle();
+      if (error) throw error;
+      return data;
+    }
+
+    const [rows] = await db.query('SELECT * FROM user_sessions WHERE id = ?', [sessionId]);
+    return rows[0] || null;
+  }, TTL.SESSION);
+}
+
+/**
+ * Record activity on a session, at most once per TOUCH_INTERVAL_MS
+ */
+function touchSession(sessionId) {
+  const touchKey = cacheKeys.sessionTouch(sessionId);
+  if (cache.get(touchKey)) return;
+  const now = Date.now();
+  cache.set(touchKey, true, TOUCH_INTERVAL_MS);
+
+  const write = USE_SUPABASE
+    ? supabaseAdmin
+      .from('user_sessions')
+      .update({ last_seen_at: new Date(now).toISOString() })
+      .eq('id', sessionId)
+      .then(({ error }) => { if (error) throw error; })
+    : db.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = ?', [sessionId]);
+
+  write.catch(error => console.error('Session touch error:', error.message));
+}
+
+/**
+ * Check that a session is still live and note the activity
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function validateSession(sessionId) {
+  const session = await getSession(sessionId);
+  if (!isActive(session)) return false;
+  touchSession(sessionId);
+  return true;
+}
+
+/**
+ * Active sessions of a team (all of its accounts) or of a single user
+ * @param {Object} scope - { teamId } or { userId }
+ * @returns {Promise<Array>} Most recently seen first
+ */
+async function listSessions({ teamId, userId }) {
+  const column = teamId ? 'team_id' : 'user_id';
+  const value = teamId || userId;
+  let rows;
+
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('user_sessions')
+      .select('*')
+      .eq(column, value)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_seen_at', { ascending: false });
+    if (error) throw error;
+    rows = data || [];
+  } else {
+    [rows] = await db.query(
+      `SELECT * FROM user_sessions
+       WHERE ${column} = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [value]
+    );
+  }
+
+  return rows.map(formatSession);
+}
+
+/**
+ * Mark sessions revoked and delete their refresh tokens
+ */
+async function markRevoked(sessionIds, revokedBy, reason) {
+  if (sessionIds.length === 0) return;
+
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy || null, revoke_reason: reason })
+      .in('id', sessionIds);
+    if (error) throw error;
+    const { error: tokenError } = await supabaseAdmin
+      .from('refresh_tokens')
+      .delete()
+      .in('session_id', sessionIds);
+    if (tokenError) throw tokenError;
+  } else {
+    await db.query(
+      'UPDATE user_sessions SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ? WHERE id IN (?)',
+      [revokedBy || null, reason, sessionIds]
+    );
+    await db.query('DELETE FROM refresh_tokens WHERE session_id IN (?)', [sessionIds]);
+  }
+
+  for (const id of sessionIds) {
+    cache.delete(cacheKeys.session(id));
+    cache.delete(cacheKeys.sessionTouch(id));
+  }
+}
+
+/**
+ * Revoke one session, optionally only if it belongs to the given scope
+ * @param {string} sessionId
+ * @param {Object|null} scope - { teamId } or { userId } the session must belong to
+ * @param {string|null} revokedBy - User revoking it
+ * @param {string} reason - e.g. 'logout', 'revoked'
+ * @returns {Promise<boolean>} False if no such active session in scope
+ */
+async function revokeSession(sessionId, scope, revokedBy, reason) {
+  const session = await getSession(sessionId);
+  if (!isActive(session)) return false;
+  if (scope?.teamId && session.team_id !== scope.teamId) return false;
+  if (scope?.userId && session.user_id !== scope.userId) return false;
+
+  await markRevoked([sessionId], revokedBy, reason);
+  return true;
+}
+
+/**
+ * Revoke every active session of a team or user
+ * @param {Object} scope - { teamId } or { userId }, plus optional exceptSessionId
+ * @param {string|null} revokedBy
+ * @param {string} reason - e.g. 'disqualified', 'password_reset'
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSessions({ teamId, userId, exceptSessionId }, revokedBy, reason) {
+  let sessions;
+  try {
+    sessions = await listSessions({ teamId, userId });
+  } catch (error) {
+    if (!isMissingTable(error)) throw error;
+    return 0;
+  }
+
+  const ids = sessions.map(s => s.id).filter(id => id !== exceptSessionId);
+  await markRevoked(ids, revokedBy, reason);
+  return ids.length;
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  describeDevice,
+  createSession,
+  getSession,
+  validateSession,
+  listSessions,
+  revokeSession,
+  revokeSessions
+};
@@ -0,0 +1,722 @@
+// server/services/teamMemberService.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { hashPassword } = require('../utils/password');
+const sessionService = require('./sessionService');
+const timeTrackingService = require('./timeTrackingService');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Team Member Service
+ * Per-member accounts inside a team.
+ *
+ * The account that registered the team (teams.user_id) is its captain. The
+ * captain invites members by email; accepting an invite creates a `team`
+ * user linked to the team through team_members.user_id. Every member logs in
+ * with their own account, and their access token carries the team id, so
+ * gameplay endpoints work the same for all of them while submissions, hint
+ * usage and activity logs record which member acted.
+ *
+ * Removing a member sets team_members.removed_at (the user row stays so past
+ * actions remain attributable) and revokes their sessions.
+ *
+ * Invites live in team_invites and come in two kinds: email invites (a link
+ * for one address, accepted once) and join codes (short codes the captain
+ * shares, usable by anyone until they expire or run out of uses). Only a
+ * SHA-256 hash of the token or code is stored.
+ *
+ * Team size, captain included, is capped by the max_team_members game
+ * setting. Pending email invites hold a seat; join codes do not, so the
+ * limit is checked again when someone joins, together with creating the
+ * account and spending the invite use. Accounts created with a join code
+ * must verify their email before they can log in.
+ */
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CODE_TTL_HOURS = 24;
+// 32 symbols (no 0/O/1/I) so random bytes map onto them without bias
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Join codes are typed by hand: ignore case, dashes and spaces
+ */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function generateCode() {
+  const code = Array.from(crypto.randomBytes(8), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function sameEmail(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Largest team size allowed, captain included
+ * @returns {Promise<number>}
+ */
+async function getMemberLimit() {
+  const settings = await timeTrackingService.getGameSettings();
+  return settings.maxTeamMembers;
+}
+
+async function getTeam(teamId) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('teams')
+      .select('id, user_id, team_name')
+      .eq('id', teamId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  const [rows] = await db.query('SELECT id, user_id, team_name FROM teams WHERE id = ?', [teamId]);
+  return rows[0] || null;
+}
+
+/**
+ * Whether the user is the captain of the team
+ * @param {string} userId
+ * @param {string} teamId
+ * @returns {Promise<boolean>}
+ */
+async function isCaptain(userId, teamId) {
+  if (!userId || !teamId) return false;
+  const team = await getTeam(teamId);
+  return !!team && team.user_id === userId;
+}
+
+/**
+ * Team a `team` account belongs to: the team it captains, or the one it joined
+ * @param {string} userId
+ * @returns {Promise<string|null>} Team id, or null if the member was removed
+ */
+async function findTeamIdForUser(userId) {
+  if (USE_SUPABASE) {
+    const { data: owned, error } = await supabaseAdmin
+      .from('teams')
+      .select('id')
+      .eq('user_id', userId)
+      .limit(1);
+    if (error) throw error;
+    if (owned?.length) return owned[0].id;
+
+    const { data: member, error: memberError } = await supabaseAdmin
+      .from('team_members')
+      .select('team_id')
+      .eq('user_id', userId)
+      .is('removed_at', null)
+      .limit(1);
+    if (memberError) throw memberError;
+    return member?.[0]?.team_id || null;
+  }
+
+  const [owned] = await db.query('SELECT id FROM teams WHERE user_id = ? LIMIT 1', [userId]);
+  if (owned.length > 0) return owned[0].id;
+
+  const [member] = await db.query(
+    'SELECT team_id FROM team_members WHERE user_id = ? AND removed_at IS NULL LIMIT 1',
+    [userId]
+  );
+  return member[0]?.team_id || null;
+}
+
+/**
+ * Current roster: the captain followed by the other members
+ * The captain's own registration entry is not listed twice.
+ * @param {string} teamId
+ * @returns {Promise<Array>} [{ id, userId, name, email, role, hasAccount, joinedAt }]
+ */
+async function listMembers(teamId) {
+  const team = await getTeam(teamId);
+  if (!team) return [];
+
+  let captain;
+  let rows;
+  if (USE_SUPABASE) {
+    const [captainResult, membersResult] = await Promise.all([
+      supabaseAdmin.from('users').select('id, name, email, created_at').eq('id', team.user_id).maybeSingle(),
+      supabaseAdmin
+        .from('team_members')
+        .select('id, user_id, member_name, member_email, created_at')
+        .eq('team_id', teamId)
+        .is('removed_at', null)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+    ]);
+    if (captainResult.error) throw captainResult.error;
+    if (membersResult.error) throw membersResult.error;
+    captain = captainResult.data;
+    rows = membersResult.data || [];
+  } else {
+    const [[captainRows], [memberRows]] = await Promise.all([
+      db.query('SELECT id, name, email, created_at FROM users WHERE id = ?', [team.user_id]),
+      db.query(
+        `SELECT id, user_id, member_name, member_email, created_at FROM team_members
+         WHERE team_id = ? AND removed_at IS NULL ORDER BY created_at, id`,
+        [teamId]
+      )
+    ]);
+    captain = captainRows[0];
+    rows = memberRows;
+  }
+
+  const members = rows
+    .filter(row => row.user_id !== team.user_id)
+    .filter(row => row.user_id || !sameEmail(row.member_email, captain?.email))
+    .map(row => ({
+      id: row.id,
+      userId: row.user_id || null,
+      name: row.member_name,
+      email: row.member_email,
+      role: 'member',
+      hasAccount: !!row.user_id,
+      joinedAt: row.created_at
+    }));
+
+  if (!captain) return members;
+  return [
+    {
+      id: null,
+      userId: captain.id,
+      name: captain.name,
+      email: captain.email,
+      role: 'captain',
+      hasAccount: true,
+      joinedAt: captain.created_at
+    },
+    ...members
+  ];
+}
+
+function isUsable(invite) {
+  if (!invite || invite.accepted_at || invite.revoked_at) return false;
+  if (new Date(invite.expires_at).getTime() <= Date.now()) return false;
+  return invite.max_uses == null || (invite.use_count || 0) < invite.max_uses;
+}
+
+/**
+ * Email invites and join codes that can still be used
+ * @param {string|null} teamId - One team, or every team when null
+ * @returns {Promise<Array>}
+ */
+async function listPendingInvites(teamId = null) {
+  let rows;
+  if (USE_SUPABASE) {
+    let query = supabaseAdmin
+      .from('team_invites')
+      .select('id, team_id, email, invited_by, created_at, expires_at, accepted_at, revoked_at, max_uses, use_count')
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true });
+    if (teamId) query = query.eq('team_id', teamId);
+    const { data, error } = await query;
+    if (error) throw error;
+    rows = data || [];
+  } else {
+    [rows] = await db.query(
+      `SELECT id, team_id, email, invited_by, created_at, expires_at, accepted_at, revoked_at, max_uses, use_count
+       FROM team_invites
+       WHERE accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+       ${teamId ? 'AND team_id = ?' : ''}
+       ORDER BY created_at`,
+      teamId ? [teamId] : []
+    );
+  }
+
+  return rows.filter(isUsable).map(row => ({
+    id: row.id,
+    teamId: row.team_id,
+    type: row.email ? 'email' : 'code',
+    email: row.email || null,
+    maxUses: row.max_uses ?? null,
+    useCount: row.use_count || 0,
+    invitedBy: row.invited_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at
+  }));
+}
+
+/**
+ * Seats in use: current members plus pending email invites for new people
+ */
+async function countSeats(teamId, members) {
+  const invites = await listPendingInvites(teamId);
+  const reserved = invites.filter(invite =>
+    invite.type === 'email' && !members.some(member => sameEmail(member.email, invite.email))
+  );
+  return members.length + reserved.length;
+}
+
+/**
+ * Account registered with this email that is still in use
+ * A team account removed from its team is returned as { formerMember: true };
+ * it can be invited again and rejoin with the same email.
+ * @returns {Promise<Object|null>} { id, formerMember }
+ */
+async function findAccount(email) {
+  let account;
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin.from('users').select('id, role').eq('email', email).limit(1);
+    if (error) throw error;
+    account = data?.[0];
+  } else {
+    const [rows] = await db.query('SELECT id, role FROM users WHERE email = ?', [email]);
+    account = rows[0];
+  }
+
+  if (!account) return null;
+  const formerMember = account.role === 'team' && !(await findTeamIdForUser(account.id));
+  return { id: account.id, formerMember };
+}
+
+async function insertInvite(invite) {
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('team_invites')
+      .insert({ ...invite, expires_at: invite.expires_at.toISOString() });
+    if (error) throw error;
+    return;
+  }
+
+  await db.query(
+    `INSERT INTO team_invites (id, team_id, email, token_hash, invited_by, expires_at, max_uses)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [invite.id, invite.team_id, invite.email, invite.token_hash, invite.invited_by, invite.expires_at, invite.max_uses]
+  );
+}
+
+/**
+ * Invite someone to the team by email
+ * A pending invite for the same address is replaced. Registered roster
+ * members without an account can always be invited; anyone else needs a free seat.
+ * @param {string} teamId
+ * @param {string} email
+ * @param {string} invitedBy - Captain's user id
+ * @returns {Promise<Object>} { invite, token, teamName } - token is only available here
+ */
+async function createInvite(teamId, email, invitedBy) {
+  const team = await getTeam(teamId);
+  if (!team) throw httpError('Team not found', 404);
+  const account = await findAccount(email);
+  if (account && !account.formerMember) {
+    throw httpError('An account with this email already exists', 409);
+  }
+
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin
+      .from('team_invites')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('team_id', teamId)
+      .eq('email', email)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+    if (error) throw error;
+  } else {
+    await db.query(
+      `UPDATE team_invites SET revoked_at = NOW()
+       WHERE team_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [teamId, email]
+    );
+  }
+
+  const members = await listMembers(teamId);
+  const onRoster = members.some(member => !member.hasAccount && sameEmail(member.email, email));
+  const limit = await getMemberLimit();
+  if (!onRoster && await countSeats(teamId, members) >= limit) {
+    throw httpError(`Team is full (${limit} members max)`, 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = {
+    id: uuidv4(),
+    team_id: teamId,
+    email,
+    token_hash: hashToken(token),
+    invited_by: invitedBy,
+    expires_at: new Date(Date.now() + INVITE_TTL_MS),
+    max_uses: null
+  };
+  await insertInvite(invite);
+
+  return { invite, token, teamName: team.team_name };
+}
+
+/**
+ * Generate a join code anyone can redeem until it expires or runs out of uses
+ * @param {string} teamId
+ * @param {string} createdBy - Captain's user id
+ * @param {Object} options - { expiresInHours, maxUses } (maxUses null = until the team is full)
+ * @returns {Promise<Object>} { invite, code } - code is only available here
+ */
+async function createJoinCode(teamId, createdBy, { expiresInHours = CODE_TTL_HOURS, maxUses = null } = {}) {
+  const team = await getTeam(teamId);
+  if (!team) throw httpError('Team not found', 404);
+
+  const limit = await getMemberLimit();
+  if ((await listMembers(teamId)).length >= limit) {
+    throw httpError(`Team is full (${limit} members max)`, 409);
+  }
+
+  const code = generateCode();
+  const invite = {
+    id: uuidv4(),
+    team_id: teamId,
+    email: null,
+    token_hash: hashToken(normalizeCode(code)),
+    invited_by: createdBy,
+    expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    max_uses: maxUses || null
+  };
+  await insertInvite(invite);
+
+  return { invite, code };
+}
+
+/**
+ * Withdraw a pending invite or join code
+ * @returns {Promise<boolean>} False if no pending invite with that id on the team
+ */
+async function revokeInvite(teamId, inviteId) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('team_invites')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', inviteId)
+      .eq('team_id', teamId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [result] = await db.query(
+    `UPDATE team_invites SET revoked_at = NOW()
+     WHERE id = ? AND team_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [inviteId, teamId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Look up a usable invite by link token or join code
+ * @param {Object} credentials - { token } or { code }
+ * @returns {Promise<Object|null>} Invite row plus team_name, or null if unusable
+ */
+async function findInvite({ token, code }) {
+  const secret = token || normalizeCode(code);
+  if (!secret) return null;
+  let invite;
+
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('team_invites')
+      .select('*')
+      .eq('token_hash', hashToken(secret))
+      .maybeSingle();
+    if (error) throw error;
+    invite = data;
+  } else {
+    const [rows] = await db.query('SELECT * FROM team_invites WHERE token_hash = ?', [hashToken(secret)]);
+    invite = rows[0];
+  }
+
+  // Links are for email invites, codes for join codes
+  if (!isUsable(invite) || !!invite.email !== !!token) return null;
+
+  const team = await getTeam(invite.team_id);
+  if (!team) return null;
+  return { ...invite, team_name: team.team_name };
+}
+
+/**
+ * Look up a pending email invite by its link token
+ */
+async function getInviteByToken(token) {
+  return token ? findInvite({ token }) : null;
+}
+
+/**
+ * Spend one use of an invite; false if another join got there first
+ * @param {Object} invite
+ * @param {string} userId
+ * @param {Object} [connection] - MySQL connection of an open transaction
+ */
+async function claimInvite(invite, userId, connection = db) {
+  if (USE_SUPABASE) {
+    let query = supabaseAdmin.from('team_invites');
+    query = invite.email
+      ? query.update({ accepted_at: new Date().toISOString(), accepted_by: userId }).is('accepted_at', null)
+      : query.update({ use_count: (invite.use_count || 0) + 1 }).eq('use_count', invite.use_count || 0);
+    const { data, error } = await query.eq('id', invite.id).select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [result] = invite.email
+    ? await connection.query(
+      'UPDATE team_invites SET accepted_at = NOW(), accepted_by = ? WHERE id = ? AND accepted_at IS NULL',
+      [userId, invite.id]
+    )
+    : await connection.query(
+      'UPDATE team_invites SET use_count = use_count + 1 WHERE id = ? AND (max_uses IS NULL OR use_count < max_uses)',
+      [invite.id]
+    );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Roster entry (from registration) the new account should take over, after
+ * checking the team still has a free seat for anyone else
+ */
+async function findSeat(teamId, email) {
+  const members = await listMembers(teamId);
+  const rosterEntry = members.find(member => !member.hasAccount && sameEmail(member.email, email));
+  const limit = await getMemberLimit();
+  if (!rosterEntry && members.length >= limit) {
+    throw httpError(`Team is full (${limit} members max)`, 409);
+  }
+  return { rosterEntry, limit };
+}
+
+/**
+ * MySQL: the team row is locked for the whole join, so concurrent joins take
+ * turns and the seat check, account, roster entry and invite use commit together
+ * A former member's account is reused: its old roster entry lets go of it and
+ * it takes the new name and password.
+ */
+async function joinTeamMysql(invite, user, rejoining) {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query('SELECT id FROM teams WHERE id = ? FOR UPDATE', [invite.team_id]);
+
+    // Read after taking the lock, so every join that got there first is counted
+    const { rosterEntry } = await findSeat(invite.team_id, user.email);
+
+    if (rejoining) {
+      await connection.query('UPDATE team_members SET user_id = NULL WHERE user_id = ? AND removed_at IS NOT NULL', [user.id]);
+      await connection.query(
+        'UPDATE users SET name = ?, password_hash = ?, is_verified = ? WHERE id = ?',
+        [user.name, user.password_hash, user.is_verified, user.id]
+      );
+    } else {
+      await connection.query(
+        'INSERT INTO users (id, name, email, password_hash, role, is_verified) VALUES (?, ?, ?, ?, ?, ?)',
+        [user.id, user.name, user.email, user.password_hash, user.role, user.is_verified]
+      );
+    }
+
+    if (rosterEntry) {
+      await connection.query('UPDATE team_members SET user_id = ?, member_name = ? WHERE id = ?', [user.id, user.name, rosterEntry.id]);
+    } else {
+      await connection.query(
+        `INSERT INTO team_members (id, team_id, user_id, member_name, member_email, is_leader)
+         VALUES (?, ?, ?, ?, ?, false)`,
+        [uuidv4(), invite.team_id, user.id, user.name, user.email]
+      );
+    }
+
+    if (!(await claimInvite(invite, user.id, connection))) {
+      throw httpError('This invite has just been used up', 409);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Supabase: take back an account whose seat or invite use could not be confirmed
+ * A former member's account is kept; it is only unlinked from the new team.
+ */
+async function removeFailedJoin(userId, rosterEntry, rejoining) {
+  const { error } = rosterEntry
+    ? await supabaseAdmin
+      .from('team_members')
+      .update({ user_id: null, member_name: rosterEntry.name })
+      .eq('id', rosterEntry.id)
+    : await supabaseAdmin.from('team_members').delete().eq('user_id', userId).is('removed_at', null);
+  if (error) throw error;
+  if (rejoining) return;
+
+  const { error: userError } = await supabaseAdmin.from('users').delete().eq('id', userId);
+  if (userError) throw userError;
+}
+
+/**
+ * Supabase has no transaction to wrap the join in: the member is added first,
+ * then the seat is confirmed and the invite use spent, and the account is
+ * removed again if either fails. A former member's account only takes the new
+ * name and password once the join has gone through.
+ */
+async function joinTeamSupabase(invite, user, rejoining) {
+  const { rosterEntry, limit } = await findSeat(invite.team_id, user.email);
+
+  if (rejoining) {
+    const { error: detachError } = await supabaseAdmin
+      .from('team_members')
+      .update({ user_id: null })
+      .eq('user_id', user.id)
+      .not('removed_at', 'is', null);
+    if (detachError) throw detachError;
+  } else {
+    const { error: userError } = await supabaseAdmin.from('users').insert(user);
+    if (userError) throw userError;
+  }
+
+  try {
+    const { error } = rosterEntry
+      ? await supabaseAdmin
+        .from('team_members')
+        .update({ user_id: user.id, member_name: user.name })
+        .eq('id', rosterEntry.id)
+      : await supabaseAdmin.from('team_members').insert({
+        id: uuidv4(), team_id: invite.team_id, user_id: user.id,
+        member_name: user.name, member_email: user.email, is_leader: false
+      });
+    if (error) throw error;
+
+    if (!rosterEntry) {
+      // Concurrent joins all pass the first check; the earliest ones keep the seats
+      const members = await listMembers(invite.team_id);
+      if (members.findIndex(member => member.userId === user.id) >= limit) {
+        throw httpError(`Team is full (${limit} members max)`, 409);
+      }
+    }
+
+    if (!(await claimInvite(invite, user.id))) {
+      throw httpError('This invite has just been used up', 409);
+    }
+  } catch (error) {
+    await removeFailedJoin(user.id, rosterEntry, rejoining);
+    throw error;
+  }
+
+  if (rejoining) {
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ name: user.name, password_hash: user.password_hash, is_verified: user.is_verified })
+      .eq('id', user.id);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Join a team with an invite link or join code by creating the member's account
+ * A roster entry with the same email (from registration) is linked rather than duplicated,
+ * and a member removed from a team rejoins with their existing account.
+ * An invite link proves the member owns its address; an email typed next to a
+ * join code does not, so that account starts unverified.
+ * @param {Object} details - { token } or { code, email }, plus { name, password }
+ * @returns {Promise<Object>} { userId, teamId, teamName, email, verificationRequired }
+ */
+async function joinTeam({ token, code, email, name, password }) {
+  const invite = await findInvite({ token, code });
+  if (!invite) throw httpError('This invite is invalid or has expired', 400);
+
+  const memberEmail = invite.email || (email || '').trim();
+  if (!memberEmail) throw httpError('Email is required', 400);
+  const account = await findAccount(memberEmail);
+  if (account && !account.formerMember) {
+    throw httpError('An account with this email already exists', 409);
+  }
+
+  const user = {
+    id: account ? account.id : uuidv4(),
+    name,
+    email: memberEmail,
+    password_hash: await hashPassword(password),
+    role: 'team',
+    is_verified: !!invite.email
+  };
+
+  if (USE_SUPABASE) {
+    await joinTeamSupabase(invite, user, !!account);
+  } else {
+    await joinTeamMysql(invite, user, !!account);
+  }
+
+  return {
+    userId: user.id,
+    teamId: invite.team_id,
+    teamName: invite.team_name,
+    email: memberEmail,
+    verificationRequired: !user.is_verified
+  };
+}
+
+/**
+ * Remove a member from the team and sign them out
+ * @param {string} teamId
+ * @param {string} memberId - team_members.id
+ * @param {string} removedBy - Captain's user id
+ * @returns {Promise<Object|null>} Removed member row, or null if not on the team
+ */
+async function removeMember(teamId, memberId, removedBy) {
+  let member;
+
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('team_members')
+      .update({ removed_at: new Date().toISOString() })
+      .eq('id', memberId)
+      .eq('team_id', teamId)
+      .is('removed_at', null)
+      .select('id, user_id, member_name, member_email');
+    if (error) throw error;
+    member = data?.[0];
+  } else {
+    const [rows] = await db.query(
+      'SELECT id, user_id, member_name, member_email FROM team_members WHERE id = ? AND team_id = ? AND removed_at IS NULL',
+      [memberId, teamId]
+    );
+    member = rows[0];
+    if (member) {
+      await db.query('UPDATE team_members SET removed_at = NOW() WHERE id = ?', [memberId]);
+    }
+  }
+
+  if (!member) return null;
+  if (member.user_id) {
+    await sessionService.revokeSessions({ userId: member.user_id }, removedBy, 'removed_from_team');
+  }
+  return member;
+}
+
+module.exports = {
+  INVITE_TTL_MS,
+  getMemberLimit,
+  isCaptain,
+  findTeamIdForUser,
+  listMembers,
+  listPendingInvites,
+  createInvite,
+  createJoinCode,
+  revokeInvite,
+  getInviteByToken,
+  joinTeam,
+  removeMember
+};
@@ -0,0 +1,188 @@
+// server/services/timeAdjustmentService.js
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const { v4: uuidv4 } = require('uuid');
+const levelService = require('./levelService');
+const { cache, cacheKeys, TTL, cached } = require('../utils/cache');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * Time Adjustment Service
+ * Per-team, per-level corrections granted by admins, e.g. when a team loses
+ * five minutes to a venue power cut.
+ *
+ *   extension - seconds added to the level's time limit for this team
+ *               (checkTeamTimeLimit in teamGameController)
+ *   penalty   - seconds added to the team's effective time; a negative
+ *               penalty credits time back (timeTrackingService.getSessionState)
+ *
+ * Adjustments live in team_time_adjustments and are never edited; an
+ * adjustment is undone by granting the opposite amount.
+ */
+
+const ADJUSTMENT_TYPES = ['extension', 'penalty'];
+const MAX_ADJUSTMENT_SECONDS = 24 * 60 * 60;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Whether team_time_adjustments has not been migrated yet
+ */
+function isTableNotFoundError(error) {
+  if (!error) return false;
+  if (error.code === 'ER_NO_SUCH_TABLE' || error.code === '42P01' || error.code === 'PGRST205') return true;
+  return !!error.message && (error.message.includes('does not exist') || error.message.includes('Could not find the table'));
+}
+
+/**
+ * Validate an adjustment from an admin request
+ * @param {Object} data - { level, adjustment_type, seconds, reason }
+ * @returns {String|null} Error message
+ */
+function validateAdjustment(data) {
+  const level = Number(data.level);
+  if (!Number.isInteger(level) || level < 1) return 'level must be a positive integer';
+  if (!ADJUSTMENT_TYPES.includes(data.adjustment_type)) {
+    return `adjustment_type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`;
+  }
+  const seconds = Number(data.seconds);
+  if (!Number.isInteger(seconds) || seconds === 0 || Math.abs(seconds) > MAX_ADJUSTMENT_SECONDS) {
+    return `seconds must be a non-zero integer between -${MAX_ADJUSTMENT_SECONDS} and ${MAX_ADJUSTMENT_SECONDS}`;
+  }
+  if (typeof data.reason !== 'string' || !data.reason.trim()) return 'reason is required';
+  if (data.reason.trim().length > MAX_REASON_LENGTH) {
+    return `reason must be at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Record an adjustment for a team
+ * @param {string} teamId
+ * @param {Object} data - Validated { level, adjustment_type, seconds, reason }
+ * @param {string|null} adminId - Admin granting it
+ * @returns {Promise<Object>} The stored adjustment
+ */
+async function grantAdjustment(teamId, data, adminId) {
+  if (!(await levelService.getLevel(data.level))) {
+    const error = new Error(`Level ${data.level} not found`);
+    error.status = 404;
+    throw error;
+  }
+
+  const adjustment = {
+    id: uuidv4(),
+    team_id: teamId,
+    level: Number(data.level),
+    adjustment_type: data.adjustment_type,
+    seconds: Number(data.seconds),
+    reason: data.reason.trim(),
+    granted_by: adminId || null,
+    created_at: new Date().toISOString()
+  };
+
+  if (USE_SUPABASE) {
+    const { data: team, error: teamError } = await supabaseAdmin
+      .from('teams')
+      .select('id')
+      .eq('id', teamId)
+      .maybeSingle();
+    if (teamError) throw teamError;
+    if (!team) throw teamNotFound();
+
+    const { error } = await supabaseAdmin.from('team_time_adjustments').insert(adjustment);
+    if (error) throw error;
+    cache.delete(cacheKeys.timeAdjustments(teamId));
+    return adjustment;
+  }
+
+  const [teams] = await db.query('SELECT id FROM teams WHERE id = ?', [teamId]);
+  if (teams.length === 0) throw teamNotFound();
+
+  await db.query(
+    `INSERT INTO team_time_adjustments (id, team_id, level, adjustment_type, seconds, reason, granted_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [adjustment.id, teamId, adjustment.level, adjustment.adjustment_type, adjustment.seconds,
+      adjustment.reason, adjustment.granted_by, new Date(adjustment.created_at)]
+  );
+  cache.delete(cacheKeys.timeAdjustments(teamId));
+  return adjustment;
+}
+
+function teamNotFound() {
+  const error = new Error('Team not found');
+  error.status = 404;
+  return error;
+}
+
+/**
+ * All adjustments for a team, newest first
+ * @param {string} teamId
+ * @returns {Promise<Array>}
+ */
+async function getAdjustments(teamId) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('team_time_adjustments')
+      .select('id, team_id, level, adjustment_type, seconds, reason, granted_by, created_at')
+      .eq('team_id', teamId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, team_id, level, adjustment_type, seconds, reason, granted_by, created_at
+     FROM team_time_adjustments WHERE team_id = ? ORDER BY created_at DESC`,
+    [teamId]
+  );
+  return rows;
+}
+
+/**
+ * Summed adjustments for a team
+ * Reads as no adjustments until team_time_adjustments is migrated, so time
+ * limit checks keep working; any other error is thrown. The rows are cached
+ * briefly because session state polls read them.
+ * @param {string} teamId
+ * @param {number} [level] - Only count adjustments on this level; every level when omitted
+ * @returns {Promise<{extensionSeconds: number, penaltySeconds: number}>}
+ */
+async function getAdjustmentTotals(teamId, level) {
+  const rows = await cached(cacheKeys.timeAdjustments(teamId), async () => {
+    try {
+      return await getAdjustments(teamId);
+    } catch (error) {
+      if (isTableNotFoundError(error)) return [];
+      throw error;
+    }
+  }, TTL.TIME_ADJUSTMENTS);
+
+  const totals = { extensionSeconds: 0, penaltySeconds: 0 };
+  for (const row of rows) {
+    if (level && Number(row.level) !== Number(level)) continue;
+    if (row.adjustment_type === 'extension') totals.extensionSeconds += Number(row.seconds) || 0;
+    else if (row.adjustment_type === 'penalty') totals.penaltySeconds += Number(row.seconds) || 0;
+  }
+  return totals;
+}
+
+/**
+ * One-line description of an adjustment, for the audit log and timeline
+ */
+function describeAdjustment(adjustment) {
+  const seconds = Number(adjustment.seconds);
+  const amount = `${Math.abs(seconds)}s`;
+  const change = adjustment.adjustment_type === 'extension'
+    ? `${seconds > 0 ? 'Time limit extended' : 'Time limit shortened'} by ${amount}`
+    : `${seconds > 0 ? 'Time penalty' : 'Time credit'} of ${amount}`;
+  return `${change} on level ${adjustment.level}: ${adjustment.reason}`;
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  validateAdjustment,
+  grantAdjustment,
+  getAdjustments,
+  getAdjustmentTotals,
+  describeAdjustment
+};
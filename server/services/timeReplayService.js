@@ -0,0 +1,368 @@
+// server/services/timeReplayService.js
+const db = require('../config/db');
+const timeTrackingService = require('./timeTrackingService');
+
+/**
+ * Time Replay Service
+ * Rebuilds a team's timing from the raw time_tracking_events log and
+ * compares it with what is stored in team_question_progress / team_sessions.
+ *
+ * Used to settle time disputes: the stored totals are running sums updated
+ * in place, so a lost write or a bug leaves no trace, while the event log
+ * keeps every start, pause, skip and completion with its timestamp. Replaying
+ * the log gives per-question active time, pauses, skips and penalties; an
+ * admin can review the differences and write the replayed values back.
+ *
+ * Event timestamps have one-second resolution, so each timed segment may
+ * differ from the stored value by a second; differences within that are
+ * not reported.
+ */
+
+const STARTS = ['question_start', 'question_resume', 'question_unskip'];
+const STOPS = ['question_pause', 'question_complete', 'question_skip'];
+
+function parseMetadata(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+function toSeconds(from, to) {
+  return Math.max(0, Math.floor((new Date(to) - new Date(from)) / 1000));
+}
+
+/**
+ * Normalize stored statuses to the ones the replay produces
+ * (old rows use lowercase, goToQuestion writes PAUSED)
+ */
+function normalizeStatus(status) {
+  const upper = (status || 'NOT_STARTED').toUpperCase();
+  if (upper === 'ACTIVE') return 'IN_PROGRESS';
+  if (upper === 'PAUSED') return 'NOT_STARTED';
+  return upper;
+}
+
+/**
+ * Replay a team's events in order
+ * @param {Array} events - time_tracking_events rows, oldest first
+ * @param {Array} [hintPenalties] - { puzzle_id, time_penalty_applied } rows from hint_usage
+ * @returns {Object} { questions: [...], session: {...}, anomalies: [...] }
+ */
+function replayEvents(events, hintPenalties = []) {
+  const questions = new Map();
+  const anomalies = [];
+  let running = null; // puzzle_id of the question whose timer is running
+  let sessionStart = null;
+  let sessionEnd = null;
+  let disconnects = 0;
+
+  const question = (puzzleId) => {
+    if (!questions.has(puzzleId)) {
+      questions.set(puzzleId, {
+        puzzle_id: puzzleId,
+        event_count: 0,
+        status: 'NOT_STARTED',
+        time_spent_seconds: 0,
+        running_since: null,
+        segments: 0,
+        first_started_at: null,
+        completed_at: null,
+        implicit_stop: null,
+        pause_count: 0,
+        paused_seconds: 0,
+        paused_since: null,
+        skip_count: 0,
+        skip_penalty_seconds: 0,
+        hint_penalty_seconds: 0,
+        other_penalty_seconds: 0
+      });
+    }
+    return questions.get(puzzleId);
+  };
+
+  // Stop the running timer at `at`, crediting the elapsed time
+  const stop = (q, at) => {
+    q.time_spent_seconds += toSeconds(q.running_since, at);
+    q.segments++;
+    q.running_since = null;
+    if (running === q.puzzle_id) running = null;
+  };
+
+  for (const event of events) {
+    const at = event.created_at;
+    const type = event.event_type;
+    const metadata = parseMetadata(event.metadata);
+
+    if (type === 'team_disconnect') disconnects++;
+    if (!event.puzzle_id) {
+      if (type === 'session_end') {
+        // endSession stops whatever was running
+        if (running) {
+          const q = question(running);
+          stop(q, at);
+          q.status = 'NOT_STARTED';
+          q.paused_since = at;
+        }
+        sessionEnd = at;
+      }
+      continue;
+    }
+
+    const q = question(event.puzzle_id);
+    q.event_count++;
+
+    if (STARTS.includes(type)) {
+      if (q.running_since) {
+        anomalies.push({ type: 'duplicate_start', puzzle_id: q.puzzle_id, event_type: type, at });
+        continue;
+      }
+      if (running && running !== q.puzzle_id) {
+        // Another question was still running and nothing logged it stopping
+        const other = question(running);
+        other.implicit_stop = { type: 'implicit_stop', puzzle_id: other.puzzle_id, at };
+        anomalies.push(other.implicit_stop);
+        stop(other, at);
+        other.status = 'NOT_STARTED';
+        other.paused_since = at;
+      }
+      if (q.paused_since) {
+        q.paused_seconds += toSeconds(q.paused_since, at);
+        q.paused_since = null;
+      }
+      sessionStart = sessionStart || at;
+      q.first_started_at = q.first_started_at || at;
+      q.implicit_stop = null;
+      q.running_since = at;
+      q.status = 'IN_PROGRESS';
+      running = q.puzzle_id;
+      continue;
+    }
+
+    if (STOPS.includes(type)) {
+      if (q.running_since) {
+        stop(q, at);
+      } else if (q.implicit_stop) {
+        // Already stopped when the next question started; in the same second
+        // that is only the log order of a switch, not an anomaly
+        if (toSeconds(q.implicit_stop.at, at) === 0) {
+          anomalies.splice(anomalies.indexOf(q.implicit_stop), 1);
+        }
+        q.implicit_stop = null;
+      } else if ((event.time_delta_seconds || 0) > 0) {
+        // The timer was started without an event (e.g. auto-advance after a
+        // skip); the server's own delta is the best record of that segment
+        anomalies.push({ type: 'unlogged_start', puzzle_id: q.puzzle_id, event_type: type, at, recorded_seconds: event.time_delta_seconds });
+        q.time_spent_seconds += event.time_delta_seconds;
+        q.segments++;
+      }
+
+      if (type === 'question_pause') {
+        q.status = 'NOT_STARTED';
+        q.pause_count++;
+        q.paused_since = at;
+      } else if (type === 'question_complete') {
+        q.status = 'COMPLETED';
+        q.completed_at = at;
+      } else {
+        q.status = 'SKIPPED';
+        q.skip_count++;
+        q.skip_penalty_seconds += Number(metadata.penalty_applied) || 0;
+      }
+      continue;
+    }
+
+    if (type === 'penalty_applied') {
+      q.other_penalty_seconds += Number(metadata.penalty_seconds ?? event.time_delta_seconds) || 0;
+    }
+  }
+
+  for (const hint of hintPenalties) {
+    if (!hint.puzzle_id) continue;
+    question(hint.puzzle_id).hint_penalty_seconds += Number(hint.time_penalty_applied) || 0;
+  }
+
+  const list = [...questions.values()].map(({ paused_since, implicit_stop, ...q }) => q);
+  const sum = (key) => list.reduce((total, q) => total + q[key], 0);
+  const activeSeconds = sum('time_spent_seconds');
+  const penaltySeconds = sum('skip_penalty_seconds') + sum('hint_penalty_seconds') + sum('other_penalty_seconds');
+
+  return {
+    questions: list,
+    session: {
+      session_start: sessionStart,
+      session_end: sessionEnd,
+      running_puzzle_id: running,
+      total_time_seconds: activeSeconds,
+      total_penalty_seconds: penaltySeconds,
+      effective_time_seconds: activeSeconds + penaltySeconds,
+      questions_completed: list.filter(q => q.status === 'COMPLETED').length,
+      questions_skipped: sum('skip_count'),
+      pause_count: sum('pause_count'),
+      paused_seconds: sum('paused_seconds'),
+      disconnects
+    },
+    anomalies
+  };
+}
+
+/**
+ * Differences between a replay and the stored rows
+ * @returns {Object} { questions: [{ puzzle_id, field, stored, replayed }], session: [...] }
+ */
+function diffReplay(replay, storedProgress, storedSession) {
+  const storedByPuzzle = new Map(storedProgress.map(row => [row.puzzle_id, row]));
+  const questions = [];
+
+  const logged = replay.questions.filter(q => q.event_count > 0);
+
+  for (const q of logged) {
+    const stored = storedByPuzzle.get(q.puzzle_id);
+    const storedTime = stored?.time_spent_seconds || 0;
+    if (Math.abs(storedTime - q.time_spent_seconds) > Math.max(1, q.segments)) {
+      questions.push({ puzzle_id: q.puzzle_id, field: 'time_spent_seconds', stored: storedTime, replayed: q.time_spent_seconds });
+    }
+    const storedStatus = normalizeStatus(stored?.status);
+    if (storedStatus !== q.status) {
+      questions.push({ puzzle_id: q.puzzle_id, field: 'status', stored: storedStatus, replayed: q.status });
+    }
+  }
+
+  // Progress rows with time but no events at all
+  for (const row of storedProgress) {
+    if (!logged.some(q => q.puzzle_id === row.puzzle_id) && (row.time_spent_seconds || 0) > 1) {
+      questions.push({ puzzle_id: row.puzzle_id, field: 'time_spent_seconds', stored: row.time_spent_seconds, replayed: 0 });
+    }
+  }
+
+  const session = [];
+  if (storedSession) {
+    const segments = logged.reduce((total, q) => total + Math.max(1, q.segments), 0);
+    const storedTotal = storedSession.total_time_seconds || 0;
+    if (Math.abs(storedTotal - replay.session.total_time_seconds) > segments) {
+      session.push({ field: 'total_time_seconds', stored: storedTotal, replayed: replay.session.total_time_seconds });
+    }
+    const storedSkips = storedSession.questions_skipped || 0;
+    if (storedSkips !== replay.session.questions_skipped) {
+      session.push({ field: 'questions_skipped', stored: storedSkips, replayed: replay.session.questions_skipped });
+    }
+  }
+
+  return { questions, session };
+}
+
+async function loadTeamEvents(teamId) {
+  const [events] = await db.query(
+    'SELECT * FROM time_tracking_events WHERE team_id = ? ORDER BY created_at ASC',
+    [teamId]
+  );
+  return events;
+}
+
+async function loadHintPenalties(teamId) {
+  try {
+    const [rows] = await db.query(
+      'SELECT puzzle_id, time_penalty_applied FROM hint_usage WHERE team_id = ?',
+      [teamId]
+    );
+    return rows;
+  } catch (error) {
+    console.log('hint_usage not available for replay:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Replay a team's event log and diff it against the stored timing
+ * @param {String} teamId
+ * @returns {Promise<Object>} { team_id, event_count, puzzle_titles, replayed, stored, diffs, anomalies }
+ */
+async function replayTeam(teamId) {
+  const [events, hintPenalties] = await Promise.all([loadTeamEvents(teamId), loadHintPenalties(teamId)]);
+  const replay = replayEvents(events, hintPenalties);
+
+  const [progress] = await db.query(
+    'SELECT puzzle_id, status, time_spent_seconds, started_at FROM team_question_progress WHERE team_id = ?',
+    [teamId]
+  );
+  const [sessions] = await db.query(
+    'SELECT total_time_seconds, questions_skipped, session_start, session_end FROM team_sessions WHERE team_id = ?',
+    [teamId]
+  );
+  const storedSession = sessions[0] || null;
+  const [puzzles] = await db.query('SELECT id, title FROM puzzles', []);
+
+  return {
+    team_id: teamId,
+    event_count: events.length,
+    puzzle_titles: Object.fromEntries(puzzles.map(p => [p.id, p.title])),
+    replayed: replay,
+    stored: {
+      questions: progress.map(row => ({ ...row, status: normalizeStatus(row.status) })),
+      session: storedSession
+    },
+    diffs: diffReplay(replay, progress, storedSession),
+    anomalies: replay.anomalies
+  };
+}
+
+/**
+ * Write replayed values over the stored ones
+ * Statuses are only corrected when neither side has the timer running, so a
+ * live question is never stopped or started from here.
+ * @param {String} teamId
+ * @param {Object} [options]
+ * @param {Array<String>} [options.puzzleIds] - Limit question corrections to these puzzles
+ * @returns {Promise<Object>} { applied: [...diffs written], replay }
+ */
+async function applyReplay(teamId, { puzzleIds } = {}) {
+  const result = await replayTeam(teamId);
+  const logged = new Set(result.replayed.questions.filter(q => q.event_count > 0).map(q => q.puzzle_id));
+  const selected = (puzzleId) => !puzzleIds || puzzleIds.includes(puzzleId);
+  const applied = [];
+  const now = new Date();
+
+  for (const diff of result.diffs.questions) {
+    if (!selected(diff.puzzle_id)) continue;
+    // No events at all (e.g. played before event logging): only reset when asked by name
+    if (!logged.has(diff.puzzle_id) && !puzzleIds) continue;
+
+    if (diff.field === 'time_spent_seconds') {
+      await db.query(
+        'UPDATE team_question_progress SET time_spent_seconds = ?, updated_at = ? WHERE team_id = ? AND puzzle_id = ?',
+        [diff.replayed, now, teamId, diff.puzzle_id]
+      );
+      applied.push(diff);
+    } else if (diff.field === 'status') {
+      if (diff.stored === 'IN_PROGRESS' || diff.replayed === 'IN_PROGRESS') continue;
+      await db.query(
+        'UPDATE team_question_progress SET status = ?, updated_at = ? WHERE team_id = ? AND puzzle_id = ?',
+        [diff.replayed, now, teamId, diff.puzzle_id]
+      );
+      applied.push(diff);
+    }
+  }
+
+  if (result.diffs.session.some(diff => diff.field === 'questions_skipped')) {
+    await db.query(
+      'UPDATE team_sessions SET questions_skipped = ?, updated_at = ? WHERE team_id = ?',
+      [result.replayed.session.questions_skipped, now, teamId]
+    );
+    applied.push(result.diffs.session.find(diff => diff.field === 'questions_skipped'));
+  }
+
+  // Re-derive the session totals from the corrected progress rows
+  const totals = await timeTrackingService.recalculateTeamEffectiveTime(teamId);
+
+  return { applied, totals, replay: await replayTeam(teamId) };
+}
+
+module.exports = {
+  replayEvents,
+  diffReplay,
+  replayTeam,
+  applyReplay
+};
@@ -12,6 +12,8 @@
 
 const db = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
+const realtimeService = require('./realtimeService');
+const timeAdjustmentService = require('./timeAdjustmentService');
 
 /**
  * Check if error is a table/column not found error
@@ -129,6 +131,8 @@ async function logTimeEvent(teamId, puzzleId, eventType, timeBefore, timeAfter,
       timeAfter - timeBefore, JSON.stringify(metadata), ipAddress, userAgent
     ]
   );
+
+  realtimeService.publishSessionChange(teamId);
 }
 
 /**
@@ -203,8 +207,10 @@ async function startQuestion(teamId, puzzleId, req = null) {
 /**
  * PAUSE QUESTION
  * Called when team pauses (or leaves) a question
+ * pausedAt stops the clock earlier than now (the last heartbeat of a team
+ * that disconnected), but never before the question was started.
  */
-async function pauseQuestion(teamId, puzzleId, req = null) {
+async function pauseQuestion(teamId, puzzleId, req = null, pausedAt = null) {
   const connection = await db.getConnection();
   
   try {
@@ -234,7 +240,8 @@ async function pauseQuestion(teamId, puzzleId, req = null) {
     
     const now = new Date();
     const startedAt = new Date(progress.started_at);
-    const elapsedSeconds = Math.floor((now - startedAt) / 1000);
+    const stoppedAt = pausedAt && pausedAt < now ? pausedAt : now;
+    const elapsedSeconds = Math.max(Math.floor((stoppedAt - startedAt) / 1000), 0);
     const newTotalTime = (progress.time_spent_seconds || 0) + elapsedSeconds;
     
     // Update progress (only use schema-valid columns)
@@ -575,9 +582,9 @@ async function skipQuestion(teamId, puzzleId, req = null) {
           if (existingProgress.length === 0) {
             const newId = uuidv4();
             await db.query(
-              `INSERT INTO team_question_progress (id, team_id, puzzle_id, status, time_spent_seconds)
-               VALUES (?, ?, ?, 'IN_PROGRESS', 0)`,
-              [newId, teamId, nextPuzzle.id]
+              `INSERT INTO team_question_progress (id, team_id, puzzle_id, status, started_at, time_spent_seconds)
+               VALUES (?, ?, ?, 'IN_PROGRESS', ?, 0)`,
+              [newId, teamId, nextPuzzle.id, now]
             );
           } else {
             // Mark next puzzle as in-progress
@@ -597,6 +604,10 @@ async function skipQuestion(teamId, puzzleId, req = null) {
       await logTimeEvent(teamId, puzzleId, 'question_skip',
         progress.time_spent_seconds || 0, timeSpent, 
         { penalty_applied: skipPenalty }, req);
+      // The next question's timer started above; log it so replays see it
+      if (nextPuzzle) {
+        await logTimeEvent(teamId, nextPuzzle.id, 'question_start', 0, 0, { auto_advance: true }, req);
+      }
     } catch (logErr) {
       console.log('Error logging skip event:', logErr.message);
     }
@@ -824,9 +835,14 @@ async function getTimerState(teamId, puzzleId) {
 /**
  * GET TEAM SESSION STATE
  * Returns the complete session state for a team
+ * Admin time penalties/credits (timeAdjustmentService) count towards the
+ * effective time; extensions are reported as time_extension_seconds.
+ * Both are summed over every level, as the effective time spans all levels;
+ * time limit checks apply extensions per level (checkTeamTimeLimit).
  */
 async function getSessionState(teamId) {
   const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+  const adjustments = await timeAdjustmentService.getAdjustmentTotals(teamId);
 
   // FIX: Use Supabase directly when USE_SUPABASE is true,
   // instead of going through the fragile MySQL-to-Supabase SQL adapter.
@@ -941,9 +957,11 @@ async function getSessionState(teamId) {
         active_time_seconds: currentActiveTime,
         questions_completed: questionsCompleted,
         questions_skipped: questionsSkipped,
-        total_penalty_seconds: 0,
+        total_penalty_seconds: adjustments.penaltySeconds,
         total_hints_used: totalHintsUsed,
-        effective_time_seconds: currentActiveTime,
+        effective_time_seconds: currentActiveTime + adjustments.penaltySeconds,
+        time_adjustment_seconds: adjustments.penaltySeconds,
+        time_extension_seconds: adjustments.extensionSeconds,
         questions
       };
     } catch (error) {
@@ -960,6 +978,8 @@ async function getSessionState(teamId) {
         total_penalty_seconds: 0,
         total_hints_used: 0,
         effective_time_seconds: 0,
+        time_adjustment_seconds: 0,
+        time_extension_seconds: 0,
         questions: []
       };
     }
@@ -1035,9 +1055,11 @@ async function getSessionState(teamId) {
       active_time_seconds: currentActiveTime,
       questions_completed: session.questions_completed || 0,
       questions_skipped: session.questions_skipped || 0,
-      total_penalty_seconds: session.total_penalty_seconds || 0,
+      total_penalty_seconds: (session.total_penalty_seconds || 0) + adjustments.penaltySeconds,
       total_hints_used: session.total_hints_used || 0,
-      effective_time_seconds: currentActiveTime + (session.total_penalty_seconds || 0),
+      effective_time_seconds: currentActiveTime + (session.total_penalty_seconds || 0) + adjustments.penaltySeconds,
+      time_adjustment_seconds: adjustments.penaltySeconds,
+      time_extension_seconds: adjustments.extensionSeconds,
       questions: questions.map(q => {
         // Normalize status: DB uses uppercase, frontend expects lowercase
         // DB 'IN_PROGRESS' → frontend 'active'
@@ -1073,6 +1095,8 @@ async function getSessionState(teamId) {
         total_penalty_seconds: 0,
         total_hints_used: 0,
         effective_time_seconds: 0,
+        time_adjustment_seconds: 0,
+        time_extension_seconds: 0,
         questions: []
       };
     }
@@ -1262,7 +1286,12 @@ async function getGameSettings() {
     maxHintsPerQuestion: 2,
     questionTimeLimitSeconds: 1800,
     totalGameTimeLimitSeconds: 7200,
-    rankBy: 'completion_time'
+    rankBy: 'completion_time',
+    maxTeamMembers: 4,
+    wrongAnswerCooldownThreshold: 5,
+    wrongAnswerCooldownSeconds: 60,
+    autoPauseOnDisconnect: true,
+    heartbeatMissedBeats: 3
   };
   
   try {
@@ -1282,7 +1311,13 @@ async function getGameSettings() {
       maxHintsPerQuestion: s.max_hints_per_question || 2,
       questionTimeLimitSeconds: s.question_time_limit_seconds || 1800,
       totalGameTimeLimitSeconds: s.total_game_time_limit_seconds || 7200,
-      rankBy: s.rank_by || 'completion_time'
+      rankBy: s.rank_by || 'completion_time',
+      maxTeamMembers: s.max_team_members || 4,
+      wrongAnswerCooldownThreshold: s.wrong_answer_cooldown_threshold || 5,
+      // 0 turns the cooldown off
+      wrongAnswerCooldownSeconds: s.wrong_answer_cooldown_seconds ?? 60,
+      autoPauseOnDisconnect: s.auto_pause_on_disconnect == null ? true : (s.auto_pause_on_disconnect === 1 || s.auto_pause_on_disconnect === true),
+      heartbeatMissedBeats: s.heartbeat_missed_beats || 3
     };
   } catch (error) {
     // If table doesn't exist, return defaults
@@ -1304,7 +1339,12 @@ const SETTING_KEY_MAP = {
   maxHintsPerQuestion: 'max_hints_per_question',
   questionTimeLimitSeconds: 'question_time_limit_seconds',
   totalGameTimeLimitSeconds: 'total_game_time_limit_seconds',
-  rankBy: 'rank_by'
+  rankBy: 'rank_by',
+  maxTeamMembers: 'max_team_members',
+  wrongAnswerCooldownThreshold: 'wrong_answer_cooldown_threshold',
+  wrongAnswerCooldownSeconds: 'wrong_answer_cooldown_seconds',
+  autoPauseOnDisconnect: 'auto_pause_on_disconnect',
+  heartbeatMissedBeats: 'heartbeat_missed_beats'
 };
 
 /**
@@ -1371,6 +1411,150 @@ async function syncTimer(teamId, puzzleId) {
   };
 }
 
+/**
+ * HEARTBEAT / AUTO-PAUSE
+ * The team's timer page beats every HEARTBEAT_INTERVAL_SECONDS. When a team
+ * misses heartbeatMissedBeats beats in a row (browser crash, venue Wi-Fi
+ * drop) the watcher pauses its running question, and the next beat resumes it.
+ * Teams that never sent a beat (older clients) are left alone.
+ */
+const HEARTBEAT_INTERVAL_SECONDS = 15;
+
+let heartbeatTimer = null;
+let checkingHeartbeats = false;
+
+/**
+ * RECORD HEARTBEAT
+ * Called by the team's timer page; resumes the question the watcher paused
+ */
+async function recordHeartbeat(teamId, req = null) {
+  const session = await getOrCreateTeamSession(teamId);
+  const result = { success: true, interval_seconds: HEARTBEAT_INTERVAL_SECONDS, resumed: false, puzzle_id: null };
+
+  // No team_sessions table: nothing to track
+  if (!session.id) return result;
+
+  const now = new Date();
+
+  if (!session.disconnected_at) {
+    await db.query('UPDATE team_sessions SET last_heartbeat_at = ? WHERE id = ?', [now, session.id]);
+    return result;
+  }
+
+  // Back after a disconnect
+  const puzzleId = session.auto_paused_puzzle_id || null;
+  const offlineSeconds = Math.floor((now - new Date(session.disconnected_at)) / 1000);
+  await db.query(
+    'UPDATE team_sessions SET last_heartbeat_at = ?, disconnected_at = NULL, auto_paused_puzzle_id = NULL WHERE id = ?',
+    [now, session.id]
+  );
+
+  let timeSpent = 0;
+  if (puzzleId) {
+    try {
+      const resumed = await resumeQuestion(teamId, puzzleId, req);
+      timeSpent = resumed.time_spent_seconds || 0;
+      result.resumed = true;
+      result.puzzle_id = puzzleId;
+    } catch (error) {
+      // The team already moved on (another member resumed, skipped, ...)
+      console.log(`Auto-resume skipped for team ${teamId}: ${error.message}`);
+    }
+  }
+
+  await logTimeEvent(teamId, puzzleId, 'team_reconnect', timeSpent, timeSpent,
+    { offline_seconds: offlineSeconds, resumed: result.resumed }, req);
+
+  return result;
+}
+
+/**
+ * CHECK DISCONNECTED TEAMS
+ * Pauses the running question of every team that stopped sending heartbeats
+ * The pause is backdated to the last heartbeat, so the missed beats before
+ * the watcher noticed are not charged. Sessions that already ended are skipped.
+ */
+async function checkDisconnectedTeams() {
+  const settings = await getGameSettings();
+  if (!settings.autoPauseOnDisconnect) return [];
+
+  const missedBeats = settings.heartbeatMissedBeats;
+  const cutoff = new Date(Date.now() - missedBeats * HEARTBEAT_INTERVAL_SECONDS * 1000);
+
+  let sessions;
+  try {
+    [sessions] = await db.query(
+      `SELECT id, team_id, last_heartbeat_at FROM team_sessions
+       WHERE disconnected_at IS NULL AND session_end IS NULL AND last_heartbeat_at < ?`,
+      [cutoff]
+    );
+  } catch (error) {
+    if (isTableNotFoundError(error)) return [];
+    throw error;
+  }
+
+  const disconnected = [];
+  for (const session of sessions) {
+    const lastSeenAt = new Date(session.last_heartbeat_at);
+    const [running] = await db.query(
+      `SELECT puzzle_id FROM team_question_progress WHERE team_id = ? AND status = 'IN_PROGRESS'`,
+      [session.team_id]
+    );
+
+    let pausedPuzzleId = null;
+    let timeBefore = 0;
+    let timeAfter = 0;
+    for (const row of running) {
+      try {
+        const paused = await pauseQuestion(session.team_id, row.puzzle_id, null, lastSeenAt);
+        if (!pausedPuzzleId) {
+          pausedPuzzleId = row.puzzle_id;
+          timeBefore = paused.time_spent_seconds - paused.elapsed_this_session;
+          timeAfter = paused.time_spent_seconds;
+        }
+      } catch (error) {
+        console.log(`Auto-pause skipped for team ${session.team_id}: ${error.message}`);
+      }
+    }
+
+    await db.query(
+      'UPDATE team_sessions SET disconnected_at = ?, auto_paused_puzzle_id = ? WHERE id = ?',
+      [lastSeenAt, pausedPuzzleId, session.id]
+    );
+    await logTimeEvent(session.team_id, pausedPuzzleId, 'team_disconnect', timeBefore, timeAfter, {
+      last_heartbeat_at: lastSeenAt.toISOString(),
+      missed_beats: missedBeats,
+      auto_paused: Boolean(pausedPuzzleId)
+    });
+
+    disconnected.push({ team_id: session.team_id, puzzle_id: pausedPuzzleId });
+  }
+
+  return disconnected;
+}
+
+/**
+ * Start the disconnect watcher (called once on server boot)
+ */
+function startHeartbeatWatcher() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(async () => {
+    if (checkingHeartbeats) return;
+    checkingHeartbeats = true;
+    try {
+      const disconnected = await checkDisconnectedTeams();
+      if (disconnected.length > 0) {
+        console.log(`⏸️  Auto-paused ${disconnected.length} disconnected team(s)`);
+      }
+    } catch (error) {
+      console.error('Heartbeat watcher error:', error);
+    } finally {
+      checkingHeartbeats = false;
+    }
+  }, HEARTBEAT_INTERVAL_SECONDS * 1000);
+  heartbeatTimer.unref?.();
+}
+
 /**
  * GET QUESTION ANALYTICS (Admin)
  * Shows aggregate stats per question for admin dashboard
@@ -1483,6 +1667,9 @@ async function goToQuestion(teamId, puzzleId, req = null) {
             `UPDATE team_question_progress SET status = 'PAUSED', time_spent_seconds = ?, updated_at = ? WHERE team_id = ? AND puzzle_id = ?`,
             [newTimeSpent, now, teamId, active.puzzle_id]
           );
+          await logTimeEvent(teamId, active.puzzle_id, 'question_pause',
+            active.time_spent_seconds || 0, newTimeSpent, { elapsed_this_session: Math.max(0, elapsed), navigated_to: puzzleId }, req)
+              .catch(logErr => console.log('Error logging navigation event:', logErr.message));
         } else {
           await db.query(
             `UPDATE team_question_progress SET status = 'PAUSED', updated_at = ? WHERE team_id = ? AND status = 'IN_PROGRESS' AND puzzle_id != ?`,
@@ -1508,18 +1695,25 @@ async function goToQuestion(teamId, puzzleId, req = null) {
          VALUES (?, ?, ?, 'IN_PROGRESS', ?, 0)`,
         [progressId, teamId, puzzleId, now]
       );
+      await logTimeEvent(teamId, puzzleId, 'question_start', 0, 0, { navigated: true }, req)
+        .catch(logErr => console.log('Error logging navigation event:', logErr.message));
     } else {
       const progress = progressRows[0];
       const statusUpper = (progress.status || '').toUpperCase();
       
-      // Mark as IN_PROGRESS unless it's COMPLETED
-      if (statusUpper !== 'COMPLETED') {
+      // Mark as IN_PROGRESS unless it's COMPLETED; a running timer keeps its
+      // started_at so the time since then is not lost
+      const alreadyRunning = statusUpper === 'IN_PROGRESS' && progress.started_at;
+      if (statusUpper !== 'COMPLETED' && !alreadyRunning) {
         await db.query(
           `UPDATE team_question_progress 
            SET status = 'IN_PROGRESS', started_at = ?, updated_at = ?
            WHERE team_id = ? AND puzzle_id = ?`,
           [now, now, teamId, puzzleId]
         );
+        await logTimeEvent(teamId, puzzleId, 'question_start',
+          progress.time_spent_seconds || 0, progress.time_spent_seconds || 0, { navigated: true }, req)
+            .catch(logErr => console.log('Error logging navigation event:', logErr.message));
       }
     }
     
@@ -1553,7 +1747,13 @@ module.exports = {
   getTimerState,
   getSessionState,
   syncTimer,
-  
+
+  // Disconnect handling
+  HEARTBEAT_INTERVAL_SECONDS,
+  recordHeartbeat,
+  checkDisconnectedTeams,
+  startHeartbeatWatcher,
+
   // Calculations
   recalculateTeamEffectiveTime,
   
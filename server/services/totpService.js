@@ -0,0 +1,253 @@
+// server/services/totpService.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/db');
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  codeAt,
+  matchStep,
+  buildProvisioningUri,
+  hashRecoveryCode,
+  generateRecoveryCode
+} = require('../utils/totp');
+const USE_SUPABASE = process.env.USE_SUPABASE === 'true';
+
+/**
+ * TOTP Service
+ * Authenticator-app second factor (RFC 6238: HMAC-SHA1, 6 digits, 30 s steps).
+ *
+ * Enrollment is two-step: a new secret is kept in users.totp_pending_secret
+ * and only becomes users.totp_secret once the user proves their app
+ * produces matching codes. Codes from the neighbouring steps are accepted to
+ * allow for clock drift, and users.totp_last_step records the last step used
+ * so the same code cannot be replayed.
+ *
+ * Enrolling also issues single-use recovery codes for when the device is
+ * lost. Like invite tokens, only their SHA-256 hashes are stored.
+ * The code math itself lives in utils/totp.js, shared with api/.
+ */
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function getTwoFaState(userId) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select('id, two_fa_enabled, two_fa_method, totp_secret, totp_pending_secret, totp_last_step')
+      .eq('id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  const [rows] = await db.query(
+    'SELECT id, two_fa_enabled, two_fa_method, totp_secret, totp_pending_secret, totp_last_step FROM users WHERE id = ?',
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+async function updateUser(userId, fields) {
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin.from('users').update(fields).eq('id', userId);
+    if (error) throw error;
+    return;
+  }
+
+  const columns = Object.keys(fields);
+  await db.query(
+    `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => fields[column]), userId]
+  );
+}
+
+/**
+ * True for users whose logins are confirmed with an authenticator app
+ */
+function usesTotp(user) {
+  return !!(user && user.two_fa_enabled && user.two_fa_method === 'totp' && user.totp_secret);
+}
+
+/**
+ * Record a step as used; false if it (or a later one) already was
+ */
+async function claimStep(userId, step) {
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .update({ totp_last_step: step })
+      .eq('id', userId)
+      .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+      .select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [result] = await db.query(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, userId, step]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Spend a recovery code; false if it is unknown or already used
+ */
+async function useRecoveryCode(userId, code) {
+  const codeHash = hashRecoveryCode(code);
+
+  if (USE_SUPABASE) {
+    const { data, error } = await supabaseAdmin
+      .from('two_fa_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', codeHash)
+      .is('used_at', null)
+      .select('id');
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  const [result] = await db.query(
+    'UPDATE two_fa_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, codeHash]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Check a second-factor code for a TOTP user
+ * @param {string} userId
+ * @param {Object} input - { code } from the app, or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery' on success, null otherwise
+ */
+async function verify(userId, { code, recoveryCode } = {}) {
+  const user = await getTwoFaState(userId);
+  if (!usesTotp(user)) return null;
+
+  if (recoveryCode) {
+    return (await useRecoveryCode(userId, recoveryCode)) ? 'recovery' : null;
+  }
+
+  const step = matchStep(user.totp_secret, code);
+  if (step === null) return null;
+  return (await claimStep(userId, step)) ? 'totp' : null;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @returns {Promise<string[]>} The new codes (shown to the user once)
+ */
+async function regenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const rows = codes.map(code => ({ id: uuidv4(), user_id: userId, code_hash: hashRecoveryCode(code) }));
+
+  if (USE_SUPABASE) {
+    const { error: deleteError } = await supabaseAdmin.from('two_fa_recovery_codes').delete().eq('user_id', userId);
+    if (deleteError) throw deleteError;
+    const { error } = await supabaseAdmin.from('two_fa_recovery_codes').insert(rows);
+    if (error) throw error;
+  } else {
+    await db.query('DELETE FROM two_fa_recovery_codes WHERE user_id = ?', [userId]);
+    await db.query(
+      'INSERT INTO two_fa_recovery_codes (id, user_id, code_hash) VALUES ?',
+      [rows.map(row => [row.id, row.user_id, row.code_hash])]
+    );
+  }
+
+  return codes;
+}
+
+async function countRecoveryCodes(userId) {
+  if (USE_SUPABASE) {
+    const { count, error } = await supabaseAdmin
+      .from('two_fa_recovery_codes')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+    if (error) throw error;
+    return count || 0;
+  }
+
+  const [rows] = await db.query(
+    'SELECT COUNT(*) AS remaining FROM two_fa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return Number(rows[0].remaining) || 0;
+}
+
+/**
+ * Start enrollment with a new pending secret
+ * @param {string} userId
+ * @param {string} accountName - Shown in the authenticator app (the user's email)
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function beginEnrollment(userId, accountName) {
+  const secret = generateSecret();
+  await updateUser(userId, { totp_pending_secret: secret });
+  return { secret, otpauthUrl: buildProvisioningUri(secret, accountName) };
+}
+
+/**
+ * Confirm the pending secret with a code from the app and switch the user to TOTP
+ * @returns {Promise<string[]>} Recovery codes for the new device
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await getTwoFaState(userId);
+  if (!user || !user.totp_pending_secret) {
+    throw httpError('Start authenticator setup first', 400);
+  }
+
+  const step = matchStep(user.totp_pending_secret, code);
+  if (step === null) {
+    throw httpError('Invalid authenticator code', 400);
+  }
+
+  await updateUser(userId, {
+    two_fa_enabled: true,
+    two_fa_method: 'totp',
+    totp_secret: user.totp_pending_secret,
+    totp_pending_secret: null,
+    totp_last_step: step
+  });
+
+  return regenerateRecoveryCodes(userId);
+}
+
+/**
+ * Remove the authenticator and its recovery codes
+ */
+async function removeTotp(userId) {
+  await updateUser(userId, {
+    totp_secret: null,
+    totp_pending_secret: null,
+    totp_last_step: null
+  });
+
+  if (USE_SUPABASE) {
+    const { error } = await supabaseAdmin.from('two_fa_recovery_codes').delete().eq('user_id', userId);
+    if (error) throw error;
+  } else {
+    await db.query('DELETE FROM two_fa_recovery_codes WHERE user_id = ?', [userId]);
+  }
+}
+
+module.exports = {
+  generateSecret,
+  codeAt,
+  matchStep,
+  buildProvisioningUri,
+  getTwoFaState,
+  usesTotp,
+  verify,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  removeTotp
+};
@@ -0,0 +1,68 @@
+/**
+ * Admin Roles & Permissions
+ * Permission map checked by roleGuard.requirePermission
+ *
+ * Every admin account (users.role = 'admin') has an admin_role. Routes name
+ * the permission they need rather than a role, so a role's reach is decided
+ * here in one place. Admins created before roles existed have no
+ * admin_role and count as super_admin.
+ */
+
+const PERMISSIONS = {
+  MONITOR_READ: 'monitor:read',                   // live monitoring, teams, stats, timings (read-only)
+  AUDIT_READ: 'audit:read',                       // audit logs
+  ALERTS_REVIEW: 'alerts:review',                 // suspicious activity alerts
+  QUALIFICATION_OVERRIDE: 'qualification:override', // qualify teams, cutoffs, overrides
+  RESULTS_EXPORT: 'results:export',
+  PUZZLES_MANAGE: 'puzzles:manage',               // puzzle and hint CRUD, pack import/export
+  TEAMS_MANAGE: 'teams:manage',                   // team status, deletion, sessions
+  GAME_CONTROL: 'game:control',                   // game state, levels, schedule, freeze, settings
+  EVALUATION_MANAGE: 'evaluation:manage',         // close, evaluate and publish levels
+  ADMINS_MANAGE: 'admins:manage'                  // admin accounts and their roles
+};
+
+const ALL = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  super_admin: ALL,
+  judge: [
+    PERMISSIONS.MONITOR_READ,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.ALERTS_REVIEW,
+    PERMISSIONS.QUALIFICATION_OVERRIDE,
+    PERMISSIONS.RESULTS_EXPORT
+  ],
+  puzzle_author: [PERMISSIONS.PUZZLES_MANAGE],
+  monitor: [PERMISSIONS.MONITOR_READ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+const DEFAULT_ADMIN_ROLE = 'super_admin';
+
+/**
+ * Effective role of an admin (legacy admins have none)
+ */
+function resolveAdminRole(adminRole) {
+  return adminRole || DEFAULT_ADMIN_ROLE;
+}
+
+/**
+ * Unknown roles get no permissions rather than falling back to super_admin
+ */
+function permissionsFor(adminRole) {
+  return ROLE_PERMISSIONS[resolveAdminRole(adminRole)] || [];
+}
+
+function hasPermission(adminRole, permission) {
+  return permissionsFor(adminRole).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  resolveAdminRole,
+  permissionsFor,
+  hasPermission
+};
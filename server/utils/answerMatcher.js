@@ -0,0 +1,281 @@
+/**
+ * Answer Matching Engine
+ * Decides whether a submitted answer counts as correct for a puzzle.
+ * Each puzzle picks a match mode (puzzles.answer_match_mode) plus optional
+ * mode-specific settings (puzzles.answer_match_options).
+ *
+ * Used by both the live submit path (teamGameController.submitAnswer)
+ * and the batch evaluation path (evaluationController.evaluateAnswers),
+ * and by their serverless counterparts under api/.
+ *
+ * Puzzles in a hashable mode store only salted hashes of the canonical
+ * answer (puzzles.correct_answer_hash, options.alias_hashes); the submitted
+ * answer is canonicalized the same way and compared against the hash.
+ */
+
+const { hashFlag, compareFlag } = require('./flagHash');
+
+const DEFAULT_MODE = 'exact';
+
+// Guard against pathological input being fed to user-supplied regexes
+const MAX_ANSWER_LENGTH = 1000;
+
+/**
+ * Parse match options - stored as JSON (MySQL returns a string, Supabase an object)
+ * @param {Object|String|null} options
+ * @returns {Object}
+ */
+function parseOptions(options) {
+  if (!options) return {};
+  if (typeof options === 'object') return options;
+  try {
+    const parsed = JSON.parse(options);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Lowercase and trim
+ */
+function foldCase(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Lowercase and strip all whitespace and punctuation
+ * e.g. "flag{ X }" -> "flagx", "Lockdown-HQ!" -> "lockdownhq"
+ */
+function normalize(value) {
+  return String(value).toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+/**
+ * Built-in matchers: (submitted, expected, options) => boolean
+ */
+const matchers = {
+  // Trimmed, case-insensitive comparison (original behaviour)
+  exact: (submitted, expected) => foldCase(submitted) === foldCase(expected),
+
+  // Trimmed, case-sensitive comparison
+  case_sensitive: (submitted, expected) => String(submitted).trim() === String(expected).trim(),
+
+  // expected is a regular expression; anchored to the whole answer
+  regex: (submitted, expected, options) => {
+    const flags = typeof options.flags === 'string' ? options.flags.replace(/[^imsu]/g, '') : 'i';
+    try {
+      const pattern = new RegExp(`^(?:${expected})$`, flags);
+      return pattern.test(String(submitted).trim());
+    } catch (e) {
+      console.error('Invalid answer regex:', e.message);
+      return false;
+    }
+  },
+
+  // expected plus options.aliases are all accepted
+  aliases: (submitted, expected, options) => {
+    const accepted = [expected, ...(Array.isArray(options.aliases) ? options.aliases : [])];
+    const compare = options.case_sensitive ? matchers.case_sensitive : matchers.exact;
+    return accepted.some(a => a !== null && a !== undefined && compare(submitted, a));
+  },
+
+  // Numeric comparison within options.tolerance (absolute)
+  numeric: (submitted, expected, options) => {
+    const cleaned = String(submitted).trim().replace(/,/g, '');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return false;
+    const a = parseFloat(cleaned);
+    const b = parseFloat(String(expected).trim().replace(/,/g, ''));
+    if (Number.isNaN(a) || Number.isNaN(b)) return false;
+    const tolerance = Math.abs(parseFloat(options.tolerance) || 0);
+    return Math.abs(a - b) <= tolerance;
+  },
+
+  // Ignore case, whitespace and punctuation
+  normalized: (submitted, expected) => normalize(submitted) === normalize(expected)
+};
+
+/**
+ * Canonical forms for modes that can be checked against a hash.
+ * regex and numeric need the plaintext answer, so they are not hashable.
+ */
+const canonicalizers = {
+  exact: (value) => foldCase(value),
+  case_sensitive: (value) => String(value).trim(),
+  normalized: (value) => normalize(value),
+  aliases: (value, options) => (options.case_sensitive ? String(value).trim() : foldCase(value))
+};
+
+/**
+ * Check if answers for a match mode can be stored hashed
+ * @param {String} mode
+ * @returns {Boolean}
+ */
+function isHashableMode(mode) {
+  return Object.prototype.hasOwnProperty.call(canonicalizers, mode || DEFAULT_MODE);
+}
+
+/**
+ * Replace plaintext aliases in match options with alias hashes
+ * @param {String} mode - Match mode
+ * @param {Object|String} options - Match options as submitted
+ * @param {Object|String} previousOptions - Stored options; alias_hashes are kept if no new aliases are sent
+ * @returns {Object|null} Options safe to store
+ */
+function hashMatchOptions(mode, options, previousOptions) {
+  const opts = { ...parseOptions(options) };
+
+  if ((mode || DEFAULT_MODE) === 'aliases') {
+    const aliases = Array.isArray(opts.aliases) ? opts.aliases : [];
+    const newHashes = aliases
+      .filter(a => a !== null && a !== undefined && String(a).trim() !== '')
+      .map(a => hashFlag(canonicalizers.aliases(a, opts)));
+    const previous = parseOptions(previousOptions);
+    opts.alias_hashes = newHashes.length > 0
+      ? newHashes
+      : (opts.alias_hashes || previous.alias_hashes || []);
+    delete opts.aliases;
+  }
+
+  return Object.keys(opts).length > 0 ? opts : null;
+}
+
+/**
+ * Build the hashed storage form of a puzzle answer
+ * @param {String} correctAnswer - Plaintext answer
+ * @param {String} mode - Match mode
+ * @param {Object|String} options - Match options
+ * @param {Object|String} previousOptions - Stored options (for keeping alias hashes)
+ * @returns {Object|null} { correct_answer: null, correct_answer_hash, answer_match_options } or null if mode is not hashable
+ */
+function hashAnswerForStorage(correctAnswer, mode, options, previousOptions) {
+  const matchMode = mode || DEFAULT_MODE;
+  if (!isHashableMode(matchMode)) return null;
+
+  const opts = parseOptions(options);
+  return {
+    correct_answer: null,
+    correct_answer_hash: hashFlag(canonicalizers[matchMode](correctAnswer, opts)),
+    answer_match_options: hashMatchOptions(matchMode, opts, previousOptions)
+  };
+}
+
+/**
+ * Check if a puzzle has an answer configured (plaintext or hashed)
+ * @param {Object} puzzle
+ * @returns {Boolean}
+ */
+function hasAnswer(puzzle) {
+  return !!(puzzle && (puzzle.correct_answer || puzzle.correct_answer_hash));
+}
+
+/**
+ * Compare against stored hashes
+ */
+function matchHashed(submitted, puzzle, mode, options) {
+  if (!isHashableMode(mode)) return false;
+  const canonical = canonicalizers[mode](submitted, options);
+  if (compareFlag(canonical, puzzle.correct_answer_hash)) return true;
+  if (mode === 'aliases' && Array.isArray(options.alias_hashes)) {
+    return options.alias_hashes.some(h => compareFlag(canonical, h));
+  }
+  return false;
+}
+
+/**
+ * Register a custom matcher
+ * @param {String} mode - Match mode name
+ * @param {Function} fn - (submitted, expected, options) => boolean
+ */
+function registerMatcher(mode, fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('Matcher must be a function');
+  }
+  matchers[mode] = fn;
+}
+
+/**
+ * Check if a match mode is known
+ * @param {String} mode
+ * @returns {Boolean}
+ */
+function isValidMode(mode) {
+  return Object.prototype.hasOwnProperty.call(matchers, mode);
+}
+
+/**
+ * Get the list of supported match modes
+ * @returns {String[]}
+ */
+function getModes() {
+  return Object.keys(matchers);
+}
+
+/**
+ * Validate mode/options before they are saved on a puzzle
+ * @param {String} mode
+ * @param {Object|String} options
+ * @param {String} expected - The puzzle's correct_answer
+ * @returns {String|null} Error message or null if valid
+ */
+function validateMatchConfig(mode, options, expected) {
+  if (mode === undefined || mode === null) return null;
+  if (!isValidMode(mode)) {
+    return `Unknown answer_match_mode '${mode}'. Supported: ${getModes().join(', ')}`;
+  }
+  const opts = parseOptions(options);
+  if (mode === 'regex' && expected !== undefined) {
+    try {
+      new RegExp(expected);
+    } catch (e) {
+      return `correct_answer is not a valid regular expression: ${e.message}`;
+    }
+  }
+  if (mode === 'numeric') {
+    if (expected !== undefined && Number.isNaN(parseFloat(String(expected).replace(/,/g, '')))) {
+      return 'correct_answer must be a number for numeric matching';
+    }
+    if (opts.tolerance !== undefined && Number.isNaN(parseFloat(opts.tolerance))) {
+      return 'tolerance must be a number';
+    }
+  }
+  if (mode === 'aliases' && opts.aliases !== undefined && !Array.isArray(opts.aliases)) {
+    return 'aliases must be an array of strings';
+  }
+  return null;
+}
+
+/**
+ * Check a submitted answer against a puzzle
+ * @param {String} submitted - The team's answer
+ * @param {Object} puzzle - { correct_answer, correct_answer_hash, answer_match_mode, answer_match_options }
+ * @returns {Boolean} True if the answer is accepted
+ */
+function matchAnswer(submitted, puzzle) {
+  if (submitted === null || submitted === undefined) return false;
+  if (!hasAnswer(puzzle)) return false;
+  if (String(submitted).length > MAX_ANSWER_LENGTH) return false;
+
+  const mode = isValidMode(puzzle.answer_match_mode) ? puzzle.answer_match_mode : DEFAULT_MODE;
+  const options = parseOptions(puzzle.answer_match_options);
+
+  if (puzzle.correct_answer_hash) {
+    return matchHashed(submitted, puzzle, mode, options);
+  }
+
+  return matchers[mode](submitted, puzzle.correct_answer, options) === true;
+}
+
+module.exports = {
+  DEFAULT_MODE,
+  matchAnswer,
+  hasAnswer,
+  isHashableMode,
+  hashAnswerForStorage,
+  hashMatchOptions,
+  registerMatcher,
+  isValidMode,
+  getModes,
+  validateMatchConfig,
+  parseOptions
+};
@@ -120,7 +120,14 @@ const cacheKeys = {
   leaderboard: (level) => `leaderboard:${level || 'all'}`,
   teamProgress: (teamId) => `team_progress:${teamId}`,
   puzzleList: (level) => `puzzles:${level || 'all'}`,
-  dashboardStats: () => 'dashboard_stats'
+  dashboardStats: () => 'dashboard_stats',
+  levels: () => 'levels',
+  puzzleValues: () => 'puzzle_values',
+  levelScores: (level) => `level_scores:${level}`,
+  leaderboardFreeze: () => 'leaderboard_freeze',
+  session: (sessionId) => `session:${sessionId}`,
+  sessionTouch: (sessionId) => `session_touch:${sessionId}`,
+  timeAdjustments: (teamId) => `time_adjustments:${teamId}`
 };
 
 // TTL constants (in milliseconds)
@@ -129,7 +136,13 @@ const TTL = {
   LEADERBOARD: 3000,     // 3 seconds - updates on submissions
   TEAM_PROGRESS: 2000,   // 2 seconds - updates on puzzle solve
   PUZZLES: 30000,        // 30 seconds - rarely changes
-  DASHBOARD_STATS: 5000  // 5 seconds - admin dashboard
+  DASHBOARD_STATS: 5000, // 5 seconds - admin dashboard
+  LEVELS: 30000,         // 30 seconds - invalidated on every level change
+  PUZZLE_VALUES: 5000,   // 5 seconds - invalidated on every solve
+  LEVEL_SCORES: 5000,    // 5 seconds - invalidated on solves and point-cost hints
+  LEADERBOARD_FREEZE: 2000, // 2 seconds - invalidated on freeze/unfreeze
+  SESSION: 10000,        // 10 seconds - invalidated on revoke; bounds revocation delay across instances
+  TIME_ADJUSTMENTS: 10000 // 10 seconds - invalidated on grant; read on every session state poll
 };
 
 /**
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Flag Hashing Utilities
+ * Stores puzzle answers as salted HMAC-SHA256 digests so a DB dump or
+ * admin screenshot does not reveal the flags.
+ *
+ * Format: hmac-sha256$<salt hex>$<digest hex>
+ * The HMAC key (FLAG_HASH_SECRET) lives only in the server environment.
+ * The serverless handlers load this file too, so it does not read
+ * server/.env itself; callers load the environment first.
+ */
+
+const SCHEME = 'hmac-sha256';
+const SALT_BYTES = 16;
+const FLAG_HASH_SECRET = process.env.FLAG_HASH_SECRET;
+
+// Unkeyed hashes of short flags are brute-forceable from a DB dump
+if (!FLAG_HASH_SECRET) {
+  throw new Error('FLAG_HASH_SECRET must be set to hash and verify puzzle answers');
+}
+
+/**
+ * Compute the digest for a canonical answer and salt
+ * @param {String} canonical - Answer already canonicalized for its match mode
+ * @param {String} salt - Hex salt
+ * @returns {String} Hex digest
+ */
+function digest(canonical, salt) {
+  return crypto
+    .createHmac('sha256', FLAG_HASH_SECRET)
+    .update(`${salt}:${canonical}`)
+    .digest('hex');
+}
+
+/**
+ * Hash a canonical answer with a fresh random salt
+ * @param {String} canonical
+ * @returns {String} Encoded hash string
+ */
+function hashFlag(canonical) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  return `${SCHEME}$${salt}$${digest(String(canonical), salt)}`;
+}
+
+/**
+ * Check if a stored value looks like a flag hash
+ * @param {String} value
+ * @returns {Boolean}
+ */
+function isFlagHash(value) {
+  return typeof value === 'string' && value.startsWith(`${SCHEME}$`) && value.split('$').length === 3;
+}
+
+/**
+ * Compare a canonical answer with a stored hash (constant time)
+ * @param {String} canonical
+ * @param {String} stored - Encoded hash string
+ * @returns {Boolean} True if match
+ */
+function compareFlag(canonical, stored) {
+  if (!isFlagHash(stored)) return false;
+  const [, salt, expected] = stored.split('$');
+  const actual = digest(String(canonical), salt);
+  const a = Buffer.from(actual, 'hex');
+  const b = Buffer.from(expected, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  hashFlag,
+  compareFlag,
+  isFlagHash
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
@@ -11,6 +12,9 @@ const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET;
 const JWT_ACCESS_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '30m';  // 30 minutes for security
 const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+// Separate key so a challenge can never pass as an access token
+const JWT_2FA_SECRET = `${JWT_ACCESS_SECRET}:2fa`;
+const JWT_2FA_EXPIRY = '10m';
 
 /**
  * Generate Access Token (short-lived)
@@ -23,11 +27,13 @@ function generateAccessToken(payload) {
 
 /**
  * Generate Refresh Token (long-lived)
+ * Each token gets its own jti, so two tokens issued to a user in the same
+ * second never collide (rotation stores and looks them up by value)
  * @param {Object} payload - User data { userId }
  * @returns {String} JWT token
  */
 function generateRefreshToken(payload) {
-  return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRY });
+  return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: JWT_REFRESH_EXPIRY, jwtid: uuidv4() });
 }
 
 /**
@@ -48,9 +54,29 @@ function verifyRefreshToken(token) {
   return jwt.verify(token, JWT_REFRESH_SECRET);
 }
 
+/**
+ * Generate 2FA Challenge (proves the password step passed)
+ * @param {String} userId
+ * @returns {String} JWT token
+ */
+function generateTwoFaChallenge(userId) {
+  return jwt.sign({ userId, purpose: '2fa' }, JWT_2FA_SECRET, { expiresIn: JWT_2FA_EXPIRY });
+}
+
+/**
+ * Verify 2FA Challenge
+ * @param {String} token
+ * @returns {Object} Decoded payload or throws error
+ */
+function verifyTwoFaChallenge(token) {
+  return jwt.verify(token, JWT_2FA_SECRET);
+}
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateTwoFaChallenge,
+  verifyTwoFaChallenge
 };
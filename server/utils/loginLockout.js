@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/**
+ * Login Lockout Policy
+ * When a failed login has to wait, and when the account locks. Pure functions
+ * shared by accountLockoutService and the serverless handlers under api/,
+ * so both runtimes apply the same limits to the same users columns.
+ */
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+/**
+ * Wait imposed after the given number of consecutive failures
+ */
+function delayFor(failures) {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Failures that still count (the window restarts after a quiet period)
+ */
+function activeFailures(user, now = Date.now()) {
+  if (!user.failed_login_count || now - toTime(user.last_failed_login_at) > LOCKOUT_MS) return 0;
+  return user.failed_login_count;
+}
+
+/**
+ * Whether a login attempt for this user may be checked right now
+ * @param {Object} user - users row (with the lockout columns)
+ * @returns {Object} { allowed: true } or { allowed: false, code, retryAfter (seconds), lockedUntil? }
+ */
+function checkLogin(user, now = Date.now()) {
+  const lockedUntil = toTime(user.locked_until);
+  if (lockedUntil > now) {
+    return {
+      allowed: false,
+      code: 'ACCOUNT_LOCKED',
+      lockedUntil: new Date(lockedUntil),
+      retryAfter: Math.ceil((lockedUntil - now) / 1000)
+    };
+  }
+
+  const nextAttemptAt = toTime(user.last_failed_login_at) + delayFor(activeFailures(user, now));
+  if (nextAttemptAt > now) {
+    return { allowed: false, code: 'LOGIN_DELAYED', retryAfter: Math.ceil((nextAttemptAt - now) / 1000) };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Outcome of a failure, given the counter after it was added
+ * @returns {Object} { failures, locked, retryAfter } - when locked, the caller
+ *   stores the lock (and unlock token) only if the account is still over the threshold
+ */
+function afterFailure(failures) {
+  if (failures >= LOCKOUT_THRESHOLD) {
+    return { failures, locked: true, retryAfter: Math.ceil(LOCKOUT_MS / 1000) };
+  }
+  return { failures, locked: false, retryAfter: Math.ceil(delayFor(failures) / 1000) };
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_MS,
+  UNLOCK_TOKEN_TTL_MS,
+  hashToken,
+  toTime,
+  delayFor,
+  checkLogin,
+  afterFailure
+};
@@ -0,0 +1,287 @@
+/**
+ * Rate Limit Stores
+ * Hit counters shared by the Express limiters (middleware/rateLimiter.js)
+ * and the serverless handlers under api/ (api/_lib/rateLimit.js)
+ *
+ * Every store implements the express-rate-limit store interface
+ * (increment / decrement / resetKey), so the same counters back both
+ * runtimes. RATE_LIMIT_STORE picks the backend:
+ *   memory   - per process (default); fine for a single server
+ *   database - rate_limit_counters table (MySQL, or Supabase via rate_limit_hit())
+ *   redis    - any client with incr / pexpire / pttl (ioredis, @upstash/redis)
+ * Serverless instances do not share memory, so deployments on Vercel or with
+ * several servers should use database or redis.
+ *
+ * This module has no dependencies so api/ can load it as well.
+ */
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Limits applied in both runtimes
+ */
+const RATE_LIMITS = {
+  // login, registration, OTP verification (per IP)
+  auth: {
+    windowMs: WINDOW_MS,
+    max: parseInt(process.env.RATE_LIMIT_MAX_ATTEMPTS) || 20 // Increased from 5 to support shared networks
+  },
+  // password reset and other sensitive operations (per IP)
+  strict: {
+    windowMs: WINDOW_MS,
+    max: 3
+  },
+  // flag submissions (per team, across all its members)
+  submit: {
+    windowMs: parseInt(process.env.SUBMIT_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    max: parseInt(process.env.SUBMIT_RATE_LIMIT_MAX) || 10
+  }
+};
+
+/**
+ * In-process counters
+ */
+class MemoryStore {
+  constructor({ windowMs, prefix = '' } = {}) {
+    this.windowMs = windowMs;
+    this.prefix = prefix;
+    this.hits = new Map();
+    this.localKeys = true;
+  }
+
+  init(options) {
+    this.windowMs = this.windowMs || options.windowMs;
+    // Drop expired counters now and then so the map does not grow forever
+    this.pruneTimer = setInterval(() => this.prune(), this.windowMs);
+    if (this.pruneTimer.unref) this.pruneTimer.unref();
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.hits) {
+      if (entry.resetTime.getTime() <= now) this.hits.delete(key);
+    }
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    const id = this.prefix + key;
+    let entry = this.hits.get(id);
+    if (!entry || entry.resetTime.getTime() <= now) {
+      entry = { totalHits: 0, resetTime: new Date(now + this.windowMs) };
+      this.hits.set(id, entry);
+    }
+    entry.totalHits++;
+    return { totalHits: entry.totalHits, resetTime: entry.resetTime };
+  }
+
+  async decrement(key) {
+    const entry = this.hits.get(this.prefix + key);
+    if (entry && entry.totalHits > 0) entry.totalHits--;
+  }
+
+  async resetKey(key) {
+    this.hits.delete(this.prefix + key);
+  }
+
+  shutdown() {
+    clearInterval(this.pruneTimer);
+  }
+}
+
+/**
+ * Counters in the MySQL rate_limit_counters table (mysql2 pool)
+ */
+class MysqlStore {
+  constructor(db, { windowMs, prefix = '' } = {}) {
+    this.db = db;
+    this.windowMs = windowMs;
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = this.windowMs || options.windowMs;
+  }
+
+  async increment(key) {
+    const id = this.prefix + key;
+    const now = new Date();
+
+    // A counter whose window has passed starts over at 1
+    await this.db.query(
+      `INSERT INTO rate_limit_counters (rate_key, hits, reset_at) VALUES (?, 1, ?)
+       ON DUPLICATE KEY UPDATE
+         hits = IF(reset_at <= ?, 1, hits + 1),
+         reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at)`,
+      [id, new Date(now.getTime() + this.windowMs), now, now]
+    );
+    const [rows] = await this.db.query('SELECT hits, reset_at FROM rate_limit_counters WHERE rate_key = ?', [id]);
+
+    // Expired rows are only ever overwritten; clear them out occasionally
+    if (Math.random() < 0.01) {
+      this.db.query('DELETE FROM rate_limit_counters WHERE reset_at < ?', [now])
+        .catch(error => console.error('Rate limit prune error:', error.message));
+    }
+
+    return { totalHits: rows[0].hits, resetTime: new Date(rows[0].reset_at) };
+  }
+
+  async decrement(key) {
+    await this.db.query(
+      'UPDATE rate_limit_counters SET hits = GREATEST(hits - 1, 0) WHERE rate_key = ?',
+      [this.prefix + key]
+    );
+  }
+
+  async resetKey(key) {
+    await this.db.query('DELETE FROM rate_limit_counters WHERE rate_key = ?', [this.prefix + key]);
+  }
+}
+
+/**
+ * Counters in the Supabase rate_limit_counters table; rate_limit_hit()
+ * does the upsert in one statement so concurrent functions cannot lose hits
+ */
+class SupabaseStore {
+  constructor(client, { windowMs, prefix = '' } = {}) {
+    this.client = client;
+    this.windowMs = windowMs;
+    this.prefix = prefix;
+  }
+
+  init(options) {
+    this.windowMs = this.windowMs || options.windowMs;
+  }
+
+  async increment(key) {
+    const { data, error } = await this.client.rpc('rate_limit_hit', {
+      p_key: this.prefix + key,
+      p_window_ms: this.windowMs
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+  }
+
+  async decrement(key) {
+    const id = this.prefix + key;
+    const { data, error } = await this.client
+      .from('rate_limit_counters')
+      .select('hits')
+      .eq('rate_key', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (data && data.hits > 0) {
+      await this.client.from('rate_limit_counters').update({ hits: data.hits - 1 }).eq('rate_key', id);
+    }
+  }
+
+  async resetKey(key) {
+    const { error } = await this.client.from('rate_limit_counters').delete().eq('rate_key', this.prefix + key);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Counters as Redis keys that expire with their window
+ */
+class RedisStore {
+  constructor(client, { windowMs, prefix = '' } = {}) {
+    this.client = client;
+    this.windowMs = windowMs;
+    this.prefix = `rl:${prefix}`;
+  }
+
+  init(options) {
+    this.windowMs = this.windowMs || options.windowMs;
+  }
+
+  async increment(key) {
+    const id = this.prefix + key;
+    const totalHits = Number(await this.client.incr(id));
+    if (totalHits === 1) {
+      await this.client.pexpire(id, this.windowMs);
+    }
+
+    let ttl = Number(await this.client.pttl(id));
+    if (ttl < 0) {
+      // The expiry was lost (e.g. the process died between INCR and PEXPIRE)
+      await this.client.pexpire(id, this.windowMs);
+      ttl = this.windowMs;
+    }
+    return { totalHits, resetTime: new Date(Date.now() + ttl) };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+let redisClient = null;
+
+function connectRedis() {
+  if (!redisClient) {
+    if (!process.env.REDIS_URL) {
+      throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+    }
+    // Optional dependency, only needed for the redis backend
+    const Redis = require('ioredis');
+    redisClient = new Redis(process.env.REDIS_URL);
+  }
+  return redisClient;
+}
+
+/**
+ * Build the store selected by RATE_LIMIT_STORE
+ * @param {Object} options
+ * @param {number} options.windowMs
+ * @param {string} options.prefix - Keeps each limiter's keys apart
+ * @param {Object} [options.db] - mysql2 pool for the database backend
+ * @param {Object} [options.supabase] - Supabase client for the database backend (used over db)
+ * @param {Object} [options.redis] - Redis client; defaults to ioredis on REDIS_URL
+ */
+function createStore({ windowMs, prefix, db, supabase, redis }) {
+  const backend = process.env.RATE_LIMIT_STORE || 'memory';
+  const options = { windowMs, prefix };
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'database':
+      if (supabase) return new SupabaseStore(supabase, options);
+      if (db) return new MysqlStore(db, options);
+      throw new Error('RATE_LIMIT_STORE=database needs a database client');
+    case 'redis':
+      return new RedisStore(redis || connectRedis(), options);
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${backend}`);
+  }
+}
+
+/**
+ * Count one hit outside Express
+ * @returns {Promise<Object>} { allowed, limit, remaining, resetTime, retryAfter (seconds) }
+ */
+async function consume(store, key, max) {
+  const { totalHits, resetTime } = await store.increment(key);
+  return {
+    allowed: totalHits <= max,
+    limit: max,
+    remaining: Math.max(max - totalHits, 0),
+    resetTime,
+    retryAfter: Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 0)
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  MemoryStore,
+  MysqlStore,
+  SupabaseStore,
+  RedisStore,
+  createStore,
+  consume
+};
@@ -4,6 +4,7 @@
  */
 
 const validator = require('validator');
+const { getRouteSchema } = require('./validationSchemas');
 
 /**
  * Sanitize string input - removes HTML tags, trims whitespace
@@ -46,19 +47,20 @@ const SKIP_ESCAPE_FIELDS = ['password', 'answer', 'submitted_answer', 'message',
 /**
  * Sanitize object recursively - escapes all string values
  * @param {object} obj - Object to sanitize
+ * @param {string[]} [rawFields] - Top-level keys to keep literally (from the route schema)
  * @returns {object} Sanitized object
  */
-function sanitizeObject(obj) {
+function sanitizeObject(obj, rawFields = []) {
   if (obj === null || obj === undefined) return obj;
   if (typeof obj === 'string') return sanitizeString(obj);
   if (typeof obj !== 'object') return obj;
-  if (Array.isArray(obj)) return obj.map(sanitizeObject);
+  if (Array.isArray(obj)) return obj.map(item => sanitizeObject(item));
   
   const sanitized = {};
   for (const [key, value] of Object.entries(obj)) {
     const keyLower = key.toLowerCase();
     // Skip fields that need literal values (passwords, puzzle answers, messages)
-    if (SKIP_ESCAPE_FIELDS.some(f => keyLower.includes(f))) {
+    if (rawFields.includes(key) || SKIP_ESCAPE_FIELDS.some(f => keyLower.includes(f))) {
       sanitized[key] = typeof value === 'string' ? validator.trim(value) : value;
     } else {
       sanitized[key] = sanitizeObject(value);
@@ -125,27 +127,122 @@ function hasSQLInjection(input) {
   return sqlPatterns.some(pattern => pattern.test(input));
 }
 
+/**
+ * Check one value against a field rule from validationSchemas
+ * @param {string} name - Field name, used in the error message
+ * @param {*} value - Value from the request
+ * @param {object} rule - { type, maxLength, min, max, enum }
+ * @returns {string|null} Error message or null if valid
+ */
+function validateField(name, value, rule) {
+  // Presence is left to the controllers; only check what was sent
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      break;
+    case 'integer':
+    case 'number': {
+      const isNumeric = rule.type === 'integer'
+        ? /^-?\d+$/.test(String(value).trim())
+        : String(value).trim() !== '' && Number.isFinite(Number(value));
+      if (typeof value === 'object' || typeof value === 'boolean' || !isNumeric) {
+        return `${name} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`;
+      }
+      const num = Number(value);
+      if (rule.min !== undefined && num < rule.min) return `${name} must be at least ${rule.min}`;
+      if (rule.max !== undefined && num > rule.max) return `${name} must be at most ${rule.max}`;
+      break;
+    }
+    case 'boolean':
+      if (![true, false, 'true', 'false', 0, 1].includes(value)) return `${name} must be true or false`;
+      break;
+    case 'uuid':
+      if (!isValidUUID(value)) return `${name} must be a valid ID`;
+      break;
+    case 'email':
+      if (typeof value !== 'string' || !validator.isEmail(value.trim())) return `${name} must be a valid email`;
+      break;
+    case 'date':
+      if (typeof value !== 'string' || isNaN(new Date(value).getTime())) return `${name} must be a valid date`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be a list`;
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+      break;
+    default:
+      break;
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${name} must be at most ${rule.maxLength} ${Array.isArray(value) ? 'items' : 'characters'}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate every declared field of an object
+ * @param {object} data - Request body or query
+ * @param {object} fields - Field rules keyed by name
+ * @returns {string[]} Error messages
+ */
+function validateFields(data, fields) {
+  return Object.entries(fields)
+    .map(([name, rule]) => validateField(name, data[name], rule))
+    .filter(Boolean);
+}
+
+/**
+ * Fields the route schema marks as raw
+ */
+function getRawFields(section) {
+  return Object.keys(section || {}).filter(name => section[name].raw);
+}
+
 /**
  * Middleware to sanitize request body
+ * Raw fields from the route schema are kept literally
  */
 function sanitizeBody(req, res, next) {
   if (req.body && typeof req.body === 'object') {
-    req.body = sanitizeObject(req.body);
+    const schema = getRouteSchema(req.method, req.path);
+    req.body = sanitizeObject(req.body, getRawFields(schema?.body));
   }
   next();
 }
 
 /**
- * Middleware to validate common inputs
+ * Middleware to validate inputs against the route's schema
+ * Body fields are checked for type and limits only: every query is
+ * parameterized, so answers like "' UNION SELECT flag --" are legitimate.
+ * Query params still get the SQL keyword check unless declared raw.
+ * Must run before sanitizeBody so lengths are measured on the raw input.
  */
 function validateInputs(req, res, next) {
-  // Check for SQL injection in query params only
-  // (body is safe because all DB queries use parameterized placeholders)
+  const schema = getRouteSchema(req.method, req.path);
+  const rawQuery = getRawFields(schema?.query);
+
   for (const [key, value] of Object.entries(req.query)) {
-    if (hasSQLInjection(String(value))) {
+    if (!rawQuery.includes(key) && hasSQLInjection(String(value))) {
       return res.status(400).json({ error: 'Invalid input detected' });
     }
   }
+
+  if (schema) {
+    const errors = [
+      ...(schema.query ? validateFields(req.query, schema.query) : []),
+      ...(schema.body && req.body && typeof req.body === 'object' ? validateFields(req.body, schema.body) : [])
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+  }
   
   next();
 }
@@ -158,6 +255,7 @@ module.exports = {
   validatePassword,
   getRateLimitKey,
   hasSQLInjection,
+  validateField,
   sanitizeBody,
   validateInputs
 };
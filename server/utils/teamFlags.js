@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { matchAnswer } = require('./answerMatcher');
+
+/**
+ * Per-Team Flags
+ * Puzzles with dynamic_flag enabled give every team its own flag:
+ * HMAC-SHA256(flag_secret, "<puzzle_id>:<team_id>") rendered through
+ * flag_template. Pure functions shared by dynamicFlagService and the
+ * serverless handlers under api/.
+ */
+
+const DEFAULT_FLAG_TEMPLATE = 'flag{%s}';
+const FLAG_PLACEHOLDER = /\{\{\s*flag\s*\}\}/gi;
+const FLAG_DIGEST_LENGTH = 16;
+
+/**
+ * Generate a new per-puzzle flag secret
+ * @returns {String} Hex secret
+ */
+function generateFlagSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Compute a team's flag for a puzzle
+ * @param {Object} puzzle - { id, flag_secret, flag_template }
+ * @param {String} teamId
+ * @returns {String|null} Flag or null if the puzzle has no secret
+ */
+function getTeamFlag(puzzle, teamId) {
+  if (!puzzle || !puzzle.flag_secret || !teamId) return null;
+  const token = crypto
+    .createHmac('sha256', puzzle.flag_secret)
+    .update(`${puzzle.id}:${teamId}`)
+    .digest('hex')
+    .slice(0, FLAG_DIGEST_LENGTH);
+  const template = puzzle.flag_template || DEFAULT_FLAG_TEMPLATE;
+  return template.includes('%s') ? template.replace('%s', token) : `${template}${token}`;
+}
+
+/**
+ * Check if an answer has the shape of a flag issued for this puzzle
+ * (its template around a token), whoever it was issued to
+ * @param {Object} puzzle - { flag_template }
+ * @param {String} submitted
+ * @returns {Boolean}
+ */
+function looksLikeTeamFlag(puzzle, submitted) {
+  if (typeof submitted !== 'string') return false;
+  const template = (puzzle && puzzle.flag_template) || DEFAULT_FLAG_TEMPLATE;
+  const [prefix, suffix = ''] = template.includes('%s') ? template.split('%s', 2) : [template, ''];
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escape(prefix)}[0-9a-f]{${FLAG_DIGEST_LENGTH}}${escape(suffix)}$`, 'i');
+  return pattern.test(submitted.trim());
+}
+
+/**
+ * Substitute the team's flag into puzzle content
+ * @param {Object} puzzle - Puzzle with puzzle_content and flag config
+ * @param {String} teamId
+ * @returns {String|null} Rendered content
+ */
+function renderPuzzleContent(puzzle, teamId) {
+  if (!puzzle || !puzzle.dynamic_flag || !puzzle.puzzle_content) return puzzle?.puzzle_content ?? null;
+  const flag = getTeamFlag(puzzle, teamId);
+  if (!flag) return puzzle.puzzle_content;
+  return puzzle.puzzle_content.replace(FLAG_PLACEHOLDER, flag);
+}
+
+/**
+ * Check a submitted answer for a team, using the team's own flag
+ * for dynamic-flag puzzles and the puzzle's match mode otherwise
+ * @param {Object} puzzle - Puzzle with answer and flag config
+ * @param {String} teamId
+ * @param {String} submitted
+ * @returns {Boolean} True if correct
+ */
+function checkTeamAnswer(puzzle, teamId, submitted) {
+  if (puzzle && puzzle.dynamic_flag) {
+    const flag = getTeamFlag(puzzle, teamId);
+    return !!flag && matchAnswer(submitted, { correct_answer: flag });
+  }
+  return matchAnswer(submitted, puzzle);
+}
+
+module.exports = {
+  DEFAULT_FLAG_TEMPLATE,
+  generateFlagSecret,
+  getTeamFlag,
+  looksLikeTeamFlag,
+  renderPuzzleContent,
+  checkTeamAnswer
+};
@@ -0,0 +1,222 @@
+/**
+ * Request Validation Schemas
+ * Route table used by the validateInputs and sanitizeBody middleware
+ *
+ * Each entry maps "METHOD /path" (Express-style :params allowed) to the body
+ * and query fields it accepts. A field rule declares:
+ *   type      - string | integer | number | boolean | uuid | email | date | array | object
+ *   maxLength - longest allowed string (or array length)
+ *   min / max - bounds for integer and number fields
+ *   enum      - allowed values
+ *   raw       - keep the value literally: no HTML escaping and no SQL keyword
+ *               check. Use for answers, flags and puzzle bodies, which may
+ *               legitimately contain SQL or markup and only ever reach the
+ *               database through parameterized queries.
+ *
+ * Fields not listed are passed through with the default rules (escaped, no
+ * type check), so controllers keep doing their own required-field checks.
+ */
+
+const { ADMIN_ROLES } = require('./adminPermissions');
+
+const ANSWER = { type: 'string', maxLength: 1000, raw: true };
+const PUZZLE_ID = { type: 'uuid' };
+const POINTS = { type: 'integer', min: 0, max: 100000 };
+
+const PUZZLE_FIELDS = {
+  level: { type: 'integer', min: 1, max: 100 },
+  puzzle_number: { type: 'integer', min: 1, max: 1000 },
+  title: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 2000 },
+  puzzle_type: { type: 'string', maxLength: 50 },
+  puzzle_content: { type: 'string', maxLength: 8000, raw: true },
+  puzzle_file_url: { type: 'string', maxLength: 500, raw: true },
+  correct_answer: ANSWER,
+  answer_match_mode: { type: 'string', maxLength: 20 },
+  answer_match_options: { type: 'object', raw: true },
+  dynamic_flag: { type: 'boolean' },
+  flag_template: { type: 'string', maxLength: 200, raw: true },
+  points: POINTS,
+  scoring_mode: { type: 'string', maxLength: 20 },
+  minimum_points: POINTS,
+  decay: { type: 'integer', min: 0, max: 100000 },
+  first_blood_bonus: POINTS,
+  second_blood_bonus: POINTS,
+  third_blood_bonus: POINTS,
+  time_limit_minutes: { type: 'integer', min: 0, max: 1440 },
+  is_active: { type: 'boolean' }
+};
+
+const HINT_FIELDS = {
+  puzzle_id: PUZZLE_ID,
+  hint_number: { type: 'integer', min: 1, max: 100 },
+  hint_text: { type: 'string', maxLength: 2000, raw: true },
+  time_penalty_seconds: { type: 'integer', min: 0, max: 86400 },
+  point_cost: POINTS,
+  unlock_after_seconds: { type: 'integer', min: 0, max: 86400 },
+  is_active: { type: 'boolean' }
+};
+
+const PUZZLE_ID_BODY = { body: { puzzle_id: PUZZLE_ID } };
+
+const ROUTE_SCHEMAS = {
+  // Auth
+  'POST /api/auth/register': {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email: { type: 'email' },
+      password: { type: 'string', maxLength: 128, raw: true },
+      teamName: { type: 'string', maxLength: 50 },
+      members: { type: 'array', maxLength: 10 }
+    }
+  },
+  'POST /api/auth/login': {
+    body: {
+      email: { type: 'email' },
+      password: { type: 'string', maxLength: 128, raw: true }
+    }
+  },
+  'POST /api/auth/verify-2fa': {
+    body: {
+      userId: { type: 'string', maxLength: 64 },
+      otp: { type: 'string', maxLength: 10 },
+      challenge: { type: 'string', maxLength: 1000 },
+      recoveryCode: { type: 'string', maxLength: 20 }
+    }
+  },
+  'POST /api/auth/reset-password': {
+    body: {
+      userId: { type: 'string', maxLength: 64 },
+      otp: { type: 'string', maxLength: 10 },
+      newPassword: { type: 'string', maxLength: 128, raw: true }
+    }
+  },
+  'POST /api/auth/unlock-account': { body: { token: { type: 'string', maxLength: 128 } } },
+
+  // Team gameplay
+  'POST /api/gameplay/puzzle/submit': {
+    body: { puzzle_id: PUZZLE_ID, answer: ANSWER }
+  },
+  'POST /api/gameplay/puzzle/hint': PUZZLE_ID_BODY,
+  'POST /api/gameplay/inventory': {
+    body: {
+      item_type: { type: 'string', maxLength: 50 },
+      item_name: { type: 'string', maxLength: 100 },
+      item_value: { type: 'string', maxLength: 1000, raw: true },
+      puzzle_id: PUZZLE_ID
+    }
+  },
+  'PUT /api/team/name': {
+    body: { teamName: { type: 'string', maxLength: 50 } }
+  },
+  'POST /api/team/2fa': {
+    body: {
+      enabled: { type: 'boolean' },
+      method: { type: 'string', enum: ['email', 'totp'] },
+      code: { type: 'string', maxLength: 10 },
+      recoveryCode: { type: 'string', maxLength: 20 }
+    }
+  },
+  'POST /api/team/2fa/recovery-codes': { body: { code: { type: 'string', maxLength: 10 } } },
+  'POST /api/team/invites': { body: { email: { type: 'email' } } },
+  'POST /api/team/invites/code': {
+    body: {
+      expires_in_hours: { type: 'integer', min: 1, max: 168 },
+      max_uses: { type: 'integer', min: 1, max: 50 }
+    }
+  },
+  'POST /api/team/join': {
+    body: {
+      token: { type: 'string', maxLength: 64 },
+      code: { type: 'string', maxLength: 20 },
+      email: { type: 'email' },
+      name: { type: 'string', maxLength: 100 },
+      password: { type: 'string', maxLength: 128, raw: true }
+    }
+  },
+
+  // Puzzle management
+  'POST /api/puzzles': { body: PUZZLE_FIELDS },
+  'PUT /api/puzzles/:id': { body: PUZZLE_FIELDS },
+  'POST /api/puzzles/hints': { body: HINT_FIELDS },
+  'PUT /api/puzzles/hints/:id': { body: HINT_FIELDS },
+  'POST /api/puzzles/import': {
+    // Pack files are parsed and validated field by field in puzzlePackService
+    body: { content: { type: 'string', maxLength: 5 * 1024 * 1024, raw: true } },
+    query: { dry_run: { type: 'boolean' } }
+  },
+
+  // Game control
+  'POST /api/game/broadcast': {
+    body: {
+      message: { type: 'string', maxLength: 500, raw: true },
+      message_type: { type: 'string', maxLength: 20 },
+      expires_in_minutes: { type: 'integer', min: 1, max: 1440 }
+    }
+  },
+  'PUT /api/game/schedule': { body: { steps: { type: 'array', maxLength: 50 } } },
+  'PUT /api/game/leaderboard/freeze': { body: { freeze_at: { type: 'date' } } },
+  'POST /api/admin/notifications/broadcast': {
+    body: {
+      title: { type: 'string', maxLength: 200 },
+      message: { type: 'string', maxLength: 1000, raw: true },
+      priority: { type: 'string', enum: ['low', 'normal', 'high', 'urgent'] }
+    }
+  },
+
+  // Admin accounts
+  'POST /api/admin/admins': {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email: { type: 'email' },
+      password: { type: 'string', maxLength: 128, raw: true },
+      adminRole: { type: 'string', enum: ADMIN_ROLES }
+    }
+  },
+  'PUT /api/admin/admins/:id/role': { body: { adminRole: { type: 'string', enum: ADMIN_ROLES } } },
+  'POST /api/admin/team/:teamId/time-adjustments': {
+    body: {
+      level: { type: 'integer', min: 1, max: 1000 },
+      adjustment_type: { type: 'string', enum: ['extension', 'penalty'] },
+      seconds: { type: 'integer', min: -86400, max: 86400 },
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  // Time tracking
+  'POST /api/game/time/start-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/pause-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/resume-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/complete-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/skip-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/unskip-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/go-to-question': PUZZLE_ID_BODY,
+  'POST /api/game/time/sync-timer': PUZZLE_ID_BODY
+};
+
+/**
+ * Compile "METHOD /path/:param" keys into matchers once at load time
+ */
+const compiled = Object.entries(ROUTE_SCHEMAS).map(([route, schema]) => {
+  const [method, path] = route.split(' ');
+  const pattern = path
+    .split('/')
+    .map(part => (part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return { method, regex: new RegExp(`^${pattern}/?$`), schema };
+});
+
+/**
+ * Find the schema declared for a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without the query string
+ * @returns {object|null} { body, query } or null if the route has no schema
+ */
+function getRouteSchema(method, path) {
+  const match = compiled.find(entry => entry.method === method && entry.regex.test(path));
+  return match ? match.schema : null;
+}
+
+module.exports = {
+  ROUTE_SCHEMAS,
+  getRouteSchema
+};
@@ -26,6 +26,8 @@ const LiveMonitoring = lazy(() => import("./pages/LiveMonitoring"));
 const Results = lazy(() => import("./pages/Results"));
 const ForgotPassword = lazy(() => import("./pages/ForgotPassword"));
 const ResetPassword = lazy(() => import("./pages/ResetPassword"));
+const JoinTeam = lazy(() => import("./pages/JoinTeam"));
+const UnlockAccount = lazy(() => import("./pages/UnlockAccount"));
 const TeamMembers = lazy(() => import("./pages/TeamMembers"));
 
 // Loading fallback component
@@ -82,6 +84,8 @@ const App = () => (
             <Route path="/admin-login" element={<AdminLogin />} />
             <Route path="/forgot-password" element={<ForgotPassword />} />
             <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/join" element={<JoinTeam />} />
+            <Route path="/unlock-account" element={<UnlockAccount />} />
             
             {/* Protected routes - any authenticated user */}
             <Route path="/leaderboard" element={
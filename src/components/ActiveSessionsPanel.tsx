@@ -0,0 +1,100 @@
+/**
+ * ActiveSessionsPanel Component
+ * Lists the devices signed in to the current account and lets the user sign
+ * them out, e.g. a shared laptop left logged in at the venue.
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Laptop, LogOut, ShieldOff } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { TerminalCard } from '@/components/TerminalCard';
+import { fetchWithAuth, getTimeAgo } from '@/lib/api';
+import type { UserSession } from '@/types/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+export function ActiveSessionsPanel() {
+  const queryClient = useQueryClient();
+
+  const { data: sessions, isError } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/auth/sessions`);
+      if (!response.ok) throw new Error('Failed to fetch sessions');
+      const data = await response.json();
+      return data.sessions as UserSession[];
+    },
+    refetchInterval: 60000,
+  });
+
+  const revoke = useMutation({
+    mutationFn: async (sessionId: string | null) => {
+      const url = sessionId ? `${API_BASE}/auth/sessions/${sessionId}` : `${API_BASE}/auth/sessions`;
+      const response = await fetchWithAuth(url, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to revoke session');
+      return data;
+    },
+    onSuccess: (data: { message: string }) => {
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast.success(data.message);
+    },
+    onError: (error: Error) => {
+      toast.error(error.message);
+    },
+  });
+
+  // Backends without the session registry have nothing to show
+  if (isError || !sessions) return null;
+
+  const others = sessions.filter((session) => !session.current);
+
+  return (
+    <TerminalCard title="ACTIVE SESSIONS" status="active">
+      <div className="space-y-3">
+        {sessions.map((session) => (
+          <div key={session.id} className="flex items-start justify-between gap-2 text-sm">
+            <div className="flex items-start gap-2 min-w-0">
+              <Laptop className="w-4 h-4 mt-0.5 text-muted-foreground flex-shrink-0" />
+              <div className="min-w-0">
+                <div className="truncate">
+                  {session.device}
+                  {session.current && <span className="ml-2 text-xs text-primary">(this device)</span>}
+                </div>
+                <div className="text-xs text-muted-foreground truncate">
+                  {session.ipAddress || 'unknown IP'} · active {getTimeAgo(session.lastSeenAt)}
+                </div>
+              </div>
+            </div>
+            {!session.current && (
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-7 w-7 flex-shrink-0"
+                title="Sign out this device"
+                onClick={() => revoke.mutate(session.id)}
+                disabled={revoke.isPending}
+              >
+                <LogOut className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        ))}
+
+        {others.length > 0 && (
+          <Button
+            variant="outline"
+            size="sm"
+            className="w-full gap-2"
+            onClick={() => revoke.mutate(null)}
+            disabled={revoke.isPending}
+          >
+            <ShieldOff className="w-4 h-4" />
+            Sign out other devices
+          </Button>
+        )}
+      </div>
+    </TerminalCard>
+  );
+}
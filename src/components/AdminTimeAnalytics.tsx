@@ -43,6 +43,7 @@ import {
   CollapsibleTrigger,
 } from '@/components/ui/collapsible';
 import { cn } from '@/lib/utils';
+import { useRealtimeQuery } from '@/hooks/useRealtime';
 
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
@@ -108,6 +109,8 @@ export function AdminTimeAnalytics() {
     return `${mins}:${String(secs).padStart(2, '0')}`;
   };
   
+  const refetchInterval = useRealtimeQuery(['adminTeamTimings'], ['session'], 10000);
+
   // Fetch team timings
   const { data, isLoading, refetch, isFetching } = useQuery({
     queryKey: ['adminTeamTimings'],
@@ -117,7 +120,7 @@ export function AdminTimeAnalytics() {
       if (!response.ok) throw new Error('Failed to fetch team timings');
       return response.json();
     },
-    refetchInterval: 10000, // Auto-refresh every 10 seconds
+    refetchInterval, // Pushed over the realtime stream; polls every 10s if it drops
   });
   
   const teams: TeamTiming[] = data?.teams || [];
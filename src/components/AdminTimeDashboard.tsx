@@ -20,7 +20,8 @@ import {
   Play,
   ChevronDown,
   ChevronUp,
-  RefreshCw
+  RefreshCw,
+  History
 } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -41,8 +42,23 @@ import {
   CollapsibleContent,
   CollapsibleTrigger,
 } from "@/components/ui/collapsible";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { cn } from "@/lib/utils";
-import { useAdminTeamTimings, useQuestionAnalytics, useGameSettings } from "@/hooks/useTimeTracking";
+import { useToast } from "@/hooks/use-toast";
+import {
+  useAdminTeamTimings,
+  useQuestionAnalytics,
+  useGameSettings,
+  useTeamTimeReplay,
+  useTeamTimeAdjustments,
+  type TimeAdjustmentType,
+} from "@/hooks/useTimeTracking";
 
 /**
  * Format seconds to HH:MM:SS
@@ -183,6 +199,8 @@ const AdminStatsOverview = () => {
 const TeamTimingsTable = () => {
   const { data, isLoading, error, refetch, isRefetching } = useAdminTeamTimings();
   const [expandedTeam, setExpandedTeam] = useState<string | null>(null);
+  const [replayTeam, setReplayTeam] = useState<string | null>(null);
+  const [adjustTeam, setAdjustTeam] = useState<string | null>(null);
 
   return (
     <Card className="border-border">
@@ -295,7 +313,29 @@ const TeamTimingsTable = () => {
                       <span className="text-muted-foreground">
                         Hints: <span className="text-blue-400 font-semibold">{team.hintsUsed || 0}</span>
                       </span>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="ml-auto font-terminal h-7"
+                        onClick={() => setAdjustTeam(adjustTeam === team.teamId ? null : team.teamId)}
+                      >
+                        <Timer className="w-3 h-3 mr-1" />
+                        {adjustTeam === team.teamId ? 'Hide Adjustments' : 'Adjust Time'}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="font-terminal h-7"
+                        onClick={() => setReplayTeam(replayTeam === team.teamId ? null : team.teamId)}
+                      >
+                        <History className="w-3 h-3 mr-1" />
+                        {replayTeam === team.teamId ? 'Hide Replay' : 'Replay Events'}
+                      </Button>
                     </div>
+                    {adjustTeam === team.teamId && (
+                      <TeamTimeAdjustments teamId={team.teamId} defaultLevel={team.level || 1} />
+                    )}
+                    {replayTeam === team.teamId && <TeamTimeReplay teamId={team.teamId} />}
                   </div>
                 </CollapsibleContent>
               </Collapsible>
@@ -313,6 +353,221 @@ const TeamTimingsTable = () => {
   );
 };
 
+/**
+ * Time Adjustments
+ * Grants a team extra time on a level (extension) or changes its effective
+ * time (penalty; negative minutes credit time back), with a required reason
+ */
+const TeamTimeAdjustments = ({ teamId, defaultLevel }: { teamId: string; defaultLevel: number }) => {
+  const { toast } = useToast();
+  const { data, isLoading, grantAdjustment, isGranting } = useTeamTimeAdjustments(teamId);
+  const [level, setLevel] = useState(String(defaultLevel));
+  const [type, setType] = useState<TimeAdjustmentType>('extension');
+  const [minutes, setMinutes] = useState('5');
+  const [reason, setReason] = useState('');
+
+  const seconds = Math.round(Number(minutes) * 60);
+  const canSubmit = Number(level) >= 1 && Number.isFinite(seconds) && seconds !== 0 && reason.trim() !== '';
+
+  const handleGrant = async () => {
+    try {
+      const result = await grantAdjustment({
+        level: Number(level),
+        adjustment_type: type,
+        seconds,
+        reason: reason.trim(),
+      });
+      toast({ title: 'Time adjusted', description: result.message });
+      setReason('');
+    } catch (err) {
+      toast({ title: 'Error', description: (err as Error).message, variant: 'destructive' });
+    }
+  };
+
+  const formatSigned = (value: number) => `${value < 0 ? '-' : '+'}${formatTime(Math.abs(value))}`;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-border space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <div className="space-y-1">
+          <Label className="text-xs font-terminal">Level</Label>
+          <Input type="number" min={1} value={level} onChange={(e) => setLevel(e.target.value)} className="h-8" />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs font-terminal">Type</Label>
+          <Select value={type} onValueChange={(value) => setType(value as TimeAdjustmentType)}>
+            <SelectTrigger className="h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="extension">Time limit extension</SelectItem>
+              <SelectItem value="penalty">Time penalty / credit</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-xs font-terminal">Minutes</Label>
+          <Input type="number" step="0.5" value={minutes} onChange={(e) => setMinutes(e.target.value)} className="h-8" />
+        </div>
+        <div className="space-y-1 col-span-2 md:col-span-1">
+          <Label className="text-xs font-terminal">Reason</Label>
+          <Input
+            value={reason}
+            maxLength={500}
+            placeholder="e.g. Power cut at table 4"
+            onChange={(e) => setReason(e.target.value)}
+            className="h-8"
+          />
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {type === 'extension'
+          ? 'Adds to the level time limit for this team.'
+          : 'Adds to the team\'s effective time; use negative minutes to credit time back.'}
+      </p>
+      <Button size="sm" className="font-terminal" onClick={handleGrant} disabled={!canSubmit || isGranting}>
+        {isGranting ? 'Saving...' : 'Grant Adjustment'}
+      </Button>
+
+      {isLoading ? (
+        <div className="h-10 bg-muted animate-pulse rounded" />
+      ) : data && data.adjustments.length > 0 ? (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="font-terminal">When</TableHead>
+              <TableHead className="font-terminal">Level</TableHead>
+              <TableHead className="font-terminal">Type</TableHead>
+              <TableHead className="font-terminal">Time</TableHead>
+              <TableHead className="font-terminal">Reason</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {data.adjustments.map((adjustment) => (
+              <TableRow key={adjustment.id}>
+                <TableCell className="font-terminal text-xs">{new Date(adjustment.created_at).toLocaleTimeString()}</TableCell>
+                <TableCell className="font-terminal">{adjustment.level}</TableCell>
+                <TableCell className="font-terminal text-xs">{adjustment.adjustment_type}</TableCell>
+                <TableCell className="font-terminal">{formatSigned(adjustment.seconds)}</TableCell>
+                <TableCell className="text-xs truncate max-w-48">{adjustment.reason}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : (
+        <p className="text-sm text-muted-foreground">No adjustments granted</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Event Replay
+ * Rebuilds a team's times from the event log and lists where the stored
+ * values differ, for settling time disputes
+ */
+const TeamTimeReplay = ({ teamId }: { teamId: string }) => {
+  const { toast } = useToast();
+  const { data, isLoading, error, applyReplay, isApplying } = useTeamTimeReplay(teamId);
+
+  if (isLoading) {
+    return <div className="mt-3 h-16 bg-muted animate-pulse rounded" />;
+  }
+
+  if (error || !data) {
+    return (
+      <p className="mt-3 text-sm text-red-400 font-terminal">Failed to replay events</p>
+    );
+  }
+
+  const titleOf = (puzzleId?: string) =>
+    (puzzleId && data.puzzle_titles[puzzleId]) || puzzleId?.slice(0, 8) || 'Session';
+  const formatValue = (diff: { field: string; stored: number | string; replayed: number | string }) =>
+    diff.field.endsWith('_seconds')
+      ? [formatTime(Number(diff.stored)), formatTime(Number(diff.replayed))]
+      : [String(diff.stored), String(diff.replayed)];
+  const diffs = [...data.diffs.questions, ...data.diffs.session];
+  const { session } = data.replayed;
+
+  const handleApply = async () => {
+    try {
+      const result = await applyReplay(undefined);
+      toast({
+        title: 'Times corrected',
+        description: `${result.applied.length} value(s) replaced with the replayed times.`,
+      });
+    } catch (err) {
+      toast({ title: 'Error', description: (err as Error).message, variant: 'destructive' });
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-border space-y-3">
+      <div className="flex flex-wrap gap-4 text-xs text-muted-foreground font-terminal">
+        <span>{data.event_count} events</span>
+        <span>Active {formatTime(session.total_time_seconds)}</span>
+        <span>Penalties {formatTime(session.total_penalty_seconds)}</span>
+        <span>Pauses {session.pause_count}</span>
+        <span>Disconnects {session.disconnects}</span>
+      </div>
+
+      {diffs.length === 0 ? (
+        <p className="text-sm text-toxic-green font-terminal flex items-center gap-1">
+          <CheckCircle className="w-4 h-4" />
+          Stored times match the event log
+        </p>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="font-terminal">Question</TableHead>
+              <TableHead className="font-terminal">Field</TableHead>
+              <TableHead className="font-terminal">Stored</TableHead>
+              <TableHead className="font-terminal">Replayed</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {diffs.map((diff, idx) => {
+              const [stored, replayed] = formatValue(diff);
+              return (
+                <TableRow key={idx}>
+                  <TableCell className="font-terminal truncate max-w-32">{titleOf(diff.puzzle_id)}</TableCell>
+                  <TableCell className="font-terminal text-xs">{diff.field}</TableCell>
+                  <TableCell className="font-terminal text-red-400">{stored}</TableCell>
+                  <TableCell className="font-terminal text-toxic-green">{replayed}</TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      )}
+
+      {data.anomalies.length > 0 && (
+        <div className="text-xs text-yellow-400 font-terminal space-y-1">
+          {data.anomalies.map((anomaly, idx) => (
+            <p key={idx} className="flex items-center gap-1">
+              <AlertCircle className="w-3 h-3" />
+              {titleOf(anomaly.puzzle_id)}: {anomaly.type.replace(/_/g, ' ')} at {new Date(anomaly.at).toLocaleTimeString()}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {diffs.length > 0 && (
+        <Button
+          size="sm"
+          variant="destructive"
+          className="font-terminal"
+          onClick={handleApply}
+          disabled={isApplying}
+        >
+          {isApplying ? 'Applying...' : 'Apply Replayed Times'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
 /**
  * Question Analytics Panel
  */
@@ -94,6 +94,7 @@ export function EnhancedPuzzleTimer({
   // Interval ref for timer
   const intervalRef = useRef<NodeJS.Timeout | null>(null);
   const syncIntervalRef = useRef<NodeJS.Timeout | null>(null);
+  const heartbeatTimeoutRef = useRef<NodeJS.Timeout | null>(null);
   const timeUpFiredRef = useRef(false);
   
   // Format time helper
@@ -145,7 +146,54 @@ export function EnhancedPuzzleTimer({
       }
     };
   }, [syncWithServer]);
-  
+
+  // Heartbeat: the server pauses the timer after a few missed beats
+  // and resumes it on the first beat after reconnecting
+  useEffect(() => {
+    let cancelled = false;
+    let inFlight = false;
+    let intervalSeconds = 15;
+
+    const sendHeartbeat = async () => {
+      inFlight = true;
+      try {
+        const response = await fetchWithAuth(`${API_BASE}/game/time/heartbeat`, { method: 'POST' });
+        if (!response.ok) return;
+        const data = await response.json();
+        if (data.interval_seconds) intervalSeconds = data.interval_seconds;
+        if (data.resumed && !cancelled) {
+          syncWithServer();
+          toast({
+            title: 'Reconnected',
+            description: 'Your timer was paused while you were offline and has resumed.',
+          });
+        }
+      } catch {
+        // Offline; the next beat reports back when the connection returns
+      } finally {
+        inFlight = false;
+        if (!cancelled) heartbeatTimeoutRef.current = setTimeout(sendHeartbeat, intervalSeconds * 1000);
+      }
+    };
+
+    const handleOnline = () => {
+      if (inFlight) return;
+      if (heartbeatTimeoutRef.current) clearTimeout(heartbeatTimeoutRef.current);
+      sendHeartbeat();
+    };
+
+    sendHeartbeat();
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', handleOnline);
+      if (heartbeatTimeoutRef.current) {
+        clearTimeout(heartbeatTimeoutRef.current);
+      }
+    };
+  }, [syncWithServer, toast]);
+
   // Local timer increment (for smooth display)
   useEffect(() => {
     if (isRunning) {
@@ -0,0 +1,344 @@
+/**
+ * GameSchedulePanel Component
+ * Lets admins plan the game timeline (start, close submissions, evaluate,
+ * publish, unlock, end) so phases run automatically at set times.
+ */
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { CalendarClock, Plus, Trash2, RotateCcw, SkipForward, Save } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { fetchWithAuth } from '@/lib/api';
+import { useLevels } from '@/hooks/useLevels';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+type ScheduleAction =
+  | 'start_game'
+  | 'close_submissions'
+  | 'evaluate'
+  | 'publish_results'
+  | 'unlock_level'
+  | 'end_game';
+
+interface ScheduleStep {
+  id: string;
+  action: ScheduleAction;
+  level: number | null;
+  run_at: string;
+  status: 'pending' | 'done' | 'failed' | 'skipped';
+  executed_at: string | null;
+  result: string | null;
+}
+
+interface GameSchedule {
+  created_by: string;
+  created_at: string;
+  steps: ScheduleStep[];
+}
+
+interface DraftStep {
+  action: ScheduleAction;
+  level: string;
+  run_at: string;
+}
+
+const ACTION_LABELS: Record<ScheduleAction, string> = {
+  start_game: 'Start game',
+  close_submissions: 'Close submissions',
+  evaluate: 'Evaluate answers',
+  publish_results: 'Publish results',
+  unlock_level: 'Unlock level',
+  end_game: 'End game',
+};
+
+const LEVEL_ACTIONS: ScheduleAction[] = ['close_submissions', 'evaluate', 'publish_results', 'unlock_level'];
+
+const STATUS_STYLES: Record<ScheduleStep['status'], string> = {
+  pending: 'bg-zinc-500/20 text-zinc-300',
+  done: 'bg-toxic-green/20 text-toxic-green',
+  failed: 'bg-red-500/20 text-red-500',
+  skipped: 'bg-yellow-500/20 text-yellow-500',
+};
+
+// datetime-local inputs work in local time without a zone suffix
+function toLocalInput(iso: string) {
+  const date = new Date(iso);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+export function GameSchedulePanel() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [draft, setDraft] = useState<DraftStep[] | null>(null);
+  const { levels } = useLevels();
+
+  const { data: schedule } = useQuery({
+    queryKey: ['gameSchedule'],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/game/schedule`);
+      if (!response.ok) throw new Error('Failed to fetch schedule');
+      const data = await response.json();
+      return (data.schedule as GameSchedule | null) ?? null;
+    },
+    refetchInterval: 15000,
+  });
+
+  const onSuccess = (title: string) => {
+    queryClient.invalidateQueries({ queryKey: ['gameSchedule'] });
+    queryClient.invalidateQueries({ queryKey: ['gameState'] });
+    toast({ title });
+  };
+
+  const onError = (error: Error) => {
+    toast({ title: 'Error', description: error.message, variant: 'destructive' });
+  };
+
+  const saveSchedule = useMutation({
+    mutationFn: async (steps: DraftStep[]) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/schedule`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          steps: steps.map((step) => ({
+            action: step.action,
+            level: LEVEL_ACTIONS.includes(step.action) ? Number(step.level) : null,
+            run_at: new Date(step.run_at).toISOString(),
+          })),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to save schedule');
+      return data;
+    },
+    onSuccess: () => {
+      setDraft(null);
+      onSuccess('Schedule saved');
+    },
+    onError,
+  });
+
+  const clearSchedule = useMutation({
+    mutationFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/game/schedule`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to clear schedule');
+      return data;
+    },
+    onSuccess: () => onSuccess('Schedule cleared'),
+    onError,
+  });
+
+  const updateStep = useMutation({
+    mutationFn: async ({ stepId, action }: { stepId: string; action: 'retry' | 'skip' }) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/schedule/steps/${stepId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to update step');
+      return data;
+    },
+    onSuccess: (_data, { action }) => onSuccess(action === 'retry' ? 'Step queued for retry' : 'Step skipped'),
+    onError,
+  });
+
+  const startEditing = () => {
+    setDraft(
+      schedule?.steps
+        .filter((step) => step.status === 'pending')
+        .map((step) => ({
+          action: step.action,
+          level: String(step.level ?? 1),
+          run_at: toLocalInput(step.run_at),
+        })) ?? []
+    );
+  };
+
+  const updateDraft = (index: number, changes: Partial<DraftStep>) => {
+    setDraft((steps) => steps?.map((step, i) => (i === index ? { ...step, ...changes } : step)) ?? null);
+  };
+
+  const addDraftStep = () => {
+    setDraft((steps) => [
+      ...(steps ?? []),
+      { action: 'start_game', level: '1', run_at: toLocalInput(new Date(Date.now() + 3600000).toISOString()) },
+    ]);
+  };
+
+  return (
+    <Card className="bg-black/40 border-toxic-green/20">
+      <CardHeader>
+        <CardTitle className="text-toxic-green flex items-center gap-2">
+          <CalendarClock className="w-5 h-5" />
+          Phase Schedule
+        </CardTitle>
+        <CardDescription>
+          Phases run automatically at their scheduled time, acting as the admin who saved the schedule.
+          A failed step pauses the timeline until it is retried or skipped.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {draft ? (
+          <>
+            {draft.length === 0 && (
+              <p className="text-sm text-zinc-500">No steps yet. Add one to build the timeline.</p>
+            )}
+            {draft.map((step, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <Select
+                  value={step.action}
+                  onValueChange={(value) => updateDraft(index, { action: value as ScheduleAction })}
+                >
+                  <SelectTrigger className="w-48">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(ACTION_LABELS) as ScheduleAction[]).map((action) => (
+                      <SelectItem key={action} value={action}>
+                        {ACTION_LABELS[action]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {LEVEL_ACTIONS.includes(step.action) && (
+                  <Select value={step.level} onValueChange={(value) => updateDraft(index, { level: value })}>
+                    <SelectTrigger className="w-28">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {levels.map((level) => (
+                        <SelectItem key={level.level_number} value={String(level.level_number)}>
+                          {level.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+                <Input
+                  type="datetime-local"
+                  value={step.run_at}
+                  onChange={(e) => updateDraft(index, { run_at: e.target.value })}
+                  className="w-56"
+                />
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => setDraft((steps) => steps?.filter((_, i) => i !== index) ?? null)}
+                >
+                  <Trash2 className="w-4 h-4 text-red-500" />
+                </Button>
+              </div>
+            ))}
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={addDraftStep}>
+                <Plus className="w-4 h-4 mr-2" />
+                Add Step
+              </Button>
+              <Button
+                onClick={() => saveSchedule.mutate(draft)}
+                disabled={draft.length === 0 || saveSchedule.isPending}
+                className="bg-toxic-green text-black hover:bg-toxic-green/90"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                Save Schedule
+              </Button>
+              <Button variant="ghost" onClick={() => setDraft(null)}>
+                Cancel
+              </Button>
+            </div>
+          </>
+        ) : (
+          <>
+            {!schedule || schedule.steps.length === 0 ? (
+              <p className="text-sm text-zinc-500">No phases scheduled. All phases are controlled manually.</p>
+            ) : (
+              <div className="space-y-2">
+                {schedule.steps.map((step) => (
+                  <div
+                    key={step.id}
+                    className="flex flex-wrap items-center justify-between gap-2 p-3 border border-zinc-800 rounded-lg"
+                  >
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">
+                          {ACTION_LABELS[step.action]}
+                          {step.level ? ` (${levels.find((l) => l.level_number === step.level)?.name ?? `Level ${step.level}`})` : ''}
+                        </span>
+                        <Badge className={STATUS_STYLES[step.status]}>{step.status}</Badge>
+                      </div>
+                      <p className="text-xs text-zinc-500">
+                        {new Date(step.run_at).toLocaleString()}
+                        {step.result ? ` — ${step.result}` : ''}
+                      </p>
+                    </div>
+                    {(step.status === 'failed' || step.status === 'pending') && (
+                      <div className="flex gap-2">
+                        {step.status === 'failed' && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => updateStep.mutate({ stepId: step.id, action: 'retry' })}
+                            disabled={updateStep.isPending}
+                          >
+                            <RotateCcw className="w-3 h-3 mr-1" />
+                            Retry
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => updateStep.mutate({ stepId: step.id, action: 'skip' })}
+                          disabled={updateStep.isPending}
+                        >
+                          <SkipForward className="w-3 h-3 mr-1" />
+                          Skip
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={startEditing}>
+                <CalendarClock className="w-4 h-4 mr-2" />
+                {schedule?.steps.length ? 'Edit Schedule' : 'Create Schedule'}
+              </Button>
+              {schedule && schedule.steps.length > 0 && (
+                <Button
+                  variant="ghost"
+                  onClick={() => clearSchedule.mutate()}
+                  disabled={clearSchedule.isPending}
+                  className="text-red-500"
+                >
+                  <Trash2 className="w-4 h-4 mr-2" />
+                  Clear
+                </Button>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
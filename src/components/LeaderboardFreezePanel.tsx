@@ -0,0 +1,147 @@
+/**
+ * LeaderboardFreezePanel Component
+ * Freezes the scoreboard for the last minutes of the event. Teams and the
+ * public leaderboard keep the frozen standings until an admin reveals them.
+ */
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Snowflake, Eye, CalendarClock, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { useToast } from '@/hooks/use-toast';
+import { fetchWithAuth } from '@/lib/api';
+import type { LeaderboardFreeze } from '@/types/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+export function LeaderboardFreezePanel() {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [freezeAt, setFreezeAt] = useState('');
+
+  const { data: freeze } = useQuery({
+    queryKey: ['leaderboardFreeze'],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/game/leaderboard/freeze`);
+      if (!response.ok) throw new Error('Failed to fetch leaderboard freeze');
+      const data = await response.json();
+      return data.freeze as LeaderboardFreeze;
+    },
+    refetchInterval: 15000,
+  });
+
+  const onSuccess = (data: { message: string }) => {
+    queryClient.invalidateQueries({ queryKey: ['leaderboardFreeze'] });
+    queryClient.invalidateQueries({ queryKey: ['leaderboard'] });
+    setFreezeAt('');
+    toast({ title: data.message });
+  };
+
+  const onError = (error: Error) => {
+    toast({ title: 'Error', description: error.message, variant: 'destructive' });
+  };
+
+  const freezeBoard = useMutation({
+    mutationFn: async (at: string | null) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/leaderboard/freeze`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ freeze_at: at ? new Date(at).toISOString() : null }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to freeze leaderboard');
+      return data;
+    },
+    onSuccess,
+    onError,
+  });
+
+  const unfreezeBoard = useMutation({
+    mutationFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/game/leaderboard/freeze`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || 'Failed to unfreeze leaderboard');
+      return data;
+    },
+    onSuccess,
+    onError,
+  });
+
+  const scheduled = !freeze?.frozen && !!freeze?.freezeAt;
+  const isPending = freezeBoard.isPending || unfreezeBoard.isPending;
+
+  return (
+    <Card className="bg-black/40 border-blue-400/20">
+      <CardHeader>
+        <CardTitle className="text-blue-400 flex items-center gap-2">
+          <Snowflake className="w-5 h-5" />
+          Scoreboard Freeze
+        </CardTitle>
+        <CardDescription>
+          While frozen, teams and the public leaderboard see the standings from when the freeze started.
+          Admins always see live standings. Unfreezing reveals the final order with an animation.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center gap-2 text-sm">
+          {freeze?.frozen ? (
+            <Badge className="bg-blue-400/20 text-blue-300">
+              Frozen since {new Date(freeze.frozenAt ?? freeze.freezeAt ?? Date.now()).toLocaleTimeString()}
+            </Badge>
+          ) : scheduled ? (
+            <Badge className="bg-yellow-500/20 text-yellow-500">
+              Freezes at {new Date(freeze.freezeAt!).toLocaleString()}
+            </Badge>
+          ) : (
+            <Badge className="bg-toxic-green/20 text-toxic-green">Live</Badge>
+          )}
+        </div>
+
+        {freeze?.frozen || scheduled ? (
+          <Button
+            onClick={() => unfreezeBoard.mutate()}
+            disabled={isPending}
+            className="bg-blue-500 text-white hover:bg-blue-600"
+          >
+            {freeze?.frozen ? <Eye className="w-4 h-4 mr-2" /> : <X className="w-4 h-4 mr-2" />}
+            {freeze?.frozen ? 'Unfreeze & Reveal' : 'Cancel Scheduled Freeze'}
+          </Button>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2">
+            <Button
+              onClick={() => freezeBoard.mutate(null)}
+              disabled={isPending}
+              className="bg-blue-500 text-white hover:bg-blue-600"
+            >
+              <Snowflake className="w-4 h-4 mr-2" />
+              Freeze Now
+            </Button>
+            <Input
+              type="datetime-local"
+              value={freezeAt}
+              onChange={(e) => setFreezeAt(e.target.value)}
+              className="w-56"
+            />
+            <Button
+              variant="outline"
+              onClick={() => freezeBoard.mutate(freezeAt)}
+              disabled={!freezeAt || isPending}
+            >
+              <CalendarClock className="w-4 h-4 mr-2" />
+              Schedule Freeze
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -5,6 +5,7 @@ import { Trophy, TrendingUp, TrendingDown, Minus, Clock, Lightbulb, Target } fro
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { cn } from '@/lib/utils';
 import { fetchWithAuth } from '@/lib/api';
+import { useRealtimeQuery } from '@/hooks/useRealtime';
 
 interface LeaderboardEntry {
   rank: number;
@@ -14,6 +15,7 @@ interface LeaderboardEntry {
   status: string;
   progress: number;
   puzzlesSolved: number;
+  totalScore: number;
   hintsUsed: number;
   totalTimeSeconds: number;
   effectiveTime: number;
@@ -41,10 +43,12 @@ const formatTime = (seconds: number): string => {
 export const LeaderboardPanel = ({ currentTeamId }: { currentTeamId?: string }) => {
   const [previousRanks, setPreviousRanks] = useState<Record<string, number>>({});
 
+  const refetchInterval = useRealtimeQuery(['live-leaderboard'], ['leaderboard'], 5000);
+
   const { data: leaderboard, isLoading } = useQuery({
     queryKey: ['live-leaderboard'],
     queryFn: fetchLeaderboard,
-    refetchInterval: 5000, // Auto-refresh every 5 seconds
+    refetchInterval, // Pushed over the realtime stream; polls every 5s if it drops
     staleTime: 2000,
   });
 
@@ -150,6 +154,11 @@ export const LeaderboardPanel = ({ currentTeamId }: { currentTeamId?: string })
 
               {/* Stats */}
               <div className="flex items-center gap-4">
+                {/* Score */}
+                <div className="text-right">
+                  <span className="font-mono text-sm text-primary">{entry.totalScore ?? 0} pts</span>
+                </div>
+
                 {/* Puzzles Solved */}
                 <div className="text-right">
                   <div className="flex items-center gap-1 text-sm">
@@ -45,7 +45,8 @@ interface EvaluationStatus {
 }
 
 interface LevelEvaluationPanelProps {
-  level: 1 | 2;
+  level: number;
+  levelName?: string;
   evaluationStatus: EvaluationStatus | undefined;
   onCloseSubmissions: () => void;
   onReopenSubmissions: () => void;
@@ -58,6 +59,7 @@ interface LevelEvaluationPanelProps {
 
 export function LevelEvaluationPanel({
   level,
+  levelName = `Level ${level}`,
   evaluationStatus,
   onCloseSubmissions,
   onReopenSubmissions,
@@ -92,18 +94,18 @@ export function LevelEvaluationPanel({
         <CardHeader>
           <CardTitle className={`${colors.text} flex items-center gap-2`}>
             <Lock className="w-5 h-5" />
-            Level {level} Evaluation
+            {levelName} Evaluation
           </CardTitle>
         </CardHeader>
         <CardContent>
           <div className="p-6 border border-zinc-700 rounded-lg bg-zinc-900/50">
             <div className="flex items-center gap-3 mb-2">
               <Lock className="w-6 h-6 text-zinc-500" />
-              <h3 className="text-lg font-semibold text-zinc-400">Level {level} Not Unlocked</h3>
+              <h3 className="text-lg font-semibold text-zinc-400">{levelName} Not Unlocked</h3>
             </div>
             <p className="text-zinc-500">
-              {level === 2 
-                ? 'Complete and publish Level 1 results before accessing Level 2 evaluation.'
+              {level > 1
+                ? `Publish the previous level's results and unlock ${levelName} before evaluating it.`
                 : 'This level is currently locked.'}
             </p>
           </div>
@@ -117,10 +119,10 @@ export function LevelEvaluationPanel({
       <CardHeader>
         <CardTitle className={`${colors.text} flex items-center gap-2`}>
           <ClipboardCheck className="w-5 h-5" />
-          Level {level} Evaluation
+          {levelName} Evaluation
         </CardTitle>
         <CardDescription>
-          Independent evaluation controls for Level {level}
+          Independent evaluation controls for {levelName}
         </CardDescription>
       </CardHeader>
       <CardContent className="space-y-4">
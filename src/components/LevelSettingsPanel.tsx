@@ -0,0 +1,279 @@
+/**
+ * LevelSettingsPanel Component
+ * Admin editor for the event's levels: name, time limit, unlock rule and
+ * qualification cutoffs. Levels can be added for events with more rounds.
+ */
+
+import { useState } from 'react';
+import { Layers, Plus, Save, Trash2, Pencil, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useToast } from '@/hooks/use-toast';
+import { useLevels, useLevelMutations, type Level, type UnlockRule } from '@/hooks/useLevels';
+
+const UNLOCK_RULE_LABELS: Record<UnlockRule, string> = {
+  manual: 'Admin unlocks',
+  after_previous_results: 'After previous results',
+};
+
+interface LevelDraft {
+  level_number: string;
+  name: string;
+  time_limit_minutes: string;
+  unlock_rule: UnlockRule;
+  min_score: string;
+  min_accuracy: string;
+  min_questions_correct: string;
+}
+
+function toDraft(level?: Level, nextNumber = 1): LevelDraft {
+  return {
+    level_number: String(level?.level_number ?? nextNumber),
+    name: level?.name ?? `Level ${nextNumber}`,
+    time_limit_minutes: String(level?.time_limit_minutes ?? 60),
+    unlock_rule: level?.unlock_rule ?? 'manual',
+    min_score: String(level?.cutoffs?.min_score ?? 0),
+    min_accuracy: String(level?.cutoffs?.min_accuracy ?? 0),
+    min_questions_correct: String(level?.cutoffs?.min_questions_correct ?? 0),
+  };
+}
+
+function LevelFields({ draft, onChange, isNew }: {
+  draft: LevelDraft;
+  onChange: (changes: Partial<LevelDraft>) => void;
+  isNew: boolean;
+}) {
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+      {isNew && (
+        <div>
+          <Label className="text-xs">Level #</Label>
+          <Input
+            type="number"
+            min={1}
+            value={draft.level_number}
+            onChange={(e) => onChange({ level_number: e.target.value })}
+          />
+        </div>
+      )}
+      <div>
+        <Label className="text-xs">Name</Label>
+        <Input value={draft.name} onChange={(e) => onChange({ name: e.target.value })} />
+      </div>
+      <div>
+        <Label className="text-xs">Time limit (min)</Label>
+        <Input
+          type="number"
+          min={1}
+          value={draft.time_limit_minutes}
+          onChange={(e) => onChange({ time_limit_minutes: e.target.value })}
+        />
+      </div>
+      <div>
+        <Label className="text-xs">Unlock rule</Label>
+        <Select value={draft.unlock_rule} onValueChange={(value) => onChange({ unlock_rule: value as UnlockRule })}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {(Object.keys(UNLOCK_RULE_LABELS) as UnlockRule[]).map((rule) => (
+              <SelectItem key={rule} value={rule}>
+                {UNLOCK_RULE_LABELS[rule]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <div>
+        <Label className="text-xs">Cutoff: min score</Label>
+        <Input
+          type="number"
+          min={0}
+          value={draft.min_score}
+          onChange={(e) => onChange({ min_score: e.target.value })}
+        />
+      </div>
+      <div>
+        <Label className="text-xs">Cutoff: min accuracy %</Label>
+        <Input
+          type="number"
+          min={0}
+          max={100}
+          value={draft.min_accuracy}
+          onChange={(e) => onChange({ min_accuracy: e.target.value })}
+        />
+      </div>
+      <div>
+        <Label className="text-xs">Cutoff: min correct</Label>
+        <Input
+          type="number"
+          min={0}
+          value={draft.min_questions_correct}
+          onChange={(e) => onChange({ min_questions_correct: e.target.value })}
+        />
+      </div>
+    </div>
+  );
+}
+
+export function LevelSettingsPanel() {
+  const { toast } = useToast();
+  const { levels } = useLevels();
+  const { createLevel, updateLevel, deleteLevel } = useLevelMutations();
+  const [editing, setEditing] = useState<number | 'new' | null>(null);
+  const [draft, setDraft] = useState<LevelDraft>(toDraft());
+
+  const nextNumber = (levels[levels.length - 1]?.level_number ?? 0) + 1;
+
+  const onError = (error: Error) => {
+    toast({ title: 'Error', description: error.message, variant: 'destructive' });
+  };
+
+  const startEditing = (level?: Level) => {
+    setDraft(toDraft(level, nextNumber));
+    setEditing(level ? level.level_number : 'new');
+  };
+
+  const save = () => {
+    const payload = {
+      name: draft.name,
+      time_limit_minutes: Number(draft.time_limit_minutes),
+      unlock_rule: draft.unlock_rule,
+      cutoffs: {
+        min_score: Number(draft.min_score),
+        min_accuracy: Number(draft.min_accuracy),
+        min_questions_correct: Number(draft.min_questions_correct),
+      },
+    };
+
+    if (editing === 'new') {
+      createLevel.mutate({ ...payload, level_number: Number(draft.level_number) }, {
+        onSuccess: () => {
+          setEditing(null);
+          toast({ title: `${draft.name} created` });
+        },
+        onError,
+      });
+      return;
+    }
+
+    if (editing !== null) {
+      updateLevel.mutate({ levelNumber: editing, changes: payload }, {
+        onSuccess: () => {
+          setEditing(null);
+          toast({ title: `${draft.name} updated` });
+        },
+        onError,
+      });
+    }
+  };
+
+  const remove = (level: Level) => {
+    deleteLevel.mutate(level.level_number, {
+      onSuccess: () => toast({ title: `${level.name} deleted` }),
+      onError,
+    });
+  };
+
+  const isSaving = createLevel.isPending || updateLevel.isPending;
+
+  return (
+    <Card className="bg-black/40 border-purple-500/20">
+      <CardHeader>
+        <CardTitle className="text-purple-500 flex items-center gap-2">
+          <Layers className="w-5 h-5" />
+          Level Settings
+        </CardTitle>
+        <CardDescription>
+          Configure how many levels the event has, their time limits, how they unlock and who qualifies.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {levels.map((level) => (
+          <div key={level.level_number} className="p-3 border border-zinc-800 rounded-lg space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex items-center gap-2">
+                <span className="font-semibold">{level.name}</span>
+                <Badge variant="outline">#{level.level_number}</Badge>
+                <Badge className={level.is_unlocked ? 'bg-toxic-green/20 text-toxic-green' : 'bg-zinc-500/20 text-zinc-300'}>
+                  {level.is_unlocked ? 'Unlocked' : 'Locked'}
+                </Badge>
+                <span className="text-xs text-zinc-500">
+                  {level.time_limit_minutes} min · {UNLOCK_RULE_LABELS[level.unlock_rule]}
+                </span>
+              </div>
+              {editing !== level.level_number && (
+                <div className="flex gap-1">
+                  <Button size="sm" variant="ghost" onClick={() => startEditing(level)}>
+                    <Pencil className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => remove(level)}
+                    disabled={deleteLevel.isPending}
+                    title="Only levels without puzzles or teams can be deleted"
+                  >
+                    <Trash2 className="w-3 h-3 text-red-500" />
+                  </Button>
+                </div>
+              )}
+            </div>
+            {editing === level.level_number && (
+              <>
+                <LevelFields draft={draft} onChange={(changes) => setDraft({ ...draft, ...changes })} isNew={false} />
+                <div className="flex gap-2">
+                  <Button size="sm" onClick={save} disabled={isSaving} className="bg-purple-500 text-white hover:bg-purple-600">
+                    <Save className="w-3 h-3 mr-1" />
+                    Save
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => setEditing(null)}>
+                    <X className="w-3 h-3 mr-1" />
+                    Cancel
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+
+        {editing === 'new' ? (
+          <div className="p-3 border border-purple-500/30 rounded-lg space-y-3">
+            <LevelFields draft={draft} onChange={(changes) => setDraft({ ...draft, ...changes })} isNew />
+            <div className="flex gap-2">
+              <Button size="sm" onClick={save} disabled={isSaving} className="bg-purple-500 text-white hover:bg-purple-600">
+                <Save className="w-3 h-3 mr-1" />
+                Create Level
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => setEditing(null)}>
+                <X className="w-3 h-3 mr-1" />
+                Cancel
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <Button variant="outline" onClick={() => startEditing()}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Level
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,12 +1,12 @@
 // src/components/ProgressiveHints.tsx
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Lightbulb, Lock, Clock, AlertTriangle, ChevronRight } from 'lucide-react';
+import { Lightbulb, Lock, Clock, AlertTriangle, ChevronRight, Coins } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { toast } from 'sonner';
-import { fetchWithAuth } from '@/lib/api';
+import { fetchWithAuth, describeHintCost } from '@/lib/api';
 import {
   AlertDialog,
   AlertDialogAction,
@@ -17,24 +17,42 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from '@/components/ui/alert-dialog';
+import { useRealtimeQuery } from '@/hooks/useRealtime';
 
 interface Hint {
   id: string;
   hint_number: number;
-  hint_text: string;
+  hint_text?: string;
   time_penalty_seconds: number;
+  point_cost: number;
   penalty_multiplier: number;
-  unlock_after_seconds: number;
+  unlock_after_seconds: number | null;
   is_used: boolean;
   isUnlocked: boolean;
+  isFree: boolean;
   canUnlock: boolean;
+  unlockAfterSeconds: number | null;
+  freeInSeconds: number | null;
+  costType: HintCostType;
   penaltySeconds: number;
+  pointCost: number;
 }
 
+type HintCostType = 'time' | 'points' | 'both' | 'none';
+
+const COST_TYPE_LABELS: Record<HintCostType, string> = {
+  time: 'time penalty',
+  points: 'point cost',
+  both: 'time penalty and point cost',
+  none: 'no penalty',
+};
+
 interface HintsData {
   hints: Hint[];
   nextHintUnlockIn: number | null;
   elapsedSeconds: number;
+  activeSeconds: number;
+  timerRunning: boolean;
   lastHintNumber: number;
 }
 
@@ -67,20 +85,47 @@ export const ProgressiveHints = ({ puzzleId, onHintUsed }: ProgressiveHintsProps
   const [selectedHint, setSelectedHint] = useState<Hint | null>(null);
   const [revealedHints, setRevealedHints] = useState<Set<string>>(new Set());
 
-  const { data, isLoading, error } = useQuery({
+  const refetchInterval = useRealtimeQuery(['hints', puzzleId], ['hints'], 5000);
+
+  const { data, isLoading, error, dataUpdatedAt } = useQuery({
     queryKey: ['hints', puzzleId],
     queryFn: () => fetchHints(puzzleId),
-    refetchInterval: 5000, // Check for newly unlocked hints
+    refetchInterval, // Pushed over the realtime stream; polls every 5s if it drops
     enabled: !!puzzleId,
   });
 
+  // Count down to the next free hint between fetches; the question's clock
+  // only moves while its timer runs
+  const [now, setNow] = useState(() => Date.now());
+  const counting = !!data?.timerRunning && data.nextHintUnlockIn !== null;
+  useEffect(() => {
+    if (!counting) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [counting]);
+
+  const tickedSeconds = data?.timerRunning ? Math.max(0, Math.floor((now - dataUpdatedAt) / 1000)) : 0;
+  const remaining = (seconds: number | null) => (seconds === null ? null : Math.max(0, seconds - tickedSeconds));
+  const nextFreeIn = remaining(data?.nextHintUnlockIn ?? null);
+
+  // Fetch the hint's text once it turns free
+  useEffect(() => {
+    if (nextFreeIn === 0) {
+      queryClient.invalidateQueries({ queryKey: ['hints', puzzleId] });
+    }
+  }, [nextFreeIn, queryClient, puzzleId]);
+
   const useHint = useMutation({
     mutationFn: useHintMutation,
     onSuccess: (result) => {
       queryClient.invalidateQueries({ queryKey: ['hints', puzzleId] });
       setRevealedHints(prev => new Set([...prev, selectedHint!.id]));
       setSelectedHint(null);
-      toast.warning(`Hint unlocked! Time penalty: +${Math.floor(result.penaltySeconds / 60)} min`);
+      if (result.free) {
+        toast.success('Free hint unlocked');
+      } else {
+        toast.warning(`Hint unlocked! ${describeHintCost(result.penaltySeconds, result.pointsPenalty)}`);
+      }
       onHintUsed?.(result.hintText, result.penaltySeconds);
     },
     onError: (error: Error) => {
@@ -121,18 +166,18 @@ export const ProgressiveHints = ({ puzzleId, onHintUsed }: ProgressiveHintsProps
               <Lightbulb className="w-4 h-4" />
               HINTS
             </span>
-            {data.nextHintUnlockIn !== null && data.nextHintUnlockIn > 0 && (
+            {nextFreeIn !== null && nextFreeIn > 0 && (
               <span className="flex items-center gap-1 text-xs text-muted-foreground">
                 <Clock className="w-3 h-3" />
-                Next in: {formatTime(data.nextHintUnlockIn)}
+                Next free in: {formatTime(nextFreeIn)}
               </span>
             )}
           </CardTitle>
         </CardHeader>
         <CardContent className="space-y-2">
-          {data.hints.map((hint, index) => {
-            const isRevealed = revealedHints.has(hint.id) || hint.is_used;
-            const penaltyMinutes = Math.floor(hint.penaltySeconds / 60);
+          {data.hints.map((hint) => {
+            const isRevealed = revealedHints.has(hint.id) || hint.isUnlocked;
+            const freeIn = remaining(hint.freeInSeconds);
 
             return (
               <div
@@ -163,9 +208,15 @@ export const ProgressiveHints = ({ puzzleId, onHintUsed }: ProgressiveHintsProps
                     </span>
                   </div>
 
-                  {!hint.is_used && (
-                    <span className="text-xs text-destructive">
-                      -{penaltyMinutes}min penalty
+                  {hint.isFree && !hint.is_used && (
+                    <span className="text-xs text-success">Free</span>
+                  )}
+
+                  {!hint.isUnlocked && (
+                    <span className="flex items-center gap-1 text-xs text-destructive" title={COST_TYPE_LABELS[hint.costType]}>
+                      {(hint.costType === 'time' || hint.costType === 'both') && <Clock className="w-3 h-3" />}
+                      {(hint.costType === 'points' || hint.costType === 'both') && <Coins className="w-3 h-3" />}
+                      {describeHintCost(hint.penaltySeconds, hint.pointCost)}
                     </span>
                   )}
 
@@ -181,8 +232,15 @@ export const ProgressiveHints = ({ puzzleId, onHintUsed }: ProgressiveHintsProps
                   </div>
                 )}
 
+                {/* Free unlock countdown */}
+                {!hint.isUnlocked && freeIn !== null && (
+                  <p className="text-[10px] text-muted-foreground mt-1">
+                    Free in {formatTime(freeIn)}
+                  </p>
+                )}
+
                 {/* Locked message */}
-                {!hint.isUnlocked && !hint.is_used && index > 0 && (
+                {!hint.isUnlocked && !hint.canUnlock && (
                   <p className="text-[10px] text-muted-foreground mt-1">
                     Unlock previous hint first
                   </p>
@@ -208,11 +266,14 @@ export const ProgressiveHints = ({ puzzleId, onHintUsed }: ProgressiveHintsProps
               Use Hint {selectedHint?.hint_number}?
             </AlertDialogTitle>
             <AlertDialogDescription>
-              Using this hint will add a{' '}
+              Using this hint costs{' '}
               <span className="text-destructive font-bold">
-                {selectedHint ? Math.floor(selectedHint.penaltySeconds / 60) : 0} minute
+                {selectedHint ? describeHintCost(selectedHint.penaltySeconds, selectedHint.pointCost) : ''}
               </span>{' '}
-              time penalty to your final score. This action cannot be undone.
+              ({selectedHint ? COST_TYPE_LABELS[selectedHint.costType] : ''}). This action cannot be undone.
+              {selectedHint?.freeInSeconds != null && (
+                <> It becomes free after another {formatTime(remaining(selectedHint.freeInSeconds) ?? 0)} on this question.</>
+              )}
             </AlertDialogDescription>
           </AlertDialogHeader>
           <AlertDialogFooter>
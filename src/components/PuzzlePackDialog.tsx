@@ -0,0 +1,252 @@
+/**
+ * PuzzlePackDialog Component
+ * Export puzzles as a portable pack (JSON or YAML) and import a pack from
+ * another event. Imports are validated first and only applied after the
+ * admin has seen the dry-run report.
+ */
+
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Download, Upload, FileCheck, AlertTriangle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { useToast } from '@/hooks/use-toast';
+import { fetchWithAuth } from '@/lib/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+type PackAction = 'create' | 'update' | 'existing' | 'invalid';
+
+interface PackReport {
+  valid: boolean;
+  dry_run: boolean;
+  applied: boolean;
+  errors: string[];
+  summary: {
+    levels_created: number;
+    puzzles_created: number;
+    puzzles_updated: number;
+    hints_created: number;
+    hints_updated: number;
+  };
+  levels: { level_number: number; name?: string; action: PackAction }[];
+  puzzles: {
+    index: number;
+    level: number | null;
+    puzzle_number: number | null;
+    title: string | null;
+    action: PackAction;
+    hints: number;
+    errors: string[];
+    warnings: string[];
+  }[];
+}
+
+const ACTION_STYLES: Record<PackAction, string> = {
+  create: 'bg-toxic-green/20 text-toxic-green',
+  update: 'bg-blue-500/20 text-blue-400',
+  existing: 'bg-zinc-500/20 text-zinc-300',
+  invalid: 'bg-red-500/20 text-red-500',
+};
+
+interface PuzzlePackDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  /** Level filter currently applied on the puzzle list; exports follow it */
+  level: number | 'all';
+}
+
+export function PuzzlePackDialog({ open, onOpenChange, level }: PuzzlePackDialogProps) {
+  const queryClient = useQueryClient();
+  const { toast } = useToast();
+  const [manifest, setManifest] = useState<{ name: string; content: string } | null>(null);
+  const [report, setReport] = useState<PackReport | null>(null);
+
+  const reset = () => {
+    setManifest(null);
+    setReport(null);
+  };
+
+  const exportPack = async (format: 'json' | 'yaml') => {
+    try {
+      const params = new URLSearchParams({ format });
+      if (level !== 'all') params.set('level', String(level));
+      const response = await fetchWithAuth(`${API_BASE}/puzzles/export?${params}`);
+      if (!response.ok) throw new Error('Failed to export puzzles');
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `puzzle-pack${level !== 'all' ? `-level-${level}` : ''}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({ title: 'Error', description: (error as Error).message, variant: 'destructive' });
+    }
+  };
+
+  const runImport = useMutation({
+    mutationFn: async ({ dryRun }: { dryRun: boolean }) => {
+      if (!manifest) throw new Error('Choose a puzzle pack first');
+      const response = await fetchWithAuth(`${API_BASE}/puzzles/import?dry_run=${dryRun}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: manifest.content }),
+      });
+      const data = await response.json();
+      // Validation failures still carry a report worth showing
+      if (!response.ok && !data.report) throw new Error(data.message || 'Failed to import puzzle pack');
+      return data as { success: boolean; message: string; report: PackReport };
+    },
+    onSuccess: (data) => {
+      setReport(data.report);
+      if (data.report.applied) {
+        queryClient.invalidateQueries({ queryKey: ['puzzles'] });
+        queryClient.invalidateQueries({ queryKey: ['levels'] });
+        toast({ title: 'Puzzle pack imported', description: data.message });
+      }
+    },
+    onError: (error: Error) => {
+      toast({ title: 'Error', description: error.message, variant: 'destructive' });
+    },
+  });
+
+  const handleFile = async (file: File | undefined) => {
+    setReport(null);
+    if (!file) {
+      setManifest(null);
+      return;
+    }
+    setManifest({ name: file.name, content: await file.text() });
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(isOpen) => {
+        if (!isOpen) reset();
+        onOpenChange(isOpen);
+      }}
+    >
+      <DialogContent className="bg-zinc-900 border-toxic-green/20 max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="text-toxic-green">Puzzle Packs</DialogTitle>
+          <DialogDescription>
+            Move puzzles, hints, points, time limits and level assignments between events.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          <div className="space-y-2">
+            <Label>Export {level === 'all' ? 'all levels' : `level ${level}`}</Label>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => exportPack('json')}>
+                <Download className="w-4 h-4 mr-2" />
+                JSON
+              </Button>
+              <Button variant="outline" onClick={() => exportPack('yaml')}>
+                <Download className="w-4 h-4 mr-2" />
+                YAML
+              </Button>
+            </div>
+            <p className="text-xs text-zinc-500">
+              Hashed answers are exported as hashes and only verify on a server with the same FLAG_HASH_SECRET.
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="puzzle-pack-file">Import</Label>
+            <Input
+              id="puzzle-pack-file"
+              type="file"
+              accept=".json,.yaml,.yml"
+              onChange={(e) => handleFile(e.target.files?.[0])}
+            />
+            <p className="text-xs text-zinc-500">
+              Puzzles with the same level and number are updated; everything else is added.
+            </p>
+          </div>
+
+          {report && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap gap-2 text-sm">
+                <Badge className={report.valid ? 'bg-toxic-green/20 text-toxic-green' : 'bg-red-500/20 text-red-500'}>
+                  {report.applied ? 'Imported' : report.valid ? 'Valid' : 'Has errors'}
+                </Badge>
+                <span className="text-zinc-400">
+                  {report.summary.puzzles_created} new · {report.summary.puzzles_updated} updated ·{' '}
+                  {report.summary.hints_created + report.summary.hints_updated} hints ·{' '}
+                  {report.summary.levels_created} new level(s)
+                </span>
+              </div>
+
+              {report.errors.length > 0 && (
+                <div className="p-3 rounded-lg border border-red-500/30 bg-red-500/10 space-y-1">
+                  {report.errors.map((error) => (
+                    <p key={error} className="text-xs text-red-400 flex gap-2">
+                      <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+                      {error}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              <div className="space-y-1">
+                {report.levels.map((item) => (
+                  <div key={`level-${item.level_number}`} className="flex items-center gap-2 text-sm">
+                    <Badge className={ACTION_STYLES[item.action]}>{item.action}</Badge>
+                    <span>Level {item.level_number}{item.name ? ` — ${item.name}` : ''}</span>
+                  </div>
+                ))}
+                {report.puzzles.map((item) => (
+                  <div key={item.index} className="text-sm">
+                    <div className="flex items-center gap-2">
+                      <Badge className={ACTION_STYLES[item.action]}>{item.action}</Badge>
+                      <span>
+                        L{item.level ?? '?'} #{item.puzzle_number ?? '?'} {item.title}
+                      </span>
+                      <span className="text-xs text-zinc-500">{item.hints} hint(s)</span>
+                    </div>
+                    {item.warnings.map((warning) => (
+                      <p key={warning} className="text-xs text-yellow-500 ml-2">{warning}</p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => runImport.mutate({ dryRun: true })}
+            disabled={!manifest || runImport.isPending}
+          >
+            <FileCheck className="w-4 h-4 mr-2" />
+            Validate
+          </Button>
+          <Button
+            onClick={() => runImport.mutate({ dryRun: false })}
+            disabled={!report?.valid || report.applied || runImport.isPending}
+            className="bg-green-500 text-white hover:bg-green-600"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Import
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
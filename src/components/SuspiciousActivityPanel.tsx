@@ -16,6 +16,7 @@ import { ScrollArea } from '@/components/ui/scroll-area';
 import { Badge } from '@/components/ui/badge';
 import { toast } from 'sonner';
 import { fetchWithAuth } from '@/lib/api';
+import { useRealtimeQuery } from '@/hooks/useRealtime';
 
 interface SuspiciousAlert {
   id: string;
@@ -72,10 +73,12 @@ export const SuspiciousActivityPanel = ({
 }: SuspiciousActivityPanelProps) => {
   const queryClient = useQueryClient();
 
+  const refetchInterval = useRealtimeQuery(['suspicious-alerts'], ['alert'], 10000);
+
   const { data: alerts, isLoading, error } = useQuery({
     queryKey: ['suspicious-alerts', !showReviewed],
     queryFn: () => fetchAlerts(!showReviewed),
-    refetchInterval: 10000,
+    refetchInterval, // Pushed over the realtime stream; polls every 10s if it drops
   });
 
   const reviewMutation = useMutation({
@@ -0,0 +1,259 @@
+/**
+ * TeamRosterPanel Component
+ * Shows who is on the team. The captain can invite members by email or
+ * with a shareable join code, withdraw pending invites and remove members.
+ */
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Copy, Crown, KeyRound, Mail, UserMinus, UserPlus, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { TerminalCard } from '@/components/TerminalCard';
+import { fetchWithAuth } from '@/lib/api';
+import type { TeamMember, TeamInvite } from '@/types/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+interface RosterResponse {
+  members: TeamMember[];
+  invites: TeamInvite[];
+  isCaptain: boolean;
+  memberLimit?: number;
+}
+
+interface JoinCodeResponse {
+  message: string;
+  code: string;
+  invite: { id: string; maxUses: number | null; expiresAt: string };
+}
+
+export function TeamRosterPanel() {
+  const queryClient = useQueryClient();
+  const [email, setEmail] = useState('');
+  // Only hashes are stored, so a new code can be shown once
+  const [joinCode, setJoinCode] = useState<JoinCodeResponse | null>(null);
+
+  const { data, isError } = useQuery({
+    queryKey: ['team-members'],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/team/members`);
+      if (!response.ok) throw new Error('Failed to fetch team members');
+      return (await response.json()) as RosterResponse;
+    },
+    refetchInterval: 60000,
+  });
+
+  const request = async (url: string, init: RequestInit) => {
+    const response = await fetchWithAuth(url, init);
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Request failed');
+    return body as { message: string };
+  };
+
+  const feedback = {
+    onSuccess: (body: { message: string }) => {
+      queryClient.invalidateQueries({ queryKey: ['team-members'] });
+      toast.success(body.message);
+    },
+    onError: (error: Error) => {
+      toast.error(error.message);
+    },
+  };
+
+  const invite = useMutation({
+    mutationFn: (address: string) =>
+      request(`${API_BASE}/team/invites`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: address }),
+      }),
+    ...feedback,
+    onSuccess: (body: { message: string }) => {
+      setEmail('');
+      feedback.onSuccess(body);
+    },
+  });
+
+  const createCode = useMutation({
+    mutationFn: () =>
+      request(`${API_BASE}/team/invites/code`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      }) as Promise<JoinCodeResponse>,
+    ...feedback,
+    onSuccess: (body: JoinCodeResponse) => {
+      setJoinCode(body);
+      feedback.onSuccess(body);
+    },
+  });
+
+  const revokeInvite = useMutation({
+    mutationFn: (inviteId: string) => request(`${API_BASE}/team/invites/${inviteId}`, { method: 'DELETE' }),
+    ...feedback,
+  });
+
+  const removeMember = useMutation({
+    mutationFn: (memberId: string) => request(`${API_BASE}/team/members/${memberId}`, { method: 'DELETE' }),
+    ...feedback,
+  });
+
+  // Backends without member accounts have nothing to show
+  if (isError || !data) return null;
+
+  const { members, invites, isCaptain, memberLimit } = data;
+
+  const handleInvite = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (email.trim()) invite.mutate(email.trim());
+  };
+
+  const copyCode = async (code: string) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Join code copied');
+    } catch {
+      toast.error('Could not copy the code');
+    }
+  };
+
+  const handleRemove = (member: TeamMember) => {
+    if (member.id && window.confirm(`Remove ${member.name} from the team? They will be signed out.`)) {
+      removeMember.mutate(member.id);
+    }
+  };
+
+  return (
+    <TerminalCard title="TEAM ROSTER" status="active">
+      <div className="space-y-3">
+        {memberLimit && (
+          <div className="text-xs font-terminal text-muted-foreground">
+            {members.length}/{memberLimit} SEATS FILLED
+          </div>
+        )}
+
+        {members.map((member) => (
+          <div key={member.id || member.userId} className="flex items-center justify-between gap-2 text-sm">
+            <div className="flex items-center gap-2 min-w-0">
+              {member.role === 'captain' ? (
+                <Crown className="w-4 h-4 text-primary flex-shrink-0" />
+              ) : (
+                <span className="w-4 h-4 flex-shrink-0" />
+              )}
+              <div className="min-w-0">
+                <div className="truncate">{member.name}</div>
+                <div className="text-xs text-muted-foreground truncate">
+                  {member.role === 'captain' ? 'captain' : member.hasAccount ? 'member' : 'no account yet'}
+                </div>
+              </div>
+            </div>
+            {isCaptain && member.role === 'member' && (
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-7 w-7 flex-shrink-0"
+                title="Remove from team"
+                onClick={() => handleRemove(member)}
+                disabled={removeMember.isPending}
+              >
+                <UserMinus className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        ))}
+
+        {isCaptain && invites.length > 0 && (
+          <div className="pt-2 border-t border-border space-y-2">
+            <div className="text-xs font-terminal text-muted-foreground">PENDING INVITES</div>
+            {invites.map((pending) => (
+              <div key={pending.id} className="flex items-center justify-between gap-2 text-sm">
+                <div className="flex items-center gap-2 min-w-0">
+                  {pending.type === 'code' ? (
+                    <>
+                      <KeyRound className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                      <span className="truncate">
+                        Join code · {pending.maxUses ? `${pending.useCount}/${pending.maxUses} used` : `${pending.useCount} used`}
+                        {' · expires '}
+                        {new Date(pending.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      </span>
+                    </>
+                  ) : (
+                    <>
+                      <Mail className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                      <span className="truncate">{pending.email}</span>
+                    </>
+                  )}
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 flex-shrink-0"
+                  title="Withdraw invite"
+                  onClick={() => {
+                    revokeInvite.mutate(pending.id);
+                    if (joinCode?.invite.id === pending.id) setJoinCode(null);
+                  }}
+                  disabled={revokeInvite.isPending}
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isCaptain && (
+          <form onSubmit={handleInvite} className="flex gap-2 pt-2">
+            <Input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="member@email.com"
+              className="h-8 text-sm"
+            />
+            <Button type="submit" variant="outline" size="sm" className="gap-1" disabled={invite.isPending || !email.trim()}>
+              <UserPlus className="w-4 h-4" />
+              Invite
+            </Button>
+          </form>
+        )}
+
+        {isCaptain && (
+          <div className="space-y-2">
+            {joinCode && (
+              <div className="flex items-center justify-between gap-2 rounded border border-primary/30 bg-primary/5 px-3 py-2">
+                <div className="min-w-0">
+                  <div className="font-terminal text-lg tracking-widest text-primary">{joinCode.code}</div>
+                  <div className="text-xs text-muted-foreground">
+                    Share with teammates at /join · expires {new Date(joinCode.invite.expiresAt).toLocaleString()}
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 flex-shrink-0"
+                  title="Copy join code"
+                  onClick={() => copyCode(joinCode.code)}
+                >
+                  <Copy className="w-4 h-4" />
+                </Button>
+              </div>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full gap-1"
+              onClick={() => createCode.mutate()}
+              disabled={createCode.isPending}
+            >
+              <KeyRound className="w-4 h-4" />
+              Generate join code
+            </Button>
+          </div>
+        )}
+      </div>
+    </TerminalCard>
+  );
+}
@@ -17,6 +17,7 @@ import {
 import { Progress } from '@/components/ui/progress';
 import { cn } from '@/lib/utils';
 import { fetchWithAuth } from '@/lib/api';
+import { useRealtimeQuery } from '@/hooks/useRealtime';
 
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
@@ -65,6 +66,8 @@ export function TeamSessionProgress({
     return `${mins}m ${secs}s`;
   };
   
+  const refetchInterval = useRealtimeQuery(['teamSession'], ['session'], 5000);
+
   // Fetch session state
   const { data, isLoading } = useQuery({
     queryKey: ['teamSession'],
@@ -74,7 +77,7 @@ export function TeamSessionProgress({
       if (!response.ok) throw new Error('Failed to fetch session');
       return response.json();
     },
-    refetchInterval: 5000, // Refresh every 5 seconds
+    refetchInterval, // Pushed over the realtime stream; polls every 5s if it drops
   });
   
   const session: SessionState | null = data?.session;
@@ -10,7 +10,10 @@ import {
   Trophy, 
   AlertTriangle,
   ArrowRightLeft,
-  Clock
+  Clock,
+  Wifi,
+  WifiOff,
+  Timer
 } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
@@ -45,6 +48,9 @@ const actionIcons: Record<string, React.ReactNode> = {
   level_complete: <Trophy className="w-4 h-4" />,
   tab_switch: <ArrowRightLeft className="w-4 h-4" />,
   suspicious_activity: <AlertTriangle className="w-4 h-4" />,
+  disconnect: <WifiOff className="w-4 h-4" />,
+  reconnect: <Wifi className="w-4 h-4" />,
+  time_adjustment: <Timer className="w-4 h-4" />,
 };
 
 const actionColors: Record<string, string> = {
@@ -57,6 +63,9 @@ const actionColors: Record<string, string> = {
   level_complete: 'text-yellow-400 border-yellow-400/30',
   tab_switch: 'text-warning border-warning/30',
   suspicious_activity: 'text-destructive border-destructive/30',
+  disconnect: 'text-destructive border-destructive/30',
+  reconnect: 'text-success border-success/30',
+  time_adjustment: 'text-primary border-primary/30',
 };
 
 interface TeamTimelineProps {
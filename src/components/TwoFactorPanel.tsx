@@ -0,0 +1,247 @@
+/**
+ * TwoFactorPanel Component
+ * Lets a member choose how logins are confirmed: an emailed code or an
+ * authenticator app (TOTP), and manage the app's recovery codes.
+ */
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { KeyRound, Mail, ShieldCheck, ShieldOff, Smartphone } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { TerminalCard } from '@/components/TerminalCard';
+import { fetchWithAuth } from '@/lib/api';
+import type { TotpSetup, TwoFaMethod } from '@/types/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+interface ProfileResponse {
+  user: {
+    two_fa_enabled: boolean;
+    two_fa_method?: TwoFaMethod;
+    recovery_codes_remaining?: number;
+  };
+}
+
+interface TwoFaResponse {
+  message: string;
+  recoveryCodes?: string[];
+}
+
+export function TwoFactorPanel() {
+  const queryClient = useQueryClient();
+  const [setup, setSetup] = useState<TotpSetup | null>(null);
+  const [code, setCode] = useState('');
+  // Recovery codes are only stored hashed, so they are shown once
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+  const { data, isError } = useQuery({
+    queryKey: ['profile'],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/team/profile`);
+      if (!response.ok) throw new Error('Failed to fetch profile');
+      return (await response.json()) as ProfileResponse;
+    },
+  });
+
+  const post = async <T,>(path: string, body: object = {}) => {
+    const response = await fetchWithAuth(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Request failed');
+    return result as T;
+  };
+
+  const onError = (error: Error) => {
+    toast.error(error.message);
+  };
+
+  const onChanged = (result: TwoFaResponse) => {
+    queryClient.invalidateQueries({ queryKey: ['profile'] });
+    setCode('');
+    setSetup(null);
+    if (result.recoveryCodes) setRecoveryCodes(result.recoveryCodes);
+    toast.success(result.message);
+  };
+
+  const startSetup = useMutation({
+    mutationFn: () => post<TotpSetup>('/team/2fa/totp'),
+    onSuccess: (result: TotpSetup) => {
+      setSetup(result);
+      setRecoveryCodes(null);
+      setCode('');
+    },
+    onError,
+  });
+
+  const update = useMutation({
+    mutationFn: (body: { enabled: boolean; method?: TwoFaMethod; code?: string }) =>
+      post<TwoFaResponse>('/team/2fa', body),
+    onSuccess: onChanged,
+    onError,
+  });
+
+  const regenerate = useMutation({
+    mutationFn: () => post<TwoFaResponse>('/team/2fa/recovery-codes', { code }),
+    onSuccess: onChanged,
+    onError,
+  });
+
+  if (isError || !data) return null;
+
+  const { two_fa_enabled: enabled, two_fa_method: method = 'email', recovery_codes_remaining: remaining } = data.user;
+  const usesApp = enabled && method === 'totp';
+  const busy = update.isPending || startSetup.isPending || regenerate.isPending;
+
+  const codeInput = (
+    <Input
+      value={code}
+      onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+      placeholder="000000"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className="h-8 text-sm font-terminal tracking-widest"
+    />
+  );
+
+  return (
+    <TerminalCard title="TWO-FACTOR LOGIN" status={enabled ? 'active' : 'warning'}>
+      <div className="space-y-3 text-sm">
+        <div className="flex items-center gap-2">
+          {usesApp ? (
+            <Smartphone className="w-4 h-4 text-primary" />
+          ) : enabled ? (
+            <Mail className="w-4 h-4 text-primary" />
+          ) : (
+            <ShieldOff className="w-4 h-4 text-muted-foreground" />
+          )}
+          <span>{usesApp ? 'Authenticator app' : enabled ? 'Code by email' : 'Off'}</span>
+          {usesApp && remaining !== undefined && (
+            <span className="text-xs text-muted-foreground">· {remaining} recovery codes left</span>
+          )}
+        </div>
+
+        {recoveryCodes && (
+          <div className="rounded border border-primary/30 bg-primary/5 p-3 space-y-2">
+            <div className="text-xs font-terminal text-muted-foreground">
+              RECOVERY CODES — each works once if you lose your device. They will not be shown again.
+            </div>
+            <div className="grid grid-cols-2 gap-1 font-terminal">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+            <Button variant="ghost" size="sm" className="w-full" onClick={() => setRecoveryCodes(null)}>
+              I saved them
+            </Button>
+          </div>
+        )}
+
+        {setup ? (
+          <div className="space-y-2">
+            <div className="text-xs text-muted-foreground">
+              Add this key to your authenticator app (or open the link on your phone), then enter the 6-digit code it shows.
+            </div>
+            <div className="font-terminal text-xs break-all text-primary">{setup.secret.match(/.{1,4}/g)?.join(' ')}</div>
+            <a href={setup.otpauthUrl} className="text-xs text-primary underline">
+              Open in authenticator app
+            </a>
+            <div className="flex gap-2">
+              {codeInput}
+              <Button
+                variant="outline"
+                size="sm"
+                className="gap-1"
+                disabled={busy || code.length !== 6}
+                onClick={() => update.mutate({ enabled: true, method: 'totp', code })}
+              >
+                <ShieldCheck className="w-4 h-4" />
+                Confirm
+              </Button>
+            </div>
+            <Button variant="ghost" size="sm" className="w-full" onClick={() => setSetup(null)}>
+              Cancel
+            </Button>
+          </div>
+        ) : usesApp ? (
+          <div className="space-y-2">
+            <div className="text-xs text-muted-foreground">Enter a current code from your app to make changes.</div>
+            {codeInput}
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 gap-1"
+                disabled={busy || code.length !== 6}
+                onClick={() => regenerate.mutate()}
+              >
+                <KeyRound className="w-4 h-4" />
+                New recovery codes
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 gap-1"
+                disabled={busy || code.length !== 6}
+                onClick={() => update.mutate({ enabled: true, method: 'email', code })}
+              >
+                <Mail className="w-4 h-4" />
+                Use email
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 gap-1"
+                disabled={busy || code.length !== 6}
+                onClick={() => update.mutate({ enabled: false, code })}
+              >
+                <ShieldOff className="w-4 h-4" />
+                Turn off
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              className="flex-1 gap-1"
+              disabled={busy}
+              onClick={() => startSetup.mutate()}
+            >
+              <Smartphone className="w-4 h-4" />
+              Authenticator app
+            </Button>
+            {enabled ? (
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 gap-1"
+                disabled={busy}
+                onClick={() => update.mutate({ enabled: false })}
+              >
+                <ShieldOff className="w-4 h-4" />
+                Turn off
+              </Button>
+            ) : (
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex-1 gap-1"
+                disabled={busy}
+                onClick={() => update.mutate({ enabled: true, method: 'email' })}
+              >
+                <Mail className="w-4 h-4" />
+                Email code
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+    </TerminalCard>
+  );
+}
@@ -20,7 +20,7 @@ interface AuthContextType {
   isLoading: boolean;
   role: 'admin' | 'team' | null;
   login: (email: string, password: string) => Promise<authAPI.LoginResponse>;
-  verify2FA: (userId: string, otp: string) => Promise<void>;
+  verify2FA: (userId: string, otp: string, options?: { challenge?: string; recoveryCode?: string }) => Promise<void>;
   logout: () => Promise<void>;
   register: (payload: authAPI.RegisterPayload) => Promise<authAPI.RegisterResponse>;
 }
@@ -125,8 +125,8 @@ export function AuthProvider({ children }: AuthProviderProps) {
   /**
    * Verify 2FA
    */
-  const verify2FA = async (userId: string, otp: string) => {
-    const response = await authAPI.verify2FA({ userId, otp });
+  const verify2FA = async (userId: string, otp: string, options: { challenge?: string; recoveryCode?: string } = {}) => {
+    const response = await authAPI.verify2FA({ userId, otp: otp || undefined, ...options });
 
     if (response.user) {
       setUser({
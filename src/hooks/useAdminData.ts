@@ -17,7 +17,7 @@ import {
   performTeamAction,
   getTimeAgo
 } from '@/lib/api';
-import { Team, AdminStats, Alert, LeaderboardEntry, TeamActionPayload } from '@/types/api';
+import { Team, AdminStats, Alert, LeaderboardEntry, LeaderboardFreeze, TeamActionPayload } from '@/types/api';
 import { toast } from 'sonner';
 
 /**
@@ -77,7 +77,7 @@ export function useAlerts() {
  * Auto-refreshes every 45 seconds (optimized from 15s)
  */
 export function useLeaderboard() {
-  return useQuery<{ resultsPublished: boolean; teams: LeaderboardEntry[] }>({
+  return useQuery<{ resultsPublished: boolean; teams: LeaderboardEntry[]; freeze: LeaderboardFreeze | null }>({
     queryKey: ['leaderboard'],
     queryFn: fetchLeaderboard,
     refetchInterval: 30000, // Poll every 30 seconds
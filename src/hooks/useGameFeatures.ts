@@ -6,7 +6,7 @@
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { toast } from 'sonner';
-import { fetchWithAuth } from '@/lib/api';
+import { fetchWithAuth, describeHintCost } from '@/lib/api';
 import {
   Achievement,
   Notification,
@@ -236,6 +236,8 @@ export interface HintsData {
   hints: Hint[];
   nextHintUnlockIn: number | null;
   elapsedSeconds: number;
+  activeSeconds: number;
+  timerRunning: boolean;
   lastHintNumber: number;
 }
 
@@ -268,7 +270,11 @@ export function useHint() {
     },
     onSuccess: (data, variables) => {
       queryClient.invalidateQueries({ queryKey: ['hints', variables.puzzleId] });
-      toast.warning(`Hint unlocked! Time penalty: +${Math.floor(data.penaltySeconds / 60)} min`);
+      if (data.free) {
+        toast.success('Free hint unlocked');
+      } else {
+        toast.warning(`Hint unlocked! ${describeHintCost(data.penaltySeconds, data.pointsPenalty)}`);
+      }
     },
     onError: (error: Error) => {
       toast.error(error.message);
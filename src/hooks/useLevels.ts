@@ -0,0 +1,123 @@
+/**
+ * useLevels Hooks
+ * ===============
+ * The event's configured levels (name, time limit, unlock rule, unlock state)
+ * and admin mutations to manage them.
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { fetchWithAuth } from '@/lib/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+export type UnlockRule = 'manual' | 'after_previous_results';
+
+export interface LevelCutoffs {
+  min_score: number;
+  min_accuracy: number;
+  max_time_seconds: number;
+  max_hints_allowed: number;
+  min_questions_correct: number;
+  is_active: boolean;
+  auto_qualify: boolean;
+}
+
+export interface Level {
+  level_number: number;
+  name: string;
+  description: string | null;
+  time_limit_minutes: number;
+  unlock_rule: UnlockRule;
+  is_unlocked: boolean;
+  unlocked_at: string | null;
+  cutoffs?: LevelCutoffs | null;
+}
+
+export type LevelInput = Partial<Omit<Level, 'is_unlocked' | 'unlocked_at' | 'cutoffs'>> & {
+  cutoffs?: Partial<LevelCutoffs>;
+};
+
+const FALLBACK_LEVELS: Level[] = [
+  { level_number: 1, name: 'Level 1', description: null, time_limit_minutes: 40, unlock_rule: 'manual', is_unlocked: false, unlocked_at: null },
+  { level_number: 2, name: 'Level 2', description: null, time_limit_minutes: 60, unlock_rule: 'manual', is_unlocked: false, unlocked_at: null },
+];
+
+async function readJson(response: Response, fallbackMessage: string) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.message || fallbackMessage);
+  return data;
+}
+
+/**
+ * All configured levels, in order.
+ * Falls back to the classic two levels while loading or if the request fails.
+ */
+export function useLevels() {
+  const query = useQuery<Level[]>({
+    queryKey: ['levels'],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/game/levels`);
+      const data = await readJson(response, 'Failed to fetch levels');
+      return data.levels as Level[];
+    },
+    staleTime: 30000,
+  });
+
+  return { ...query, levels: query.data ?? FALLBACK_LEVELS };
+}
+
+/**
+ * Admin mutations for creating, updating, deleting and unlocking levels
+ */
+export function useLevelMutations() {
+  const queryClient = useQueryClient();
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['levels'] });
+    queryClient.invalidateQueries({ queryKey: ['gameState'] });
+  };
+
+  const createLevel = useMutation({
+    mutationFn: async (level: LevelInput) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/levels`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(level),
+      });
+      return readJson(response, 'Failed to create level');
+    },
+    onSuccess: invalidate,
+  });
+
+  const updateLevel = useMutation({
+    mutationFn: async ({ levelNumber, changes }: { levelNumber: number; changes: LevelInput }) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/levels/${levelNumber}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      return readJson(response, 'Failed to update level');
+    },
+    onSuccess: invalidate,
+  });
+
+  const deleteLevel = useMutation({
+    mutationFn: async (levelNumber: number) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/levels/${levelNumber}`, { method: 'DELETE' });
+      return readJson(response, 'Failed to delete level');
+    },
+    onSuccess: invalidate,
+  });
+
+  const unlockLevel = useMutation({
+    mutationFn: async (levelNumber: number) => {
+      const response = await fetchWithAuth(`${API_BASE}/game/levels/${levelNumber}/unlock`, { method: 'POST' });
+      return readJson(response, 'Failed to unlock level');
+    },
+    onSuccess: () => {
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ['evaluationStatus'] });
+    },
+  });
+
+  return { createLevel, updateLevel, deleteLevel, unlockLevel };
+}
@@ -0,0 +1,212 @@
+/**
+ * useRealtime Hooks
+ * =================
+ * Subscribes to the server-sent events stream at /api/realtime/stream.
+ * One shared connection per tab; components register for the events they
+ * care about and only poll while the stream is down.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useQueryClient, type QueryKey } from '@tanstack/react-query';
+import { fetchWithAuth } from '@/lib/api';
+
+const API_BASE = import.meta.env.VITE_API_URL || '/api';
+
+export type RealtimeEvent =
+  | 'connected'
+  | 'leaderboard'
+  | 'broadcast'
+  | 'notification'
+  | 'session'
+  | 'hints'
+  | 'alert';
+
+type Listener = (data: unknown) => void;
+
+const MIN_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+// ============================================
+// SHARED CONNECTION
+// ============================================
+
+const listeners = new Map<string, Set<Listener>>();
+const statusListeners = new Set<(connected: boolean) => void>();
+let subscriberCount = 0;
+let connected = false;
+let controller: AbortController | null = null;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+let retryDelay = MIN_RETRY_MS;
+
+function setConnected(value: boolean) {
+  if (connected === value) return;
+  connected = value;
+  statusListeners.forEach((listener) => listener(value));
+}
+
+function dispatch(event: string, raw: string) {
+  let data: unknown = {};
+  try {
+    data = raw ? JSON.parse(raw) : {};
+  } catch {
+    data = raw;
+  }
+  listeners.get(event)?.forEach((listener) => listener(data));
+}
+
+/**
+ * Parse SSE frames out of the response body
+ */
+async function readStream(body: ReadableStream<Uint8Array>) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let event = 'message';
+      const dataLines: string[] = [];
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      }
+      if (dataLines.length > 0) dispatch(event, dataLines.join('\n'));
+    }
+  }
+}
+
+function scheduleReconnect() {
+  if (subscriberCount === 0 || retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+}
+
+async function connect() {
+  if (controller || subscriberCount === 0) return;
+  if (!localStorage.getItem('accessToken')) return;
+
+  const current = new AbortController();
+  controller = current;
+
+  try {
+    const response = await fetchWithAuth(`${API_BASE}/realtime/stream`, {
+      headers: { Accept: 'text/event-stream' },
+      signal: current.signal,
+    });
+    if (!response.ok || !response.body) throw new Error(`Stream unavailable (${response.status})`);
+
+    setConnected(true);
+    retryDelay = MIN_RETRY_MS;
+    await readStream(response.body);
+  } catch {
+    // Network drop, abort or no stream support - polling takes over
+  } finally {
+    if (controller === current) controller = null;
+    setConnected(false);
+    if (!current.signal.aborted) scheduleReconnect();
+  }
+}
+
+function disconnect() {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  controller?.abort();
+  controller = null;
+  setConnected(false);
+}
+
+function retain() {
+  subscriberCount++;
+  if (subscriberCount === 1) connect();
+}
+
+function release() {
+  subscriberCount = Math.max(0, subscriberCount - 1);
+  if (subscriberCount === 0) disconnect();
+}
+
+// ============================================
+// HOOKS
+// ============================================
+
+/**
+ * Whether the realtime stream is currently connected
+ */
+export function useRealtimeStatus(): boolean {
+  const [isConnected, setIsConnected] = useState(connected);
+
+  useEffect(() => {
+    retain();
+    statusListeners.add(setIsConnected);
+    setIsConnected(connected);
+    return () => {
+      statusListeners.delete(setIsConnected);
+      release();
+    };
+  }, []);
+
+  return isConnected;
+}
+
+/**
+ * Run a handler whenever one of the given events arrives
+ */
+export function useRealtimeEvent(events: RealtimeEvent[], handler: (data: unknown, event: RealtimeEvent) => void) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const eventKey = events.join(',');
+
+  useEffect(() => {
+    const names = eventKey.split(',').filter(Boolean) as RealtimeEvent[];
+    const registered = names.map((event) => {
+      const listener: Listener = (data) => handlerRef.current(data, event);
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event)!.add(listener);
+      return { event, listener };
+    });
+
+    retain();
+    return () => {
+      registered.forEach(({ event, listener }) => listeners.get(event)?.delete(listener));
+      release();
+    };
+  }, [eventKey]);
+}
+
+/**
+ * Keep a query fresh from realtime events.
+ * Invalidates the query when an event arrives and returns the
+ * refetchInterval to use: false while connected, the polling
+ * fallback while disconnected.
+ */
+export function useRealtimeQuery(queryKey: QueryKey, events: RealtimeEvent[], fallbackIntervalMs: number): number | false {
+  const queryClient = useQueryClient();
+  const isConnected = useRealtimeStatus();
+  const keyRef = useRef(queryKey);
+  keyRef.current = queryKey;
+
+  useRealtimeEvent(events, () => {
+    queryClient.invalidateQueries({ queryKey: keyRef.current });
+  });
+
+  // Catch up on anything missed while the stream was down
+  useEffect(() => {
+    if (isConnected) queryClient.invalidateQueries({ queryKey: keyRef.current });
+  }, [isConnected, queryClient]);
+
+  return isConnected ? false : fallbackIntervalMs;
+}
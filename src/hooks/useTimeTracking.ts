@@ -280,6 +280,141 @@ export function useAdminTeamTimings(autoRefresh = true) {
   });
 }
 
+export interface TimeReplayDiff {
+  puzzle_id?: string;
+  field: string;
+  stored: number | string;
+  replayed: number | string;
+}
+
+export interface TimeReplayResult {
+  team_id: string;
+  event_count: number;
+  puzzle_titles: Record<string, string>;
+  replayed: {
+    questions: Array<{
+      puzzle_id: string;
+      status: string;
+      time_spent_seconds: number;
+      pause_count: number;
+      paused_seconds: number;
+      skip_count: number;
+      skip_penalty_seconds: number;
+      hint_penalty_seconds: number;
+    }>;
+    session: {
+      total_time_seconds: number;
+      total_penalty_seconds: number;
+      effective_time_seconds: number;
+      questions_skipped: number;
+      pause_count: number;
+      disconnects: number;
+    };
+  };
+  diffs: { questions: TimeReplayDiff[]; session: TimeReplayDiff[] };
+  anomalies: Array<{ type: string; puzzle_id: string; at: string; recorded_seconds?: number }>;
+}
+
+// Hook for replaying a team's time events (admin dispute review)
+export function useTeamTimeReplay(teamId: string | null) {
+  const queryClient = useQueryClient();
+
+  const query = useQuery<TimeReplayResult>({
+    queryKey: ['teamTimeReplay', teamId],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/admin/team/${teamId}/time-replay`);
+      if (!response.ok) throw new Error('Failed to replay team time');
+      return response.json();
+    },
+    enabled: !!teamId,
+  });
+
+  const apply = useMutation({
+    mutationFn: async (puzzleIds?: string[]) => {
+      const response = await fetchWithAuth(`${API_BASE}/admin/team/${teamId}/time-replay/apply`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(puzzleIds ? { puzzle_ids: puzzleIds } : {})
+      });
+      if (!response.ok) throw new Error('Failed to apply replayed time');
+      return response.json();
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(['teamTimeReplay', teamId], data.replay);
+      queryClient.invalidateQueries({ queryKey: ['adminTeamTimings'] });
+    }
+  });
+
+  return {
+    ...query,
+    applyReplay: apply.mutateAsync,
+    isApplying: apply.isPending
+  };
+}
+
+export type TimeAdjustmentType = 'extension' | 'penalty';
+
+export interface TimeAdjustment {
+  id: string;
+  team_id: string;
+  level: number;
+  adjustment_type: TimeAdjustmentType;
+  seconds: number;
+  reason: string;
+  granted_by: string | null;
+  created_at: string;
+}
+
+export interface TimeAdjustmentsResult {
+  team_id: string;
+  adjustments: TimeAdjustment[];
+  extension_seconds: number;
+  penalty_seconds: number;
+}
+
+// Hook for a team's admin time extensions and penalties
+export function useTeamTimeAdjustments(teamId: string | null) {
+  const queryClient = useQueryClient();
+
+  const query = useQuery<TimeAdjustmentsResult>({
+    queryKey: ['teamTimeAdjustments', teamId],
+    queryFn: async () => {
+      const response = await fetchWithAuth(`${API_BASE}/admin/team/${teamId}/time-adjustments`);
+      if (!response.ok) throw new Error('Failed to fetch time adjustments');
+      return response.json();
+    },
+    enabled: !!teamId,
+  });
+
+  const grant = useMutation({
+    mutationFn: async (adjustment: { level: number; adjustment_type: TimeAdjustmentType; seconds: number; reason: string }) => {
+      const response = await fetchWithAuth(`${API_BASE}/admin/team/${teamId}/time-adjustments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(adjustment)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || 'Failed to grant time adjustment');
+      return data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['teamTimeAdjustments', teamId] });
+      queryClient.invalidateQueries({ queryKey: ['adminTeamTimings'] });
+      queryClient.invalidateQueries({ queryKey: ['team-timeline', teamId] });
+    }
+  });
+
+  return {
+    ...query,
+    grantAdjustment: grant.mutateAsync,
+    isGranting: grant.isPending
+  };
+}
+
 // Hook for admin question analytics
 export function useQuestionAnalytics() {
   return useQuery({
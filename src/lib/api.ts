@@ -4,7 +4,7 @@
  * NO MOCK DATA ALLOWED
  */
 
-import { Team, AdminStats, Alert, LeaderboardEntry, ApiResponse, TeamActionPayload } from '@/types/api';
+import { Team, AdminStats, Alert, LeaderboardEntry, LeaderboardFreeze, ApiResponse, TeamActionPayload } from '@/types/api';
 
 // API Base URL - uses relative path for Vercel, localhost for dev
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
@@ -34,10 +34,12 @@ function isRetryableError(error: Error | Response): boolean {
 /**
  * Try to refresh the access token using the refresh token.
  * Uses a shared promise to deduplicate concurrent refresh requests.
+ * Refresh tokens are single-use: the server rotates them and revokes the
+ * session if a spent one is sent again, so every refresh must go through here.
  */
 let _refreshPromise: Promise<string | null> | null = null;
 
-async function tryRefreshToken(): Promise<string | null> {
+export async function tryRefreshToken(): Promise<string | null> {
   // If a refresh is already in flight, reuse the same promise
   if (_refreshPromise) return _refreshPromise;
 
@@ -57,6 +59,9 @@ async function tryRefreshToken(): Promise<string | null> {
       const data = await response.json();
       if (data.accessToken) {
         localStorage.setItem('accessToken', data.accessToken);
+        if (data.refreshToken) {
+          localStorage.setItem('refreshToken', data.refreshToken);
+        }
         return data.accessToken;
       }
       return null;
@@ -191,15 +196,16 @@ export async function performTeamAction(payload: TeamActionPayload): Promise<Api
 /**
  * Get leaderboard rankings (public endpoint)
  */
-export async function fetchLeaderboard(): Promise<{ resultsPublished: boolean; teams: LeaderboardEntry[] }> {
-  const response = await fetchAPI<{ resultsPublished?: boolean; results_published?: boolean; teams?: LeaderboardEntry[] } | LeaderboardEntry[]>('/leaderboard');
+export async function fetchLeaderboard(): Promise<{ resultsPublished: boolean; teams: LeaderboardEntry[]; freeze: LeaderboardFreeze | null }> {
+  const response = await fetchAPI<{ resultsPublished?: boolean; results_published?: boolean; teams?: LeaderboardEntry[]; freeze?: LeaderboardFreeze } | LeaderboardEntry[]>('/leaderboard');
   // Handle both response formats: { teams: [...] } or direct array
   if (Array.isArray(response)) {
-    return { resultsPublished: false, teams: response };
+    return { resultsPublished: false, teams: response, freeze: null };
   }
   return {
     resultsPublished: response.resultsPublished ?? response.results_published ?? false,
     teams: response.teams || [],
+    freeze: response.freeze ?? null,
   };
 }
 
@@ -267,6 +273,17 @@ export function formatTimeElapsed(seconds: number): string {
   return `${String(hrs).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
 }
 
+/**
+ * Describe what a hint costs (e.g., "+5 min, -50 pts")
+ */
+export function describeHintCost(penaltySeconds: number, pointCost: number): string {
+  const charges: string[] = [];
+  if (penaltySeconds >= 60) charges.push(`+${Math.floor(penaltySeconds / 60)} min`);
+  else if (penaltySeconds > 0) charges.push(`+${penaltySeconds} sec`);
+  if (pointCost > 0) charges.push(`-${pointCost} pts`);
+  return charges.length > 0 ? charges.join(', ') : 'No penalty';
+}
+
 /**
  * Calculate relative time (e.g., "2 min ago")
  */
@@ -1,4 +1,6 @@
 import axios, { AxiosInstance } from 'axios';
+import { tryRefreshToken } from '@/lib/api';
+import type { TeamInvitePreview } from '@/types/api';
 
 /**
  * Auth API Client
@@ -35,7 +37,7 @@ const authAPI: AxiosInstance = axios.create({
 authAPI.interceptors.request.use(
   (config) => {
     const url = config.url || '';
-    const isPublicAuth = url.includes('/auth/login') || url.includes('/auth/register') || url.includes('/auth/refresh') || url.includes('/auth/resend-otp') || url.includes('/auth/forgot-password') || url.includes('/auth/reset-password') || url.includes('/auth/verify-2fa');
+    const isPublicAuth = url.includes('/auth/login') || url.includes('/auth/register') || url.includes('/auth/refresh') || url.includes('/auth/resend-otp') || url.includes('/auth/forgot-password') || url.includes('/auth/reset-password') || url.includes('/auth/unlock-account') || url.includes('/auth/verify-2fa') || url.includes('/auth/verify-email');
     if (!isPublicAuth) {
       const accessToken = localStorage.getItem('accessToken');
       if (accessToken) {
@@ -69,21 +71,14 @@ authAPI.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) {
-          throw new Error('No refresh token');
+        // Shared with fetchWithAuth so a rotated refresh token is never sent twice
+        const accessToken = await tryRefreshToken();
+        if (!accessToken) {
+          throw new Error('Token refresh failed');
         }
 
-        // Call refresh endpoint
-        const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-          refreshToken,
-        });
-
-        // Save new access token
-        localStorage.setItem('accessToken', data.accessToken);
-
         // Retry original request with new token
-        originalRequest.headers.Authorization = `Bearer ${data.accessToken}`;
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return authAPI(originalRequest);
       } catch (refreshError) {
         // Refresh failed - logout user
@@ -98,6 +93,16 @@ authAPI.interceptors.response.use(
       }
     }
 
+    // Session was signed out from another device or by an admin
+    if (error.response?.status === 401 && error.response?.data?.code === 'SESSION_REVOKED') {
+      localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('userRole');
+      if (!window.location.pathname.includes('/login')) {
+        window.location.href = '/login';
+      }
+    }
+
     return Promise.reject(error);
   }
 );
@@ -142,12 +147,19 @@ export interface LoginResponse {
     role: string;
   };
   requireTwoFa?: boolean;
+  /** Which second factor the login needs */
+  method?: 'email' | 'totp';
+  /** Proof of the password step, sent back with an authenticator code */
+  challenge?: string;
   userId?: string;
 }
 
 export interface Verify2FAPayload {
   userId: string;
-  otp: string;
+  otp?: string;
+  challenge?: string;
+  /** Single-use code instead of an authenticator code */
+  recoveryCode?: string;
 }
 
 export interface ForgotPasswordPayload {
@@ -242,21 +254,23 @@ export async function resetPassword(payload: ResetPasswordPayload): Promise<{ me
   return data;
 }
 
+/**
+ * Unlock a locked account with the token from the lockout email
+ */
+export async function unlockAccount(token: string): Promise<{ message: string; email: string }> {
+  const { data } = await authAPI.post('/auth/unlock-account', { token });
+  return data;
+}
+
 /**
  * Refresh access token
  */
 export async function refreshAccessToken(): Promise<string> {
-  const refreshToken = localStorage.getItem('refreshToken');
-  if (!refreshToken) {
-    throw new Error('No refresh token available');
+  const accessToken = await tryRefreshToken();
+  if (!accessToken) {
+    throw new Error('Token refresh failed');
   }
-
-  const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-    refreshToken,
-  });
-
-  localStorage.setItem('accessToken', data.accessToken);
-  return data.accessToken;
+  return accessToken;
 }
 
 // ============================================
@@ -278,8 +292,67 @@ export async function updateTeamName(teamName: string) {
   return data;
 }
 
-export async function toggle2FA(enabled: boolean) {
-  const { data } = await authAPI.post('/team/2fa', { enabled });
+export async function toggle2FA(
+  enabled: boolean,
+  options: { method?: 'email' | 'totp'; code?: string; recoveryCode?: string } = {}
+) {
+  const { data } = await authAPI.post('/team/2fa', { enabled, ...options });
+  return data;
+}
+
+/**
+ * Start authenticator-app enrollment; confirm with toggle2FA(true, { method: 'totp', code })
+ */
+export async function setupTotp(): Promise<{ secret: string; otpauthUrl: string }> {
+  const { data } = await authAPI.post('/team/2fa/totp');
+  return data;
+}
+
+export async function regenerateRecoveryCodes(code: string): Promise<{ message: string; recoveryCodes: string[] }> {
+  const { data } = await authAPI.post('/team/2fa/recovery-codes', { code });
+  return data;
+}
+
+export interface JoinTeamPayload {
+  /** Invite link token, or */
+  token?: string;
+  /** join code plus the new member's email */
+  code?: string;
+  email?: string;
+  name: string;
+  password: string;
+}
+
+/**
+ * Look up a team invite before creating the member account
+ */
+export async function getTeamInvite(token: string): Promise<{ invite: TeamInvitePreview }> {
+  const { data } = await authAPI.get(`/team/invites/${encodeURIComponent(token)}`);
+  return data;
+}
+
+export interface JoinTeamResponse {
+  message: string;
+  userId: string;
+  email: string;
+  teamName: string;
+  /** Join-code accounts confirm their email with verifyEmail before logging in */
+  verificationRequired: boolean;
+}
+
+/**
+ * Join a team with an invite link or join code; the new member then logs in normally
+ */
+export async function joinTeam(payload: JoinTeamPayload): Promise<JoinTeamResponse> {
+  const { data } = await authAPI.post('/team/join', payload);
+  return data;
+}
+
+/**
+ * Confirm the email of an account created with a join code
+ */
+export async function verifyEmail(userId: string, otp: string): Promise<{ message: string }> {
+  const { data } = await authAPI.post('/auth/verify-email', { userId, otp });
   return data;
 }
 
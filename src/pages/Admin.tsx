@@ -29,7 +29,8 @@ import {
   Timer,
   Download,
   Loader2,
-  Layers
+  Layers,
+  ShieldOff
 } from "lucide-react";
 import AdminTimeDashboard from "@/components/AdminTimeDashboard";
 import AdminQualificationPanel from "@/components/AdminQualificationPanel";
@@ -157,6 +158,22 @@ const Admin = () => {
     );
   };
 
+  const handleRevokeSessions = async (teamId: string, teamName: string) => {
+    try {
+      const response = await fetchWithAuth(`${API_BASE}/admin/teams/${teamId}/sessions`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to end sessions');
+
+      toast.success(`Team "${teamName}": ${data.message}`);
+    } catch (error) {
+      toast.error('Failed to end team sessions');
+      console.error(error);
+    }
+  };
+
   const handleQualifyTeam = async (teamId: string, teamName: string, currentStatus: string) => {
     const newStatus = currentStatus === 'disqualified' ? 'waiting' : 'disqualified';
     const actionText = newStatus === 'disqualified' ? 'disqualify' : 'qualify';
@@ -761,6 +778,10 @@ const Admin = () => {
                                         </>
                                       )}
                                     </DropdownMenuItem>
+                                    <DropdownMenuItem onClick={() => handleRevokeSessions(team.id, team.teamName)}>
+                                      <ShieldOff className="w-4 h-4 mr-2" />
+                                      End All Sessions
+                                    </DropdownMenuItem>
                                     <DropdownMenuSeparator />
                                     <DropdownMenuItem 
                                       onClick={() => handleDeleteTeam(team.id, team.teamName)}
@@ -29,6 +29,9 @@ import { useAuth } from "@/contexts/AuthContext";
 import * as authAPI from "@/lib/authApi";
 import { BackButton } from "@/components/BackButton";
 import { QualificationMessageModal } from "@/components/QualificationMessageModal";
+import { ActiveSessionsPanel } from "@/components/ActiveSessionsPanel";
+import { TeamRosterPanel } from "@/components/TeamRosterPanel";
+import { TwoFactorPanel } from "@/components/TwoFactorPanel";
 // Celebration Modal - Shows winner/runner-up celebration when results are published
 import { CelebrationModal } from "@/components/CelebrationModal";
 import { useCelebration } from "@/hooks/useCelebration";
@@ -44,6 +47,7 @@ interface TeamData {
   hintsUsed: number;
   timeElapsed: string;
   createdAt: string;
+  isCaptain?: boolean;
   // Qualification status
   qualifiedForLevel2?: boolean;
   level1Completed?: boolean;
@@ -440,6 +444,15 @@ const Dashboard = () => {
                     </TerminalCard>
                   )}
 
+                  {/* Team members and invites */}
+                  <TeamRosterPanel />
+
+                  {/* Signed-in devices */}
+                  <ActiveSessionsPanel />
+
+                  {/* Second login factor */}
+                  <TwoFactorPanel />
+
                   {/* Rules Reminder */}
                   <TerminalCard title="REMINDER" status="danger">
                     <div className="flex items-start gap-3">
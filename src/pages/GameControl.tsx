@@ -1,6 +1,6 @@
 import { useState, startTransition } from 'react';
 import { Link } from 'react-router-dom';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useQueries, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
   Play,
   Pause,
@@ -18,6 +18,10 @@ import {
 import { Button } from '@/components/ui/button';
 import { BackButton } from '@/components/BackButton';
 import { LevelEvaluationPanel } from '@/components/LevelEvaluationPanel';
+import { GameSchedulePanel } from '@/components/GameSchedulePanel';
+import { LevelSettingsPanel } from '@/components/LevelSettingsPanel';
+import { LeaderboardFreezePanel } from '@/components/LeaderboardFreezePanel';
+import { useLevels, useLevelMutations } from '@/hooks/useLevels';
 import {
   Card,
   CardContent,
@@ -153,41 +157,32 @@ export default function GameControl() {
     staleTime: 8000,
   });
 
-  // ======= NEW: Fetch evaluation status for BOTH levels independently =======
-  const { data: level1EvaluationData } = useQuery({
-    queryKey: ['evaluationStatus', 1],
-    queryFn: async () => {
-      try {
-        const response = await fetchWithAuth(`${API_BASE}/admin/evaluation/level/1/status`);
-        if (!response.ok) return null;
-        return response.json();
-      } catch (error) {
-        return null;
-      }
-    },
-    refetchInterval: 10000,
-    staleTime: 5000,
-    retry: false,
-  });
-
-  const { data: level2EvaluationData } = useQuery({
-    queryKey: ['evaluationStatus', 2],
-    queryFn: async () => {
-      try {
-        const response = await fetchWithAuth(`${API_BASE}/admin/evaluation/level/2/status`);
-        if (!response.ok) return null;
-        return response.json();
-      } catch (error) {
-        return null;
-      }
-    },
-    refetchInterval: 10000,
-    staleTime: 5000,
-    retry: false,
+  // Configured levels
+  const { levels } = useLevels();
+  const { unlockLevel } = useLevelMutations();
+
+  // ======= Fetch evaluation status for every level independently =======
+  const evaluationQueries = useQueries({
+    queries: levels.map((level) => ({
+      queryKey: ['evaluationStatus', level.level_number],
+      queryFn: async () => {
+        try {
+          const response = await fetchWithAuth(`${API_BASE}/admin/evaluation/level/${level.level_number}/status`);
+          if (!response.ok) return null;
+          return response.json();
+        } catch (error) {
+          return null;
+        }
+      },
+      refetchInterval: 10000,
+      staleTime: 5000,
+      retry: false,
+    })),
   });
 
-  const level1Evaluation: EvaluationStatus | undefined = level1EvaluationData;
-  const level2Evaluation: EvaluationStatus | undefined = level2EvaluationData;
+  const evaluationByLevel: Record<number, EvaluationStatus | undefined> = Object.fromEntries(
+    levels.map((level, index) => [level.level_number, evaluationQueries[index]?.data ?? undefined])
+  );
 
   // Close Submissions mutation
   const closeSubmissions = useMutation({
@@ -268,6 +263,7 @@ export default function GameControl() {
       startTransition(() => {
         queryClient.invalidateQueries({ queryKey: ['evaluationStatus', levelId] });
         queryClient.invalidateQueries({ queryKey: ['gameState'] });
+        queryClient.invalidateQueries({ queryKey: ['levels'] });
       });
       toast({
         title: 'Results Published!',
@@ -375,6 +371,7 @@ export default function GameControl() {
       // Defer invalidation to prevent blocking
       startTransition(() => {
         queryClient.invalidateQueries({ queryKey: ['gameState'] });
+        queryClient.invalidateQueries({ queryKey: ['levels'] });
       });
 
       toast({
@@ -395,53 +392,24 @@ export default function GameControl() {
     },
   });
 
-  // Unlock Level 2 mutation
-  const unlockLevel2 = useMutation({
-    mutationFn: async () => {
-      const response = await fetchWithAuth(`${API_BASE}/game/level/unlock`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ level: 2 }),
-      });
-
-      if (!response.ok) throw new Error('Failed to unlock Level 2');
-      return response.json();
-    },
-    onMutate: () => {
-      // Optimistic update (non-blocking)
-      const previousState = queryClient.getQueryData(['gameState']);
-
-      queryClient.setQueryData(['gameState'], (old: any) => ({
-        ...old,
-        level2_open: true,
-        current_level: 2,
-      }));
-
-      return { previousState };
-    },
-    onSuccess: () => {
-      // Defer invalidation to prevent blocking
-      startTransition(() => {
-        queryClient.invalidateQueries({ queryKey: ['gameState'] });
-      });
-
-      toast({
-        title: 'Success',
-        description: 'Level 2 unlocked!',
-      });
-    },
-    onError: (_err, _variables, context) => {
-      // Rollback on error
-      if (context?.previousState) {
-        queryClient.setQueryData(['gameState'], context.previousState);
-      }
-      toast({
-        title: 'Error',
-        description: 'Failed to unlock Level 2',
-        variant: 'destructive',
-      });
-    },
-  });
+  // Unlock a level
+  const handleUnlockLevel = (levelNumber: number, name: string) => {
+    unlockLevel.mutate(levelNumber, {
+      onSuccess: (data) => {
+        toast({
+          title: 'Success',
+          description: data.message || `${name} unlocked!`,
+        });
+      },
+      onError: (error) => {
+        toast({
+          title: 'Error',
+          description: error instanceof Error ? error.message : `Failed to unlock ${name}`,
+          variant: 'destructive',
+        });
+      },
+    });
+  };
 
   // Pause game mutation
   const pauseGame = useMutation({
@@ -526,6 +494,7 @@ export default function GameControl() {
       // Invalidate all game-related queries so everything refreshes
       startTransition(() => {
         queryClient.invalidateQueries({ queryKey: ['gameState'] });
+        queryClient.invalidateQueries({ queryKey: ['levels'] });
         queryClient.invalidateQueries({ queryKey: ['adminStats'] });
         queryClient.invalidateQueries({ queryKey: ['teams'] });
         queryClient.invalidateQueries({ queryKey: ['leaderboard'] });
@@ -680,31 +649,20 @@ export default function GameControl() {
 
       {/* Status Indicators */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        <Card className="bg-black/40 border-toxic-green/20">
-          <CardHeader>
-            <CardTitle className="text-sm">Level 1</CardTitle>
-          </CardHeader>
-          <CardContent>
-            {gameState?.level1_open ? (
-              <span className="text-green-500 font-semibold">✓ Unlocked</span>
-            ) : (
-              <span className="text-zinc-500">Locked</span>
-            )}
-          </CardContent>
-        </Card>
-
-        <Card className="bg-black/40 border-toxic-green/20">
-          <CardHeader>
-            <CardTitle className="text-sm">Level 2</CardTitle>
-          </CardHeader>
-          <CardContent>
-            {gameState?.level2_open ? (
-              <span className="text-green-500 font-semibold">✓ Unlocked</span>
-            ) : (
-              <span className="text-zinc-500">Locked</span>
-            )}
-          </CardContent>
-        </Card>
+        {levels.map((level) => (
+          <Card key={level.level_number} className="bg-black/40 border-toxic-green/20">
+            <CardHeader>
+              <CardTitle className="text-sm">{level.name}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {level.is_unlocked ? (
+                <span className="text-green-500 font-semibold">✓ Unlocked</span>
+              ) : (
+                <span className="text-zinc-500">Locked</span>
+              )}
+            </CardContent>
+          </Card>
+        ))}
 
         <Card className="bg-black/40 border-toxic-green/20">
           <CardHeader>
@@ -863,28 +821,32 @@ export default function GameControl() {
             </CardDescription>
           </CardHeader>
           <CardContent className="space-y-4">
-            {/* Unlock Level 2 */}
-            {!gameState?.level2_open && (
-              <div className="flex items-center justify-between p-4 border border-purple-500/20 rounded-lg">
+            {levels.filter((level) => !level.is_unlocked).map((level) => (
+              <div key={level.level_number} className="flex items-center justify-between p-4 border border-purple-500/20 rounded-lg">
                 <div className="flex-1">
-                  <h3 className="font-semibold text-purple-500">Unlock Level 2</h3>
+                  <h3 className="font-semibold text-purple-500">Unlock {level.name}</h3>
                   <p className="text-sm text-zinc-400">
-                    Allow teams to progress to Level 2 puzzles
+                    {level.unlock_rule === 'after_previous_results'
+                      ? 'Unlocks automatically when the previous level\'s results are published'
+                      : `Allow qualified teams to progress to ${level.name} puzzles`}
                   </p>
                 </div>
                 <Button
                   onClick={() => showConfirm(
-                    'Unlock Level 2',
-                    'Unlock Level 2 for all teams?',
-                    () => startTransition(() => unlockLevel2.mutate())
+                    `Unlock ${level.name}`,
+                    `Unlock ${level.name} for all teams?`,
+                    () => startTransition(() => handleUnlockLevel(level.level_number, level.name))
                   )}
-                  disabled={unlockLevel2.isPending}
+                  disabled={unlockLevel.isPending}
                   className="bg-purple-500 text-white hover:bg-purple-600"
                 >
                   <Unlock className="w-4 h-4 mr-2" />
-                  {unlockLevel2.isPending ? 'Unlocking...' : 'Unlock Level 2'}
+                  {unlockLevel.isPending && unlockLevel.variables === level.level_number ? 'Unlocking...' : `Unlock ${level.name}`}
                 </Button>
               </div>
+            ))}
+            {levels.every((level) => level.is_unlocked) && (
+              <p className="text-sm text-zinc-500">All levels are unlocked.</p>
             )}
           </CardContent>
         </Card>
@@ -1045,6 +1007,15 @@ export default function GameControl() {
         </DialogContent>
       </Dialog>
 
+      {/* Level Settings */}
+      <LevelSettingsPanel />
+
+      {/* Scheduled Phases */}
+      <GameSchedulePanel />
+
+      {/* Scoreboard Freeze */}
+      <LeaderboardFreezePanel />
+
       {/* Separated Level Evaluation Controls */}
       <div className="space-y-6">
         <div className="flex items-center gap-2 mb-4">
@@ -1052,59 +1023,37 @@ export default function GameControl() {
           <h2 className="text-xl font-bold text-cyan-500">Independent Level Evaluation</h2>
         </div>
         <p className="text-zinc-400 text-sm mb-4">
-          Each level has its own evaluation workflow. Actions on one level do not affect the other.
+          Each level has its own evaluation workflow. Actions on one level do not affect the others.
         </p>
         
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {/* Level 1 Evaluation Panel */}
-          <LevelEvaluationPanel
-            level={1}
-            evaluationStatus={level1Evaluation}
-            onCloseSubmissions={() => closeSubmissions.mutate(1)}
-            onReopenSubmissions={() => reopenSubmissions.mutate(1)}
-            onEvaluateAnswers={() => showConfirm(
-              'Evaluate Level 1',
-              'Evaluate all Level 1 answers? This will calculate scores and qualification status.',
-              () => evaluateAnswers.mutate(1)
-            )}
-            onPublishResults={() => showConfirm(
-              'Publish Level 1 Results',
-              'Publish Level 1 results? Teams will see their scores and qualification status. This cannot be undone.',
-              () => publishResults.mutate(1)
-            )}
-            onResetEvaluation={() => showConfirm(
-              'Reset Level 1 Evaluation',
-              'Reset Level 1 evaluation? This will allow you to re-evaluate all submissions.',
-              () => resetEvaluation.mutate(1),
-              'destructive'
-            )}
-            accentColor="blue"
-          />
-          
-          {/* Level 2 Evaluation Panel */}
-          <LevelEvaluationPanel
-            level={2}
-            evaluationStatus={level2Evaluation}
-            onCloseSubmissions={() => closeSubmissions.mutate(2)}
-            onReopenSubmissions={() => reopenSubmissions.mutate(2)}
-            onEvaluateAnswers={() => showConfirm(
-              'Evaluate Level 2',
-              'Evaluate all Level 2 answers? This will calculate scores and qualification status.',
-              () => evaluateAnswers.mutate(2)
-            )}
-            onPublishResults={() => showConfirm(
-              'Publish Level 2 Results',
-              'Publish Level 2 results? Teams will see their scores and final rankings. This cannot be undone.',
-              () => publishResults.mutate(2)
-            )}
-            onResetEvaluation={() => showConfirm(
-              'Reset Level 2 Evaluation',
-              'Reset Level 2 evaluation? This will allow you to re-evaluate all submissions.',
-              () => resetEvaluation.mutate(2),
-              'destructive'
-            )}
-            accentColor="purple"
-          />
+          {levels.map((level, index) => (
+            <LevelEvaluationPanel
+              key={level.level_number}
+              level={level.level_number}
+              levelName={level.name}
+              evaluationStatus={evaluationByLevel[level.level_number]}
+              onCloseSubmissions={() => closeSubmissions.mutate(level.level_number)}
+              onReopenSubmissions={() => reopenSubmissions.mutate(level.level_number)}
+              onEvaluateAnswers={() => showConfirm(
+                `Evaluate ${level.name}`,
+                `Evaluate all ${level.name} answers? This will calculate scores and qualification status.`,
+                () => evaluateAnswers.mutate(level.level_number)
+              )}
+              onPublishResults={() => showConfirm(
+                `Publish ${level.name} Results`,
+                `Publish ${level.name} results? Teams will see their scores and qualification status. This cannot be undone.`,
+                () => publishResults.mutate(level.level_number)
+              )}
+              onResetEvaluation={() => showConfirm(
+                `Reset ${level.name} Evaluation`,
+                `Reset ${level.name} evaluation? This will allow you to re-evaluate all submissions.`,
+                () => resetEvaluation.mutate(level.level_number),
+                'destructive'
+              )}
+              accentColor={index % 2 === 0 ? 'blue' : 'purple'}
+            />
+          ))}
         </div>
       </div>
 
@@ -0,0 +1,436 @@
+import { useState } from "react";
+import { Link, useLocation, useSearchParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { z } from "zod";
+import { Lock, User, Mail, KeyRound, Loader2, AlertCircle, Eye, EyeOff, UserPlus, ShieldCheck } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Navbar } from "@/components/Navbar";
+import { TerminalCard } from "@/components/TerminalCard";
+import { BiohazardIcon } from "@/components/BiohazardIcon";
+import { toast } from "sonner";
+import * as authAPI from "@/lib/authApi";
+
+const passwordFields = {
+  name: z.string().trim().min(2, "Name must be at least 2 characters").max(100),
+  password: z.string().min(8, "Password must be at least 8 characters"),
+  confirmPassword: z.string().min(1, "Please confirm your password"),
+};
+
+// Invite links already name the email; join codes need one
+const buildJoinSchema = (withCode: boolean) =>
+  z
+    .object({
+      ...passwordFields,
+      code: withCode ? z.string().trim().min(8, "Enter the join code from your captain") : z.string().optional(),
+      email: withCode ? z.string().trim().email("Enter a valid email") : z.string().optional(),
+    })
+    .refine((data) => data.password === data.confirmPassword, {
+      message: "Passwords do not match",
+      path: ["confirmPassword"],
+    });
+
+const joinSchema = buildJoinSchema(true);
+
+type JoinForm = z.infer<typeof joinSchema>;
+
+type PendingVerification = { userId: string; email: string; teamName?: string };
+
+// Message from an API error response, or the fallback
+const apiErrorMessage = (error: unknown, fallback: string): string => {
+  const { response, message } = (error ?? {}) as {
+    response?: { data?: { error?: string | { message?: string } } };
+    message?: string;
+  };
+  const rawErr = response?.data?.error;
+  return typeof rawErr === "string" ? rawErr : rawErr?.message || message || fallback;
+};
+
+/**
+ * Join a team with an invite link (?token=) or a join code: the member
+ * picks a name and password, then logs in with their own account.
+ * Join-code accounts first confirm their email with a code; the login page
+ * sends unverified members back here with { verify } in the route state.
+ */
+const JoinTeam = () => {
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const token = searchParams.get("token") || "";
+  const withCode = !token;
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [showPassword, setShowPassword] = useState(false);
+  const [joined, setJoined] = useState<{ email: string; teamName?: string } | null>(null);
+  const [pending, setPending] = useState<PendingVerification | null>(
+    (location.state as { verify?: PendingVerification } | null)?.verify ?? null
+  );
+  const [verifyCode, setVerifyCode] = useState("");
+
+  const { data: invite, isLoading: inviteLoading, isError } = useQuery({
+    queryKey: ["team-invite", token],
+    queryFn: async () => (await authAPI.getTeamInvite(token)).invite,
+    enabled: !withCode,
+    retry: false,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<JoinForm>({
+    resolver: zodResolver(withCode ? joinSchema : buildJoinSchema(false)),
+    defaultValues: { code: searchParams.get("code") || "" },
+  });
+
+  const onSubmit = async (data: JoinForm) => {
+    setIsLoading(true);
+    try {
+      const result = await authAPI.joinTeam(
+        withCode
+          ? { code: data.code, email: data.email, name: data.name, password: data.password }
+          : { token, name: data.name, password: data.password }
+      );
+      if (result.verificationRequired) {
+        setPending({ userId: result.userId, email: result.email, teamName: result.teamName });
+        toast.info("Verify your email", {
+          description: `Enter the code sent to ${result.email}`,
+        });
+        return;
+      }
+      setJoined({ email: result.email, teamName: result.teamName });
+      toast.success("Welcome aboard!", {
+        description: "Your account is ready. You can now login.",
+      });
+    } catch (error) {
+      toast.error("Join Failed", { description: apiErrorMessage(error, "Failed to join the team.") });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!pending) return;
+
+    setIsLoading(true);
+    try {
+      await authAPI.verifyEmail(pending.userId, verifyCode);
+      setJoined({ email: pending.email, teamName: pending.teamName });
+      setPending(null);
+      toast.success("Welcome aboard!", {
+        description: "Your email is verified. You can now login.",
+      });
+    } catch (error) {
+      toast.error("Verification Failed", { description: apiErrorMessage(error, "Invalid or expired code") });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onResend = async () => {
+    if (!pending) return;
+    try {
+      await authAPI.resendOTP(pending.userId, "verify");
+      toast.info("Code sent", { description: `Check ${pending.email} for a new code` });
+    } catch (error) {
+      toast.error("Failed to resend code", { description: apiErrorMessage(error, "Please try again") });
+    }
+  };
+
+  const renderBody = () => {
+    if (!withCode && isError) {
+      return (
+        <TerminalCard title="INVALID INVITE" status="danger">
+          <div className="space-y-6 text-center">
+            <AlertCircle className="w-16 h-16 text-destructive mx-auto" />
+            <p className="text-sm font-terminal text-muted-foreground">
+              This invite link is invalid or has expired. Ask your team captain to send a new one or share a join code.
+            </p>
+          </div>
+        </TerminalCard>
+      );
+    }
+
+    if (!withCode && (inviteLoading || !invite)) {
+      return (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin text-primary" />
+        </div>
+      );
+    }
+
+    if (joined) {
+      return (
+        <TerminalCard title="ACCOUNT CREATED" status="active">
+          <div className="space-y-6 text-center">
+            <ShieldCheck className="w-16 h-16 text-primary mx-auto" />
+            <p className="text-sm font-terminal text-foreground">
+              {joined.teamName && (
+                <>
+                  You joined <span className="text-primary">{joined.teamName}</span>.{" "}
+                </>
+              )}
+              Login as {joined.email}.
+            </p>
+            <Link to="/login">
+              <Button variant="toxic" size="lg" className="w-full gap-2">
+                GO TO LOGIN
+              </Button>
+            </Link>
+          </div>
+        </TerminalCard>
+      );
+    }
+
+    if (pending) {
+      return (
+        <TerminalCard title="VERIFY EMAIL" status="active" scanLine>
+          <form onSubmit={onVerify} className="space-y-6">
+            <div>
+              <label htmlFor="verify-code" className="block text-xs font-terminal text-muted-foreground mb-2">
+                VERIFICATION CODE
+              </label>
+              <p className="text-xs text-muted-foreground/70 mb-2 font-terminal">
+                Check {pending.email} for the 6-digit code
+              </p>
+              <div className="relative">
+                <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
+                <Input
+                  id="verify-code"
+                  name="verifyCode"
+                  type="text"
+                  maxLength={6}
+                  placeholder="000000"
+                  value={verifyCode}
+                  onChange={(e) => setVerifyCode(e.target.value.replace(/\D/g, ''))}
+                  className="pl-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal text-center tracking-[0.5em] text-lg"
+                  autoComplete="one-time-code"
+                />
+              </div>
+              <button
+                type="button"
+                onClick={onResend}
+                className="mt-2 text-xs text-primary hover:underline font-terminal"
+              >
+                Didn't get it? Resend the code
+              </button>
+            </div>
+
+            <Button type="submit" variant="toxic" size="lg" disabled={isLoading || verifyCode.length !== 6} className="w-full gap-2">
+              {isLoading ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  VERIFYING...
+                </>
+              ) : (
+                <>
+                  <ShieldCheck className="w-5 h-5" />
+                  VERIFY EMAIL
+                </>
+              )}
+            </Button>
+          </form>
+        </TerminalCard>
+      );
+    }
+
+    return (
+      <TerminalCard title="NEW OPERATIVE" status="active" scanLine>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+          {withCode ? (
+            <>
+              {/* Join code */}
+              <div>
+                <label htmlFor="join-code" className="block text-xs font-terminal text-muted-foreground mb-2">
+                  JOIN CODE
+                </label>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
+                  <Input
+                    {...register("code")}
+                    id="join-code"
+                    name="code"
+                    placeholder="XXXX-XXXX"
+                    autoComplete="off"
+                    className="pl-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal tracking-widest uppercase"
+                  />
+                </div>
+                {errors.code && (
+                  <p className="mt-2 text-sm text-destructive flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4" />
+                    {errors.code.message}
+                  </p>
+                )}
+              </div>
+
+              {/* Email */}
+              <div>
+                <label htmlFor="join-email" className="block text-xs font-terminal text-muted-foreground mb-2">
+                  EMAIL
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
+                  <Input
+                    {...register("email")}
+                    id="join-email"
+                    name="email"
+                    type="email"
+                    placeholder="agent@email.com"
+                    autoComplete="email"
+                    className="pl-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal"
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-2 text-sm text-destructive flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4" />
+                    {errors.email.message}
+                  </p>
+                )}
+              </div>
+            </>
+          ) : (
+            <div>
+              <label className="block text-xs font-terminal text-muted-foreground mb-2">EMAIL</label>
+              <Input
+                value={invite?.email || ""}
+                disabled
+                className="h-12 bg-background/50 border-primary/20 font-terminal"
+              />
+            </div>
+          )}
+
+          {/* Name */}
+          <div>
+            <label htmlFor="join-name" className="block text-xs font-terminal text-muted-foreground mb-2">
+              YOUR NAME
+            </label>
+            <div className="relative">
+              <User className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
+              <Input
+                {...register("name")}
+                id="join-name"
+                name="name"
+                placeholder="Agent name"
+                autoComplete="name"
+                className="pl-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal"
+              />
+            </div>
+            {errors.name && (
+              <p className="mt-2 text-sm text-destructive flex items-center gap-2">
+                <AlertCircle className="w-4 h-4" />
+                {errors.name.message}
+              </p>
+            )}
+          </div>
+
+          {/* Password */}
+          <div>
+            <label htmlFor="join-password" className="block text-xs font-terminal text-muted-foreground mb-2">
+              PASSWORD
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
+              <Input
+                {...register("password")}
+                id="join-password"
+                name="password"
+                type={showPassword ? "text" : "password"}
+                placeholder="••••••••"
+                autoComplete="new-password"
+                className="pl-11 pr-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal"
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-3 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-primary transition-colors"
+              >
+                {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+              </button>
+            </div>
+            {errors.password && (
+              <p className="mt-2 text-sm text-destructive flex items-center gap-2">
+                <AlertCircle className="w-4 h-4" />
+                {errors.password.message}
+              </p>
+            )}
+          </div>
+
+          {/* Confirm Password */}
+          <div>
+            <label htmlFor="join-confirm-password" className="block text-xs font-terminal text-muted-foreground mb-2">
+              CONFIRM PASSWORD
+            </label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
+              <Input
+                {...register("confirmPassword")}
+                id="join-confirm-password"
+                name="confirmPassword"
+                type={showPassword ? "text" : "password"}
+                placeholder="••••••••"
+                autoComplete="new-password"
+                className="pl-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal"
+              />
+            </div>
+            {errors.confirmPassword && (
+              <p className="mt-2 text-sm text-destructive flex items-center gap-2">
+                <AlertCircle className="w-4 h-4" />
+                {errors.confirmPassword.message}
+              </p>
+            )}
+          </div>
+
+          <Button type="submit" variant="toxic" size="lg" disabled={isLoading} className="w-full gap-2">
+            {isLoading ? (
+              <>
+                <Loader2 className="w-5 h-5 animate-spin" />
+                JOINING...
+              </>
+            ) : (
+              <>
+                <UserPlus className="w-5 h-5" />
+                JOIN TEAM
+              </>
+            )}
+          </Button>
+        </form>
+      </TerminalCard>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-background noise-overlay flex flex-col">
+      <Navbar />
+
+      <main className="flex-1 flex items-center justify-center pt-16 pb-8 px-4">
+        <div className="w-full max-w-md">
+          {/* Header */}
+          <div className="text-center mb-8">
+            <BiohazardIcon className="w-16 h-16 text-primary mx-auto mb-6 animate-pulse" />
+            <h1 className="text-2xl md:text-3xl font-display font-bold mb-2">
+              <span className="text-primary text-glow-toxic">JOIN</span> {invite?.teamName || "TEAM"}
+            </h1>
+            <p className="text-sm text-muted-foreground font-terminal">
+              {pending
+                ? "Confirm your email to finish joining"
+                : withCode ? "Enter the join code your captain shared" : "Create your own account to play with your team"}
+            </p>
+          </div>
+
+          {renderBody()}
+
+          <p className="text-center text-sm text-muted-foreground mt-6 font-terminal">
+            ALREADY HAVE AN ACCOUNT?{" "}
+            <Link to="/login" className="text-primary hover:underline">
+              LOGIN
+            </Link>
+          </p>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default JoinTeam;
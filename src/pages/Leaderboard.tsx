@@ -1,5 +1,5 @@
-import { useState } from "react";
-import { Trophy, Clock, Medal, TrendingUp, ChevronUp, ChevronDown, Minus, Loader2, AlertCircle, Lock } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Trophy, Clock, Medal, TrendingUp, ChevronUp, ChevronDown, Minus, Loader2, AlertCircle, Lock, Snowflake } from "lucide-react";
 import { Navbar } from "@/components/Navbar";
 import { Footer } from "@/components/Footer";
 import { BackButton } from "@/components/BackButton";
@@ -7,13 +7,54 @@ import { TerminalCard } from "@/components/TerminalCard";
 import { cn } from "@/lib/utils";
 import { useLeaderboard } from "@/hooks/useAdminData";
 import { Button } from "@/components/ui/button";
+import type { LeaderboardEntry } from "@/types/api";
+
+const REVEAL_STEP_MS = 900;
+const REVEAL_SEEN_KEY = "leaderboard_reveal_seen";
+
+/**
+ * Row order part-way through a reveal: teams not yet revealed keep their
+ * frozen order on top, revealed teams take their final places from the bottom up.
+ */
+function revealOrder(frozen: LeaderboardEntry[], live: LeaderboardEntry[], revealed: number) {
+  const settled = live.slice(Math.max(0, live.length - revealed));
+  const settledIds = new Set(settled.map((t) => t.id));
+  const liveIds = new Set(live.map((t) => t.id));
+  const frozenIds = new Set(frozen.map((t) => t.id));
+  const pending = [
+    ...frozen.filter((t) => liveIds.has(t.id) && !settledIds.has(t.id)),
+    ...live.filter((t) => !frozenIds.has(t.id) && !settledIds.has(t.id)),
+  ];
+  return [...pending, ...settled];
+}
 
 const Leaderboard = () => {
   const { data, isLoading, error } = useLeaderboard();
   const [sortBy, setSortBy] = useState<"rank" | "time" | "hints">("rank");
+  const [reveal, setReveal] = useState<{ from: LeaderboardEntry[]; step: number } | null>(null);
 
   const resultsPublished = data?.resultsPublished ?? false;
+  const freeze = data?.freeze ?? null;
   const leaderboardArray = data?.teams ?? [];
+  const revealDone = !!reveal && reveal.step >= leaderboardArray.length;
+  const rows = reveal ? revealOrder(reveal.from, leaderboardArray, reveal.step) : leaderboardArray;
+
+  // Play the reveal once per unfreeze
+  useEffect(() => {
+    if (!freeze?.revealedAt || !freeze.revealFrom) return;
+    if (sessionStorage.getItem(REVEAL_SEEN_KEY) === freeze.revealedAt) return;
+    sessionStorage.setItem(REVEAL_SEEN_KEY, freeze.revealedAt);
+    setReveal({ from: freeze.revealFrom, step: 0 });
+  }, [freeze?.revealedAt, freeze?.revealFrom]);
+
+  useEffect(() => {
+    if (!reveal) return;
+    const timer = setTimeout(
+      () => setReveal(revealDone ? null : { ...reveal, step: reveal.step + 1 }),
+      revealDone ? REVEAL_STEP_MS * 3 : REVEAL_STEP_MS
+    );
+    return () => clearTimeout(timer);
+  }, [reveal, revealDone]);
 
   const stats = {
     totalTeams: leaderboardArray.length,
@@ -124,6 +165,35 @@ const Leaderboard = () => {
               </p>
             </div>
 
+            {/* Freeze / reveal status */}
+            {freeze?.frozen && !reveal && (
+              <div className="mb-8 p-4 flex items-center gap-3 border border-blue-400/30 bg-blue-400/10 rounded-lg font-terminal text-sm text-blue-300">
+                <Snowflake className="w-5 h-5 shrink-0" />
+                <span>
+                  SCOREBOARD FROZEN — standings as of {new Date(freeze.frozenAt ?? freeze.freezeAt ?? Date.now()).toLocaleTimeString()}.
+                  The final order will be revealed at the end.
+                </span>
+              </div>
+            )}
+            {!freeze?.frozen && freeze?.freezeAt && !reveal && (
+              <p className="mb-8 text-center text-xs font-terminal text-muted-foreground">
+                Scoreboard freezes at {new Date(freeze.freezeAt).toLocaleTimeString()}
+              </p>
+            )}
+            {reveal && (
+              <div className="mb-8 p-4 flex items-center justify-between gap-3 border border-warning/30 bg-warning/10 rounded-lg font-terminal text-sm text-warning">
+                <span className="flex items-center gap-3">
+                  <Trophy className="w-5 h-5 shrink-0" />
+                  {revealDone ? "FINAL STANDINGS" : "REVEALING FINAL STANDINGS..."}
+                </span>
+                {!revealDone && (
+                  <Button variant="ghost" size="sm" onClick={() => setReveal(null)}>
+                    Skip
+                  </Button>
+                )}
+              </div>
+            )}
+
             {/* Stats Cards */}
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
               {isLoading ? (
@@ -158,7 +228,7 @@ const Leaderboard = () => {
                     <Loader2 className="w-8 h-8 text-primary animate-spin" />
                     <span className="ml-3 text-muted-foreground font-terminal">Loading rankings...</span>
                   </div>
-                ) : leaderboardArray.length > 0 ? (
+                ) : rows.length > 0 ? (
                   <table className="w-full">
                     <thead>
                       <tr className="border-b border-primary/20">
@@ -173,12 +243,14 @@ const Leaderboard = () => {
                       </tr>
                     </thead>
                     <tbody>
-                      {leaderboardArray.map((team: any, index: number) => (
+                      {rows.map((team: any, index: number) => (
                         <tr
                           key={team.id}
                           className={cn(
                             "border-b border-primary/10 transition-colors hover:bg-primary/5",
-                            index < 3 && "bg-primary/5"
+                            index < 3 && "bg-primary/5",
+                            reveal && index < rows.length - reveal.step && "opacity-50",
+                            reveal && index === rows.length - reveal.step && "bg-warning/10 animate-in fade-in slide-in-from-top-4 duration-700"
                           )}
                         >
                           <td className="py-4 px-4">
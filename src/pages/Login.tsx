@@ -28,6 +28,9 @@ const Login = () => {
   const [show2FA, setShow2FA] = useState(false);
   const [userId, setUserId] = useState("");
   const [otp2FA, setOtp2FA] = useState("");
+  const [twoFaMethod, setTwoFaMethod] = useState<"email" | "totp">("email");
+  const [challenge, setChallenge] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [is2FALoading, setIs2FALoading] = useState(false);
 
   // Clear stale tokens when landing on login page
@@ -64,9 +67,13 @@ const Login = () => {
       // Check if 2FA is required
       if (response.requireTwoFa && response.userId) {
         setUserId(response.userId);
+        setTwoFaMethod(response.method === 'totp' ? 'totp' : 'email');
+        setChallenge(response.challenge || "");
         setShow2FA(true);
         toast.info("2FA Required", {
-          description: "Enter the code sent to your email"
+          description: response.method === 'totp'
+            ? "Enter the code from your authenticator app"
+            : "Enter the code sent to your email"
         });
       } else if (response.role) {
         // Login successful - redirect to dashboard
@@ -77,9 +84,16 @@ const Login = () => {
       }
     } catch (error: any) {
       console.error('Login error:', error);
+      // Members who joined with a join code confirm their email on the join page
+      if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        const { userId: unverifiedId, email } = error.response.data;
+        toast.info("Verify your email", { description: `Enter the code sent to ${email}` });
+        navigate("/join", { state: { verify: { userId: unverifiedId, email } } });
+        return;
+      }
       const rawErr = error.response?.data?.error;
       const errorMsg = typeof rawErr === 'string' ? rawErr : rawErr?.message || error.message || "Failed to connect to backend API. Please ensure the server is running.";
-      toast.error("Authentication Failed", {
+      toast.error(error.response?.data?.code === 'ACCOUNT_LOCKED' ? "Account Locked" : "Authentication Failed", {
         description: errorMsg
       });
     } finally {
@@ -91,7 +105,7 @@ const Login = () => {
   const handle2FASubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (!otp2FA || otp2FA.length !== 6) {
+    if (!useRecoveryCode && (!otp2FA || otp2FA.length !== 6)) {
       toast.error("Invalid Code", {
         description: "Please enter a valid 6-digit code"
       });
@@ -100,7 +114,11 @@ const Login = () => {
 
     setIs2FALoading(true);
     try {
-      await verify2FA(userId, otp2FA);
+      if (useRecoveryCode) {
+        await verify2FA(userId, "", { challenge, recoveryCode: otp2FA });
+      } else {
+        await verify2FA(userId, otp2FA, { challenge: challenge || undefined });
+      }
       toast.success("Access granted!", {
         description: "Welcome back, agent."
       });
@@ -112,6 +130,10 @@ const Login = () => {
       toast.error("Verification Failed", {
         description: errorMsg
       });
+      // The login challenge lapsed; start over from the password step
+      if (error.response?.data?.code === 'CHALLENGE_EXPIRED') {
+        handleBack2FA();
+      }
     } finally {
       setIs2FALoading(false);
     }
@@ -122,6 +144,13 @@ const Login = () => {
     setShow2FA(false);
     setUserId("");
     setOtp2FA("");
+    setChallenge("");
+    setUseRecoveryCode(false);
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setOtp2FA("");
   };
 
   return (
@@ -151,7 +180,7 @@ const Login = () => {
             </h1>
             <p className="text-sm text-muted-foreground font-terminal mb-3">
               {show2FA 
-                ? 'Enter the 6-digit code sent to your email' 
+                ? (twoFaMethod === 'totp' ? 'Enter the 6-digit code from your authenticator app' : 'Enter the 6-digit code sent to your email')
                 : 'Registered teams only - Use your team leader\'s email'}
             </p>
             {!show2FA && (
@@ -170,10 +199,14 @@ const Login = () => {
               <form onSubmit={handle2FASubmit} className="space-y-6">
                 <div>
                   <label htmlFor="otp-2fa" className="block text-xs font-terminal text-muted-foreground mb-2">
-                    VERIFICATION CODE
+                    {useRecoveryCode ? 'RECOVERY CODE' : 'VERIFICATION CODE'}
                   </label>
                   <p className="text-xs text-muted-foreground/70 mb-2 font-terminal">
-                    Check your email for the 6-digit code
+                    {useRecoveryCode
+                      ? 'Use one of the recovery codes you saved when setting up the app'
+                      : twoFaMethod === 'totp'
+                        ? 'Open your authenticator app for the 6-digit code'
+                        : 'Check your email for the 6-digit code'}
                   </p>
                   <div className="relative">
                     <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-primary/50" />
@@ -181,21 +214,30 @@ const Login = () => {
                       id="otp-2fa"
                       name="otp2fa"
                       type="text"
-                      maxLength={6}
-                      placeholder="000000"
+                      maxLength={useRecoveryCode ? 11 : 6}
+                      placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "000000"}
                       value={otp2FA}
-                      onChange={(e) => setOtp2FA(e.target.value.replace(/\D/g, ''))}
+                      onChange={(e) => setOtp2FA(useRecoveryCode ? e.target.value.trim() : e.target.value.replace(/\D/g, ''))}
                       className="pl-11 h-12 bg-background/50 border-primary/20 focus:border-primary/50 font-terminal text-center tracking-[0.5em] text-lg"
                       autoComplete="one-time-code"
                     />
                   </div>
+                  {twoFaMethod === 'totp' && (
+                    <button
+                      type="button"
+                      onClick={toggleRecoveryCode}
+                      className="mt-2 text-xs text-primary hover:underline font-terminal"
+                    >
+                      {useRecoveryCode ? 'Use authenticator code' : 'Lost your device? Use a recovery code'}
+                    </button>
+                  )}
                 </div>
 
                 <Button 
                   type="submit" 
                   variant="toxic" 
                   size="lg"
-                  disabled={is2FALoading || otp2FA.length !== 6}
+                  disabled={is2FALoading || (useRecoveryCode ? otp2FA.length < 10 : otp2FA.length !== 6)}
                   className="w-full gap-2"
                 >
                   {is2FALoading ? (
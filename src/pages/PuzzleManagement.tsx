@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Plus, Edit, Trash2, Eye, AlertTriangle } from 'lucide-react';
+import { Plus, Edit, Trash2, Eye, AlertTriangle, Package } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { BackButton } from '@/components/BackButton';
 import {
@@ -22,6 +22,7 @@ import {
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
+import { Switch } from '@/components/ui/switch';
 import {
   Select,
   SelectContent,
@@ -31,6 +32,8 @@ import {
 } from '@/components/ui/select';
 import { useToast } from '@/hooks/use-toast';
 import { fetchWithAuth } from '@/lib/api';
+import { useLevels } from '@/hooks/useLevels';
+import { PuzzlePackDialog } from '@/components/PuzzlePackDialog';
 
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
@@ -43,29 +46,286 @@ interface Puzzle {
   puzzle_type: string;
   puzzle_content: string;
   puzzle_file_url?: string;
-  correct_answer: string;
+  correct_answer: string | null;
+  answer_is_hashed?: boolean;
+  answer_match_mode?: AnswerMatchMode;
+  answer_match_options?: AnswerMatchOptions | null;
+  dynamic_flag?: boolean;
+  flag_template?: string | null;
   points: number;
+  scoring_mode?: ScoringMode;
+  minimum_points?: number | null;
+  decay?: number | null;
+  first_blood_bonus?: number;
+  second_blood_bonus?: number;
+  third_blood_bonus?: number;
+  current_points?: number;
+  solve_count?: number;
   time_limit_minutes: number;
   is_active: boolean;
   hint_count: number;
   submission_count: number;
 }
 
+type AnswerMatchMode = 'exact' | 'case_sensitive' | 'regex' | 'aliases' | 'numeric' | 'normalized';
+
+interface AnswerMatchOptions {
+  aliases?: string[];
+  tolerance?: number;
+  flags?: string;
+}
+
+const ANSWER_MATCH_MODES: { value: AnswerMatchMode; label: string; help: string }[] = [
+  { value: 'exact', label: 'Exact (ignore case)', help: 'Trimmed, case-insensitive comparison' },
+  { value: 'case_sensitive', label: 'Case-sensitive', help: 'Trimmed, letter case must match' },
+  { value: 'normalized', label: 'Normalized', help: 'Ignores case, spaces and punctuation — "flag{ X }" matches "flag{x}"' },
+  { value: 'aliases', label: 'Accepted aliases', help: 'Correct answer or any alias (one per line)' },
+  { value: 'numeric', label: 'Numeric', help: 'Numbers within the given tolerance' },
+  { value: 'regex', label: 'Regex', help: 'Correct answer is a regular expression matched against the whole answer' },
+];
+
+/**
+ * Answer match mode selector + mode-specific options
+ */
+function AnswerMatchFields({
+  idPrefix,
+  mode,
+  options,
+  onChange,
+}: {
+  idPrefix: string;
+  mode: AnswerMatchMode;
+  options: AnswerMatchOptions;
+  onChange: (mode: AnswerMatchMode, options: AnswerMatchOptions) => void;
+}) {
+  const selected = ANSWER_MATCH_MODES.find((m) => m.value === mode);
+
+  return (
+    <div className="grid gap-2">
+      <Label htmlFor={`${idPrefix}-match-mode`}>Answer Matching</Label>
+      <Select value={mode} onValueChange={(value) => onChange(value as AnswerMatchMode, options)}>
+        <SelectTrigger id={`${idPrefix}-match-mode`}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {ANSWER_MATCH_MODES.map((m) => (
+            <SelectItem key={m.value} value={m.value}>{m.label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {selected && <p className="text-xs text-zinc-500">{selected.help}</p>}
+
+      {mode === 'aliases' && (
+        <Textarea
+          id={`${idPrefix}-aliases`}
+          value={(options.aliases || []).join('\n')}
+          onChange={(e) => onChange(mode, { ...options, aliases: e.target.value.split('\n') })}
+          placeholder="One accepted alias per line"
+          rows={3}
+        />
+      )}
+
+      {mode === 'numeric' && (
+        <Input
+          id={`${idPrefix}-tolerance`}
+          type="number"
+          step="any"
+          value={options.tolerance ?? 0}
+          onChange={(e) => onChange(mode, { ...options, tolerance: parseFloat(e.target.value) || 0 })}
+          placeholder="Tolerance (e.g. 0.01)"
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Per-team dynamic flag toggle + flag format
+ */
+function DynamicFlagFields({
+  idPrefix,
+  enabled,
+  template,
+  onChange,
+}: {
+  idPrefix: string;
+  enabled: boolean;
+  template: string;
+  onChange: (enabled: boolean, template: string) => void;
+}) {
+  return (
+    <div className="grid gap-2">
+      <div className="flex items-center gap-2">
+        <Switch
+          id={`${idPrefix}-dynamic-flag`}
+          checked={enabled}
+          onCheckedChange={(checked) => onChange(checked, template)}
+        />
+        <Label htmlFor={`${idPrefix}-dynamic-flag`}>Per-team dynamic flag</Label>
+      </div>
+      {enabled && (
+        <>
+          <Input
+            id={`${idPrefix}-flag-template`}
+            value={template}
+            onChange={(e) => onChange(enabled, e.target.value)}
+            placeholder="flag{%s}"
+          />
+          <p className="text-xs text-zinc-500">
+            Each team gets its own flag; %s is replaced by the team token. Put {'{{flag}}'} in the puzzle content where the flag should appear.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+type ScoringMode = 'static' | 'linear' | 'logarithmic';
+
+const SCORING_MODES: { value: ScoringMode; label: string; help: string }[] = [
+  { value: 'static', label: 'Static', help: 'Always worth the full points' },
+  { value: 'linear', label: 'Linear decay', help: 'Loses the decay amount for every solve after the first' },
+  { value: 'logarithmic', label: 'Logarithmic decay', help: 'Drops slowly at first and reaches the minimum after the decay number of solves' },
+];
+
+/**
+ * Scoring mode selector + decay settings for dynamic puzzles
+ */
+function ScoringFields({
+  idPrefix,
+  mode,
+  minimum,
+  decay,
+  onChange,
+}: {
+  idPrefix: string;
+  mode: ScoringMode;
+  minimum: number;
+  decay: number;
+  onChange: (changes: { scoring_mode?: ScoringMode; minimum_points?: number; decay?: number }) => void;
+}) {
+  const selected = SCORING_MODES.find((m) => m.value === mode);
+
+  return (
+    <div className="grid gap-2">
+      <Label htmlFor={`${idPrefix}-scoring-mode`}>Scoring</Label>
+      <Select value={mode} onValueChange={(value) => onChange({ scoring_mode: value as ScoringMode })}>
+        <SelectTrigger id={`${idPrefix}-scoring-mode`}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {SCORING_MODES.map((m) => (
+            <SelectItem key={m.value} value={m.value}>{m.label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {selected && <p className="text-xs text-zinc-500">{selected.help}</p>}
+
+      {mode !== 'static' && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <Label htmlFor={`${idPrefix}-minimum-points`} className="text-xs">Minimum points</Label>
+            <Input
+              id={`${idPrefix}-minimum-points`}
+              type="number"
+              min={0}
+              value={minimum}
+              onChange={(e) => onChange({ minimum_points: parseInt(e.target.value) || 0 })}
+            />
+          </div>
+          <div>
+            <Label htmlFor={`${idPrefix}-decay`} className="text-xs">
+              {mode === 'linear' ? 'Points lost per solve' : 'Solves to reach minimum'}
+            </Label>
+            <Input
+              id={`${idPrefix}-decay`}
+              type="number"
+              min={1}
+              value={decay}
+              onChange={(e) => onChange({ decay: parseInt(e.target.value) || 0 })}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+type BloodBonusField = 'first_blood_bonus' | 'second_blood_bonus' | 'third_blood_bonus';
+
+const BLOOD_BONUSES: { field: BloodBonusField; label: string }[] = [
+  { field: 'first_blood_bonus', label: 'First blood' },
+  { field: 'second_blood_bonus', label: 'Second blood' },
+  { field: 'third_blood_bonus', label: 'Third blood' },
+];
+
+/**
+ * Bonus points for the first three teams to solve a puzzle
+ */
+function BloodBonusFields({
+  idPrefix,
+  values,
+  onChange,
+}: {
+  idPrefix: string;
+  values: Record<BloodBonusField, number>;
+  onChange: (changes: Partial<Record<BloodBonusField, number>>) => void;
+}) {
+  return (
+    <div className="grid gap-2">
+      <Label>Blood bonuses</Label>
+      <div className="grid grid-cols-3 gap-4">
+        {BLOOD_BONUSES.map(({ field, label }) => (
+          <div key={field}>
+            <Label htmlFor={`${idPrefix}-${field}`} className="text-xs">{label}</Label>
+            <Input
+              id={`${idPrefix}-${field}`}
+              type="number"
+              min={0}
+              value={values[field]}
+              onChange={(e) => onChange({ [field]: parseInt(e.target.value) || 0 })}
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-zinc-500">
+        Added to the puzzle's value for the first three solvers. First blood is always announced to every team.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Drop options that don't apply to the chosen mode before saving
+ */
+function cleanMatchOptions(mode: AnswerMatchMode, options: AnswerMatchOptions): AnswerMatchOptions | null {
+  if (mode === 'aliases') {
+    return { aliases: (options.aliases || []).map((a) => a.trim()).filter(Boolean) };
+  }
+  if (mode === 'numeric') return { tolerance: options.tolerance ?? 0 };
+  if (mode === 'regex' && options.flags) return { flags: options.flags };
+  return null;
+}
+
 interface Hint {
   id?: string;
   hint_number: number;
   hint_text: string;
   time_penalty_seconds: number;
+  point_cost?: number;
+  unlock_after_seconds?: number | null;
 }
 
 export default function PuzzleManagement() {
   const { toast } = useToast();
   const queryClient = useQueryClient();
   const [selectedLevel, setSelectedLevel] = useState<number | 'all'>('all');
+  const { levels } = useLevels();
   const [isCreateOpen, setIsCreateOpen] = useState(false);
   const [isEditOpen, setIsEditOpen] = useState(false);
   const [isViewOpen, setIsViewOpen] = useState(false);
   const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+  const [isPackOpen, setIsPackOpen] = useState(false);
   const [currentPuzzle, setCurrentPuzzle] = useState<Puzzle | null>(null);
   const [hints, setHints] = useState<Hint[]>([]);
 
@@ -78,10 +338,27 @@ export default function PuzzleManagement() {
     puzzle_content: '',
     puzzle_file_url: '',
     correct_answer: '',
+    answer_match_mode: 'exact' as AnswerMatchMode,
+    answer_match_options: {} as AnswerMatchOptions,
+    dynamic_flag: false,
+    flag_template: '',
     points: 100,
+    scoring_mode: 'static' as ScoringMode,
+    minimum_points: 10,
+    decay: 10,
+    first_blood_bonus: 0,
+    second_blood_bonus: 0,
+    third_blood_bonus: 0,
     time_limit_minutes: 4,
   });
 
+  const toPayload = (data: typeof formData) => ({
+    ...data,
+    answer_match_options: cleanMatchOptions(data.answer_match_mode, data.answer_match_options),
+    minimum_points: data.scoring_mode === 'static' ? null : data.minimum_points,
+    decay: data.scoring_mode === 'static' ? null : data.decay,
+  });
+
   // Fetch puzzles
   const { data: puzzlesData, isLoading } = useQuery({
     queryKey: ['puzzles', selectedLevel],
@@ -103,7 +380,7 @@ export default function PuzzleManagement() {
       const response = await fetchWithAuth(`${API_BASE}/puzzles`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data),
+        body: JSON.stringify(toPayload(data)),
       });
       
       if (!response.ok) throw new Error('Failed to create puzzle');
@@ -129,11 +406,11 @@ export default function PuzzleManagement() {
 
   // Update puzzle mutation
   const updatePuzzle = useMutation({
-    mutationFn: async ({ id, data }: { id: string; data: Partial<typeof formData> }) => {
+    mutationFn: async ({ id, data }: { id: string; data: typeof formData }) => {
       const response = await fetchWithAuth(`${API_BASE}/puzzles/${id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data),
+        body: JSON.stringify(toPayload(data)),
       });
       
       if (!response.ok) throw new Error('Failed to update puzzle');
@@ -193,7 +470,17 @@ export default function PuzzleManagement() {
       puzzle_content: '',
       puzzle_file_url: '',
       correct_answer: '',
+      answer_match_mode: 'exact',
+      answer_match_options: {},
+      dynamic_flag: false,
+      flag_template: '',
       points: 100,
+      scoring_mode: 'static',
+      minimum_points: 10,
+      decay: 10,
+      first_blood_bonus: 0,
+      second_blood_bonus: 0,
+      third_blood_bonus: 0,
       time_limit_minutes: 4,
     });
     setHints([]);
@@ -209,8 +496,18 @@ export default function PuzzleManagement() {
       puzzle_type: puzzle.puzzle_type,
       puzzle_content: puzzle.puzzle_content,
       puzzle_file_url: puzzle.puzzle_file_url || '',
-      correct_answer: puzzle.correct_answer,
+      correct_answer: puzzle.correct_answer || '',
+      answer_match_mode: puzzle.answer_match_mode || 'exact',
+      answer_match_options: puzzle.answer_match_options || {},
+      dynamic_flag: !!puzzle.dynamic_flag,
+      flag_template: puzzle.flag_template || '',
       points: puzzle.points,
+      scoring_mode: puzzle.scoring_mode || 'static',
+      minimum_points: puzzle.minimum_points ?? 10,
+      decay: puzzle.decay ?? 10,
+      first_blood_bonus: puzzle.first_blood_bonus ?? 0,
+      second_blood_bonus: puzzle.second_blood_bonus ?? 0,
+      third_blood_bonus: puzzle.third_blood_bonus ?? 0,
       time_limit_minutes: puzzle.time_limit_minutes,
     });
     setIsEditOpen(true);
@@ -234,17 +531,27 @@ export default function PuzzleManagement() {
           <h1 className="text-3xl font-bold text-toxic-green">Puzzle Management</h1>
           <p className="text-zinc-400 mt-2">Create and manage game puzzles</p>
         </div>
-        <Button
-          onClick={() => setIsCreateOpen(true)}
-          className="bg-green-500 text-white hover:bg-green-600"
-        >
-          <Plus className="w-4 h-4 mr-2" />
-          Create Puzzle
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={() => setIsPackOpen(true)}
+            className="border-zinc-600 text-zinc-300 hover:bg-zinc-800"
+          >
+            <Package className="w-4 h-4 mr-2" />
+            Import / Export
+          </Button>
+          <Button
+            onClick={() => setIsCreateOpen(true)}
+            className="bg-green-500 text-white hover:bg-green-600"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Create Puzzle
+          </Button>
+        </div>
       </div>
 
       {/* Level Filter */}
-      <div className="flex gap-2">
+      <div className="flex flex-wrap gap-2">
         <Button
           variant={selectedLevel === 'all' ? 'default' : 'outline'}
           onClick={() => setSelectedLevel('all')}
@@ -252,20 +559,16 @@ export default function PuzzleManagement() {
         >
           All Levels
         </Button>
-        <Button
-          variant={selectedLevel === 1 ? 'default' : 'outline'}
-          onClick={() => setSelectedLevel(1)}
-          className={selectedLevel === 1 ? 'bg-green-500 text-white hover:bg-green-600' : 'border-zinc-600 text-zinc-300 hover:bg-zinc-800'}
-        >
-          Level 1
-        </Button>
-        <Button
-          variant={selectedLevel === 2 ? 'default' : 'outline'}
-          onClick={() => setSelectedLevel(2)}
-          className={selectedLevel === 2 ? 'bg-green-500 text-white hover:bg-green-600' : 'border-zinc-600 text-zinc-300 hover:bg-zinc-800'}
-        >
-          Level 2
-        </Button>
+        {levels.map((level) => (
+          <Button
+            key={level.level_number}
+            variant={selectedLevel === level.level_number ? 'default' : 'outline'}
+            onClick={() => setSelectedLevel(level.level_number)}
+            className={selectedLevel === level.level_number ? 'bg-green-500 text-white hover:bg-green-600' : 'border-zinc-600 text-zinc-300 hover:bg-zinc-800'}
+          >
+            {level.name}
+          </Button>
+        ))}
       </div>
 
       {/* Puzzles Table */}
@@ -314,7 +617,16 @@ export default function PuzzleManagement() {
                       {puzzle.puzzle_type}
                     </span>
                   </TableCell>
-                  <TableCell>{puzzle.points}</TableCell>
+                  <TableCell>
+                    {puzzle.scoring_mode && puzzle.scoring_mode !== 'static' ? (
+                      <span title={`${puzzle.solve_count ?? 0} solve(s), decays to ${puzzle.minimum_points}`}>
+                        {puzzle.current_points ?? puzzle.points}
+                        <span className="text-xs text-zinc-500"> / {puzzle.points}</span>
+                      </span>
+                    ) : (
+                      puzzle.points
+                    )}
+                  </TableCell>
                   <TableCell>{puzzle.time_limit_minutes}m</TableCell>
                   <TableCell>{puzzle.hint_count || 0}</TableCell>
                   <TableCell>{puzzle.submission_count || 0}</TableCell>
@@ -371,8 +683,11 @@ export default function PuzzleManagement() {
                     <SelectValue />
                   </SelectTrigger>
                   <SelectContent>
-                    <SelectItem value="1">Level 1</SelectItem>
-                    <SelectItem value="2">Level 2</SelectItem>
+                    {levels.map((level) => (
+                      <SelectItem key={level.level_number} value={level.level_number.toString()}>
+                        {level.name}
+                      </SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
               </div>
@@ -481,6 +796,34 @@ export default function PuzzleManagement() {
                 />
               </div>
             </div>
+
+            <AnswerMatchFields
+              idPrefix="create"
+              mode={formData.answer_match_mode}
+              options={formData.answer_match_options}
+              onChange={(mode, options) => setFormData({ ...formData, answer_match_mode: mode, answer_match_options: options })}
+            />
+
+            <DynamicFlagFields
+              idPrefix="create"
+              enabled={formData.dynamic_flag}
+              template={formData.flag_template}
+              onChange={(enabled, template) => setFormData({ ...formData, dynamic_flag: enabled, flag_template: template })}
+            />
+
+            <ScoringFields
+              idPrefix="create"
+              mode={formData.scoring_mode}
+              minimum={formData.minimum_points}
+              decay={formData.decay}
+              onChange={(changes) => setFormData({ ...formData, ...changes })}
+            />
+
+            <BloodBonusFields
+              idPrefix="create"
+              values={formData}
+              onChange={(changes) => setFormData({ ...formData, ...changes })}
+            />
           </div>
 
           <DialogFooter>
@@ -545,6 +888,7 @@ export default function PuzzleManagement() {
                   id="edit-correct-answer"
                   name="correct_answer"
                   value={formData.correct_answer}
+                  placeholder={currentPuzzle?.answer_is_hashed ? 'Hashed — leave blank to keep' : undefined}
                   onChange={(e) => setFormData({ ...formData, correct_answer: e.target.value })}
                 />
               </div>
@@ -560,6 +904,34 @@ export default function PuzzleManagement() {
                 />
               </div>
             </div>
+
+            <AnswerMatchFields
+              idPrefix="edit"
+              mode={formData.answer_match_mode}
+              options={formData.answer_match_options}
+              onChange={(mode, options) => setFormData({ ...formData, answer_match_mode: mode, answer_match_options: options })}
+            />
+
+            <DynamicFlagFields
+              idPrefix="edit"
+              enabled={formData.dynamic_flag}
+              template={formData.flag_template}
+              onChange={(enabled, template) => setFormData({ ...formData, dynamic_flag: enabled, flag_template: template })}
+            />
+
+            <ScoringFields
+              idPrefix="edit"
+              mode={formData.scoring_mode}
+              minimum={formData.minimum_points}
+              decay={formData.decay}
+              onChange={(changes) => setFormData({ ...formData, ...changes })}
+            />
+
+            <BloodBonusFields
+              idPrefix="edit"
+              values={formData}
+              onChange={(changes) => setFormData({ ...formData, ...changes })}
+            />
           </div>
 
           <DialogFooter>
@@ -605,6 +977,9 @@ export default function PuzzleManagement() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      {/* Puzzle Pack Import/Export */}
+      <PuzzlePackDialog open={isPackOpen} onOpenChange={setIsPackOpen} level={selectedLevel} />
     </div>
   );
 }
@@ -385,15 +385,17 @@ export default function TeamGameplay() {
           if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             const errorMsg = errorData.message || errorData.error || 'Failed to submit answer';
-            // Don't retry on 4xx client errors (except 408 timeout)
+            // Don't retry on 4xx client errors (except 408 timeout); a retried 429 would
+            // only spend more of the team's submission budget
             if (response.status >= 400 && response.status < 500 && response.status !== 408) {
-              throw new Error(errorMsg);
+              throw Object.assign(new Error(errorMsg), { retryable: false, code: errorData.code });
             }
             throw new Error(errorMsg);
           }
           return response.json();
         } catch (error) {
           lastError = error as Error;
+          if ((error as { retryable?: boolean }).retryable === false) break;
           if (attempt < MAX_SUBMIT_RETRIES) {
             // Wait before retrying (1s, then 2s)
             await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
@@ -553,8 +555,15 @@ export default function TeamGameplay() {
       }
     },
     onError: (error: Error) => {
-      // Check if this is a submissions_closed error
-      if (error.message.includes('Submissions are closed')) {
+      const code = (error as { code?: string }).code;
+      // Wrong-answer cooldown or the team's submission rate limit
+      if (code === 'ANSWER_COOLDOWN' || code === 'SUBMIT_RATE_LIMIT') {
+        toast({
+          title: 'Slow Down',
+          description: error.message,
+          variant: 'destructive',
+        });
+      } else if (error.message.includes('Submissions are closed')) {
         toast({
           title: 'Submissions Closed',
           description: error.message,
@@ -595,9 +604,13 @@ export default function TeamGameplay() {
     onSuccess: (data) => {
       setCurrentHint(data.hint.hint_text);
       const penalty = Math.floor(data.hint.time_penalty_seconds / 60);
+      const charges = [
+        data.hint.time_penalty_seconds > 0 && `Time penalty: +${penalty} minutes`,
+        data.hint.point_cost > 0 && `Point cost: -${data.hint.point_cost} points`,
+      ].filter(Boolean);
       toast({
         title: 'Hint Revealed',
-        description: `Time penalty: +${penalty} minutes`,
+        description: data.hint.free ? 'Free hint, no penalty' : charges.join(', ') || 'No penalty',
         className: 'bg-yellow-500 text-black',
       });
       startTransition(() => {
@@ -1458,14 +1471,14 @@ export default function TeamGameplay() {
                   Request Hint
                 </DialogTitle>
                 <DialogDescription>
-                  Using a hint will add a time penalty to your total score.
+                  Using a hint can add a time penalty or cost points.
                   Are you sure you want to proceed?
                 </DialogDescription>
               </DialogHeader>
 
               <div className="p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-lg">
                 <p className="text-sm text-zinc-300">
-                  ⚠️ Time penalties apply when using hints. This will affect your final ranking.
+                  ⚠️ Time penalties and point costs apply when using hints. This will affect your final ranking.
                 </p>
               </div>
 
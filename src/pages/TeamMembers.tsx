@@ -10,14 +10,17 @@ import {
   CheckCircle,
   XCircle,
   Loader2,
-  AlertTriangle
+  AlertTriangle,
+  KeyRound,
+  Clock
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Badge } from '@/components/ui/badge';
 import { TerminalCard } from '@/components/TerminalCard';
-import { fetchWithAuth } from '@/lib/api';
+import { fetchWithAuth, getTimeAgo } from '@/lib/api';
 import { cn } from '@/lib/utils';
+import type { TeamInvite } from '@/types/api';
 
 const API_BASE = import.meta.env.VITE_API_URL || '/api';
 
@@ -40,6 +43,7 @@ interface TeamWithMembers {
   } | null;
   members: Member[];
   totalMembers: number;
+  invites?: TeamInvite[];
 }
 
 const TeamMembers = () => {
@@ -61,6 +65,7 @@ const TeamMembers = () => {
   const teams: TeamWithMembers[] = teamsData?.teams || [];
   const totalMembers = teamsData?.totalMembers || 0;
   const totalTeams = teamsData?.totalTeams || 0;
+  const memberLimit: number | undefined = teamsData?.memberLimit;
 
   // Filter teams
   const filteredTeams = teams.filter(team => {
@@ -263,7 +268,9 @@ const TeamMembers = () => {
                     <div>
                       <h3 className="font-display text-lg text-foreground">{team.teamName}</h3>
                       <p className="text-xs font-terminal text-muted-foreground">
-                        {team.totalMembers} member{team.totalMembers !== 1 ? 's' : ''}
+                        {memberLimit
+                          ? `${team.totalMembers}/${memberLimit} members`
+                          : `${team.totalMembers} member${team.totalMembers !== 1 ? 's' : ''}`}
                         {team.leader && ` • Leader: ${team.leader.name}`}
                       </p>
                     </div>
@@ -355,6 +362,36 @@ const TeamMembers = () => {
                     </tbody>
                   </table>
                 </div>
+
+                {/* Pending Invites */}
+                {team.invites && team.invites.length > 0 && (
+                  <div className="p-4 border-t border-primary/10 space-y-2">
+                    <div className="text-xs font-terminal text-muted-foreground">PENDING INVITES</div>
+                    {team.invites.map((invite) => (
+                      <div key={invite.id} className="flex items-center justify-between gap-4 text-sm">
+                        <div className="flex items-center gap-2 min-w-0 text-muted-foreground">
+                          {invite.type === 'code' ? (
+                            <>
+                              <KeyRound className="w-3 h-3 flex-shrink-0" />
+                              <span className="font-terminal">
+                                Join code • {invite.maxUses ? `${invite.useCount}/${invite.maxUses} used` : `${invite.useCount} used`}
+                              </span>
+                            </>
+                          ) : (
+                            <>
+                              <Mail className="w-3 h-3 flex-shrink-0" />
+                              <span className="truncate">{invite.email}</span>
+                            </>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-1 text-xs font-terminal text-muted-foreground flex-shrink-0">
+                          <Clock className="w-3 h-3" />
+                          sent {getTimeAgo(invite.createdAt)} • expires {new Date(invite.expiresAt).toLocaleString()}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </TerminalCard>
             ))}
           </div>
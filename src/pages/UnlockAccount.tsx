@@ -0,0 +1,87 @@
+import { Link, useSearchParams } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { AlertCircle, Loader2, ShieldCheck } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Navbar } from "@/components/Navbar";
+import { TerminalCard } from "@/components/TerminalCard";
+import { BiohazardIcon } from "@/components/BiohazardIcon";
+import * as authAPI from "@/lib/authApi";
+
+/**
+ * Landing page for the link in the account-locked email (?token=).
+ * The token is spent on arrival, so the page only reports the outcome.
+ */
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ["unlock-account", token],
+    queryFn: () => authAPI.unlockAccount(token),
+    enabled: !!token,
+    retry: false,
+    staleTime: Infinity,
+  });
+
+  const renderBody = () => {
+    if (!token || isError) {
+      return (
+        <TerminalCard title="UNLOCK FAILED" status="danger">
+          <div className="space-y-6 text-center">
+            <AlertCircle className="w-16 h-16 text-destructive mx-auto" />
+            <p className="text-sm font-terminal text-muted-foreground">
+              This unlock link is invalid or has expired. Wait for the lock to end or ask an organizer to unlock your account.
+            </p>
+          </div>
+        </TerminalCard>
+      );
+    }
+
+    if (isLoading || !data) {
+      return (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-8 h-8 animate-spin text-primary" />
+        </div>
+      );
+    }
+
+    return (
+      <TerminalCard title="ACCOUNT UNLOCKED" status="active">
+        <div className="space-y-6 text-center">
+          <ShieldCheck className="w-16 h-16 text-primary mx-auto" />
+          <p className="text-sm font-terminal text-foreground">
+            {data.email} can login again. If you did not make those failed attempts, change your password.
+          </p>
+          <Link to="/login">
+            <Button variant="toxic" size="lg" className="w-full gap-2">
+              GO TO LOGIN
+            </Button>
+          </Link>
+        </div>
+      </TerminalCard>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-background noise-overlay flex flex-col">
+      <Navbar />
+
+      <main className="flex-1 flex items-center justify-center pt-16 pb-8 px-4">
+        <div className="w-full max-w-md">
+          {/* Header */}
+          <div className="text-center mb-8">
+            <BiohazardIcon className="w-16 h-16 text-primary mx-auto mb-6 animate-pulse" />
+            <h1 className="text-2xl md:text-3xl font-display font-bold mb-2">
+              <span className="text-primary text-glow-toxic">UNLOCK</span> ACCOUNT
+            </h1>
+            <p className="text-sm text-muted-foreground font-terminal">Restoring access after repeated failed logins</p>
+          </div>
+
+          {renderBody()}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default UnlockAccount;
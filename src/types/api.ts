@@ -14,6 +14,8 @@ export interface Team {
   hintsUsed: number;
   timeElapsed: string;
   createdAt: string;
+  /** True when the signed-in account registered the team */
+  isCaptain?: boolean;
 }
 
 export interface AdminStats {
@@ -51,6 +53,19 @@ export interface LeaderboardEntry extends Team {
   change?: 'up' | 'down' | 'same';
 }
 
+/**
+ * Scoreboard freeze as seen by the leaderboard.
+ * While frozen, non-admins get the standings from when the freeze started.
+ * revealFrom is the frozen order, sent for a few minutes after unfreezing.
+ */
+export interface LeaderboardFreeze {
+  frozen: boolean;
+  freezeAt: string | null;
+  frozenAt: string | null;
+  revealedAt: string | null;
+  revealFrom: LeaderboardEntry[] | null;
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   data: T;
@@ -101,6 +116,13 @@ export interface PuzzleAnalytics {
   hintUsageRate: number;
   teamsAttempted: number;
   teamsUsedHints: number;
+  /** Only on the all-puzzles analytics list */
+  firstBlood?: {
+    teamId: string;
+    teamName: string | null;
+    solvedAt: string | null;
+    bonus: number;
+  } | null;
 }
 
 export interface SuspiciousAlert {
@@ -128,16 +150,25 @@ export interface TimelineActivity {
 export interface Hint {
   id: string;
   hint_number: number;
-  hint_text: string;
+  /** Only sent once the hint is used or free */
+  hint_text?: string;
   time_penalty_seconds: number;
+  point_cost: number;
   penalty_multiplier: number;
-  unlock_after_seconds: number;
+  unlock_after_seconds: number | null;
   is_used: boolean;
   isUnlocked: boolean;
+  isFree: boolean;
   canUnlock: boolean;
+  unlockAfterSeconds: number | null;
+  freeInSeconds: number | null;
+  costType: HintCostType;
   penaltySeconds: number;
+  pointCost: number;
 }
 
+export type HintCostType = 'time' | 'points' | 'both' | 'none';
+
 export interface InventoryItem {
   id: string;
   item_type: 'clue' | 'key' | 'code' | 'data' | 'intelligence';
@@ -157,3 +188,58 @@ export interface PuzzleTimerStatus {
   isExpired: boolean;
   isCompleted: boolean;
 }
+
+/** How a login's second factor is checked */
+export type TwoFaMethod = 'email' | 'totp';
+
+/** Authenticator enrollment; confirmed with a code through POST /team/2fa */
+export interface TotpSetup {
+  secret: string;
+  /** otpauth:// provisioning URI (the content of the QR code) */
+  otpauthUrl: string;
+}
+
+export interface UserSession {
+  id: string;
+  userId: string;
+  device: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+  lastSeenAt: string;
+  expiresAt: string;
+  /** True for the session making the request */
+  current?: boolean;
+}
+
+export interface TeamMember {
+  /** team_members row id; null for the captain */
+  id: string | null;
+  userId: string | null;
+  name: string;
+  email: string | null;
+  role: 'captain' | 'member';
+  /** False for roster entries that never accepted an invite */
+  hasAccount: boolean;
+  joinedAt: string;
+}
+
+export interface TeamInvite {
+  id: string;
+  teamId: string;
+  /** Email invites are for one address; join codes can be shared */
+  type: 'email' | 'code';
+  email: string | null;
+  /** Join code use limit; null means until the team is full */
+  maxUses: number | null;
+  useCount: number;
+  invitedBy: string | null;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export interface TeamInvitePreview {
+  email: string;
+  teamName: string;
+  expiresAt: string;
+}
@@ -0,0 +1,30 @@
+-- Migration: Per-account login backoff and lockout
+-- Purpose: Slow down and then lock password guessing against a single account
+-- (server/services/accountLockoutService.js)
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS failed_login_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS unlock_token_hash CHAR(64),
+  ADD COLUMN IF NOT EXISTS unlock_token_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_unlock_token ON users(unlock_token_hash);
+
+-- Count one failed login in a single statement and return the new count;
+-- failures older than the lockout window start again from 1
+CREATE OR REPLACE FUNCTION record_login_failure(p_user_id UUID, p_window_ms INT)
+RETURNS TABLE (failed_login_count INT, last_failed_login_at TIMESTAMPTZ) AS $$
+  UPDATE users AS u SET
+    failed_login_count = CASE
+      WHEN u.last_failed_login_at IS NULL
+        OR u.last_failed_login_at < NOW() - p_window_ms * INTERVAL '1 millisecond' THEN 1
+      ELSE u.failed_login_count + 1
+    END,
+    last_failed_login_at = NOW()
+  WHERE u.id = p_user_id
+  RETURNING u.failed_login_count, u.last_failed_login_at;
+$$ LANGUAGE sql;
+
+COMMENT ON COLUMN users.locked_until IS 'Logins are refused until this time after too many failures';
+COMMENT ON COLUMN users.unlock_token_hash IS 'SHA-256 of the emailed unlock token';
@@ -0,0 +1,11 @@
+-- Migration: Fine-grained admin roles
+-- Purpose: Limit each admin account to the endpoints its role allows
+-- (permission map in server/utils/adminPermissions.js)
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS admin_role VARCHAR(20)
+    CHECK (admin_role IN ('super_admin', 'judge', 'puzzle_author', 'monitor'));
+
+UPDATE users SET admin_role = 'super_admin' WHERE role = 'admin' AND admin_role IS NULL;
+
+COMMENT ON COLUMN users.admin_role IS 'Admin permission set; NULL on an admin means super_admin';
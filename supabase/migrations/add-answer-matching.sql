@@ -0,0 +1,12 @@
+-- Migration: Per-puzzle answer matching modes
+-- Purpose: Let each puzzle choose how submitted answers are compared
+-- (see server/utils/answerMatcher.js for the supported modes)
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS answer_match_mode VARCHAR(20) NOT NULL DEFAULT 'exact';
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS answer_match_options JSONB;
+
+COMMENT ON COLUMN puzzles.answer_match_mode IS 'How submitted answers are compared to correct_answer';
+COMMENT ON COLUMN puzzles.answer_match_options IS 'Mode settings, e.g. {"aliases": [...]}, {"tolerance": 0.01}, {"flags": "i"}';
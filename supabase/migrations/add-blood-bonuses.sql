@@ -0,0 +1,16 @@
+-- Migration: First/second/third-blood bonuses
+-- Purpose: Reward the first three teams to solve a puzzle with extra points
+-- (see server/services/scoringService.js)
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS first_blood_bonus INT NOT NULL DEFAULT 0;
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS second_blood_bonus INT NOT NULL DEFAULT 0;
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS third_blood_bonus INT NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN puzzles.first_blood_bonus IS 'Bonus points for the first team to solve the puzzle';
+COMMENT ON COLUMN puzzles.second_blood_bonus IS 'Bonus points for the second team to solve the puzzle';
+COMMENT ON COLUMN puzzles.third_blood_bonus IS 'Bonus points for the third team to solve the puzzle';
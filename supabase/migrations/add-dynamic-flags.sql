@@ -0,0 +1,41 @@
+-- Migration: Per-team dynamic flags
+-- Purpose: Let puzzles issue a different flag to every team
+-- (see server/services/dynamicFlagService.js)
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS dynamic_flag BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS flag_template VARCHAR(255);
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS flag_secret VARCHAR(128);
+
+COMMENT ON COLUMN puzzles.dynamic_flag IS 'Issue a per-team flag rendered into {{flag}} in puzzle_content';
+COMMENT ON COLUMN puzzles.flag_template IS 'Flag format, %s is replaced by the team token (default flag{%s})';
+COMMENT ON COLUMN puzzles.flag_secret IS 'Server-side HMAC key for per-team flags - never sent to clients';
+
+-- Submitting another team's flag raises a 'flag_sharing' suspicious alert
+CREATE TABLE IF NOT EXISTS suspicious_alerts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  alert_type VARCHAR(30) NOT NULL CHECK (alert_type IN (
+    'rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing'
+  )),
+  severity VARCHAR(10) DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  description TEXT,
+  metadata JSONB,
+  is_reviewed BOOLEAN DEFAULT FALSE,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_alerts_team_type ON suspicious_alerts(team_id, alert_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_suspicious_alerts_reviewed ON suspicious_alerts(is_reviewed);
+
+-- Earlier installs may already have the table without 'flag_sharing'
+ALTER TABLE suspicious_alerts DROP CONSTRAINT IF EXISTS suspicious_alerts_alert_type_check;
+ALTER TABLE suspicious_alerts ADD CONSTRAINT suspicious_alerts_alert_type_check CHECK (alert_type IN (
+  'rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing'
+));
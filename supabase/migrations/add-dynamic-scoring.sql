@@ -0,0 +1,16 @@
+-- Migration: Dynamic (decaying) puzzle scoring
+-- Purpose: Let a puzzle's value drop as more teams solve it
+-- (see server/services/scoringService.js)
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS scoring_mode VARCHAR(20) NOT NULL DEFAULT 'static';
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS minimum_points INT;
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS decay INT;
+
+COMMENT ON COLUMN puzzles.scoring_mode IS 'static, linear or logarithmic - how the value decays with solves';
+COMMENT ON COLUMN puzzles.minimum_points IS 'Lowest value a dynamic puzzle decays to';
+COMMENT ON COLUMN puzzles.decay IS 'linear: points lost per solve; logarithmic: solves until minimum_points';
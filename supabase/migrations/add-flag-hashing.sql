@@ -0,0 +1,13 @@
+-- Migration: Hashed flag storage
+-- Purpose: Store puzzle answers as salted HMAC-SHA256 hashes instead of plaintext
+-- (see server/utils/flagHash.js). Convert existing rows afterwards with
+-- server/migrations/hash-puzzle-answers.js
+
+ALTER TABLE puzzles
+  ALTER COLUMN correct_answer DROP NOT NULL;
+
+ALTER TABLE puzzles
+  ADD COLUMN IF NOT EXISTS correct_answer_hash VARCHAR(255);
+
+COMMENT ON COLUMN puzzles.correct_answer IS 'Plaintext answer - only kept for regex/numeric match modes';
+COMMENT ON COLUMN puzzles.correct_answer_hash IS 'hmac-sha256$<salt>$<digest> of the canonical answer';
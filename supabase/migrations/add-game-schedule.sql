@@ -0,0 +1,8 @@
+-- Migration: Scheduled game phases
+-- Purpose: Persist the automatic phase timeline across restarts
+-- (see server/services/gameSchedulerService.js)
+
+ALTER TABLE game_state
+  ADD COLUMN IF NOT EXISTS phase_schedule JSONB;
+
+COMMENT ON COLUMN game_state.phase_schedule IS 'Scheduled phase steps {created_by, created_at, steps[]} run automatically by the server';
@@ -0,0 +1,17 @@
+-- Migration: Heartbeat-driven auto-pause
+-- Purpose: Pause a team's running question when its timer page stops sending
+-- heartbeats, and resume it when the team comes back
+-- (see recordHeartbeat and checkDisconnectedTeams in server/services/timeTrackingService.js)
+
+ALTER TABLE IF EXISTS team_sessions
+  ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS disconnected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS auto_paused_puzzle_id UUID;
+
+-- time_tracking_events.event_type gains 'team_disconnect' and 'team_reconnect';
+-- drop any CHECK constraint on it that predates them
+ALTER TABLE IF EXISTS time_tracking_events DROP CONSTRAINT IF EXISTS time_tracking_events_event_type_check;
+
+ALTER TABLE IF EXISTS game_settings
+  ADD COLUMN IF NOT EXISTS auto_pause_on_disconnect BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS heartbeat_missed_beats INT DEFAULT 3;
@@ -0,0 +1,10 @@
+-- Migration: Point-cost hints
+-- Purpose: Let a hint cost points as well as (or instead of) time; the points
+-- charged are deducted from the team's score
+-- (see getHintPointCosts in server/services/scoringService.js)
+
+ALTER TABLE IF EXISTS hints
+  ADD COLUMN IF NOT EXISTS point_cost INT DEFAULT 0;
+
+ALTER TABLE IF EXISTS hint_usage
+  ADD COLUMN IF NOT EXISTS points_penalty_applied INT DEFAULT 0;
@@ -0,0 +1,7 @@
+-- Migration: Time-based hint unlock schedule
+-- Purpose: Let a hint become free after the team has spent unlock_after_seconds
+-- of active time on the question; requesting it earlier still costs the penalty
+-- (see getAvailableHints and useHint in server/services/hintService.js)
+
+ALTER TABLE IF EXISTS hints
+  ADD COLUMN IF NOT EXISTS unlock_after_seconds INT;
@@ -0,0 +1,8 @@
+-- Migration: Leaderboard freeze
+-- Purpose: Hide the live standings from teams for the final minutes of an event
+-- (see server/services/leaderboardFreezeService.js)
+
+ALTER TABLE game_state
+  ADD COLUMN IF NOT EXISTS leaderboard_freeze JSONB;
+
+COMMENT ON COLUMN game_state.leaderboard_freeze IS 'Scoreboard freeze {freeze_at, snapshot, snapshot_at, revealed_at, reveal_from}; non-admins see the snapshot while frozen';
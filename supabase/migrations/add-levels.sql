@@ -0,0 +1,26 @@
+-- Migration: Configurable levels
+-- Purpose: Replace the hard-coded Level 1 / Level 2 model with a levels table
+-- (see server/services/levelService.js). Qualification cutoffs stay in
+-- qualification_cutoffs, one row per level_number.
+
+CREATE TABLE IF NOT EXISTS levels (
+  level_number INT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  time_limit_minutes INT NOT NULL DEFAULT 60,
+  unlock_rule VARCHAR(30) NOT NULL DEFAULT 'manual' CHECK (unlock_rule IN ('manual', 'after_previous_results')),
+  is_unlocked BOOLEAN NOT NULL DEFAULT FALSE,
+  unlocked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON COLUMN levels.unlock_rule IS 'manual = admin unlocks; after_previous_results = unlocks when the previous level''s results are published';
+COMMENT ON COLUMN levels.is_unlocked IS 'Levels 1 and 2 are mirrored to game_state.level1_open / level2_open';
+
+-- Seed the two existing levels with their previous time limits and unlock state
+INSERT INTO levels (level_number, name, time_limit_minutes, unlock_rule, is_unlocked)
+VALUES
+  (1, 'Level 1', 40, 'manual', COALESCE((SELECT level1_open FROM game_state LIMIT 1), FALSE)),
+  (2, 'Level 2', 60, 'manual', COALESCE((SELECT level2_open FROM game_state LIMIT 1), FALSE))
+ON CONFLICT (level_number) DO NOTHING;
@@ -0,0 +1,24 @@
+-- Migration: Shared rate limit store
+-- Purpose: Let the Express server and the serverless functions count hits in
+-- one place (RATE_LIMIT_STORE=database, see server/utils/rateLimitStore.js)
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  rate_key VARCHAR(191) PRIMARY KEY,
+  hits INT NOT NULL DEFAULT 0,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset ON rate_limit_counters(reset_at);
+
+-- Count one hit in a single statement; a counter past its window restarts at 1
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key VARCHAR, p_window_ms INT)
+RETURNS TABLE (hits INT, reset_at TIMESTAMPTZ) AS $$
+  INSERT INTO rate_limit_counters AS c (rate_key, hits, reset_at)
+  VALUES (p_key, 1, NOW() + p_window_ms * INTERVAL '1 millisecond')
+  ON CONFLICT (rate_key) DO UPDATE SET
+    hits = CASE WHEN c.reset_at <= NOW() THEN 1 ELSE c.hits + 1 END,
+    reset_at = CASE WHEN c.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE c.reset_at END
+  RETURNING c.hits, c.reset_at;
+$$ LANGUAGE sql;
+
+COMMENT ON TABLE rate_limit_counters IS 'Rate limit hits per key (limiter prefix + IP or team id) for the current window';
@@ -0,0 +1,12 @@
+-- Migration: Refresh token rotation
+-- Purpose: Rotate refresh tokens on every use and detect replayed tokens
+-- (see server/services/refreshTokenService.js)
+
+ALTER TABLE refresh_tokens
+  ADD COLUMN IF NOT EXISTS family_id UUID,
+  ADD COLUMN IF NOT EXISTS used_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+COMMENT ON COLUMN refresh_tokens.family_id IS 'All tokens rotated from one login; revoked together when a spent token is reused';
+COMMENT ON COLUMN refresh_tokens.used_at IS 'Set when the token is exchanged for its successor';
@@ -0,0 +1,36 @@
+-- Migration: Brute-force detection and wrong-answer cooldown
+-- Purpose: Store alerts from the wrong-answer detectors and make teams wait
+-- after every N wrong answers to a puzzle
+-- (see getWrongAnswerCooldown and wrongAnswerAlerts in server/services/analyticsService.js)
+
+CREATE TABLE IF NOT EXISTS suspicious_alerts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  alert_type VARCHAR(30) NOT NULL CHECK (alert_type IN (
+    'rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing',
+    'wrong_answer_burst', 'answer_enumeration', 'answer_collusion'
+  )),
+  severity VARCHAR(10) DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  description TEXT,
+  metadata JSONB,
+  is_reviewed BOOLEAN DEFAULT FALSE,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_alerts_team_type ON suspicious_alerts(team_id, alert_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_suspicious_alerts_reviewed ON suspicious_alerts(is_reviewed);
+
+-- Installs that ran add-dynamic-flags.sql have the table with the shorter type list
+ALTER TABLE suspicious_alerts DROP CONSTRAINT IF EXISTS suspicious_alerts_alert_type_check;
+ALTER TABLE suspicious_alerts ADD CONSTRAINT suspicious_alerts_alert_type_check CHECK (alert_type IN (
+  'rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing',
+  'wrong_answer_burst', 'answer_enumeration', 'answer_collusion'
+));
+
+ALTER TABLE IF EXISTS game_settings
+  ADD COLUMN IF NOT EXISTS wrong_answer_cooldown_threshold INT DEFAULT 5,
+  ADD COLUMN IF NOT EXISTS wrong_answer_cooldown_seconds INT DEFAULT 60;
+
+COMMENT ON COLUMN game_settings.wrong_answer_cooldown_seconds IS 'Wait after every Nth wrong answer to a puzzle; 0 disables';
@@ -0,0 +1,14 @@
+-- Migration: Team join codes and member limit
+-- Purpose: Let captains share expiring join codes and cap team size
+-- (see server/services/teamMemberService.js)
+
+ALTER TABLE team_invites
+  ALTER COLUMN email DROP NOT NULL,
+  ADD COLUMN IF NOT EXISTS max_uses INT,
+  ADD COLUMN IF NOT EXISTS use_count INT NOT NULL DEFAULT 0;
+
+ALTER TABLE IF EXISTS game_settings
+  ADD COLUMN IF NOT EXISTS max_team_members INT DEFAULT 4;
+
+COMMENT ON COLUMN team_invites.email IS 'Invitee for email invites; NULL for join codes';
+COMMENT ON COLUMN team_invites.max_uses IS 'Join code use limit; NULL means until the team is full';
@@ -0,0 +1,38 @@
+-- Migration: Per-member team accounts
+-- Purpose: Let every team member log in with their own account and record
+-- which member acted (see server/services/teamMemberService.js)
+
+ALTER TABLE team_members
+  ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_user ON team_members(user_id);
+
+CREATE TABLE IF NOT EXISTS team_invites (
+  id UUID PRIMARY KEY,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  email VARCHAR(150) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by UUID,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_invites_team ON team_invites(team_id);
+
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS user_id UUID;
+
+ALTER TABLE hint_usage
+  ADD COLUMN IF NOT EXISTS user_id UUID;
+
+ALTER TABLE activity_logs
+  ADD COLUMN IF NOT EXISTS user_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_submissions_user ON submissions(user_id);
+
+COMMENT ON COLUMN team_members.user_id IS 'Member''s own login; NULL for roster entries without an account';
+COMMENT ON COLUMN team_members.removed_at IS 'Set when the captain removes the member; they can no longer log in';
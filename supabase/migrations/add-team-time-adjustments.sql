@@ -0,0 +1,17 @@
+-- Migration: Per-team time adjustments
+-- Purpose: Let admins extend a team's time limit on a level or credit/charge
+-- its effective time, with a mandatory reason
+-- (see server/services/timeAdjustmentService.js)
+
+CREATE TABLE IF NOT EXISTS team_time_adjustments (
+  id UUID PRIMARY KEY,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  level INT NOT NULL,
+  adjustment_type VARCHAR(20) NOT NULL CHECK (adjustment_type IN ('extension', 'penalty')),
+  seconds INT NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  granted_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_time_adjustments_team ON team_time_adjustments(team_id, level);
@@ -0,0 +1,23 @@
+-- Migration: Authenticator-app (TOTP) second factor
+-- Purpose: Let users confirm logins with an RFC 6238 code instead of an
+-- emailed OTP, with single-use recovery codes
+-- (see server/services/totpService.js)
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS two_fa_method VARCHAR(10) NOT NULL DEFAULT 'email' CHECK (two_fa_method IN ('email', 'totp')),
+  ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS two_fa_recovery_codes (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_fa_recovery_codes_user ON two_fa_recovery_codes(user_id);
+
+COMMENT ON COLUMN users.totp_pending_secret IS 'Secret being enrolled; becomes totp_secret once a code confirms it';
+COMMENT ON COLUMN users.totp_last_step IS 'Last accepted TOTP time step; older or equal steps are rejected as replays';
@@ -0,0 +1,28 @@
+-- Migration: Session registry
+-- Purpose: Record every login so sessions can be listed and revoked
+-- (see server/services/sessionService.js)
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  team_id UUID,
+  device VARCHAR(100),
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID,
+  revoke_reason VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_team ON user_sessions(team_id);
+
+ALTER TABLE refresh_tokens
+  ADD COLUMN IF NOT EXISTS session_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+
+COMMENT ON COLUMN user_sessions.revoked_at IS 'Set when the session is signed out or revoked; authMiddleware rejects access tokens for revoked sessions';
@@ -10,6 +10,12 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 -- =====================================================
 -- DROP ALL EXISTING TABLES (Clean Setup)
 -- =====================================================
+DROP TABLE IF EXISTS suspicious_alerts CASCADE;
+DROP TABLE IF EXISTS rate_limit_counters CASCADE;
+DROP TABLE IF EXISTS two_fa_recovery_codes CASCADE;
+DROP TABLE IF EXISTS team_invites CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS levels CASCADE;
 DROP TABLE IF EXISTS inventory CASCADE;
 DROP TABLE IF EXISTS broadcasts CASCADE;
 DROP TABLE IF EXISTS game_state CASCADE;
@@ -49,8 +55,18 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(150) UNIQUE NOT NULL,
   password_hash VARCHAR(255) NOT NULL,
   role VARCHAR(20) DEFAULT 'team' CHECK (role IN ('admin', 'team')),
+  admin_role VARCHAR(20) CHECK (admin_role IN ('super_admin', 'judge', 'puzzle_author', 'monitor')),
   is_verified BOOLEAN DEFAULT FALSE,
   two_fa_enabled BOOLEAN DEFAULT FALSE,
+  two_fa_method VARCHAR(10) NOT NULL DEFAULT 'email' CHECK (two_fa_method IN ('email', 'totp')),
+  totp_secret VARCHAR(64),
+  totp_pending_secret VARCHAR(64),
+  totp_last_step BIGINT,
+  failed_login_count INT NOT NULL DEFAULT 0,
+  last_failed_login_at TIMESTAMPTZ,
+  locked_until TIMESTAMPTZ,
+  unlock_token_hash CHAR(64),
+  unlock_token_expires_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -58,6 +74,21 @@ CREATE TABLE IF NOT EXISTS users (
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
 
+-- Count one failed login in a single statement and return the new count;
+-- failures older than the lockout window start again from 1
+CREATE OR REPLACE FUNCTION record_login_failure(p_user_id UUID, p_window_ms INT)
+RETURNS TABLE (failed_login_count INT, last_failed_login_at TIMESTAMPTZ) AS $$
+  UPDATE users AS u SET
+    failed_login_count = CASE
+      WHEN u.last_failed_login_at IS NULL
+        OR u.last_failed_login_at < NOW() - p_window_ms * INTERVAL '1 millisecond' THEN 1
+      ELSE u.failed_login_count + 1
+    END,
+    last_failed_login_at = NOW()
+  WHERE u.id = p_user_id
+  RETURNING u.failed_login_count, u.last_failed_login_at;
+$$ LANGUAGE sql;
+
 -- =====================================================
 -- 2. TEAMS TABLE
 -- =====================================================
@@ -85,14 +116,17 @@ CREATE INDEX IF NOT EXISTS idx_teams_user_id ON teams(user_id);
 CREATE TABLE IF NOT EXISTS team_members (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
   member_name VARCHAR(100) NOT NULL,
   member_email VARCHAR(150),
   member_role VARCHAR(50),
   is_leader BOOLEAN DEFAULT FALSE,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  removed_at TIMESTAMPTZ
 );
 
 CREATE INDEX IF NOT EXISTS idx_team_members_team ON team_members(team_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_user ON team_members(user_id);
 
 -- =====================================================
 -- 4. PUZZLES TABLE
@@ -106,8 +140,20 @@ CREATE TABLE IF NOT EXISTS puzzles (
   puzzle_type VARCHAR(20) DEFAULT 'text' CHECK (puzzle_type IN ('text', 'code', 'image', 'qr', 'html', 'cipher', 'mixed')),
   puzzle_content TEXT,
   puzzle_file_url VARCHAR(500),
-  correct_answer TEXT NOT NULL,
+  correct_answer TEXT,
+  correct_answer_hash VARCHAR(255),
+  answer_match_mode VARCHAR(20) NOT NULL DEFAULT 'exact',
+  answer_match_options JSONB,
+  dynamic_flag BOOLEAN NOT NULL DEFAULT FALSE,
+  flag_template VARCHAR(255),
+  flag_secret VARCHAR(128),
   points INT DEFAULT 100,
+  scoring_mode VARCHAR(20) NOT NULL DEFAULT 'static',
+  minimum_points INT,
+  decay INT,
+  first_blood_bonus INT NOT NULL DEFAULT 0,
+  second_blood_bonus INT NOT NULL DEFAULT 0,
+  third_blood_bonus INT NOT NULL DEFAULT 0,
   time_limit_minutes INT DEFAULT 4,
   is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -127,6 +173,8 @@ CREATE TABLE IF NOT EXISTS hints (
   hint_number INT NOT NULL,
   hint_text TEXT NOT NULL,
   time_penalty_seconds INT DEFAULT 300,
+  point_cost INT DEFAULT 0,
+  unlock_after_seconds INT,
   is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(puzzle_id, hint_number)
@@ -140,6 +188,7 @@ CREATE INDEX IF NOT EXISTS idx_hints_puzzle ON hints(puzzle_id);
 CREATE TABLE IF NOT EXISTS submissions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id UUID,
   puzzle_id UUID NOT NULL REFERENCES puzzles(id) ON DELETE CASCADE,
   submitted_answer TEXT NOT NULL,
   is_correct BOOLEAN NOT NULL,
@@ -151,6 +200,7 @@ CREATE TABLE IF NOT EXISTS submissions (
 );
 
 CREATE INDEX IF NOT EXISTS idx_submissions_team ON submissions(team_id);
+CREATE INDEX IF NOT EXISTS idx_submissions_user ON submissions(user_id);
 CREATE INDEX IF NOT EXISTS idx_submissions_puzzle ON submissions(puzzle_id);
 CREATE INDEX IF NOT EXISTS idx_submissions_correct ON submissions(is_correct);
 CREATE INDEX IF NOT EXISTS idx_submissions_eval_status ON submissions(evaluation_status);
@@ -181,10 +231,12 @@ CREATE INDEX IF NOT EXISTS idx_team_progress_level ON team_progress(current_leve
 CREATE TABLE IF NOT EXISTS hint_usage (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id UUID,
   hint_id UUID NOT NULL REFERENCES hints(id) ON DELETE CASCADE,
   puzzle_id UUID NOT NULL REFERENCES puzzles(id) ON DELETE CASCADE,
   used_at TIMESTAMPTZ DEFAULT NOW(),
   time_penalty_applied INT DEFAULT 0,
+  points_penalty_applied INT DEFAULT 0,
   UNIQUE(team_id, hint_id)
 );
 
@@ -197,6 +249,7 @@ CREATE INDEX IF NOT EXISTS idx_hint_usage_puzzle ON hint_usage(puzzle_id);
 CREATE TABLE IF NOT EXISTS activity_logs (
   id SERIAL PRIMARY KEY,
   team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+  user_id UUID,
   type VARCHAR(50) NOT NULL CHECK (type IN ('tab_switch', 'violation', 'level_complete', 'hint_used', 'system', 'login', 'logout')),
   message VARCHAR(255) NOT NULL,
   severity VARCHAR(20) DEFAULT 'info' CHECK (severity IN ('info', 'warning', 'critical')),
@@ -229,13 +282,18 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
 CREATE TABLE IF NOT EXISTS refresh_tokens (
   id SERIAL PRIMARY KEY,
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id UUID,
+  family_id UUID,
   token VARCHAR(500) NOT NULL,
   expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
 
 -- =====================================================
 -- 12. EMAIL OTPS TABLE
@@ -374,6 +432,8 @@ CREATE TABLE IF NOT EXISTS game_state (
   level2_open BOOLEAN DEFAULT FALSE,
   game_started_at TIMESTAMPTZ,
   game_ended_at TIMESTAMPTZ,
+  phase_schedule JSONB,
+  leaderboard_freeze JSONB,
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   updated_by UUID
 );
@@ -413,6 +473,129 @@ CREATE TABLE IF NOT EXISTS inventory (
 
 CREATE INDEX IF NOT EXISTS idx_inventory_team ON inventory(team_id);
 
+-- =====================================================
+-- 21. LEVELS TABLE
+-- =====================================================
+-- Levels 1 and 2 are mirrored to game_state.level1_open / level2_open
+CREATE TABLE IF NOT EXISTS levels (
+  level_number INT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  time_limit_minutes INT NOT NULL DEFAULT 60,
+  unlock_rule VARCHAR(30) NOT NULL DEFAULT 'manual' CHECK (unlock_rule IN ('manual', 'after_previous_results')),
+  is_unlocked BOOLEAN NOT NULL DEFAULT FALSE,
+  unlocked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =====================================================
+-- 22. USER SESSIONS TABLE
+-- =====================================================
+-- One row per login; access tokens for revoked sessions are rejected
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  team_id UUID,
+  device VARCHAR(100),
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by UUID,
+  revoke_reason VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_team ON user_sessions(team_id);
+
+-- =====================================================
+-- 23. TEAM INVITES TABLE
+-- =====================================================
+-- Captain-issued email invites and join codes (email NULL);
+-- only a SHA-256 hash of the token or code is stored
+CREATE TABLE IF NOT EXISTS team_invites (
+  id UUID PRIMARY KEY,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  email VARCHAR(150),
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  invited_by UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  max_uses INT,
+  use_count INT NOT NULL DEFAULT 0,
+  accepted_at TIMESTAMPTZ,
+  accepted_by UUID,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_invites_team ON team_invites(team_id);
+
+-- =====================================================
+-- 24. TWO-FACTOR RECOVERY CODES TABLE
+-- =====================================================
+-- Single-use codes for TOTP users who lose their authenticator;
+-- only SHA-256 hashes are stored
+CREATE TABLE IF NOT EXISTS two_fa_recovery_codes (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_fa_recovery_codes_user ON two_fa_recovery_codes(user_id);
+
+-- =====================================================
+-- 25. RATE LIMIT COUNTERS TABLE
+-- =====================================================
+-- Shared hit counters for RATE_LIMIT_STORE=database, used by the Express
+-- server and the serverless functions alike
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  rate_key VARCHAR(191) PRIMARY KEY,
+  hits INT NOT NULL DEFAULT 0,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset ON rate_limit_counters(reset_at);
+
+-- Count one hit in a single statement; a counter past its window restarts at 1
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key VARCHAR, p_window_ms INT)
+RETURNS TABLE (hits INT, reset_at TIMESTAMPTZ) AS $$
+  INSERT INTO rate_limit_counters AS c (rate_key, hits, reset_at)
+  VALUES (p_key, 1, NOW() + p_window_ms * INTERVAL '1 millisecond')
+  ON CONFLICT (rate_key) DO UPDATE SET
+    hits = CASE WHEN c.reset_at <= NOW() THEN 1 ELSE c.hits + 1 END,
+    reset_at = CASE WHEN c.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE c.reset_at END
+  RETURNING c.hits, c.reset_at;
+$$ LANGUAGE sql;
+
+-- =====================================================
+-- 26. SUSPICIOUS ALERTS TABLE
+-- =====================================================
+-- Raised by analyticsService detectors (fast solves, shared flags, wrong-answer
+-- bursts, answer enumeration, identical wrong answers across teams)
+CREATE TABLE IF NOT EXISTS suspicious_alerts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  alert_type VARCHAR(30) NOT NULL CHECK (alert_type IN (
+    'rapid_submission', 'fast_solve', 'tab_switch', 'copy_paste', 'pattern_match', 'flag_sharing',
+    'wrong_answer_burst', 'answer_enumeration', 'answer_collusion'
+  )),
+  severity VARCHAR(10) DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  description TEXT,
+  metadata JSONB,
+  is_reviewed BOOLEAN DEFAULT FALSE,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_suspicious_alerts_team_type ON suspicious_alerts(team_id, alert_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_suspicious_alerts_reviewed ON suspicious_alerts(is_reviewed);
+
 -- =====================================================
 -- TRIGGERS FOR AUTO-UPDATING updated_at
 -- =====================================================
@@ -521,9 +704,16 @@ VALUES (1, 0, 80.00, 7200, 8) ON CONFLICT (level_id) DO NOTHING;
 INSERT INTO qualification_cutoffs (level_id, min_score, min_accuracy, max_time_seconds, min_questions_correct)
 VALUES (2, 0, 70.00, 5400, 7) ON CONFLICT (level_id) DO NOTHING;
 
+-- Initialize default levels
+INSERT INTO levels (level_number, name, time_limit_minutes, unlock_rule, is_unlocked)
+VALUES (1, 'Level 1', 40, 'manual', TRUE), (2, 'Level 2', 60, 'manual', FALSE)
+ON CONFLICT (level_number) DO NOTHING;
+
 -- =====================================================
 -- SEED DATA: LEVEL 2 PUZZLES
 -- =====================================================
+-- Seeded with plaintext answers; run server/migrations/hash-puzzle-answers.js
+-- afterwards to move them to correct_answer_hash.
 -- Level 2 Puzzle 1: Advanced Encryption
 INSERT INTO puzzles (level, puzzle_number, title, description, puzzle_type, puzzle_content, correct_answer, points, time_limit_minutes, is_active) 
 VALUES (